@@ -40,6 +40,15 @@ export default [
     },
   },
   {
-    ignores: ['dist/**/*', 'node_modules/**/*', '**/*.d.ts'],
+    // tsconfig.json leaves tests out of the build
+    files: ['src/**/__tests__/**/*.ts'],
+    languageOptions: {
+      parserOptions: {
+        project: './tsconfig.test.json',
+      },
+    },
+  },
+  {
+    ignores:['dist/**/*', 'node_modules/**/*', '**/*.d.ts'],
   },
 ];
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "product_stakeholders" (
+    "id" TEXT NOT NULL,
+    "walletAddress" TEXT NOT NULL,
+    "role" "UserRole" NOT NULL DEFAULT 'DISTRIBUTOR',
+    "addedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+    "userId" TEXT,
+
+    CONSTRAINT "product_stakeholders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_stakeholders_productId_walletAddress_key" ON "product_stakeholders"("productId", "walletAddress");
+
+-- AddForeignKey
+ALTER TABLE "product_stakeholders" ADD CONSTRAINT "product_stakeholders_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_stakeholders" ADD CONSTRAINT "product_stakeholders_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
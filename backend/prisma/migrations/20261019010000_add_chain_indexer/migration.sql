@@ -0,0 +1,47 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "chainProductId" INTEGER,
+ADD COLUMN "chainTxHash" TEXT,
+ADD COLUMN "chainBlockNumber" INTEGER,
+ADD COLUMN "chainUpdatedBlock" INTEGER;
+
+-- AlterTable
+ALTER TABLE "product_stakeholders" ADD COLUMN "blockNumber" INTEGER;
+
+-- AlterTable
+ALTER TABLE "checkpoints" ADD COLUMN "chainIndex" INTEGER,
+ADD COLUMN "txHash" TEXT,
+ADD COLUMN "blockNumber" INTEGER;
+
+-- AlterTable
+ALTER TABLE "nft_certificates" ADD COLUMN "certificateType" TEXT,
+ADD COLUMN "expiresAt" TIMESTAMP(3),
+ADD COLUMN "isValid" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN "invalidationReason" TEXT,
+ADD COLUMN "txHash" TEXT,
+ADD COLUMN "blockNumber" INTEGER,
+ADD COLUMN "invalidatedAtBlock" INTEGER;
+
+-- CreateTable
+CREATE TABLE "chain_cursors" (
+    "id" TEXT NOT NULL,
+    "blockNumber" INTEGER NOT NULL,
+    "blockHash" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "chain_cursors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "indexed_blocks" (
+    "number" INTEGER NOT NULL,
+    "hash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "indexed_blocks_pkey" PRIMARY KEY ("number")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_chainProductId_key" ON "products"("chainProductId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "checkpoints_productId_chainIndex_key" ON "checkpoints"("productId", "chainIndex");
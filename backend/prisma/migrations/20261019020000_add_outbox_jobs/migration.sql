@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "OutboxStatus" AS ENUM ('PENDING', 'PROCESSING', 'SUBMITTED', 'CONFIRMED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "outbox_jobs" (
+    "id" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "OutboxStatus" NOT NULL DEFAULT 'PENDING',
+    "resourceType" TEXT,
+    "resourceId" TEXT,
+    "signer" TEXT,
+    "nonce" INTEGER,
+    "gasLimit" TEXT,
+    "maxFeePerGas" TEXT,
+    "maxPriorityFeePerGas" TEXT,
+    "txHash" TEXT,
+    "replacedTxHashes" TEXT[],
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "receiptStatus" INTEGER,
+    "blockNumber" INTEGER,
+    "gasUsed" TEXT,
+    "result" JSONB,
+    "submittedAt" TIMESTAMP(3),
+    "confirmedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "createdById" TEXT,
+
+    CONSTRAINT "outbox_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "signer_nonces" (
+    "address" TEXT NOT NULL,
+    "nextNonce" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "signer_nonces_pkey" PRIMARY KEY ("address")
+);
+
+-- CreateIndex
+CREATE INDEX "outbox_jobs_status_nextAttemptAt_idx" ON "outbox_jobs"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "outbox_jobs_resourceType_resourceId_idx" ON "outbox_jobs"("resourceType", "resourceId");
+
+-- AddForeignKey
+ALTER TABLE "outbox_jobs" ADD CONSTRAINT "outbox_jobs_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
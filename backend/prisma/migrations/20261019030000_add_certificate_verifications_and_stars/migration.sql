@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "certificate_verifications" (
+    "id" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "isValid" BOOLEAN NOT NULL,
+    "source" TEXT NOT NULL,
+    "verifierAddress" TEXT,
+    "ipAddress" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "certificateId" TEXT NOT NULL,
+    "verifierId" TEXT,
+
+    CONSTRAINT "certificate_verifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "certificate_stars" (
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "certificateId" TEXT NOT NULL,
+
+    CONSTRAINT "certificate_stars_pkey" PRIMARY KEY ("userId","certificateId")
+);
+
+-- CreateIndex
+CREATE INDEX "certificate_verifications_certificateId_createdAt_idx" ON "certificate_verifications"("certificateId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "certificate_verifications" ADD CONSTRAINT "certificate_verifications_certificateId_fkey" FOREIGN KEY ("certificateId") REFERENCES "nft_certificates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "certificate_verifications" ADD CONSTRAINT "certificate_verifications_verifierId_fkey" FOREIGN KEY ("verifierId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "certificate_stars" ADD CONSTRAINT "certificate_stars_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "certificate_stars" ADD CONSTRAINT "certificate_stars_certificateId_fkey" FOREIGN KEY ("certificateId") REFERENCES "nft_certificates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
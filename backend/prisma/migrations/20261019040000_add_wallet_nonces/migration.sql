@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "wallet_nonces" (
+    "nonce" TEXT NOT NULL,
+    "walletAddress" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "wallet_nonces_pkey" PRIMARY KEY ("nonce")
+);
+
+-- CreateIndex
+CREATE INDEX "wallet_nonces_expiresAt_idx" ON "wallet_nonces"("expiresAt");
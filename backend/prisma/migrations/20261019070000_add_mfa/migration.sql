@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "mfaEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mfaEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "mfaLastUsedStep" INTEGER,
+ADD COLUMN     "mfaRecoveryCodes" TEXT[],
+ADD COLUMN     "mfaSecret" TEXT;
+
+-- AlterTable
+ALTER TABLE "refresh_tokens" ADD COLUMN     "mfaVerified" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,28 @@
+-- AlterEnum
+ALTER TYPE "UserRole" ADD VALUE 'MODERATOR';
+ALTER TYPE "UserRole" ADD VALUE 'AUDITOR';
+ALTER TYPE "UserRole" ADD VALUE 'VIEWER';
+
+-- CreateTable
+CREATE TABLE "user_roles" (
+    "id" TEXT NOT NULL,
+    "role" "UserRole" NOT NULL,
+    "organizationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+
+    CONSTRAINT "user_roles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_roles_userId_role_organizationId_key" ON "user_roles"("userId", "role", "organizationId");
+
+-- CreateIndex
+CREATE INDEX "user_roles_organizationId_idx" ON "user_roles"("organizationId");
+
+-- AddForeignKey
+ALTER TABLE "user_roles" ADD CONSTRAINT "user_roles_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: every existing user holds their current role platform-wide
+INSERT INTO "user_roles" ("id", "role", "userId")
+SELECT 'role_' || "id", "role", "id" FROM "users";
@@ -0,0 +1,80 @@
+-- CreateEnum
+CREATE TYPE "OrganizationType" AS ENUM ('MANUFACTURER', 'DISTRIBUTOR', 'RETAILER', 'AUDITOR');
+
+-- CreateTable
+CREATE TABLE "organizations" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "type" "OrganizationType" NOT NULL,
+    "walletAddress" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "organizations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "organization_invitations" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "UserRole" NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "acceptedAt" TIMESTAMP(3),
+    "acceptedById" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "organizationId" TEXT NOT NULL,
+    "invitedById" TEXT NOT NULL,
+
+    CONSTRAINT "organization_invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "organizationId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "organizations_slug_key" ON "organizations"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "organization_invitations_tokenHash_key" ON "organization_invitations"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "organization_invitations_organizationId_idx" ON "organization_invitations"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "organization_invitations_email_idx" ON "organization_invitations"("email");
+
+-- CreateIndex
+CREATE INDEX "products_organizationId_idx" ON "products"("organizationId");
+
+-- Backfill: every user who registered products gets an organization of their own that
+-- takes over those products, with the user as its admin
+INSERT INTO "organizations" ("id", "name", "slug", "type", "walletAddress", "updatedAt")
+SELECT 'org_' || u."id",
+       COALESCE(NULLIF(TRIM(CONCAT(u."firstName", ' ', u."lastName")), ''), u."email"),
+       'org-' || u."id",
+       'MANUFACTURER',
+       u."walletAddress",
+       CURRENT_TIMESTAMP
+FROM "users" u
+WHERE EXISTS (SELECT 1 FROM "products" p WHERE p."manufacturerId" = u."id");
+
+UPDATE "products" SET "organizationId" = 'org_' || "manufacturerId";
+
+INSERT INTO "user_roles" ("id", "role", "organizationId", "userId")
+SELECT 'role_' || o."id", 'ADMIN', o."id", SUBSTRING(o."id" FROM 5)
+FROM "organizations" o;
+
+-- AddForeignKey
+ALTER TABLE "user_roles" ADD CONSTRAINT "user_roles_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_invitations" ADD CONSTRAINT "organization_invitations_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "organization_invitations" ADD CONSTRAINT "organization_invitations_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "products" ADD CONSTRAINT "products_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "CustodyTransferStatus" AS ENUM ('PENDING', 'ACCEPTED', 'REJECTED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "currentCustodianId" TEXT;
+
+-- CreateTable
+CREATE TABLE "custody_transfers" (
+    "id" TEXT NOT NULL,
+    "status" "CustodyTransferStatus" NOT NULL DEFAULT 'PENDING',
+    "shipmentReference" TEXT,
+    "carrier" TEXT,
+    "trackingNumber" TEXT,
+    "shippedFrom" TEXT NOT NULL,
+    "expectedDeliveryAt" TIMESTAMP(3),
+    "notes" TEXT,
+    "rejectionReason" TEXT,
+    "initiatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "respondedAt" TIMESTAMP(3),
+    "productId" TEXT NOT NULL,
+    "fromOrganizationId" TEXT NOT NULL,
+    "toOrganizationId" TEXT NOT NULL,
+    "initiatedById" TEXT NOT NULL,
+    "respondedById" TEXT,
+    "dispatchCheckpointId" TEXT,
+    "receiptCheckpointId" TEXT,
+
+    CONSTRAINT "custody_transfers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "products_currentCustodianId_idx" ON "products"("currentCustodianId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custody_transfers_dispatchCheckpointId_key" ON "custody_transfers"("dispatchCheckpointId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custody_transfers_receiptCheckpointId_key" ON "custody_transfers"("receiptCheckpointId");
+
+-- CreateIndex
+CREATE INDEX "custody_transfers_productId_initiatedAt_idx" ON "custody_transfers"("productId", "initiatedAt");
+
+-- CreateIndex
+CREATE INDEX "custody_transfers_toOrganizationId_status_idx" ON "custody_transfers"("toOrganizationId", "status");
+
+-- CreateIndex
+CREATE INDEX "custody_transfers_fromOrganizationId_status_idx" ON "custody_transfers"("fromOrganizationId", "status");
+
+-- At most one transfer per product can be pending
+CREATE UNIQUE INDEX "custody_transfers_productId_pending_key" ON "custody_transfers"("productId") WHERE "status" = 'PENDING';
+
+-- Backfill: the owning organization holds each product until it is first transferred
+UPDATE "products" SET "currentCustodianId" = "organizationId" WHERE "organizationId" IS NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "products" ADD CONSTRAINT "products_currentCustodianId_fkey" FOREIGN KEY ("currentCustodianId") REFERENCES "organizations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "custody_transfers" ADD CONSTRAINT "custody_transfers_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "custody_transfers" ADD CONSTRAINT "custody_transfers_fromOrganizationId_fkey" FOREIGN KEY ("fromOrganizationId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "custody_transfers" ADD CONSTRAINT "custody_transfers_toOrganizationId_fkey" FOREIGN KEY ("toOrganizationId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "custody_transfers" ADD CONSTRAINT "custody_transfers_initiatedById_fkey" FOREIGN KEY ("initiatedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "custody_transfers" ADD CONSTRAINT "custody_transfers_respondedById_fkey" FOREIGN KEY ("respondedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
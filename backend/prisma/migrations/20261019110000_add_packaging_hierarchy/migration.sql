@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "PackagingLevel" AS ENUM ('UNIT', 'CASE', 'PALLET');
+
+-- CreateEnum
+CREATE TYPE "AggregationAction" AS ENUM ('AGGREGATE', 'DISAGGREGATE');
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "packagingLevel" "PackagingLevel" NOT NULL DEFAULT 'UNIT',
+ADD COLUMN "parentId" TEXT;
+
+-- AlterTable
+ALTER TABLE "checkpoints" ADD COLUMN "propagatedFromId" TEXT;
+
+-- CreateTable
+CREATE TABLE "aggregation_events" (
+    "id" TEXT NOT NULL,
+    "action" "AggregationAction" NOT NULL,
+    "childIds" TEXT[],
+    "location" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "parentId" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+
+    CONSTRAINT "aggregation_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "products_parentId_idx" ON "products"("parentId");
+
+-- CreateIndex
+CREATE INDEX "checkpoints_propagatedFromId_idx" ON "checkpoints"("propagatedFromId");
+
+-- CreateIndex
+CREATE INDEX "aggregation_events_parentId_createdAt_idx" ON "aggregation_events"("parentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "products" ADD CONSTRAINT "products_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "products"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checkpoints" ADD CONSTRAINT "checkpoints_propagatedFromId_fkey" FOREIGN KEY ("propagatedFromId") REFERENCES "checkpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "aggregation_events" ADD CONSTRAINT "aggregation_events_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "aggregation_events" ADD CONSTRAINT "aggregation_events_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
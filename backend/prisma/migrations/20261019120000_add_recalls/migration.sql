@@ -0,0 +1,99 @@
+-- CreateEnum
+CREATE TYPE "RecallClassification" AS ENUM ('CLASS_I', 'CLASS_II', 'CLASS_III');
+
+-- CreateEnum
+CREATE TYPE "RecallStatus" AS ENUM ('OPEN', 'CLOSED');
+
+-- CreateTable
+CREATE TABLE "recalls" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "classification" "RecallClassification" NOT NULL,
+    "status" "RecallStatus" NOT NULL DEFAULT 'OPEN',
+    "batchNumbers" TEXT[],
+    "manufacturedFrom" TIMESTAMP(3),
+    "manufacturedTo" TIMESTAMP(3),
+    "rawMaterials" TEXT[],
+    "instructions" TEXT,
+    "closureNotes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "closedAt" TIMESTAMP(3),
+    "organizationId" TEXT,
+    "issuedById" TEXT NOT NULL,
+    "closedById" TEXT,
+
+    CONSTRAINT "recalls_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "recall_products" (
+    "recallId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "recall_products_pkey" PRIMARY KEY ("recallId","productId")
+);
+
+-- CreateTable
+CREATE TABLE "recall_notifications" (
+    "id" TEXT NOT NULL,
+    "recipientKey" TEXT NOT NULL,
+    "walletAddress" TEXT,
+    "productIds" TEXT[],
+    "reasons" TEXT[],
+    "notifiedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "acknowledgedAt" TIMESTAMP(3),
+    "acknowledgementNotes" TEXT,
+    "recallId" TEXT NOT NULL,
+    "organizationId" TEXT,
+    "userId" TEXT,
+    "acknowledgedById" TEXT,
+
+    CONSTRAINT "recall_notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "recalls_organizationId_status_idx" ON "recalls"("organizationId", "status");
+
+-- CreateIndex
+CREATE INDEX "recall_products_productId_idx" ON "recall_products"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recall_notifications_recallId_recipientKey_key" ON "recall_notifications"("recallId", "recipientKey");
+
+-- CreateIndex
+CREATE INDEX "recall_notifications_organizationId_idx" ON "recall_notifications"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "recall_notifications_userId_idx" ON "recall_notifications"("userId");
+
+-- CreateIndex
+CREATE INDEX "recall_notifications_walletAddress_idx" ON "recall_notifications"("walletAddress");
+
+-- AddForeignKey
+ALTER TABLE "recalls" ADD CONSTRAINT "recalls_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recalls" ADD CONSTRAINT "recalls_issuedById_fkey" FOREIGN KEY ("issuedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recalls" ADD CONSTRAINT "recalls_closedById_fkey" FOREIGN KEY ("closedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recall_products" ADD CONSTRAINT "recall_products_recallId_fkey" FOREIGN KEY ("recallId") REFERENCES "recalls"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recall_products" ADD CONSTRAINT "recall_products_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recall_notifications" ADD CONSTRAINT "recall_notifications_recallId_fkey" FOREIGN KEY ("recallId") REFERENCES "recalls"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recall_notifications" ADD CONSTRAINT "recall_notifications_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recall_notifications" ADD CONSTRAINT "recall_notifications_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recall_notifications" ADD CONSTRAINT "recall_notifications_acknowledgedById_fkey" FOREIGN KEY ("acknowledgedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
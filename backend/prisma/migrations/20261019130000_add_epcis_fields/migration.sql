@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "gtin" TEXT,
+ADD COLUMN "serialNumber" TEXT;
+
+-- AlterTable
+ALTER TABLE "checkpoints" ADD COLUMN "epcisEventId" TEXT,
+ADD COLUMN "eventType" TEXT,
+ADD COLUMN "bizStep" TEXT,
+ADD COLUMN "disposition" TEXT,
+ADD COLUMN "readPoint" TEXT,
+ADD COLUMN "bizLocation" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_gtin_serialNumber_key" ON "products"("gtin", "serialNumber");
+
+-- CreateIndex
+CREATE INDEX "checkpoints_epcisEventId_idx" ON "checkpoints"("epcisEventId");
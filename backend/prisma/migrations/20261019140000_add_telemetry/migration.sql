@@ -0,0 +1,100 @@
+-- CreateEnum
+CREATE TYPE "TelemetryMetric" AS ENUM ('TEMPERATURE', 'HUMIDITY');
+
+-- CreateEnum
+CREATE TYPE "ExcursionDirection" AS ENUM ('ABOVE', 'BELOW');
+
+-- CreateEnum
+CREATE TYPE "ExcursionStatus" AS ENUM ('PENDING', 'ACTIVE', 'RESOLVED');
+
+-- CreateTable
+CREATE TABLE "telemetry_thresholds" (
+    "id" TEXT NOT NULL,
+    "productType" TEXT NOT NULL,
+    "minTemperature" DOUBLE PRECISION,
+    "maxTemperature" DOUBLE PRECISION,
+    "minHumidity" DOUBLE PRECISION,
+    "maxHumidity" DOUBLE PRECISION,
+    "maxExcursionMinutes" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "updatedById" TEXT NOT NULL,
+
+    CONSTRAINT "telemetry_thresholds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "telemetry_readings" (
+    "id" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "recordedAt" TIMESTAMP(3) NOT NULL,
+    "temperature" DOUBLE PRECISION,
+    "humidity" DOUBLE PRECISION,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+    "custodyTransferId" TEXT,
+
+    CONSTRAINT "telemetry_readings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "telemetry_excursions" (
+    "id" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "metric" "TelemetryMetric" NOT NULL,
+    "direction" "ExcursionDirection" NOT NULL,
+    "limit" DOUBLE PRECISION NOT NULL,
+    "peakValue" DOUBLE PRECISION NOT NULL,
+    "maxExcursionMinutes" INTEGER NOT NULL,
+    "status" "ExcursionStatus" NOT NULL DEFAULT 'PENDING',
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "lastBreachAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "productId" TEXT NOT NULL,
+    "custodyTransferId" TEXT,
+    "checkpointId" TEXT,
+
+    CONSTRAINT "telemetry_excursions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "telemetry_thresholds_organizationId_productType_key" ON "telemetry_thresholds"("organizationId", "productType");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "telemetry_readings_productId_deviceId_recordedAt_key" ON "telemetry_readings"("productId", "deviceId", "recordedAt");
+
+-- CreateIndex
+CREATE INDEX "telemetry_readings_productId_recordedAt_idx" ON "telemetry_readings"("productId", "recordedAt");
+
+-- CreateIndex
+CREATE INDEX "telemetry_readings_custodyTransferId_idx" ON "telemetry_readings"("custodyTransferId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "telemetry_excursions_checkpointId_key" ON "telemetry_excursions"("checkpointId");
+
+-- CreateIndex
+CREATE INDEX "telemetry_excursions_productId_status_idx" ON "telemetry_excursions"("productId", "status");
+
+-- CreateIndex
+CREATE INDEX "telemetry_excursions_productId_deviceId_metric_status_idx" ON "telemetry_excursions"("productId", "deviceId", "metric", "status");
+
+-- AddForeignKey
+ALTER TABLE "telemetry_thresholds" ADD CONSTRAINT "telemetry_thresholds_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "telemetry_thresholds" ADD CONSTRAINT "telemetry_thresholds_updatedById_fkey" FOREIGN KEY ("updatedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "telemetry_readings" ADD CONSTRAINT "telemetry_readings_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "telemetry_readings" ADD CONSTRAINT "telemetry_readings_custodyTransferId_fkey" FOREIGN KEY ("custodyTransferId") REFERENCES "custody_transfers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "telemetry_excursions" ADD CONSTRAINT "telemetry_excursions_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "telemetry_excursions" ADD CONSTRAINT "telemetry_excursions_custodyTransferId_fkey" FOREIGN KEY ("custodyTransferId") REFERENCES "custody_transfers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,71 @@
+-- AlterEnum
+ALTER TYPE "OrganizationType" ADD VALUE 'RECYCLER';
+
+-- CreateTable
+CREATE TABLE "product_compliance_standards" (
+    "addedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+    "standardId" TEXT NOT NULL,
+
+    CONSTRAINT "product_compliance_standards_pkey" PRIMARY KEY ("productId","standardId")
+);
+
+-- CreateTable
+CREATE TABLE "product_passports" (
+    "id" TEXT NOT NULL,
+    "countryOfOrigin" TEXT,
+    "manufacturingSite" TEXT,
+    "materials" JSONB,
+    "repairInstructions" TEXT,
+    "sparePartsAvailableUntil" TIMESTAMP(3),
+    "repairabilityScore" DOUBLE PRECISION,
+    "recyclingInstructions" TEXT,
+    "dismantlingInstructions" TEXT,
+    "carbonFootprintKg" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "productId" TEXT NOT NULL,
+    "updatedById" TEXT NOT NULL,
+
+    CONSTRAINT "product_passports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "product_passport_versions" (
+    "id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "document" JSONB NOT NULL,
+    "contentHash" TEXT NOT NULL,
+    "publishedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+    "publishedById" TEXT NOT NULL,
+
+    CONSTRAINT "product_passport_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_compliance_standards_standardId_idx" ON "product_compliance_standards"("standardId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_passports_productId_key" ON "product_passports"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_passport_versions_productId_version_key" ON "product_passport_versions"("productId", "version");
+
+-- AddForeignKey
+ALTER TABLE "product_compliance_standards" ADD CONSTRAINT "product_compliance_standards_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_compliance_standards" ADD CONSTRAINT "product_compliance_standards_standardId_fkey" FOREIGN KEY ("standardId") REFERENCES "compliance_standards"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_passports" ADD CONSTRAINT "product_passports_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_passports" ADD CONSTRAINT "product_passports_updatedById_fkey" FOREIGN KEY ("updatedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_passport_versions" ADD CONSTRAINT "product_passport_versions_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_passport_versions" ADD CONSTRAINT "product_passport_versions_publishedById_fkey" FOREIGN KEY ("publishedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "CriticalTrackingEvent" AS ENUM ('HARVESTING', 'COOLING', 'INITIAL_PACKING', 'SHIPPING', 'RECEIVING', 'TRANSFORMATION');
+
+-- CreateTable
+CREATE TABLE "traceability_records" (
+    "id" TEXT NOT NULL,
+    "cte" "CriticalTrackingEvent" NOT NULL,
+    "traceabilityLotCode" TEXT NOT NULL,
+    "productDescription" TEXT NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "unitOfMeasure" TEXT NOT NULL,
+    "eventDate" TIMESTAMP(3) NOT NULL,
+    "location" TEXT NOT NULL,
+    "tlcSourceLocation" TEXT,
+    "shipFromLocation" TEXT,
+    "shipToLocation" TEXT,
+    "referenceDocumentType" TEXT NOT NULL,
+    "referenceDocumentNumber" TEXT NOT NULL,
+    "inputLotCodes" TEXT[],
+    "kdes" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT NOT NULL,
+    "checkpointId" TEXT NOT NULL,
+    "recordedById" TEXT NOT NULL,
+
+    CONSTRAINT "traceability_records_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "traceability_records_checkpointId_key" ON "traceability_records"("checkpointId");
+
+-- CreateIndex
+CREATE INDEX "traceability_records_traceabilityLotCode_eventDate_idx" ON "traceability_records"("traceabilityLotCode", "eventDate");
+
+-- CreateIndex
+CREATE INDEX "traceability_records_productId_idx" ON "traceability_records"("productId");
+
+-- AddForeignKey
+ALTER TABLE "traceability_records" ADD CONSTRAINT "traceability_records_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "traceability_records" ADD CONSTRAINT "traceability_records_checkpointId_fkey" FOREIGN KEY ("checkpointId") REFERENCES "checkpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "traceability_records" ADD CONSTRAINT "traceability_records_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
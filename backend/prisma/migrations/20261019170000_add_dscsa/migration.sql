@@ -0,0 +1,70 @@
+-- AlterTable
+ALTER TABLE "organizations" ADD COLUMN     "address" TEXT,
+ADD COLUMN     "gln" TEXT;
+
+-- CreateTable
+CREATE TABLE "dscsa_transactions" (
+    "id" TEXT NOT NULL,
+    "transactionDate" TIMESTAMP(3) NOT NULL,
+    "shipmentDate" TIMESTAMP(3) NOT NULL,
+    "productIds" TEXT[],
+    "document" JSONB NOT NULL,
+    "contentHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "custodyTransferId" TEXT NOT NULL,
+    "sellerId" TEXT NOT NULL,
+    "buyerId" TEXT NOT NULL,
+
+    CONSTRAINT "dscsa_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "product_identifier_verifications" (
+    "id" TEXT NOT NULL,
+    "gtin" TEXT NOT NULL,
+    "serialNumber" TEXT NOT NULL,
+    "lotNumber" TEXT NOT NULL,
+    "expirationDate" TEXT NOT NULL,
+    "context" TEXT NOT NULL,
+    "requestorGln" TEXT,
+    "correlationId" TEXT,
+    "verified" BOOLEAN NOT NULL,
+    "failureReason" TEXT,
+    "additionalInfo" TEXT[],
+    "ipAddress" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "productId" TEXT,
+    "requestedById" TEXT,
+
+    CONSTRAINT "product_identifier_verifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dscsa_transactions_custodyTransferId_key" ON "dscsa_transactions"("custodyTransferId");
+
+-- CreateIndex
+CREATE INDEX "dscsa_transactions_productIds_idx" ON "dscsa_transactions" USING GIN ("productIds");
+
+-- CreateIndex
+CREATE INDEX "dscsa_transactions_sellerId_transactionDate_idx" ON "dscsa_transactions"("sellerId", "transactionDate");
+
+-- CreateIndex
+CREATE INDEX "dscsa_transactions_buyerId_transactionDate_idx" ON "dscsa_transactions"("buyerId", "transactionDate");
+
+-- CreateIndex
+CREATE INDEX "product_identifier_verifications_gtin_serialNumber_createdAt_idx" ON "product_identifier_verifications"("gtin", "serialNumber", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "dscsa_transactions" ADD CONSTRAINT "dscsa_transactions_custodyTransferId_fkey" FOREIGN KEY ("custodyTransferId") REFERENCES "custody_transfers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dscsa_transactions" ADD CONSTRAINT "dscsa_transactions_sellerId_fkey" FOREIGN KEY ("sellerId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dscsa_transactions" ADD CONSTRAINT "dscsa_transactions_buyerId_fkey" FOREIGN KEY ("buyerId") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_identifier_verifications" ADD CONSTRAINT "product_identifier_verifications_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_identifier_verifications" ADD CONSTRAINT "product_identifier_verifications_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "ComplianceStatus" AS ENUM ('COMPLIANT', 'NON_COMPLIANT');
+
+-- AlterTable
+ALTER TABLE "compliance_standards" ADD COLUMN     "productTypes" TEXT[],
+ADD COLUMN     "rules" JSONB NOT NULL DEFAULT '[]';
+
+-- CreateTable
+CREATE TABLE "compliance_evaluations" (
+    "id" TEXT NOT NULL,
+    "status" "ComplianceStatus" NOT NULL,
+    "passedRules" INTEGER NOT NULL,
+    "totalRules" INTEGER NOT NULL,
+    "results" JSONB NOT NULL,
+    "evaluatedAt" TIMESTAMP(3) NOT NULL,
+    "productId" TEXT NOT NULL,
+    "standardId" TEXT NOT NULL,
+
+    CONSTRAINT "compliance_evaluations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "compliance_evaluations_productId_standardId_key" ON "compliance_evaluations"("productId", "standardId");
+
+-- CreateIndex
+CREATE INDEX "compliance_evaluations_standardId_status_idx" ON "compliance_evaluations"("standardId", "status");
+
+-- CreateIndex
+CREATE INDEX "compliance_evaluations_evaluatedAt_idx" ON "compliance_evaluations"("evaluatedAt");
+
+-- AddForeignKey
+ALTER TABLE "compliance_evaluations" ADD CONSTRAINT "compliance_evaluations_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "compliance_evaluations" ADD CONSTRAINT "compliance_evaluations_standardId_fkey" FOREIGN KEY ("standardId") REFERENCES "compliance_standards"("id") ON DELETE CASCADE ON UPDATE CASCADE;
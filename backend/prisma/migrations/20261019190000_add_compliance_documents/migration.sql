@@ -0,0 +1,103 @@
+-- CreateEnum
+CREATE TYPE "ComplianceDocumentType" AS ENUM ('LAB_REPORT', 'CERTIFICATE_OF_ANALYSIS', 'AUDIT_REPORT', 'CERTIFICATION', 'INSPECTION_REPORT', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "DocumentVisibility" AS ENUM ('ORGANIZATION', 'STAKEHOLDERS', 'PUBLIC');
+
+-- CreateTable
+CREATE TABLE "compliance_documents" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "documentType" "ComplianceDocumentType" NOT NULL,
+    "complianceStandard" TEXT,
+    "issuer" TEXT,
+    "issuedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "fileName" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "sha256" TEXT NOT NULL,
+    "visibility" "DocumentVisibility" NOT NULL DEFAULT 'STAKEHOLDERS',
+    "sharedWith" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "productId" TEXT NOT NULL,
+    "checkpointId" TEXT,
+    "certificateId" TEXT,
+    "organizationId" TEXT,
+    "uploadedById" TEXT NOT NULL,
+
+    CONSTRAINT "compliance_documents_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "expiry_reminders" (
+    "id" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "notifiedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "acknowledgedAt" TIMESTAMP(3),
+    "documentId" TEXT,
+    "certificateId" TEXT,
+    "organizationId" TEXT,
+    "userId" TEXT,
+    "acknowledgedById" TEXT,
+
+    CONSTRAINT "expiry_reminders_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "compliance_documents_productId_idx" ON "compliance_documents"("productId");
+
+-- CreateIndex
+CREATE INDEX "compliance_documents_checkpointId_idx" ON "compliance_documents"("checkpointId");
+
+-- CreateIndex
+CREATE INDEX "compliance_documents_certificateId_idx" ON "compliance_documents"("certificateId");
+
+-- CreateIndex
+CREATE INDEX "compliance_documents_sha256_idx" ON "compliance_documents"("sha256");
+
+-- CreateIndex
+CREATE INDEX "compliance_documents_expiresAt_idx" ON "compliance_documents"("expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "expiry_reminders_documentId_key" ON "expiry_reminders"("documentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "expiry_reminders_certificateId_key" ON "expiry_reminders"("certificateId");
+
+-- CreateIndex
+CREATE INDEX "expiry_reminders_organizationId_idx" ON "expiry_reminders"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "expiry_reminders_userId_idx" ON "expiry_reminders"("userId");
+
+-- AddForeignKey
+ALTER TABLE "compliance_documents" ADD CONSTRAINT "compliance_documents_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "compliance_documents" ADD CONSTRAINT "compliance_documents_checkpointId_fkey" FOREIGN KEY ("checkpointId") REFERENCES "checkpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "compliance_documents" ADD CONSTRAINT "compliance_documents_certificateId_fkey" FOREIGN KEY ("certificateId") REFERENCES "nft_certificates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "compliance_documents" ADD CONSTRAINT "compliance_documents_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "compliance_documents" ADD CONSTRAINT "compliance_documents_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expiry_reminders" ADD CONSTRAINT "expiry_reminders_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "compliance_documents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expiry_reminders" ADD CONSTRAINT "expiry_reminders_certificateId_fkey" FOREIGN KEY ("certificateId") REFERENCES "nft_certificates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expiry_reminders" ADD CONSTRAINT "expiry_reminders_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expiry_reminders" ADD CONSTRAINT "expiry_reminders_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "expiry_reminders" ADD CONSTRAINT "expiry_reminders_acknowledgedById_fkey" FOREIGN KEY ("acknowledgedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "checkpoints" ADD COLUMN     "anchorHash" TEXT,
+ADD COLUMN     "anchorId" TEXT,
+ADD COLUMN     "anchorProof" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "checkpoint_anchors" (
+    "id" TEXT NOT NULL,
+    "merkleRoot" TEXT NOT NULL,
+    "leafCount" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "chainAnchorId" INTEGER,
+    "txHash" TEXT,
+    "blockNumber" INTEGER,
+    "anchoredAt" TIMESTAMP(3),
+
+    CONSTRAINT "checkpoint_anchors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "checkpoint_anchors_merkleRoot_key" ON "checkpoint_anchors"("merkleRoot");
+
+-- CreateIndex
+CREATE INDEX "checkpoints_anchorId_idx" ON "checkpoints"("anchorId");
+
+-- AddForeignKey
+ALTER TABLE "checkpoints" ADD CONSTRAINT "checkpoints_anchorId_fkey" FOREIGN KEY ("anchorId") REFERENCES "checkpoint_anchors"("id") ON DELETE SET NULL ON UPDATE CASCADE;
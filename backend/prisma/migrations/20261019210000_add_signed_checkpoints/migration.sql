@@ -0,0 +1,63 @@
+-- CreateEnum
+CREATE TYPE "CheckpointSignerType" AS ENUM ('WALLET', 'DEVICE');
+
+-- CreateTable
+CREATE TABLE "device_keys" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "organizationId" TEXT NOT NULL,
+    "registeredById" TEXT NOT NULL,
+
+    CONSTRAINT "device_keys_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "checkpoint_signatures" (
+    "id" TEXT NOT NULL,
+    "signer" TEXT NOT NULL,
+    "signerType" "CheckpointSignerType" NOT NULL,
+    "signature" TEXT NOT NULL,
+    "domain" JSONB NOT NULL,
+    "message" JSONB NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "checkpointId" TEXT NOT NULL,
+    "deviceKeyId" TEXT,
+    "userId" TEXT,
+
+    CONSTRAINT "checkpoint_signatures_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "device_keys_address_key" ON "device_keys"("address");
+
+-- CreateIndex
+CREATE INDEX "device_keys_organizationId_idx" ON "device_keys"("organizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "checkpoint_signatures_checkpointId_key" ON "checkpoint_signatures"("checkpointId");
+
+-- CreateIndex
+CREATE INDEX "checkpoint_signatures_deviceKeyId_idx" ON "checkpoint_signatures"("deviceKeyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "checkpoint_signatures_signer_nonce_key" ON "checkpoint_signatures"("signer", "nonce");
+
+-- AddForeignKey
+ALTER TABLE "device_keys" ADD CONSTRAINT "device_keys_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "device_keys" ADD CONSTRAINT "device_keys_registeredById_fkey" FOREIGN KEY ("registeredById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checkpoint_signatures" ADD CONSTRAINT "checkpoint_signatures_checkpointId_fkey" FOREIGN KEY ("checkpointId") REFERENCES "checkpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checkpoint_signatures" ADD CONSTRAINT "checkpoint_signatures_deviceKeyId_fkey" FOREIGN KEY ("deviceKeyId") REFERENCES "device_keys"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "checkpoint_signatures" ADD CONSTRAINT "checkpoint_signatures_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "organizations" ADD COLUMN "typeVerifiedAt" TIMESTAMP(3);
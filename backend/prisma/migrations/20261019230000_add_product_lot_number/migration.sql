@@ -0,0 +1,7 @@
+-- AlterTable: lots were the batch number until now
+ALTER TABLE "products" ADD COLUMN "lotNumber" TEXT;
+UPDATE "products" SET "lotNumber" = "batchNumber";
+ALTER TABLE "products" ALTER COLUMN "lotNumber" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "products_gtin_lotNumber_idx" ON "products"("gtin", "lotNumber");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "mfaFailedAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "mfaLockedUntil" TIMESTAMP(3);
@@ -0,0 +1,10 @@
+import { jest } from '@jest/globals';
+
+/**
+ * Make a mocked Prisma delegate method (e.g. db.user.updateMany) answer from in-memory rows.
+ * Implementations return copies of stored rows, as Prisma does, so concurrent callers
+ * each work from what they read.
+ */
+export const fake = <Query>(method: unknown, implementation: (query: Query) => unknown): void => {
+  (method as jest.Mock<(query: Query) => Promise<unknown>>).mockImplementation(async query => implementation(query));
+};
@@ -0,0 +1,87 @@
+import { describe, expect, it } from '@jest/globals';
+import { digitalLinkUri, normalizeGtin, parseDigitalLink, parseEpcUrn } from '../gs1';
+
+describe('normalizeGtin', () => {
+  it.each([
+    ['96385074', '00000096385074'],
+    ['036000291452', '00036000291452'],
+    ['4006381333931', '04006381333931'],
+    ['09506000134352', '09506000134352']
+  ])('pads %s to GTIN-14', (value, gtin) => {
+    expect(normalizeGtin(value)).toBe(gtin);
+  });
+
+  it.each([
+    ['a wrong check digit', '09506000134353'],
+    ['a GTIN-14 transposition', '09506000143352'],
+    ['an unsupported length', '0950600013'],
+    ['non-digits', '0950600013435X'],
+    ['surrounding whitespace', ' 09506000134352'],
+    ['an empty string', '']
+  ])('rejects %s', (_case, value) => {
+    expect(normalizeGtin(value)).toBeNull();
+  });
+});
+
+describe('parseDigitalLink', () => {
+  it('reads the GTIN, lot and serial from a full URI', () => {
+    expect(parseDigitalLink('https://id.gs1.org/01/09506000134352/10/ABC123/21/SN-001'))
+      .toEqual({ gtin: '09506000134352', lot: 'ABC123', serial: 'SN-001' });
+  });
+
+  it('accepts the serial before the lot', () => {
+    expect(parseDigitalLink('https://id.gs1.org/01/09506000134352/21/SN-001/10/ABC123'))
+      .toEqual({ gtin: '09506000134352', lot: 'ABC123', serial: 'SN-001' });
+  });
+
+  it('accepts a bare path with a trailing slash, a query string and a fragment', () => {
+    expect(parseDigitalLink('/01/09506000134352/10/ABC123/?linkType=gs1:pip#top'))
+      .toEqual({ gtin: '09506000134352', lot: 'ABC123' });
+  });
+
+  it('pads shorter GTINs and ignores other qualifiers', () => {
+    expect(parseDigitalLink('https://example.com/resolver/01/4006381333931/22/V2/235/TPX9'))
+      .toEqual({ gtin: '04006381333931' });
+  });
+
+  it('decodes percent-encoded values', () => {
+    expect(parseDigitalLink('https://id.gs1.org/01/09506000134352/10/LOT%2F7%20A'))
+      .toEqual({ gtin: '09506000134352', lot: 'LOT/7 A' });
+  });
+
+  it('round-trips through digitalLinkUri', () => {
+    const key = { gtin: '09506000134352', lot: 'LOT/7 A', serial: 'ä#1' };
+    expect(parseDigitalLink(digitalLinkUri(key))).toEqual(key);
+  });
+
+  it.each([
+    ['malformed percent-encoding', 'https://id.gs1.org/01/09506000134352/10/%E0%A4'],
+    ['a bad check digit', 'https://id.gs1.org/01/09506000134353/10/ABC123'],
+    ['an unsupported GTIN length', 'https://id.gs1.org/01/0950600013/10/ABC123'],
+    ['a missing GTIN', 'https://id.gs1.org/10/ABC123'],
+    ['an unknown qualifier', 'https://id.gs1.org/01/09506000134352/99/ABC123'],
+    ['a qualifier without a value', 'https://id.gs1.org/01/09506000134352/10/']
+  ])('rejects %s', (_case, uri) => {
+    expect(parseDigitalLink(uri)).toBeNull();
+  });
+});
+
+describe('parseEpcUrn', () => {
+  it('reads an SGTIN into a GTIN and serial', () => {
+    expect(parseEpcUrn('urn:epc:id:sgtin:9506000.013435.SN-001'))
+      .toEqual({ gtin: '09506000134352', serial: 'SN-001' });
+  });
+
+  it('reads an LGTIN into a GTIN and lot', () => {
+    expect(parseEpcUrn('urn:epc:class:lgtin:9506000.013435.LOT%2F7'))
+      .toEqual({ gtin: '09506000134352', lot: 'LOT/7' });
+  });
+
+  it.each([
+    ['a wrong number of digits', 'urn:epc:id:sgtin:9506000.13435.SN-001'],
+    ['malformed percent-encoding', 'urn:epc:id:sgtin:9506000.013435.%E0%A4'],
+    ['another EPC scheme', 'urn:epc:id:sscc:9506000.0123456789']
+  ])('rejects %s', (_case, urn) => {
+    expect(parseEpcUrn(urn)).toBeNull();
+  });
+});
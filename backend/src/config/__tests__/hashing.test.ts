@@ -0,0 +1,92 @@
+import { describe, expect, it } from '@jest/globals';
+import { concat, id, keccak256 } from 'ethers';
+import { buildMerkleTree, canonicalJson, verifyMerkleProof } from '../hashing';
+
+// What ProductRegistry.verifyAnchoredCheckpoint computes: OpenZeppelin's MerkleProof.processProof
+// over keccak256(abi.encodePacked(checkpointHash)), hashing each pair in sorted order
+const contractHashPair = (a: string, b: string): string =>
+  keccak256(concat(BigInt(a) < BigInt(b) ? [a, b] : [b, a]));
+
+const contractVerify = (proof: string[], root: string, checkpointHash: string): boolean =>
+  proof.reduce(contractHashPair, keccak256(checkpointHash)) === root;
+
+const checkpointHashes = (count: number): string[] =>
+  Array.from({ length: count }, (_value, index) => id(`checkpoint-${index}`));
+
+describe('canonicalJson', () => {
+  it('sorts keys at every level and keeps array order', () => {
+    expect(canonicalJson({ b: 1, a: { d: [2, 1], c: null } })).toBe('{"a":{"c":null,"d":[2,1]},"b":1}');
+  });
+});
+
+describe('buildMerkleTree', () => {
+  it('rejects an empty batch', () => {
+    expect(() => buildMerkleTree([])).toThrow('A Merkle tree needs at least one leaf');
+  });
+
+  it('uses the leaf itself as the root of a single-checkpoint batch', () => {
+    const [hash] = checkpointHashes(1);
+    const tree = buildMerkleTree([hash!]);
+
+    expect(tree.root).toBe(keccak256(hash!));
+    expect(tree.proofs).toEqual([[]]);
+    expect(contractVerify([], tree.root, hash!)).toBe(true);
+  });
+
+  it('matches the three-checkpoint batch anchored in the contract tests', () => {
+    const hashes = ['manufactured', 'shipped', 'received'].map(status => id(status));
+    const [leafA, leafB, leafC] = hashes.map(hash => keccak256(hash));
+    const tree = buildMerkleTree(hashes);
+
+    // The third leaf has no sibling and is carried up unchanged
+    expect(tree.root).toBe(contractHashPair(contractHashPair(leafA!, leafB!), leafC!));
+    expect(tree.proofs[0]).toEqual([leafB, leafC]);
+    expect(tree.proofs[2]).toEqual([contractHashPair(leafA!, leafB!)]);
+  });
+
+  it('matches the five-checkpoint batch anchored in the contract tests', () => {
+    const hashes = ['manufactured', 'packed', 'shipped', 'received', 'dispensed'].map(status => id(status));
+    const leaves = hashes.map(hash => keccak256(hash));
+    const lowerPair = contractHashPair(leaves[0]!, leaves[1]!);
+    const left = contractHashPair(lowerPair, contractHashPair(leaves[2]!, leaves[3]!));
+    const tree = buildMerkleTree(hashes);
+
+    // The fifth leaf has no sibling on the first two levels
+    expect(tree.root).toBe(contractHashPair(left, leaves[4]!));
+    expect(tree.proofs[4]).toEqual([left]);
+    expect(tree.proofs[2]).toEqual([leaves[3], lowerPair, leaves[4]]);
+  });
+
+  it.each([3, 5, 6, 7, 9, 11])('builds proofs the contract accepts for %i checkpoints', count => {
+    const hashes = checkpointHashes(count);
+    const tree = buildMerkleTree(hashes);
+
+    hashes.forEach((hash, index) => {
+      expect(contractVerify(tree.proofs[index]!, tree.root, hash)).toBe(true);
+      expect(verifyMerkleProof(hash, tree.proofs[index]!, tree.root)).toBe(true);
+    });
+  });
+});
+
+describe('verifyMerkleProof', () => {
+  const hashes = checkpointHashes(5);
+  const tree = buildMerkleTree(hashes);
+
+  it('accepts proofs and roots in any hex case', () => {
+    expect(verifyMerkleProof(hashes[4]!, tree.proofs[4]!.map(node => node.toUpperCase().replace('0X', '0x')), tree.root.toUpperCase())).toBe(true);
+  });
+
+  it('rejects an altered checkpoint', () => {
+    expect(verifyMerkleProof(id('tampered'), tree.proofs[0]!, tree.root)).toBe(false);
+  });
+
+  it('rejects a proof for another checkpoint', () => {
+    expect(verifyMerkleProof(hashes[0]!, tree.proofs[1]!, tree.root)).toBe(false);
+  });
+
+  it('rejects an inner node passed off as a checkpoint', () => {
+    // The promoted fifth leaf sits one level below the root next to the first four's subtree
+    const innerNode = tree.proofs[4]![0]!;
+    expect(verifyMerkleProof(innerNode, [keccak256(hashes[4]!)], tree.root)).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+import { Contract, ContractRunner, JsonRpcProvider, MaxUint256, Wallet } from 'ethers';
+import { securityConfig } from './security';
+
+// Human-readable ABI fragments for the parts of the contracts the backend uses
+export const productRegistryAbi = [
+  'event ProductRegistered(uint256 indexed productId, string productName, address indexed manufacturer, string batchNumber)',
+  'event CheckpointAdded(uint256 indexed productId, uint256 checkpointIndex, address indexed stakeholder, string status)',
+  'event StakeholderAdded(uint256 indexed productId, address indexed stakeholder)',
+  'event ProductUpdated(uint256 indexed productId, string productName, address indexed updater)',
+  'function registerProduct(string _productName, string _productType, string _batchNumber, uint256 _manufactureDate, uint256 _expiryDate, string[] _rawMaterials, string _metadataURI) returns (uint256)',
+  'function batchRegisterProducts(tuple(string productName, string productType, string batchNumber, uint256 manufactureDate, uint256 expiryDate, string[] rawMaterials, string metadataURI)[] _products) returns (uint256[])',
+  'function addCheckpoint(uint256 _productId, string _status, string _location, string _additionalData)',
+  'function getProduct(uint256 _productId) view returns (tuple(uint256 productId, string productName, string productType, address manufacturer, string batchNumber, uint256 manufactureDate, uint256 expiryDate, string[] rawMaterials, address[] stakeholders, bool isActive, string metadataURI))',
+  'function getCheckpoints(uint256 _productId) view returns (tuple(uint256 timestamp, string location, address stakeholder, string status, string temperature, string humidity, string additionalData)[])',
+  'event CheckpointsAnchored(uint256 indexed anchorId, bytes32 indexed merkleRoot, uint256 leafCount)',
+  'function anchorCheckpoints(bytes32 _merkleRoot, uint256 _leafCount) returns (uint256)',
+  'function verifyAnchoredCheckpoint(bytes32 _merkleRoot, bytes32 _checkpointHash, bytes32[] _proof) view returns (bool)'
+];
+
+export const nftCertificateAbi = [
+  'event CertificateMinted(uint256 indexed tokenId, uint256 indexed productId, address indexed owner, string certificateType, string verificationCode)',
+  'event CertificateInvalidated(uint256 indexed tokenId, string reason)',
+  'function mintCertificate(address to, uint256 productId, string certificateType, string metadataURI, string[] complianceStandards, uint256 expiresAt) payable returns (uint256)',
+  'function mintingFee() view returns (uint256)',
+  'function getCertificate(uint256 tokenId) view returns (uint256 productId, address owner, string certificateType, string verificationCode, string metadataURI, bool isValid, uint256 mintedAt, uint256 expiresAt, address minter, string[] complianceStandards)',
+  'function isCertificateValid(uint256 tokenId) view returns (bool)',
+  'function invalidateCertificate(uint256 tokenId, string reason)'
+];
+
+// Products registered without an expiry date are sent with the max uint256 sentinel
+export const NO_EXPIRY = MaxUint256;
+
+let provider: JsonRpcProvider | undefined;
+let signer: Wallet | undefined;
+
+// Shared JSON-RPC provider, created lazily so the API can boot without a node
+export const getProvider = (): JsonRpcProvider => {
+  if (!provider) {
+    provider = new JsonRpcProvider(securityConfig.blockchain.rpcUrl);
+  }
+  return provider;
+};
+
+// Platform wallet that sends outbox transactions
+export const getSigner = (): Wallet => {
+  if (!signer) {
+    const privateKey = securityConfig.blockchain.privateKey;
+    if (!privateKey) {
+      throw new Error('BLOCKCHAIN_PRIVATE_KEY is not configured');
+    }
+    signer = new Wallet(privateKey, getProvider());
+  }
+  return signer;
+};
+
+export const getProductRegistry = (runner: ContractRunner = getProvider()): Contract => {
+  const address = securityConfig.blockchain.contractAddresses.productRegistry;
+  if (!address) {
+    throw new Error('PRODUCT_REGISTRY_ADDRESS is not configured');
+  }
+  return new Contract(address, productRegistryAbi, runner);
+};
+
+export const getNftCertificate = (runner: ContractRunner = getProvider()): Contract => {
+  const address = securityConfig.blockchain.contractAddresses.nftCertificate;
+  if (!address) {
+    throw new Error('NFT_CERTIFICATE_ADDRESS is not configured');
+  }
+  return new Contract(address, nftCertificateAbi, runner);
+};
+
+// Converts a uint256 unix timestamp (seconds) to a Date, treating 0 and NO_EXPIRY as "not set"
+export const fromChainTimestamp = (value: bigint): Date | null => {
+  return value > 0n && value !== NO_EXPIRY ? new Date(Number(value) * 1000) : null;
+};
+
+export const toChainTimestamp = (date: Date): bigint => {
+  return BigInt(Math.floor(date.getTime() / 1000));
+};
@@ -0,0 +1,8 @@
+// Cells of CSV downloads, which are mostly opened in spreadsheet apps
+
+// Text starting with =, +, - or @ would be run as a formula, so it is prefixed with a quote;
+// numbers are left as they are
+export const csvCell = (value: string | number): string => {
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
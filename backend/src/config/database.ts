@@ -42,13 +42,40 @@ export const disconnectDatabase = async (): Promise<void> => {
 export const db = {
   // User operations
   user: prisma.user,
+  userRoleAssignment: prisma.userRoleAssignment,
+  organization: prisma.organization,
+  organizationInvitation: prisma.organizationInvitation,
+  walletNonce: prisma.walletNonce,
+  refreshToken: prisma.refreshToken,
+  revokedSession: prisma.revokedSession,
+  apiKey: prisma.apiKey,
   
   // Product operations
   product: prisma.product,
   checkpoint: prisma.checkpoint,
+  checkpointAnchor: prisma.checkpointAnchor,
+  checkpointSignature: prisma.checkpointSignature,
+  deviceKey: prisma.deviceKey,
+  productStakeholder: prisma.productStakeholder,
+  custodyTransfer: prisma.custodyTransfer,
+  aggregationEvent: prisma.aggregationEvent,
+  recall: prisma.recall,
+  recallProduct: prisma.recallProduct,
+  recallNotification: prisma.recallNotification,
+  telemetryThreshold: prisma.telemetryThreshold,
+  telemetryReading: prisma.telemetryReading,
+  telemetryExcursion: prisma.telemetryExcursion,
+  productPassport: prisma.productPassport,
+  productPassportVersion: prisma.productPassportVersion,
+  productComplianceStandard: prisma.productComplianceStandard,
+  traceabilityRecord: prisma.traceabilityRecord,
+  dscsaTransaction: prisma.dscsaTransaction,
+  productIdentifierVerification: prisma.productIdentifierVerification,
   
   // NFT operations
   nftCertificate: prisma.nFTCertificate,
+  certificateVerification: prisma.certificateVerification,
+  certificateStar: prisma.certificateStar,
   
   // Audit operations
   auditLog: prisma.auditLog,
@@ -59,6 +86,17 @@ export const db = {
   
   // Compliance operations
   complianceStandard: prisma.complianceStandard,
+  complianceEvaluation: prisma.complianceEvaluation,
+  complianceDocument: prisma.complianceDocument,
+  expiryReminder: prisma.expiryReminder,
+  
+  // Chain indexer state
+  chainCursor: prisma.chainCursor,
+  indexedBlock: prisma.indexedBlock,
+  
+  // Outbox operations
+  outboxJob: prisma.outboxJob,
+  signerNonce: prisma.signerNonce,
   
   // Raw queries
   $queryRaw: prisma.$queryRaw,
@@ -0,0 +1,77 @@
+import { keccak256, toUtf8Bytes, TypedDataDomain, TypedDataField, verifyTypedData } from 'ethers';
+import { canonicalJson } from './hashing';
+import { securityConfig } from './security';
+
+// EIP-712 typed data that wallets and field devices sign when they record a checkpoint
+
+export const CHECKPOINT_TYPES: Record<string, TypedDataField[]> = {
+  Checkpoint: [
+    { name: 'productId', type: 'string' },
+    { name: 'status', type: 'string' },
+    { name: 'location', type: 'string' },
+    { name: 'bizStep', type: 'string' }, // CBV business step or URI, empty when none
+    { name: 'disposition', type: 'string' }, // CBV disposition or URI, empty when none
+    { name: 'scannedAt', type: 'uint256' }, // unix seconds
+    { name: 'dataHash', type: 'bytes32' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+// Signed by a device key when it is registered, proving the organization holds the private key
+export const DEVICE_REGISTRATION_TYPES: Record<string, TypedDataField[]> = {
+  DeviceRegistration: [
+    { name: 'organizationId', type: 'string' },
+    { name: 'name', type: 'string' }
+  ]
+};
+
+export interface CheckpointMessage {
+  productId: string;
+  status: string;
+  location: string;
+  bizStep: string;
+  disposition: string;
+  scannedAt: number;
+  dataHash: string;
+  nonce: string;
+}
+
+// Readings and notes that travel with a scan; they are signed through dataHash
+export interface CheckpointData {
+  temperature?: number;
+  humidity?: number;
+  additionalData?: string;
+}
+
+// The product registry is the verifying contract once it is deployed
+export const signingDomain = (): TypedDataDomain => {
+  const { domainName, domainVersion, chainId } = securityConfig.checkpointSigning;
+  const verifyingContract = securityConfig.blockchain.contractAddresses.productRegistry;
+  return {
+    name: domainName,
+    version: domainVersion,
+    chainId,
+    ...(verifyingContract ? { verifyingContract } : {})
+  };
+};
+
+// Absent fields are left out, so a reading of 0 and no reading hash differently
+export const checkpointDataHash = (data: CheckpointData): string => keccak256(toUtf8Bytes(canonicalJson({
+  ...(data.temperature !== undefined && data.temperature !== null ? { temperature: data.temperature } : {}),
+  ...(data.humidity !== undefined && data.humidity !== null ? { humidity: data.humidity } : {}),
+  ...(data.additionalData !== undefined && data.additionalData !== null ? { additionalData: data.additionalData } : {})
+})));
+
+// Lowercase address that signed the typed data, or null when the signature is malformed
+export const recoverTypedDataSigner = (
+  domain: TypedDataDomain,
+  types: Record<string, TypedDataField[]>,
+  message: Record<string, unknown>,
+  signature: string
+): string | null => {
+  try {
+    return verifyTypedData(domain, types, message, signature).toLowerCase();
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,177 @@
+// GS1 identifiers (GTIN, Digital Link, EPC URNs) and the Core Business Vocabulary used in
+// EPCIS 2.0 events. Kept in one place so capture, export and the Digital Link resolver agree.
+
+export const GS1_DIGITAL_LINK_BASE = 'https://id.gs1.org';
+
+// Internal URIs for products and checkpoints that have no GS1 identifier
+export const PRODUCT_URN_PREFIX = 'urn:tracechain:product:';
+export const CHECKPOINT_URN_PREFIX = 'urn:tracechain:checkpoint:';
+
+// CBV 2.0 business steps
+export const BIZ_STEPS = [
+  'accepting', 'arriving', 'assembling', 'collecting', 'commissioning', 'consigning',
+  'creating_class_instance', 'cycle_counting', 'decommissioning', 'departing', 'destroying',
+  'disassembling', 'dispensing', 'encoding', 'entering_exiting', 'holding', 'inspecting',
+  'installing', 'killing', 'loading', 'other', 'packing', 'picking', 'receiving', 'removing',
+  'repackaging', 'repairing', 'replacing', 'reserving', 'retail_selling', 'sampling',
+  'sensor_reporting', 'shipping', 'staging_outbound', 'stock_taking', 'stocking', 'storing',
+  'transporting', 'unloading', 'unpacking', 'void_shipping'
+] as const;
+
+// CBV 2.0 dispositions
+export const DISPOSITIONS = [
+  'active', 'available', 'completeness_inferred', 'completeness_verified', 'conformant',
+  'container_closed', 'container_open', 'damaged', 'destroyed', 'dispensed', 'disposed',
+  'encoded', 'expired', 'in_progress', 'in_transit', 'inactive', 'mismatch_instance',
+  'mismatch_class', 'mismatch_quantity', 'needs_replacement', 'no_pedigree_match',
+  'non_conformant', 'non_sellable_other', 'partially_dispensed', 'recalled', 'reserved',
+  'retail_sold', 'returned', 'sellable_accessible', 'sellable_not_accessible', 'stolen',
+  'unavailable', 'unknown'
+] as const;
+
+export type BizStep = typeof BIZ_STEPS[number];
+export type Disposition = typeof DISPOSITIONS[number];
+
+const CBV_FORMS: Record<'bizstep' | 'disp', RegExp[]> = {
+  bizstep: [/^urn:epcglobal:cbv:bizstep:(.+)$/, /^https?:\/\/ref\.gs1\.org\/cbv\/BizStep-(.+)$/, /^cbv:BizStep-(.+)$/],
+  disp: [/^urn:epcglobal:cbv:disp:(.+)$/, /^https?:\/\/ref\.gs1\.org\/cbv\/Disp-(.+)$/, /^cbv:Disp-(.+)$/]
+};
+
+/**
+ * Reduce a CBV term in any of its EPCIS forms (bare, URN, GS1 web URI, compact) to the bare
+ * term. Values outside the standard vocabulary must be URIs and are kept as they are.
+ */
+export const normalizeCbvTerm = (value: string, kind: 'bizstep' | 'disp'): string | null => {
+  const vocabulary: readonly string[] = kind === 'bizstep' ? BIZ_STEPS : DISPOSITIONS;
+  for (const form of CBV_FORMS[kind]) {
+    const match = value.match(form);
+    if (match) {
+      return vocabulary.includes(match[1]!) ? match[1]! : null;
+    }
+  }
+  if (vocabulary.includes(value)) {
+    return value;
+  }
+  return /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : null;
+};
+
+/**
+ * GS1 mod-10 check digit for the digits preceding it
+ */
+export const gtinCheckDigit = (body: string): number => {
+  const sum = body
+    .split('')
+    .reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * GTIN-8/12/13/14 padded to 14 digits, or null when malformed or the check digit is wrong
+ */
+export const normalizeGtin = (value: string): string | null => {
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(value)) {
+    return null;
+  }
+  const gtin = value.padStart(14, '0');
+  return gtinCheckDigit(gtin.slice(0, 13)) === Number(gtin[13]) ? gtin : null;
+};
+
+/**
+ * True for a 13-digit GLN with a valid check digit
+ */
+export const isValidGln = (value: string): boolean =>
+  /^\d{13}$/.test(value) && gtinCheckDigit(value.slice(0, 12)) === Number(value[12]);
+
+/**
+ * US National Drug Code carried in an NDC-based GTIN-14 (indicator, "03", NDC-10, check digit),
+ * or null for other GTINs. The 4-4-2 / 5-3-2 / 5-4-1 segmentation is not recoverable from the GTIN.
+ */
+export const ndcFromGtin = (gtin: string): string | null =>
+  /^\d03\d{11}$/.test(gtin) ? gtin.slice(3, 13) : null;
+
+export interface Gs1Key {
+  gtin: string;
+  lot?: string;
+  serial?: string;
+}
+
+// Malformed percent-encoding (e.g. "%E0%A4") is not a key rather than an error
+const decodeComponent = (value: string): string | null => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse a GS1 Digital Link URI or path (/01/{gtin}[/10/{lot}][/21/{serial}], also
+ * /01/{gtin}/21/{serial}/10/{lot}). Query strings and other AIs are ignored.
+ */
+export const parseDigitalLink = (uri: string): Gs1Key | null => {
+  const path = uri.replace(/^https?:\/\/[^/]+/i, '').split(/[?#]/)[0]!;
+  const match = path.match(/\/01\/(\d{8,14})((?:\/(?:10|21|22|235)\/[^/]+)*)\/?$/);
+  if (!match) {
+    return null;
+  }
+
+  const gtin = normalizeGtin(match[1]!);
+  if (!gtin) {
+    return null;
+  }
+
+  const key: Gs1Key = { gtin };
+  const qualifiers = match[2]!.split('/').filter(Boolean);
+  for (let i = 0; i < qualifiers.length; i += 2) {
+    const value = decodeComponent(qualifiers[i + 1]!);
+    if (value === null) {
+      return null;
+    }
+    if (qualifiers[i] === '10') {
+      key.lot = value;
+    } else if (qualifiers[i] === '21') {
+      key.serial = value;
+    }
+  }
+  return key;
+};
+
+/**
+ * Parse an SGTIN or LGTIN EPC URN (urn:epc:id:sgtin:CompanyPrefix.ItemRef.Serial,
+ * urn:epc:class:lgtin:CompanyPrefix.ItemRef.Lot) into a GTIN and serial or lot
+ */
+export const parseEpcUrn = (urn: string): Gs1Key | null => {
+  const match = urn.match(/^urn:epc:(id:sgtin|class:lgtin):(\d+)\.(\d+)\.(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, scheme, companyPrefix, itemReference, reference] = match;
+  if (companyPrefix!.length + itemReference!.length !== 13) {
+    return null;
+  }
+
+  // The first digit of the item reference is the GTIN indicator digit
+  const body = itemReference![0] + companyPrefix! + itemReference!.slice(1);
+  const gtin = body + gtinCheckDigit(body);
+  const value = decodeComponent(reference!);
+  if (value === null) {
+    return null;
+  }
+  return scheme === 'id:sgtin' ? { gtin, serial: value } : { gtin, lot: value };
+};
+
+/**
+ * Digital Link URI for a GS1 key
+ */
+export const digitalLinkUri = (key: Gs1Key, base: string = GS1_DIGITAL_LINK_BASE): string => {
+  let uri = `${base}/01/${key.gtin}`;
+  if (key.lot) {
+    uri += `/10/${encodeURIComponent(key.lot)}`;
+  }
+  if (key.serial) {
+    uri += `/21/${encodeURIComponent(key.serial)}`;
+  }
+  return uri;
+};
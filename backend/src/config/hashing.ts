@@ -0,0 +1,53 @@
+import { concat, keccak256 } from 'ethers';
+
+// Content hashes of stored records and the Merkle trees used to anchor them on-chain
+
+// Keys sorted at every level, so a hash can be recomputed from the stored record
+export const canonicalJson = (value: unknown): string => JSON.stringify(value, (_key, entry) =>
+  entry && typeof entry === 'object' && !Array.isArray(entry)
+    ? Object.fromEntries(Object.keys(entry).sort().map(key => [key, entry[key]]))
+    : entry
+);
+
+export interface MerkleTree {
+  root: string;
+  proofs: string[][]; // per input hash, sibling hashes from its leaf up to the root
+}
+
+// Trees are built the way OpenZeppelin's MerkleProof checks them: leaves are keccak256 of the
+// record hash (so a leaf can never pass for an inner node), pairs are hashed in sorted order and
+// a node left without a sibling moves up a level unchanged.
+export const merkleLeaf = (hash: string): string => keccak256(hash);
+
+const hashPair = (a: string, b: string): string => keccak256(concat(a < b ? [a, b] : [b, a]));
+
+export const buildMerkleTree = (hashes: string[]): MerkleTree => {
+  if (hashes.length === 0) {
+    throw new Error('A Merkle tree needs at least one leaf');
+  }
+
+  let level = hashes.map(hash => merkleLeaf(hash).toLowerCase());
+  const positions = hashes.map((_hash, index) => index);
+  const proofs: string[][] = hashes.map(() => []);
+
+  while (level.length > 1) {
+    positions.forEach((position, index) => {
+      const sibling = level[position ^ 1];
+      if (sibling) {
+        proofs[index]!.push(sibling);
+      }
+      positions[index] = position >> 1;
+    });
+
+    const next: string[] = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i]!, level[i + 1]!) : level[i]!);
+    }
+    level = next;
+  }
+
+  return { root: level[0]!, proofs };
+};
+
+export const verifyMerkleProof = (hash: string, proof: string[], root: string): boolean =>
+  proof.reduce((node, sibling) => hashPair(node, sibling.toLowerCase()), merkleLeaf(hash)) === root.toLowerCase();
@@ -0,0 +1,82 @@
+import { UserRole } from '@prisma/client';
+
+// Single role/permission registry. Role names are the Prisma UserRole enum, so the values
+// stored on users, embedded in tokens and checked by middleware are the same strings.
+export { UserRole };
+
+// Permission levels
+export enum Permission {
+  READ = 'read',
+  WRITE = 'write',
+  DELETE = 'delete',
+  ADMIN = 'admin',
+  AUDIT = 'audit',
+  VERIFY = 'verify',
+  MINT = 'mint',
+  TRANSFER = 'transfer'
+}
+
+// Resource types
+export enum Resource {
+  PRODUCT = 'product',
+  CERTIFICATE = 'certificate',
+  USER = 'user',
+  SYSTEM = 'system',
+  AUDIT = 'audit',
+  NFT = 'nft',
+  BLOCKCHAIN = 'blockchain'
+}
+
+export const ALL_ROLES = Object.values(UserRole);
+
+// Roles a user may pick when signing up; the rest are granted only through role assignment by an admin
+export const SELF_REGISTRATION_ROLES: UserRole[] = [UserRole.USER, UserRole.MANUFACTURER, UserRole.DISTRIBUTOR, UserRole.RETAILER];
+
+// Role permissions mapping
+export const rolePermissions: Record<UserRole, Permission[]> = {
+  [UserRole.ADMIN]: Object.values(Permission),
+  [UserRole.MODERATOR]: [Permission.READ, Permission.WRITE, Permission.AUDIT, Permission.VERIFY],
+  [UserRole.MANUFACTURER]: [Permission.READ, Permission.WRITE, Permission.MINT, Permission.VERIFY],
+  [UserRole.DISTRIBUTOR]: [Permission.READ, Permission.WRITE, Permission.VERIFY, Permission.TRANSFER],
+  [UserRole.RETAILER]: [Permission.READ, Permission.WRITE, Permission.VERIFY],
+  [UserRole.USER]: [Permission.READ, Permission.VERIFY],
+  [UserRole.AUDITOR]: [Permission.READ, Permission.AUDIT, Permission.VERIFY],
+  [UserRole.VIEWER]: [Permission.READ]
+};
+
+// Resource access control
+export const resourceAccess: Record<Resource, UserRole[]> = {
+  [Resource.PRODUCT]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.MANUFACTURER, UserRole.DISTRIBUTOR, UserRole.RETAILER, UserRole.AUDITOR, UserRole.VIEWER],
+  [Resource.CERTIFICATE]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.MANUFACTURER, UserRole.DISTRIBUTOR, UserRole.RETAILER, UserRole.AUDITOR, UserRole.VIEWER],
+  [Resource.USER]: [UserRole.ADMIN, UserRole.MODERATOR],
+  [Resource.SYSTEM]: [UserRole.ADMIN],
+  [Resource.AUDIT]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.AUDITOR],
+  [Resource.NFT]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.MANUFACTURER, UserRole.DISTRIBUTOR, UserRole.RETAILER, UserRole.AUDITOR, UserRole.VIEWER],
+  [Resource.BLOCKCHAIN]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.MANUFACTURER, UserRole.AUDITOR]
+};
+
+export const isUserRole = (value: unknown): value is UserRole =>
+  typeof value === 'string' && (ALL_ROLES as string[]).includes(value);
+
+/**
+ * Roles a request user holds: the token's role list, falling back to the primary role
+ */
+export const rolesOf = (user: { role: string; roles?: string[] }): UserRole[] =>
+  (user.roles && user.roles.length > 0 ? user.roles : [user.role]).filter(isUserRole);
+
+export const hasRole = (user: { role: string; roles?: string[] }, ...roles: UserRole[]): boolean =>
+  rolesOf(user).some(role => roles.includes(role));
+
+// Check if any of the roles has a specific permission
+export const hasPermission = (roles: UserRole[], permission: Permission): boolean =>
+  roles.some(role => rolePermissions[role]?.includes(permission));
+
+// Check if any of the roles can access a specific resource
+export const canAccessResource = (roles: UserRole[], resource: Resource): boolean =>
+  roles.some(role => resourceAccess[resource]?.includes(role));
+
+// A single role must grant both resource access and the permission
+export const hasResourcePermission = (roles: UserRole[], resource: Resource, permission: Permission): boolean =>
+  roles.some(role =>
+    resourceAccess[resource]?.includes(role) && rolePermissions[role]?.includes(permission)
+  );
@@ -6,7 +6,8 @@ export const securityConfig = {
   // JWT Configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    // Access tokens are short-lived; clients renew them through /api/auth/refresh
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
     issuer: process.env.JWT_ISSUER || 'tracechain-api',
     audience: process.env.JWT_AUDIENCE || 'tracechain-client'
@@ -241,7 +242,30 @@ export const securityConfig = {
     algorithm: 'sha1',
     digits: 6,
     period: 30,
-    window: 1
+    window: 1,
+    recoveryCodeCount: 10,
+    challengeTtl: '5m', // lifetime of the token bridging password and code steps
+    maxAttempts: 5, // codes a user can try before verification is locked
+    lockoutDuration: 15 * 60 * 1000 // 15 minutes after the last attempt
+  },
+
+  // Sign-In With Ethereum (EIP-4361)
+  siwe: {
+    // Host the frontend serves the sign-in page from; messages for any other domain are rejected
+    domain: process.env.SIWE_DOMAIN || 'localhost:3000',
+    allowedChainIds: (process.env.SIWE_CHAIN_IDS || '31337,137,80001').split(',').map(id => parseInt(id, 10)),
+    statement: 'Sign in to TraceChain',
+    nonceTtl: 10 * 60 * 1000, // 10 minutes
+    clockSkew: 5 * 60 * 1000 // tolerated drift on Issued At / Not Before
+  },
+
+  // EIP-712 signed checkpoints from stakeholder wallets and registered field devices
+  checkpointSigning: {
+    domainName: 'TraceChain',
+    domainVersion: '1',
+    chainId: parseInt(process.env.EIP712_CHAIN_ID || '31337', 10),
+    maxAge: 30 * 24 * 60 * 60 * 1000, // devices may upload scans made offline up to 30 days ago
+    clockSkew: 5 * 60 * 1000 // tolerated drift on the scan time
   },
 
   // API Key Configuration
@@ -249,7 +273,80 @@ export const securityConfig = {
     enabled: process.env.API_KEYS_ENABLED === 'true',
     requiredForPublicEndpoints: false,
     rotationPeriod: 90 * 24 * 60 * 60 * 1000, // 90 days
-    maxKeysPerUser: 5
+    maxKeysPerUser: 5,
+    defaultRateLimitPerMinute: 60,
+    maxRateLimitPerMinute: 1000,
+    lastUsedUpdateInterval: 60 * 1000 // write lastUsedAt at most once a minute per key
+  },
+
+  // Organization membership
+  organizations: {
+    invitationTtl: 7 * 24 * 60 * 60 * 1000, // 7 days
+    maxPendingInvitations: 50
+  },
+
+  // GS1 EPCIS capture
+  epcis: {
+    maxEventsPerCapture: 500
+  },
+
+  // GS1 Digital Link resolver
+  digitalLink: {
+    // Public origin printed in QR codes; defaults to the host the request arrived on
+    resolverBaseUrl: process.env.DIGITAL_LINK_BASE_URL,
+    verifyPageUrl: process.env.VERIFY_PAGE_URL || 'https://verify.tracechain.com'
+  },
+
+  // Digital Product Passports
+  passport: {
+    // Public origin + path passports are served under; defaults to this API's /api/passports
+    baseUrl: process.env.PASSPORT_BASE_URL
+  },
+
+  // QR codes and printable labels
+  labels: {
+    defaultQrSize: 300, // pixels
+    maxLabelsPerSheet: 2400 // 100 A4 pages
+  },
+
+  // Bulk product import (CSV / XLSX)
+  productImport: {
+    maxFileSize: 10 * 1024 * 1024, // 10MB
+    maxRows: 10000,
+    chainBatchSize: 50 // ProductRegistry.batchRegisterProducts accepts at most 50 products
+  },
+
+  // Cold-chain sensor telemetry
+  telemetry: {
+    maxReadingsPerBatch: 1000,
+    defaultExcursionMinutes: 30 // how long a reading may stay out of range before it counts
+  },
+
+  // Compliance rule evaluation; the background sweep evaluates new products and refreshes
+  // stale evaluations (expiry windows change with time even when nothing is recorded)
+  compliance: {
+    sweep: {
+      enabled: process.env.COMPLIANCE_SWEEP_ENABLED === 'true',
+      pollInterval: parseInt(process.env.COMPLIANCE_SWEEP_INTERVAL_MS || '300000', 10), // 5 minutes
+      batchSize: 100,
+      staleAfterMs: 24 * 60 * 60 * 1000 // 1 day
+    }
+  },
+
+  // Compliance evidence documents (lab reports, certificates of analysis, audit reports)
+  documents: {
+    storage: {
+      driver: process.env.DOCUMENT_STORAGE_DRIVER || 'local',
+      localPath: process.env.DOCUMENT_STORAGE_PATH || 'storage/documents'
+    },
+    maxFileSize: parseInt(process.env.DOCUMENT_MAX_FILE_SIZE || String(25 * 1024 * 1024), 10), // 25MB
+    allowedFileTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+    reminders: {
+      enabled: process.env.EXPIRY_REMINDERS_ENABLED === 'true',
+      pollInterval: parseInt(process.env.EXPIRY_REMINDER_INTERVAL_MS || '3600000', 10), // 1 hour
+      daysBefore: parseInt(process.env.EXPIRY_REMINDER_DAYS || '30', 10),
+      batchSize: 200
+    }
   },
 
   // Content Security
@@ -276,11 +373,38 @@ export const securityConfig = {
         gasLimit: 500000
       }
     },
+    // RPC used by the backend itself (a local Hardhat node by default)
+    rpcUrl: process.env.BLOCKCHAIN_RPC_URL || 'http://127.0.0.1:8545',
     privateKey: process.env.BLOCKCHAIN_PRIVATE_KEY,
     contractAddresses: {
       productRegistry: process.env.PRODUCT_REGISTRY_ADDRESS,
       nftCertificate: process.env.NFT_CERTIFICATE_ADDRESS,
       traceToken: process.env.TRACE_TOKEN_ADDRESS
+    },
+    indexer: {
+      enabled: process.env.INDEXER_ENABLED === 'true',
+      startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0', 10),
+      confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '0', 10),
+      batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '500', 10),
+      pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '5000', 10),
+      maxReorgDepth: 64
+    },
+    outbox: {
+      enabled: process.env.OUTBOX_ENABLED === 'true',
+      pollInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '3000', 10),
+      batchSize: 20,
+      maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8', 10),
+      baseBackoffMs: 5000,
+      maxBackoffMs: 10 * 60 * 1000, // 10 minutes
+      stuckAfterMs: 2 * 60 * 1000, // resend with higher fees after 2 minutes unmined
+      feeBumpPercent: 15, // replacements must outbid the pending tx by >= 10%
+      gasLimitMultiplier: 1.2
+    },
+    // Checkpoints are batched into Merkle trees and only the roots are published
+    anchoring: {
+      enabled: process.env.ANCHORING_ENABLED === 'true',
+      pollInterval: parseInt(process.env.ANCHORING_INTERVAL_MS || '600000', 10), // 10 minutes
+      maxBatchSize: parseInt(process.env.ANCHORING_MAX_BATCH_SIZE || '1000', 10)
     }
   },
 
@@ -0,0 +1,66 @@
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { securityConfig } from './security';
+
+// Where uploaded document contents are kept. Keys are chosen by the caller (documents use their
+// SHA-256), so a store only has to move bytes.
+export interface BlobStore {
+  put(key: string, data: Buffer, contentType: string): Promise<void>;
+  get(key: string): Promise<Buffer | null>;
+  delete(key: string): Promise<void>;
+}
+
+// Files under a local directory, sharded by the first two characters of the key
+export class LocalBlobStore implements BlobStore {
+  constructor(private readonly root: string) {}
+
+  async put(key: string, data: Buffer): Promise<void> {
+    const file = this.pathFor(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename, so a reader never sees a partial file
+    const partial = `${file}.${process.pid}.partial`;
+    await fs.writeFile(partial, data);
+    await fs.rename(partial, file);
+  }
+
+  async get(key: string): Promise<Buffer | null> {
+    try {
+      return await fs.readFile(this.pathFor(key));
+    } catch (error) {
+      if ((error as { code?: string }).code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key: string): Promise<void> {
+    await fs.rm(this.pathFor(key), { force: true });
+  }
+
+  private pathFor(key: string): string {
+    if (!/^[A-Za-z0-9_-]+$/.test(key)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return path.resolve(this.root, key.slice(0, 2), key);
+  }
+}
+
+// Drivers by name; other stores register here
+const drivers: Record<string, () => BlobStore> = {
+  local: () => new LocalBlobStore(securityConfig.documents.storage.localPath)
+};
+
+let store: BlobStore | undefined;
+
+// Blob store selected by DOCUMENT_STORAGE_DRIVER, created on first use
+export const getBlobStore = (): BlobStore => {
+  if (!store) {
+    const driver = drivers[securityConfig.documents.storage.driver];
+    if (!driver) {
+      throw new Error(`Unknown document storage driver: ${securityConfig.documents.storage.driver}`);
+    }
+    store = driver();
+  }
+  return store;
+};
@@ -33,13 +33,35 @@ import {
 } from './middleware/authorization';
 import productRoutes from './routes/products';
 import userRoutes from './routes/users';
+import authRoutes from './routes/auth';
+import apiKeyRoutes from './routes/apiKeys';
+import organizationRoutes from './routes/organizations';
+import custodyRoutes from './routes/custody';
+import recallRoutes from './routes/recalls';
+import epcisRoutes from './routes/epcis';
+import digitalLinkRoutes from './routes/digitalLink';
+import labelRoutes from './routes/labels';
+import telemetryRoutes from './routes/telemetry';
+import passportRoutes from './routes/passports';
+import traceabilityRoutes from './routes/traceability';
+import dscsaRoutes from './routes/dscsa';
+import complianceRoutes from './routes/compliance';
+import documentRoutes from './routes/documents';
+import checkpointRoutes from './routes/checkpoints';
 import healthRoutes from './routes/health';
 import nftRoutes from './routes/nft';
 import securityRoutes from './routes/security';
 import databaseRoutes from './routes/database';
 import dashboardRoutes from './routes/dashboard';
+import blockchainRoutes from './routes/blockchain';
 // import stytchRoutes from './routes/stytch'; // temporarily disabled due to compilation errors
 import { securityMonitoring } from './middleware/security-monitoring';
+import { securityConfig } from './config/security';
+import { IndexerService } from './services/indexerService';
+import { OutboxService } from './services/outboxService';
+import { AnchorService } from './services/anchorService';
+import { ComplianceService } from './services/complianceService';
+import { ExpiryReminderService } from './services/expiryReminderService';
 
 // Load environment variables
 dotenv.config();
@@ -56,7 +78,9 @@ app.use(corsConfig);
 app.use(securityLogger);
 app.use(securityResponseHeaders);
 app.use(requestTimeout(30000)); // 30 second timeout
-app.use(requestSizeLimit('10mb'));
+// Document uploads are capped by their own route (DOCUMENT_MAX_FILE_SIZE), which may allow more
+const sizeLimit = requestSizeLimit('10mb');
+app.use((req, res, next) => (req.method === 'POST' && req.path === '/api/documents' ? next() : sizeLimit(req, res, next)));
 
 // Session configuration
 app.use(session({
@@ -106,6 +130,20 @@ app.use('/api/dashboard', dashboardRoutes);
 
 // API routes with proper authentication and authorization
 app.use('/api/users', userRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/api-keys', authMiddleware, apiKeyRoutes);
+app.use('/api/organizations', authMiddleware, organizationRoutes);
+app.use('/api/custody', authMiddleware, custodyRoutes);
+app.use('/api/recalls', authMiddleware, recallRoutes);
+app.use('/api/epcis', epcisRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/telemetry', telemetryRoutes);
+app.use('/api/passports', passportRoutes);
+app.use('/api/traceability', traceabilityRoutes);
+app.use('/api/dscsa', dscsaRoutes);
+app.use('/api/compliance', authMiddleware, complianceRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/checkpoints', checkpointRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/nft', 
   authMiddleware, 
@@ -113,6 +151,7 @@ app.use('/api/nft',
   auditLog('nft_access', Resource.NFT),
   nftRoutes
 );
+app.use('/api/blockchain', authMiddleware, blockchainRoutes);
 
 // Security routes (admin only)
 app.use('/api/security', 
@@ -121,6 +160,10 @@ app.use('/api/security',
   securityRoutes
 );
 
+// GS1 Digital Link resolver, at the root for printed QR codes and under /api for the frontend
+app.use(digitalLinkRoutes);
+app.use('/api/resolve', digitalLinkRoutes);
+
 // Root route
 app.get('/', (req, res) => {
   res.json({
@@ -151,17 +194,52 @@ app.listen(PORT, async () => {
   
   // Check database connection on startup
   await checkDatabaseConnection();
+
+  // Mirror on-chain events into the database
+  if (securityConfig.blockchain.indexer.enabled) {
+    IndexerService.start();
+  }
+
+  // Send queued contract calls
+  if (securityConfig.blockchain.outbox.enabled) {
+    await OutboxService.start();
+  }
+
+  // Batch checkpoints into Merkle trees and queue their roots
+  if (securityConfig.blockchain.anchoring.enabled) {
+    await AnchorService.start();
+  }
+
+  // Keep compliance evaluations current
+  if (securityConfig.compliance.sweep.enabled) {
+    await ComplianceService.start();
+  }
+
+  // Remind owners of documents and certificates about to expire
+  if (securityConfig.documents.reminders.enabled) {
+    await ExpiryReminderService.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  IndexerService.stop();
+  OutboxService.stop();
+  AnchorService.stop();
+  ComplianceService.stop();
+  ExpiryReminderService.stop();
   await disconnectDatabase();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  IndexerService.stop();
+  OutboxService.stop();
+  AnchorService.stop();
+  ComplianceService.stop();
+  ExpiryReminderService.stop();
   await disconnectDatabase();
   process.exit(0);
 });
@@ -0,0 +1,131 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { NextFunction, Response } from 'express';
+import jwt from 'jsonwebtoken';
+import { securityConfig } from '../../config/security';
+import { ApiKeyService } from '../../services/apiKeyService';
+import { RoleService } from '../../services/roleService';
+import { AuthRequest } from '../auth';
+import { apiKeyOrAuth, canGrantScope, parseScope, Permission, Resource, UserRole } from '../authorization';
+
+jest.mock('../../services/apiKeyService', () => ({
+  ApiKeyService: {
+    authenticate: jest.fn(),
+    consumeRateLimit: jest.fn(() => ({ allowed: true, limit: 60, remaining: 59, resetAt: new Date() }))
+  }
+}));
+
+jest.mock('../../services/roleService', () => ({
+  RoleService: { getRoles: jest.fn() }
+}));
+
+jest.mock('../../services/tokenService', () => ({
+  TokenService: { isRevoked: async () => false }
+}));
+
+const owner = { id: 'user-1', email: 'ops@acme.example', walletAddress: null, role: UserRole.MANUFACTURER };
+
+// Runs the middleware and resolves with the status it rejected the request with, or null if it passed
+const run = (middleware: ReturnType<typeof apiKeyOrAuth>, headers: Record<string, string>) =>
+  new Promise<{ status: number | null; req: AuthRequest }>(resolve => {
+    const req = { headers, ip: '203.0.113.7' } as unknown as AuthRequest;
+    const res = { set: jest.fn() } as unknown as Response;
+    const next: NextFunction = (error?: unknown) =>
+      resolve({ status: error ? (error as { statusCode: number }).statusCode : null, req });
+    middleware(req, res, next);
+  });
+
+const presentKey = (scopes: string[], roles: UserRole[]) => {
+  (ApiKeyService.authenticate as jest.Mock<typeof ApiKeyService.authenticate>).mockResolvedValue({
+    id: 'key-1',
+    prefix: 'tc_0a1b2c3d',
+    scopes,
+    rateLimitPerMinute: 60,
+    user: owner
+  } as unknown as Awaited<ReturnType<typeof ApiKeyService.authenticate>>);
+  (RoleService.getRoles as jest.Mock<typeof RoleService.getRoles>).mockResolvedValue(roles);
+  return { 'x-api-key': 'tc_0a1b2c3d_secret' };
+};
+
+const bearer = (roles: UserRole[]) => ({
+  authorization: `Bearer ${jwt.sign({ id: 'user-1', email: owner.email, role: roles[0], roles, sid: 'session-1' }, 'test-secret')}`
+});
+
+describe('apiKeyOrAuth', () => {
+  const writeProducts = apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE);
+
+  beforeEach(() => {
+    securityConfig.apiKeys.enabled = true;
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    securityConfig.apiKeys.enabled = false;
+    delete process.env.JWT_SECRET;
+  });
+
+  describe('with an API key', () => {
+    it('acts as the owner when the key is scoped and the owner holds the permission', async () => {
+      const { status, req } = await run(writeProducts, presentKey(['product:write'], [UserRole.MANUFACTURER]));
+
+      expect(status).toBeNull();
+      expect(req.user).toMatchObject({ id: 'user-1', roles: [UserRole.MANUFACTURER] });
+      expect(req.apiKey).toMatchObject({ prefix: 'tc_0a1b2c3d', scopes: ['product:write'] });
+    });
+
+    it('refuses a key without the scope even if the owner could perform the operation', async () => {
+      const { status, req } = await run(writeProducts, presentKey(['product:read'], [UserRole.MANUFACTURER]));
+
+      expect(status).toBe(403);
+      expect(req.user).toBeUndefined();
+    });
+
+    it('refuses a scoped key once its owner has been downgraded', async () => {
+      const { status, req } = await run(writeProducts, presentKey(['product:write'], [UserRole.VIEWER]));
+
+      expect(status).toBe(403);
+      expect(req.user).toBeUndefined();
+    });
+
+    it('refuses a scoped key whose owner no longer exists', async () => {
+      const { status } = await run(writeProducts, presentKey(['product:write'], []));
+
+      expect(status).toBe(403);
+    });
+  });
+
+  describe('with a user token', () => {
+    it('lets through a user whose roles grant the permission', async () => {
+      const { status, req } = await run(writeProducts, bearer([UserRole.USER, UserRole.DISTRIBUTOR]));
+
+      expect(status).toBeNull();
+      expect(req.user).toMatchObject({ id: 'user-1' });
+    });
+
+    it('refuses a user whose roles do not grant the permission', async () => {
+      const { status } = await run(writeProducts, bearer([UserRole.VIEWER]));
+
+      expect(status).toBe(403);
+    });
+
+    it('still rejects a missing or invalid token as unauthenticated', async () => {
+      expect((await run(writeProducts, {})).status).toBe(401);
+      expect((await run(writeProducts, { authorization: 'Bearer not-a-token' })).status).toBe(401);
+    });
+  });
+});
+
+describe('API key scopes', () => {
+  it('parses known resource:permission pairs only', () => {
+    expect(parseScope('product:write')).toEqual({ resource: Resource.PRODUCT, permission: Permission.WRITE });
+    expect(parseScope('product')).toBeNull();
+    expect(parseScope('warehouse:write')).toBeNull();
+    expect(parseScope('product:launch')).toBeNull();
+  });
+
+  it('lets a user grant a key only what one of their roles already allows', () => {
+    expect(canGrantScope([UserRole.MANUFACTURER], 'product:write')).toBe(true);
+    expect(canGrantScope([UserRole.VIEWER], 'product:write')).toBe(false);
+    expect(canGrantScope([UserRole.MANUFACTURER], 'system:admin')).toBe(false);
+    expect(canGrantScope([UserRole.ADMIN], 'not-a-scope')).toBe(false);
+  });
+});
@@ -1,14 +0,0 @@
-import { Request, Response, NextFunction } from 'express';
-export interface AuthRequest extends Request {
-    user?: {
-        id: string;
-        email: string;
-        walletAddress?: string;
-        role: string;
-    };
-}
-export declare const authMiddleware: (req: AuthRequest, res: Response, next: NextFunction) => void;
-export declare const requireRole: (roles: string[]) => (req: AuthRequest, res: Response, next: NextFunction) => void;
-export declare const requireWallet: (req: AuthRequest, res: Response, next: NextFunction) => void;
-export declare const optionalAuth: (req: AuthRequest, res: Response, next: NextFunction) => void;
-//# sourceMappingURL=auth.d.ts.map
\ No newline at end of file
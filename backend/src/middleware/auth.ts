@@ -1,6 +1,7 @@
 import { Request, Response, NextFunction } from 'express';
 import jwt from 'jsonwebtoken';
-import { createError } from './errorHandler.js';
+import { createError } from './errorHandler';
+import { TokenService } from '../services/tokenService';
 
 export interface AuthRequest extends Request {
   user?: {
@@ -8,9 +9,39 @@ export interface AuthRequest extends Request {
     email: string;
     walletAddress?: string;
     role: string;
+    // Every role the user holds (the primary role plus assignments), from the token
+    roles: string[];
+    mfaEnabled?: boolean;
+    mfaVerified?: boolean;
+  };
+  // Session the access token belongs to (its refresh-token family)
+  auth?: {
+    sessionId: string;
+  };
+  // Set instead of auth when the request authenticated with an API key
+  apiKey?: {
+    id: string;
+    prefix: string;
+    scopes: string[];
   };
 }
 
+const applyClaims = (req: AuthRequest, decoded: any): void => {
+  req.user = {
+    id: decoded.id,
+    email: decoded.email,
+    walletAddress: decoded.walletAddress,
+    role: decoded.role,
+    // Tokens issued before roles were embedded only carry the primary role
+    roles: Array.isArray(decoded.roles) ? decoded.roles : [decoded.role],
+    mfaEnabled: !!decoded.mfa,
+    mfaVerified: !!decoded.mfaVerified
+  };
+  req.auth = {
+    sessionId: decoded.sid
+  };
+};
+
 export const authMiddleware = (req: AuthRequest, res: Response, next: NextFunction): void => {
   try {
     const authHeader = req.headers.authorization;
@@ -26,15 +57,23 @@ export const authMiddleware = (req: AuthRequest, res: Response, next: NextFuncti
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET) as any;
-    
-    req.user = {
-      id: decoded.id,
-      email: decoded.email,
-      walletAddress: decoded.walletAddress,
-      role: decoded.role
-    };
 
-    next();
+    // Tokens without a session cannot be revoked, so they are not accepted
+    if (!decoded.sid) {
+      throw createError('Invalid token', 401);
+    }
+
+    TokenService.isRevoked(decoded.sid)
+      .then(revoked => {
+        if (revoked) {
+          next(createError('Token has been revoked', 401));
+          return;
+        }
+
+        applyClaims(req, decoded);
+        next();
+      })
+      .catch(next);
   } catch (error) {
     if (error instanceof jwt.JsonWebTokenError) {
       next(createError('Invalid token', 401));
@@ -53,7 +92,7 @@ export const requireRole = (roles: string[]) => {
       return;
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!req.user.roles.some(role => roles.includes(role))) {
       next(createError('Insufficient permissions', 403));
       return;
     }
@@ -80,13 +119,18 @@ export const optionalAuth = (req: AuthRequest, res: Response, next: NextFunction
       
       if (process.env.JWT_SECRET) {
         const decoded = jwt.verify(token, process.env.JWT_SECRET) as any;
-        
-        req.user = {
-          id: decoded.id,
-          email: decoded.email,
-          walletAddress: decoded.walletAddress,
-          role: decoded.role
-        };
+
+        if (decoded.sid) {
+          TokenService.isRevoked(decoded.sid)
+            .then(revoked => {
+              if (!revoked) {
+                applyClaims(req, decoded);
+              }
+              next();
+            })
+            .catch(next);
+          return;
+        }
       }
     }
   } catch (error) {
@@ -1,78 +1,41 @@
 import { Request, Response, NextFunction } from 'express';
 import { createError } from './errorHandler';
-import { AuthRequest } from './auth';
-
-// Role-based access control
-export enum UserRole {
-  ADMIN = 'admin',
-  MODERATOR = 'moderator',
-  MANUFACTURER = 'manufacturer',
-  DISTRIBUTOR = 'distributor',
-  RETAILER = 'retailer',
-  CONSUMER = 'consumer',
-  AUDITOR = 'auditor',
-  VIEWER = 'viewer'
-}
-
-// Permission levels
-export enum Permission {
-  READ = 'read',
-  WRITE = 'write',
-  DELETE = 'delete',
-  ADMIN = 'admin',
-  AUDIT = 'audit',
-  VERIFY = 'verify',
-  MINT = 'mint',
-  TRANSFER = 'transfer'
-}
-
-// Resource types
-export enum Resource {
-  PRODUCT = 'product',
-  CERTIFICATE = 'certificate',
-  USER = 'user',
-  SYSTEM = 'system',
-  AUDIT = 'audit',
-  NFT = 'nft',
-  BLOCKCHAIN = 'blockchain'
-}
-
-// Role permissions mapping
-const rolePermissions: Record<UserRole, Permission[]> = {
-  [UserRole.ADMIN]: Object.values(Permission),
-  [UserRole.MODERATOR]: [Permission.READ, Permission.WRITE, Permission.AUDIT, Permission.VERIFY],
-  [UserRole.MANUFACTURER]: [Permission.READ, Permission.WRITE, Permission.MINT, Permission.VERIFY],
-  [UserRole.DISTRIBUTOR]: [Permission.READ, Permission.WRITE, Permission.VERIFY, Permission.TRANSFER],
-  [UserRole.RETAILER]: [Permission.READ, Permission.WRITE, Permission.VERIFY],
-  [UserRole.CONSUMER]: [Permission.READ, Permission.VERIFY],
-  [UserRole.AUDITOR]: [Permission.READ, Permission.AUDIT, Permission.VERIFY],
-  [UserRole.VIEWER]: [Permission.READ]
-};
-
-// Resource access control
-const resourceAccess: Record<Resource, UserRole[]> = {
-  [Resource.PRODUCT]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.MANUFACTURER, UserRole.DISTRIBUTOR, UserRole.RETAILER, UserRole.AUDITOR, UserRole.VIEWER],
-  [Resource.CERTIFICATE]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.MANUFACTURER, UserRole.DISTRIBUTOR, UserRole.RETAILER, UserRole.AUDITOR, UserRole.VIEWER],
-  [Resource.USER]: [UserRole.ADMIN, UserRole.MODERATOR],
-  [Resource.SYSTEM]: [UserRole.ADMIN],
-  [Resource.AUDIT]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.AUDITOR],
-  [Resource.NFT]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.MANUFACTURER, UserRole.DISTRIBUTOR, UserRole.RETAILER, UserRole.AUDITOR, UserRole.VIEWER],
-  [Resource.BLOCKCHAIN]: [UserRole.ADMIN, UserRole.MODERATOR, UserRole.MANUFACTURER, UserRole.AUDITOR]
-};
-
-// Check if user has specific permission
-export const hasPermission = (userRole: UserRole, permission: Permission): boolean => {
-  return rolePermissions[userRole]?.includes(permission) || false;
-};
-
-// Check if user can access specific resource
-export const canAccessResource = (userRole: UserRole, resource: Resource): boolean => {
-  return resourceAccess[resource]?.includes(userRole) || false;
+import { AuthRequest, authMiddleware } from './auth';
+import { securityConfig } from '../config/security';
+import { ApiKeyService } from '../services/apiKeyService';
+import { RoleService } from '../services/roleService';
+
+import {
+  UserRole,
+  Permission,
+  Resource,
+  rolesOf,
+  hasRole,
+  hasPermission,
+  canAccessResource,
+  hasResourcePermission
+} from '../config/roles';
+
+// Roles, permissions and resources are defined once in config/roles; re-exported here
+// so route modules can keep importing them alongside the middleware
+export { UserRole, Permission, Resource, hasPermission, canAccessResource, hasResourcePermission };
+
+// API key scopes are "<resource>:<permission>", e.g. "product:write"
+export const formatScope = (resource: Resource, permission: Permission): string => `${resource}:${permission}`;
+
+export const parseScope = (scope: string): { resource: Resource; permission: Permission } | null => {
+  const [resource, permission] = scope.split(':');
+  if (!Object.values(Resource).includes(resource as Resource) ||
+      !Object.values(Permission).includes(permission as Permission)) {
+    return null;
+  }
+  return { resource: resource as Resource, permission: permission as Permission };
 };
 
-// Check if user has permission for specific resource
-export const hasResourcePermission = (userRole: UserRole, resource: Resource, permission: Permission): boolean => {
-  return canAccessResource(userRole, resource) && hasPermission(userRole, permission);
+// A key can only be granted scopes one of its owner's roles already has
+export const canGrantScope = (userRoles: UserRole[], scope: string): boolean => {
+  const parsed = parseScope(scope);
+  return !!parsed && hasResourcePermission(userRoles, parsed.resource, parsed.permission);
 };
 
 // Permission-based middleware
@@ -83,7 +46,7 @@ export const requirePermission = (permission: Permission) => {
       return;
     }
 
-    if (!hasPermission(req.user.role as UserRole, permission)) {
+    if (!hasPermission(rolesOf(req.user), permission)) {
       console.warn(`Permission denied for user ${req.user.id}: ${permission}`);
       next(createError('Insufficient permissions', 403));
       return;
@@ -101,7 +64,7 @@ export const requireResourceAccess = (resource: Resource) => {
       return;
     }
 
-    if (!canAccessResource(req.user.role as UserRole, resource)) {
+    if (!canAccessResource(rolesOf(req.user), resource)) {
       console.warn(`Resource access denied for user ${req.user.id}: ${resource}`);
       next(createError('Access denied to resource', 403));
       return;
@@ -119,12 +82,18 @@ export const requireResourcePermission = (resource: Resource, permission: Permis
       return;
     }
 
-    if (!hasResourcePermission(req.user.role as UserRole, resource, permission)) {
+    if (!hasResourcePermission(rolesOf(req.user), resource, permission)) {
       console.warn(`Resource permission denied for user ${req.user.id}: ${resource}.${permission}`);
       next(createError('Insufficient permissions for resource', 403));
       return;
     }
 
+    if (req.apiKey && !req.apiKey.scopes.includes(formatScope(resource, permission))) {
+      console.warn(`API key ${req.apiKey.prefix} missing scope ${formatScope(resource, permission)}`);
+      next(createError('API key is not scoped for this operation', 403));
+      return;
+    }
+
     next();
   };
 };
@@ -137,8 +106,8 @@ export const requireRole = (roles: UserRole[]) => {
       return;
     }
 
-    if (!roles.includes(req.user.role as UserRole)) {
-      console.warn(`Role access denied for user ${req.user.id}: ${req.user.role}`);
+    if (!hasRole(req.user, ...roles)) {
+      console.warn(`Role access denied for user ${req.user.id}: ${rolesOf(req.user).join(', ')}`);
       next(createError('Insufficient role permissions', 403));
       return;
     }
@@ -159,7 +128,7 @@ export const requireOwnership = (getOwnerId: (req: AuthRequest) => string | Prom
       const ownerId = await getOwnerId(req);
       
       // Admin can access everything
-      if (req.user.role === UserRole.ADMIN) {
+      if (hasRole(req.user, UserRole.ADMIN)) {
         next();
         return;
       }
@@ -178,43 +147,130 @@ export const requireOwnership = (getOwnerId: (req: AuthRequest) => string | Prom
   };
 };
 
-// Multi-factor authentication requirement
+// Multi-factor authentication requirement: the session must have been started with a
+// second factor. With MFA enforced (MFA_ENABLED=true), users who have not enrolled are refused too.
 export const requireMFA = (req: AuthRequest, res: Response, next: NextFunction): void => {
   if (!req.user) {
     next(createError('Authentication required', 401));
     return;
   }
 
-  // Check if MFA is enabled and verified
-  if ((req.user as any).mfaEnabled && !(req.user as any).mfaVerified) {
-    next(createError('Multi-factor authentication required', 403));
+  if (req.apiKey) {
+    next(createError('This operation is not available with an API key', 403));
     return;
   }
 
-  next();
-};
-
-// API key validation
-export const requireApiKey = (req: Request, res: Response, next: NextFunction): void => {
-  const apiKey = req.headers['x-api-key'] as string;
-  
-  if (!apiKey) {
-    next(createError('API key required', 401));
+  if (!req.user.mfaEnabled) {
+    if (securityConfig.mfa.enabled) {
+      next(createError('Multi-factor authentication enrollment required', 403));
+      return;
+    }
+    next();
     return;
   }
 
-  // In a real implementation, validate against database
-  const validApiKeys = process.env.VALID_API_KEYS?.split(',') || [];
-  
-  if (!validApiKeys.includes(apiKey)) {
-    console.warn(`Invalid API key attempt: ${apiKey}`);
-    next(createError('Invalid API key', 401));
+  // Check if MFA is enabled and verified
+  if (!req.user.mfaVerified) {
+    next(createError('Multi-factor authentication required', 403));
     return;
   }
 
   next();
 };
 
+// API key authentication: the key must carry the resource:permission scope and be within
+// its own rate limit. The request then acts as the key's owner, whose current roles must
+// still grant the permission (scopes are only checked against them when the key is created).
+export const requireApiKey = (resource: Resource, permission: Permission) => {
+  return async (req: AuthRequest, res: Response, next: NextFunction): Promise<void> => {
+    const key = req.headers['x-api-key'] as string;
+
+    if (!key) {
+      next(createError('API key required', 401));
+      return;
+    }
+
+    if (!securityConfig.apiKeys.enabled) {
+      next(createError('API key authentication is disabled', 401));
+      return;
+    }
+
+    try {
+      const apiKey = await ApiKeyService.authenticate(key, req.ip);
+
+      if (!apiKey) {
+        // Never log the key itself
+        console.warn(`Invalid API key attempt (prefix ${key.split('_').slice(0, 2).join('_')}) from ${req.ip}`);
+        next(createError('Invalid API key', 401));
+        return;
+      }
+
+      const rateLimit = ApiKeyService.consumeRateLimit(apiKey);
+      res.set('X-RateLimit-Limit', rateLimit.limit.toString());
+      res.set('X-RateLimit-Remaining', rateLimit.remaining.toString());
+      res.set('X-RateLimit-Reset', Math.ceil(rateLimit.resetAt.getTime() / 1000).toString());
+
+      if (!rateLimit.allowed) {
+        next(createError('API key rate limit exceeded', 429));
+        return;
+      }
+
+      const scope = formatScope(resource, permission);
+      if (!apiKey.scopes.includes(scope)) {
+        console.warn(`API key ${apiKey.prefix} missing scope ${scope}`);
+        next(createError('API key is not scoped for this operation', 403));
+        return;
+      }
+
+      const roles = await RoleService.getRoles(apiKey.user.id);
+      if (!hasResourcePermission(roles, resource, permission)) {
+        console.warn(`API key ${apiKey.prefix} owner ${apiKey.user.id} no longer holds ${resource}.${permission}`);
+        next(createError('Insufficient permissions for resource', 403));
+        return;
+      }
+
+      req.user = {
+        id: apiKey.user.id,
+        email: apiKey.user.email,
+        walletAddress: apiKey.user.walletAddress || undefined,
+        role: apiKey.user.role,
+        roles
+      };
+      req.apiKey = {
+        id: apiKey.id,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Accept either a user JWT or an API key scoped for the operation; either way the
+// user's roles must grant the permission on the resource
+export const apiKeyOrAuth = (resource: Resource, permission: Permission) => {
+  const apiKeyAuth = requireApiKey(resource, permission);
+  const checkPermission = requireResourcePermission(resource, permission);
+
+  return (req: AuthRequest, res: Response, next: NextFunction): void => {
+    if (req.headers['x-api-key'] && !req.headers.authorization) {
+      apiKeyAuth(req, res, next);
+      return;
+    }
+
+    authMiddleware(req, res, (error?: unknown) => {
+      if (error) {
+        next(error);
+        return;
+      }
+      checkPermission(req, res, next);
+    });
+  };
+};
+
 // Rate limiting based on user role
 export const roleBasedRateLimit = (req: AuthRequest, res: Response, next: NextFunction): void => {
   const authReq = req as AuthRequest;
@@ -231,12 +287,15 @@ export const roleBasedRateLimit = (req: AuthRequest, res: Response, next: NextFu
     [UserRole.MANUFACTURER]: { windowMs: 60 * 1000, max: 200 },
     [UserRole.DISTRIBUTOR]: { windowMs: 60 * 1000, max: 150 },
     [UserRole.RETAILER]: { windowMs: 60 * 1000, max: 100 },
-    [UserRole.CONSUMER]: { windowMs: 60 * 1000, max: 50 },
+    [UserRole.USER]: { windowMs: 60 * 1000, max: 50 },
     [UserRole.AUDITOR]: { windowMs: 60 * 1000, max: 100 },
     [UserRole.VIEWER]: { windowMs: 60 * 1000, max: 30 }
   };
 
-  const limit = rateLimits[authReq.user.role as UserRole];
+  // The most generous limit among the user's roles applies
+  const limit = rolesOf(authReq.user)
+    .map(role => rateLimits[role])
+    .sort((a, b) => b.max - a.max)[0];
   if (limit) {
     // Apply role-based rate limiting
     // This would integrate with your rate limiting library
@@ -257,6 +316,7 @@ export const auditLog = (operation: string, resource: Resource) => {
         timestamp: new Date().toISOString(),
         userId: req.user?.id,
         userRole: req.user?.role,
+        userRoles: req.user?.roles,
         operation,
         resource,
         method: req.method,
@@ -1,9 +0,0 @@
-import { Request, Response, NextFunction } from 'express';
-export interface AppError extends Error {
-    statusCode?: number;
-    isOperational?: boolean;
-}
-export declare const errorHandler: (error: AppError, req: Request, res: Response, next: NextFunction) => void;
-export declare const createError: (message: string, statusCode?: number) => AppError;
-export declare const asyncHandler: (fn: Function) => (req: Request, res: Response, next: NextFunction) => void;
-//# sourceMappingURL=errorHandler.d.ts.map
\ No newline at end of file
@@ -1,62 +0,0 @@
-"use strict";
-Object.defineProperty(exports, "__esModule", { value: true });
-exports.asyncHandler = exports.createError = exports.errorHandler = void 0;
-const express_1 = require("express");
-const errorHandler = (error, req, res, next) => {
-    let { statusCode = 500, message } = error;
-    // Log error for debugging
-    console.error('Error:', {
-        message: error.message,
-        stack: error.stack,
-        url: req.url,
-        method: req.method,
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        timestamp: new Date().toISOString()
-    });
-    // Handle specific error types
-    if (error.name === 'ValidationError') {
-        statusCode = 400;
-        message = 'Validation Error';
-    }
-    if (error.name === 'CastError') {
-        statusCode = 400;
-        message = 'Invalid ID format';
-    }
-    if (error.name === 'JsonWebTokenError') {
-        statusCode = 401;
-        message = 'Invalid token';
-    }
-    if (error.name === 'TokenExpiredError') {
-        statusCode = 401;
-        message = 'Token expired';
-    }
-    // Don't leak error details in production
-    if (process.env.NODE_ENV === 'production' && statusCode === 500) {
-        message = 'Internal server error';
-    }
-    res.status(statusCode).json({
-        error: {
-            message,
-            statusCode,
-            timestamp: new Date().toISOString(),
-            path: req.path,
-            method: req.method
-        }
-    });
-};
-exports.errorHandler = errorHandler;
-const createError = (message, statusCode = 500) => {
-    const error = new Error(message);
-    error.statusCode = statusCode;
-    error.isOperational = true;
-    return error;
-};
-exports.createError = createError;
-const asyncHandler = (fn) => {
-    return (req, res, next) => {
-        Promise.resolve(fn(req, res, next)).catch(next);
-    };
-};
-exports.asyncHandler = asyncHandler;
-//# sourceMappingURL=errorHandler.js.map
\ No newline at end of file
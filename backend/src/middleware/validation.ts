@@ -1,12 +1,15 @@
 import { body, param, query, validationResult, ValidationChain } from 'express-validator';
 import { Request, Response, NextFunction } from 'express';
 import { createError } from './errorHandler';
+import { ALL_ROLES } from '../config/roles';
+import { normalizeGtin } from '../config/gs1';
 
 // Common validation patterns
 export const patterns = {
   email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
   walletAddress: /^0x[a-fA-F0-9]{40}$/,
   tokenId: /^[0-9]+$/,
+  productId: /^([0-9]+|c[a-z0-9]{20,32})$/,
   batchNumber: /^[A-Z0-9-]+$/,
   verificationCode: /^[A-Z0-9]{8}$/,
   ipfsHash: /^Qm[a-zA-Z0-9]{44}$/,
@@ -28,6 +31,18 @@ export const sanitizers = {
   limitLength: (maxLength: number) => (value: string) => value?.substring(0, maxLength)
 };
 
+// DSCSA product identifier: every pharmaceutical unit (sellable package) carries a GTIN, serial number,
+// lot and expiry date
+const isPharmaceuticalUnit = (_value: unknown, { req }: { req: { body?: Record<string, unknown> } }) =>
+  req.body?.type === 'PHARMACEUTICAL' && (req.body.packagingLevel ?? 'UNIT') === 'UNIT';
+
+export const dscsaProductIdentifier: ValidationChain[] = [
+  body('gtin').if(isPharmaceuticalUnit).notEmpty().withMessage('Pharmaceutical units require a GTIN (DSCSA product identifier)'),
+  body('lotNumber').if(isPharmaceuticalUnit).notEmpty().withMessage('Pharmaceutical units require a lot number (DSCSA product identifier)'),
+  body('serialNumber').if(isPharmaceuticalUnit).notEmpty().withMessage('Pharmaceutical units require a serial number (DSCSA product identifier)'),
+  body('expiryDate').if(isPharmaceuticalUnit).notEmpty().withMessage('Pharmaceutical units require an expiry date (DSCSA product identifier)')
+];
+
 // Product validation
 export const productValidation = {
   create: [
@@ -104,11 +119,31 @@ export const productValidation = {
       .matches(patterns.url)
       .withMessage('Metadata URI must be a valid HTTPS URL'),
     
+    body('gtin')
+      .optional()
+      .custom((value) => normalizeGtin(String(value)) !== null)
+      .withMessage('Invalid GTIN (8, 12, 13 or 14 digits with a valid check digit)')
+      .customSanitizer((value) => normalizeGtin(String(value))),
+    
+    body('lotNumber')
+      .optional()
+      .matches(/^[!-~]{1,20}$/)
+      .withMessage('Lot number must be 1-20 printable characters'),
+    
+    body('serialNumber')
+      .optional()
+      .matches(/^[!-~]{1,20}$/)
+      .withMessage('Serial number must be 1-20 printable characters')
+      .custom((value, { req }) => !!req.body.gtin)
+      .withMessage('A serial number requires a GTIN'),
+    
     body('description')
       .optional()
       .isLength({ max: 1000 })
       .withMessage('Description must not exceed 1000 characters')
-      .customSanitizer(sanitizers.removeHtml)
+      .customSanitizer(sanitizers.removeHtml),
+
+    ...dscsaProductIdentifier
   ],
 
   update: [
@@ -192,7 +227,7 @@ export const userValidation = {
     
     body('role')
       .optional()
-      .isIn(['admin', 'moderator', 'manufacturer', 'distributor', 'retailer', 'consumer', 'auditor', 'viewer'])
+      .isIn(ALL_ROLES)
       .withMessage('Invalid user role'),
     
     body('firstName')
@@ -248,7 +283,7 @@ export const userValidation = {
     
     body('role')
       .optional()
-      .isIn(['admin', 'moderator', 'manufacturer', 'distributor', 'retailer', 'consumer', 'auditor', 'viewer'])
+      .isIn(ALL_ROLES)
       .withMessage('Invalid user role')
   ]
 };
@@ -259,7 +294,7 @@ export const nftValidation = {
     body('productId')
       .notEmpty()
       .withMessage('Product ID is required')
-      .matches(patterns.tokenId)
+      .matches(patterns.productId)
       .withMessage('Invalid product ID format'),
     
     body('certificateType')
@@ -291,6 +326,11 @@ export const nftValidation = {
       })
       .withMessage('Invalid compliance standards format'),
     
+    body('recipientAddress')
+      .optional()
+      .matches(patterns.walletAddress)
+      .withMessage('Invalid recipient wallet address format'),
+    
     body('expiresAt')
       .optional()
       .isISO8601()
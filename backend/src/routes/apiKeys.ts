@@ -0,0 +1,115 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { AuthRequest } from '../middleware/auth';
+import { asyncHandler } from '../middleware/errorHandler';
+import { canGrantScope, parseScope } from '../middleware/authorization';
+import { rolesOf } from '../config/roles';
+import { securityConfig } from '../config/security';
+import { AuthService } from '../services/authService';
+import { ApiKeyService } from '../services/apiKeyService';
+
+const router = Router();
+
+const validateApiKeyCreation = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').custom((scope) => {
+    if (typeof scope !== 'string' || !parseScope(scope)) {
+      throw new Error(`Unknown scope: ${scope}`);
+    }
+    return true;
+  }),
+  body('expiresAt').optional().isISO8601().custom((value) => {
+    if (new Date(value) <= new Date()) {
+      throw new Error('Expiry date must be in the future');
+    }
+    return true;
+  }),
+  body('rateLimitPerMinute').optional().isInt({ min: 1, max: securityConfig.apiKeys.maxRateLimitPerMinute })
+];
+
+// List the current user's API keys
+router.get('/', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const apiKeys = await ApiKeyService.listForUser(req.user!.id);
+
+  return res.json({
+    success: true,
+    apiKeys: apiKeys.map(apiKey => ApiKeyService.toResponse(apiKey))
+  });
+}));
+
+// Create an API key. The key is returned once and cannot be retrieved again.
+router.post('/', validateApiKeyCreation, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { name, scopes, expiresAt, rateLimitPerMinute } = req.body;
+
+  const denied = (scopes as string[]).filter(scope => !canGrantScope(rolesOf(req.user!), scope));
+  if (denied.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: `Your role cannot grant: ${denied.join(', ')}`
+    });
+  }
+
+  const { key, apiKey } = await ApiKeyService.create(req.user!.id, {
+    name,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+    rateLimitPerMinute: rateLimitPerMinute ? parseInt(rateLimitPerMinute, 10) : undefined
+  });
+
+  await AuthService.logSecurityEvent(
+    'api_key_created',
+    'info',
+    `API key ${apiKey.prefix} created by user ${req.user!.id}`,
+    { userId: req.user!.id, apiKeyId: apiKey.id, prefix: apiKey.prefix, scopes: apiKey.scopes },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.status(201).json({
+    success: true,
+    message: 'API key created. Store it now; it will not be shown again.',
+    key,
+    apiKey: ApiKeyService.toResponse(apiKey)
+  });
+}));
+
+// Revoke an API key
+router.delete('/:id', [
+  param('id').isString().notEmpty()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const revoked = await ApiKeyService.revoke(req.user!.id, req.params.id!);
+
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  await AuthService.logSecurityEvent(
+    'api_key_revoked',
+    'info',
+    `API key ${req.params.id} revoked by user ${req.user!.id}`,
+    { userId: req.user!.id, apiKeyId: req.params.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    message: 'API key revoked'
+  });
+}));
+
+export default router;
@@ -0,0 +1,289 @@
+import { Router } from 'express';
+import { Request, Response } from 'express';
+import { body, validationResult } from 'express-validator';
+import { authMiddleware, AuthRequest } from '../middleware/auth';
+import { asyncHandler } from '../middleware/errorHandler';
+import { AuthService } from '../services/authService';
+import { TokenService } from '../services/tokenService';
+import { MfaService } from '../services/mfaService';
+import { db } from '../config/database';
+
+const router = Router();
+
+const validateRefreshToken = [
+  body('refreshToken').isString().isLength({ min: 32, max: 128 }).withMessage('Refresh token is required')
+];
+
+// Exchange a refresh token for a new access/refresh pair (the old refresh token stops working)
+router.post('/refresh', validateRefreshToken, asyncHandler(async (req: Request, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const result = await TokenService.refresh(req.body.refreshToken, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (!result.success) {
+    if (result.reuseDetected) {
+      await AuthService.logSecurityEvent(
+        'refresh_token_reuse',
+        'critical',
+        `Refresh token reuse detected for user ${result.userId}; session revoked`,
+        { userId: result.userId, familyId: result.familyId },
+        req.ip,
+        req.get('User-Agent')
+      );
+    }
+
+    return res.status(401).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  return res.json({
+    success: true,
+    token: result.tokens.token,
+    refreshToken: result.tokens.refreshToken,
+    expiresIn: result.tokens.expiresIn
+  });
+}));
+
+// End the current session: its refresh tokens and access tokens stop working
+router.post('/logout', authMiddleware, asyncHandler(async (req: AuthRequest, res: Response) => {
+  await TokenService.revokeSession(req.auth!.sessionId);
+
+  return res.json({
+    success: true,
+    message: 'Logged out'
+  });
+}));
+
+// End every session of the current user
+router.post('/logout-all', authMiddleware, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const sessions = await TokenService.revokeAllForUser(req.user!.id);
+
+  await AuthService.logSecurityEvent(
+    'logout_all',
+    'info',
+    `User ${req.user!.email} logged out of all sessions`,
+    { userId: req.user!.id, sessions },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    message: 'Logged out of all sessions',
+    sessionsRevoked: sessions
+  });
+}));
+
+const validateMfaCode = [
+  body('code').isString().trim().isLength({ min: 6, max: 16 }).withMessage('Verification code is required')
+];
+
+// Second login step: exchange the mfaToken from /login or /wallet-auth plus a TOTP or recovery code for a session
+router.post('/mfa/verify', [
+  body('mfaToken').isString().notEmpty().withMessage('MFA token is required'),
+  ...validateMfaCode
+], asyncHandler(async (req: Request, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = MfaService.verifyChallengeToken(req.body.mfaToken);
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      error: 'MFA token is invalid or expired'
+    });
+  }
+
+  const result = await MfaService.verifyCode(userId, req.body.code);
+  if (!result.success) {
+    await AuthService.logSecurityEvent(
+      'mfa_verification_failure',
+      'warning',
+      `MFA verification failed for user ${userId}`,
+      { userId, error: result.error },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    return res.status(result.locked ? 429 : 401).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  const user = await db.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const tokens = await TokenService.issueTokens(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }, true);
+
+  await AuthService.logSecurityEvent(
+    'mfa_verification_success',
+    'info',
+    `MFA verified for user ${userId}${result.usedRecoveryCode ? ' with a recovery code' : ''}`,
+    { userId, usedRecoveryCode: !!result.usedRecoveryCode },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    message: 'Login successful',
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName || undefined,
+      lastName: user.lastName || undefined,
+      role: user.role,
+      walletAddress: user.walletAddress || undefined
+    }
+  });
+}));
+
+// Start TOTP enrollment: returns the secret and otpauth:// URI to render as a QR code
+router.post('/mfa/enroll', authMiddleware, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const user = await db.user.findUnique({ where: { id: req.user!.id } });
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const result = await MfaService.startEnrollment(user);
+  if (!result.success) {
+    return res.status(409).json(result);
+  }
+
+  return res.json({
+    success: true,
+    secret: result.secret,
+    otpauthUri: result.otpauthUri
+  });
+}));
+
+// Finish enrollment with the first code from the authenticator app
+router.post('/mfa/confirm', authMiddleware, validateMfaCode, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const result = await MfaService.confirmEnrollment(req.user!.id, req.body.code);
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  await AuthService.logSecurityEvent(
+    'mfa_enabled',
+    'info',
+    `MFA enabled for user ${req.user!.id}`,
+    { userId: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  // The user just proved the second factor, so hand back an MFA-verified session
+  await TokenService.revokeSession(req.auth!.sessionId, 'mfa_enabled');
+  const user = await db.user.findUnique({ where: { id: req.user!.id } });
+  const tokens = await TokenService.issueTokens(user!, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }, true);
+
+  return res.json({
+    success: true,
+    message: 'MFA enabled. Store the recovery codes now; they will not be shown again.',
+    recoveryCodes: result.recoveryCodes,
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn
+  });
+}));
+
+// Replace the recovery codes
+router.post('/mfa/recovery-codes', authMiddleware, validateMfaCode, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const result = await MfaService.regenerateRecoveryCodes(req.user!.id, req.body.code);
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  return res.json({
+    success: true,
+    recoveryCodes: result.recoveryCodes
+  });
+}));
+
+// Turn MFA off
+router.post('/mfa/disable', authMiddleware, validateMfaCode, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const result = await MfaService.disable(req.user!.id, req.body.code);
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  await AuthService.logSecurityEvent(
+    'mfa_disabled',
+    'warning',
+    `MFA disabled for user ${req.user!.id}`,
+    { userId: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    message: 'MFA disabled'
+  });
+}));
+
+export default router;
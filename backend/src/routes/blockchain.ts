@@ -0,0 +1,66 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { query, validationResult } from 'express-validator';
+import { AuthRequest } from '../middleware/auth';
+import { asyncHandler } from '../middleware/errorHandler';
+import { db } from '../config/database';
+import { hasRole, UserRole } from '../config/roles';
+import { OutboxService } from '../services/outboxService';
+
+const router = Router();
+
+// List on-chain jobs for a resource (e.g. ?resourceType=product&resourceId=...)
+router.get('/jobs', [
+  query('resourceType').optional().isIn(['product', 'checkpoint', 'certificate']),
+  query('resourceId').optional().notEmpty(),
+  query('status').optional().isIn(['PENDING', 'PROCESSING', 'SUBMITTED', 'CONFIRMED', 'FAILED'])
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { resourceType, resourceId, status } = req.query as Record<string, string | undefined>;
+  const isAdmin = hasRole(req.user!, UserRole.ADMIN);
+
+  const jobs = await db.outboxJob.findMany({
+    where: {
+      resourceType,
+      resourceId,
+      status: status as any,
+      // Non-admins only see jobs they queued
+      createdById: isAdmin ? undefined : req.user!.id
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 50
+  });
+
+  return res.json({
+    success: true,
+    jobs: jobs.map(job => OutboxService.toResponse(job))
+  });
+}));
+
+// Poll a single job until it is CONFIRMED or FAILED
+router.get('/jobs/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const job = await db.outboxJob.findUnique({
+    where: { id: req.params.id }
+  });
+
+  if (!job || (job.createdById !== req.user!.id && !hasRole(req.user!, UserRole.ADMIN))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  return res.json({
+    success: true,
+    job: OutboxService.toResponse(job)
+  });
+}));
+
+export default router;
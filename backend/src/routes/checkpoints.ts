@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import { Request, Response } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { normalizeCbvTerm } from '../config/gs1';
+import { asyncHandler } from '../middleware/errorHandler';
+import { CheckpointSignatureService } from '../services/checkpointSignatureService';
+
+const router = Router();
+
+const validateSignedCheckpoint = [
+  body('productId').isString().notEmpty().withMessage('productId is required'),
+  body('status').isString().isLength({ min: 1, max: 100 }).withMessage('status is required (1-100 characters)'),
+  body('location').isString().isLength({ min: 1, max: 200 }).withMessage('location is required (1-200 characters)'),
+  body('scannedAt').isInt({ min: 0 }).withMessage('scannedAt must be a unix time in seconds').toInt(),
+  body('nonce').matches(/^0x[0-9a-fA-F]{64}$/).withMessage('nonce must be 32 bytes of hex'),
+  body('signer').isEthereumAddress().withMessage('signer must be an Ethereum address'),
+  body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('signature must be a 65-byte hex signature'),
+  body('temperature').optional().isFloat({ min: -100, max: 100 }).toFloat(),
+  body('humidity').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('additionalData').optional().isString().isLength({ max: 1000 }),
+  // Kept as sent, since that is what was signed; the service stores the normalised term
+  body('bizStep').optional().isString().custom(value => normalizeCbvTerm(value, 'bizstep') !== null)
+    .withMessage('bizStep must be a CBV business step or a URI'),
+  body('disposition').optional().isString().custom(value => normalizeCbvTerm(value, 'disp') !== null)
+    .withMessage('disposition must be a CBV disposition or a URI')
+];
+
+// EIP-712 domain and types that signed checkpoints and device registrations use
+router.get('/signing-domain', asyncHandler(async (_req: Request, res: Response) => {
+  return res.json({
+    success: true,
+    ...CheckpointSignatureService.signingSpec()
+  });
+}));
+
+// Record a checkpoint signed by a stakeholder wallet or a registered device key; the signature
+// authenticates the request, so field devices need no session
+router.post('/signed', validateSignedCheckpoint, asyncHandler(async (req: Request, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { productId, status, location, scannedAt, nonce, signer, signature, temperature, humidity, additionalData, bizStep, disposition } = req.body;
+  const result = await CheckpointSignatureService.submit({
+    productId, status, location, scannedAt, nonce, signer, signature, temperature, humidity, additionalData, bizStep, disposition
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: 'Signed checkpoint added',
+    ...result
+  });
+}));
+
+// Re-check the signature on a checkpoint against what the checkpoint records now
+router.get('/:id/signature', [param('id').isString().notEmpty()], asyncHandler(async (req: Request, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const verification = await CheckpointSignatureService.verify(req.params.id!);
+
+  return res.json({
+    success: true,
+    ...verification
+  });
+}));
+
+export default router;
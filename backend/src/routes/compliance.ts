@@ -0,0 +1,200 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { UserRole } from '@prisma/client';
+import { AuthRequest } from '../middleware/auth';
+import { requireRole } from '../middleware/authorization';
+import { asyncHandler } from '../middleware/errorHandler';
+import { ComplianceService } from '../services/complianceService';
+
+const router = Router();
+
+const PRODUCT_TYPES = ['PHARMACEUTICAL', 'LUXURY', 'ELECTRONICS', 'FOOD', 'OTHER'];
+
+const validRules = body('rules').optional().custom(rules => {
+  const problems = ComplianceService.validateRules(rules);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  return true;
+});
+
+const validateStandard = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name is required (1-100 characters)'),
+  body('description').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('description is required'),
+  body('version').isString().trim().isLength({ min: 1, max: 50 }).withMessage('version is required'),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('productTypes').optional().isArray(),
+  body('productTypes.*').isIn(PRODUCT_TYPES).withMessage(`productTypes must be among ${PRODUCT_TYPES.join(', ')}`),
+  validRules
+];
+
+const validateStandardUpdate = [
+  param('id').isString().notEmpty(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().trim().isLength({ min: 1, max: 2000 }),
+  body('version').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('productTypes').optional().isArray(),
+  body('productTypes.*').isIn(PRODUCT_TYPES).withMessage(`productTypes must be among ${PRODUCT_TYPES.join(', ')}`),
+  validRules
+];
+
+// Compliance standards and their rules
+router.get('/standards', [
+  query('active').optional().isBoolean()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const standards = await ComplianceService.list(req.query.active === 'true');
+
+  return res.json({
+    success: true,
+    standards
+  });
+}));
+
+router.get('/standards/:id', [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const standard = await ComplianceService.get(req.params.id!);
+
+  return res.json({
+    success: true,
+    standard
+  });
+}));
+
+// Create a standard (platform admins)
+router.post('/standards', requireRole([UserRole.ADMIN]), validateStandard, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { name, description, version, isActive, productTypes, rules } = req.body;
+  const standard = await ComplianceService.create({ name, description, version, isActive, productTypes, rules });
+
+  return res.status(201).json({
+    success: true,
+    message: 'Compliance standard created',
+    standard
+  });
+}));
+
+// Update a standard; changed rules or applicability clear its evaluations (platform admins)
+router.put('/standards/:id', requireRole([UserRole.ADMIN]), validateStandardUpdate, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { name, description, version, isActive, productTypes, rules } = req.body;
+  const standard = await ComplianceService.update(req.params.id!, { name, description, version, isActive, productTypes, rules });
+
+  return res.json({
+    success: true,
+    message: 'Compliance standard updated',
+    standard
+  });
+}));
+
+router.delete('/standards/:id', requireRole([UserRole.ADMIN]), [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const standard = await ComplianceService.remove(req.params.id!);
+
+  return res.json({
+    success: true,
+    message: 'Compliance standard deleted',
+    standard
+  });
+}));
+
+// Evaluate every product a standard applies to (platform admins)
+router.post('/standards/:id/evaluate', requireRole([UserRole.ADMIN]), [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const summary = await ComplianceService.evaluateStandard(req.params.id!);
+
+  return res.json({
+    success: true,
+    ...summary
+  });
+}));
+
+// Latest compliance status of a product, with the reasons for each rule
+router.get('/products/:id', [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const compliance = await ComplianceService.forProduct(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    compliance
+  });
+}));
+
+// Evaluate a product against its applicable standards now
+router.post('/products/:id/evaluate', [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const compliance = await ComplianceService.evaluateForUser(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    compliance
+  });
+}));
+
+export default router;
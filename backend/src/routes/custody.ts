@@ -0,0 +1,166 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { CustodyTransferStatus } from '@prisma/client';
+import { AuthRequest } from '../middleware/auth';
+import { asyncHandler } from '../middleware/errorHandler';
+import { CustodyService } from '../services/custodyService';
+import { OutboxService } from '../services/outboxService';
+
+const router = Router();
+
+const validateTransferInitiation = [
+  body('productId').isString().notEmpty().withMessage('Product ID is required'),
+  body('toOrganizationId').isString().notEmpty().withMessage('Receiving organization is required'),
+  body('shippedFrom').isString().trim().notEmpty().withMessage('Shipping location is required'),
+  body('shipmentReference').optional().isString().trim().isLength({ max: 100 }),
+  body('carrier').optional().isString().trim().isLength({ max: 100 }),
+  body('trackingNumber').optional().isString().trim().isLength({ max: 100 }),
+  body('expectedDeliveryAt').optional().isISO8601(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 })
+];
+
+const validateTransferResponse = [
+  param('id').isString().notEmpty(),
+  body('location').isString().trim().notEmpty().withMessage('Location is required'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 })
+];
+
+// List transfers sent or received by the user's organizations
+router.get('/transfers', [
+  query('direction').optional().isIn(['incoming', 'outgoing']),
+  query('status').optional().isIn(Object.values(CustodyTransferStatus)),
+  query('productId').optional().isString().notEmpty()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { direction, status, productId } = req.query as Record<string, string | undefined>;
+  const transfers = await CustodyService.list(req.user!, {
+    direction: direction as 'incoming' | 'outgoing' | undefined,
+    status: status as CustodyTransferStatus | undefined,
+    productId
+  });
+
+  return res.json({
+    success: true,
+    transfers
+  });
+}));
+
+// Offer custody of a product to another organization
+router.post('/transfers', validateTransferInitiation, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { productId, toOrganizationId, shippedFrom, shipmentReference, carrier, trackingNumber, expectedDeliveryAt, notes } = req.body;
+  const { transfer, blockchainJob } = await CustodyService.initiate(req.user!, productId, {
+    toOrganizationId,
+    shippedFrom,
+    shipmentReference,
+    carrier,
+    trackingNumber,
+    expectedDeliveryAt: expectedDeliveryAt ? new Date(expectedDeliveryAt) : undefined,
+    notes
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: 'Custody transfer initiated; awaiting the receiver',
+    transfer: CustodyService.toResponse(transfer),
+    blockchainJob: blockchainJob ? OutboxService.toResponse(blockchainJob) : null
+  });
+}));
+
+// Get a transfer
+router.get('/transfers/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
+  return res.json({
+    success: true,
+    transfer: await CustodyService.get(req.user!, req.params.id!)
+  });
+}));
+
+// Accept a transfer: custody passes to the receiving organization
+router.post('/transfers/:id/accept', validateTransferResponse, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { location, notes } = req.body;
+  const { transfer, blockchainJob } = await CustodyService.accept(req.user!, req.params.id!, { location, notes });
+
+  return res.json({
+    success: true,
+    message: 'Custody accepted',
+    transfer: CustodyService.toResponse(transfer),
+    blockchainJob: blockchainJob ? OutboxService.toResponse(blockchainJob) : null
+  });
+}));
+
+// Reject a transfer with a reason; the sender keeps custody
+router.post('/transfers/:id/reject', [
+  ...validateTransferResponse,
+  body('reason').isString().trim().isLength({ min: 1, max: 500 }).withMessage('A rejection reason is required')
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { location, notes, reason } = req.body;
+  const { transfer, blockchainJob } = await CustodyService.reject(req.user!, req.params.id!, { location, notes, reason });
+
+  return res.json({
+    success: true,
+    message: 'Custody transfer rejected',
+    transfer: CustodyService.toResponse(transfer),
+    blockchainJob: blockchainJob ? OutboxService.toResponse(blockchainJob) : null
+  });
+}));
+
+// Cancel a pending transfer (sending organization)
+router.post('/transfers/:id/cancel', [
+  param('id').isString().notEmpty(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { transfer, blockchainJob } = await CustodyService.cancel(req.user!, req.params.id!, req.body.reason);
+
+  return res.json({
+    success: true,
+    message: 'Custody transfer cancelled',
+    transfer: CustodyService.toResponse(transfer),
+    blockchainJob: blockchainJob ? OutboxService.toResponse(blockchainJob) : null
+  });
+}));
+
+export default router;
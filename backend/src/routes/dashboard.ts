@@ -1,14 +1,23 @@
 import express from 'express';
 import { Request, Response } from 'express';
 import { asyncHandler } from '../middleware/errorHandler';
-import { optionalAuth } from '../middleware/auth';
+import { Prisma } from '@prisma/client';
+import { AuthRequest, optionalAuth } from '../middleware/auth';
 import { db } from '../config/database';
+import { ComplianceService } from '../services/complianceService';
+import { OrganizationService } from '../services/organizationService';
 
 const router = express.Router();
 
 // Dashboard statistics endpoint
-router.get('/stats', optionalAuth, asyncHandler(async (req: Request, res: Response) => {
+router.get('/stats', optionalAuth, asyncHandler(async (req: AuthRequest, res: Response) => {
   try {
+    // Figures cover the products the user's organizations can see; anonymous callers see none
+    const productWhere: Prisma.ProductWhereInput = req.user
+      ? OrganizationService.productScope(await OrganizationService.resolveTenant(req.user))
+      : { id: { in: [] } };
+    const relatedWhere = { product: productWhere };
+
     // Query database for real statistics
     const [
       totalProducts,
@@ -23,19 +32,17 @@ router.get('/stats', optionalAuth, asyncHandler(async (req: Request, res: Respon
       recentNFTs
     ] = await Promise.all([
       // Total products count
-      db.product.count(),
+      db.product.count({ where: productWhere }),
       
       // Active products count
       db.product.count({
-        where: { isActive: true }
+        where: { AND: [productWhere, { isActive: true }] }
       }),
       
       // Expired products count (products with expiry date in the past)
       db.product.count({
         where: {
-          expiryDate: {
-            lt: new Date()
-          }
+          AND: [productWhere, { expiryDate: { lt: new Date() } }]
         }
       }),
       
@@ -43,14 +50,15 @@ router.get('/stats', optionalAuth, asyncHandler(async (req: Request, res: Respon
       db.user.count(),
       
       // Total checkpoints count
-      db.checkpoint.count(),
+      db.checkpoint.count({ where: relatedWhere }),
       
       // Total NFT certificates count
-      db.nftCertificate.count(),
+      db.nftCertificate.count({ where: relatedWhere }),
       
       // Product types breakdown
       db.product.groupBy({
         by: ['type'],
+        where: productWhere,
         _count: {
           id: true
         }
@@ -58,6 +66,7 @@ router.get('/stats', optionalAuth, asyncHandler(async (req: Request, res: Respon
       
       // Recent products (last 5)
       db.product.findMany({
+        where: productWhere,
         take: 5,
         orderBy: { createdAt: 'desc' },
         include: {
@@ -73,6 +82,7 @@ router.get('/stats', optionalAuth, asyncHandler(async (req: Request, res: Respon
       
       // Recent checkpoints (last 5)
       db.checkpoint.findMany({
+        where: relatedWhere,
         take: 5,
         orderBy: { timestamp: 'desc' },
         include: {
@@ -87,6 +97,7 @@ router.get('/stats', optionalAuth, asyncHandler(async (req: Request, res: Respon
       
       // Recent NFT certificates (last 5)
       db.nftCertificate.findMany({
+        where: relatedWhere,
         take: 5,
         orderBy: { createdAt: 'desc' },
         include: {
@@ -142,13 +153,8 @@ router.get('/stats', optionalAuth, asyncHandler(async (req: Request, res: Respon
     .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())
     .slice(0, 10); // Take only the 10 most recent activities
 
-    // Calculate compliance stats (mock for now - would need actual compliance data)
-    const complianceStats = {
-      excellent: Math.floor(activeProducts * 0.6), // 60% excellent
-      good: Math.floor(activeProducts * 0.3),      // 30% good
-      fair: Math.floor(activeProducts * 0.08),     // 8% fair
-      poor: Math.floor(activeProducts * 0.02)      // 2% poor
-    };
+    // Active products by the share of compliance rules they pass
+    const complianceStats = await ComplianceService.stats(productWhere);
 
     // Calculate blockchain stats (mock for now - would need actual blockchain data)
     const blockchainStats = {
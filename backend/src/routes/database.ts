@@ -1,7 +1,7 @@
 import express from 'express';
 import { checkDatabaseConnection, db } from '../config/database';
 import { authMiddleware } from '../middleware/auth';
-import { requireRole, UserRole } from '../middleware/authorization';
+import { requireMFA, requireRole, UserRole } from '../middleware/authorization';
 
 const router = express.Router();
 
@@ -70,7 +70,7 @@ router.get('/stats', authMiddleware, requireRole([UserRole.ADMIN]), async (req,
 });
 
 // Database reset (admin only) - for development
-router.post('/reset', authMiddleware, requireRole([UserRole.ADMIN]), async (req, res) => {
+router.post('/reset', authMiddleware, requireRole([UserRole.ADMIN]), requireMFA, async (req, res) => {
   try {
     if (process.env.NODE_ENV === 'production') {
       return res.status(403).json({
@@ -82,8 +82,12 @@ router.post('/reset', authMiddleware, requireRole([UserRole.ADMIN]), async (req,
     await db.auditLog.deleteMany();
     await db.nftCertificate.deleteMany();
     await db.checkpoint.deleteMany();
+    await db.productStakeholder.deleteMany();
+    await db.recall.deleteMany();
+    await db.telemetryThreshold.deleteMany();
     await db.product.deleteMany();
     await db.user.deleteMany();
+    await db.organization.deleteMany();
     await db.complianceStandard.deleteMany();
     await db.securityEvent.deleteMany();
     await db.tokenTransaction.deleteMany();
@@ -0,0 +1,69 @@
+import { Router } from 'express';
+import { Request, Response } from 'express';
+import { securityConfig } from '../config/security';
+import { parseDigitalLink } from '../config/gs1';
+import { asyncHandler } from '../middleware/errorHandler';
+import { DigitalLinkService } from '../services/digitalLinkService';
+import { VerificationService } from '../services/verificationService';
+
+const router = Router();
+
+const LINKSET_TYPE = 'application/linkset+json';
+
+// GS1 Digital Link resolver: /01/{GTIN}[/10/{lot}][/21/{serial}] (public endpoint)
+router.get(/^\/01\/.+/, asyncHandler(async (req: Request, res: Response) => {
+  const key = parseDigitalLink(req.path);
+  if (!key) {
+    return res.status(400).json({
+      success: false,
+      error: 'Not a valid GS1 Digital Link; expected /01/{GTIN}[/10/{lot}][/21/{serial}] with a valid GTIN check digit'
+    });
+  }
+
+  const resolution = await DigitalLinkService.resolve(key);
+  if ('candidates' in resolution) {
+    return res.status(300).json({
+      success: false,
+      error: 'Several lots carry this GTIN; add the lot (/10/) or serial number (/21/)',
+      candidates: resolution.candidates
+    });
+  }
+
+  const { product } = resolution;
+  const apiBaseUrl = `${req.protocol}://${req.get('host')}`;
+  const resolverBaseUrl = securityConfig.digitalLink.resolverBaseUrl || `${apiBaseUrl}${req.baseUrl}`;
+  const links = DigitalLinkService.links(product, apiBaseUrl);
+  const anchor = DigitalLinkService.anchor(product, resolverBaseUrl);
+
+  res.set('Link', `<${anchor}?linkType=all>; rel="linkset"; type="${LINKSET_TYPE}"`);
+
+  const linkType = typeof req.query.linkType === 'string' ? req.query.linkType : undefined;
+  if (linkType === 'all' || (!linkType && req.accepts(['application/json', 'text/html', LINKSET_TYPE]) === LINKSET_TYPE)) {
+    return res.type(LINKSET_TYPE).json(DigitalLinkService.linkset(product, links, resolverBaseUrl));
+  }
+
+  // A specific link type redirects straight to that link
+  if (linkType) {
+    const target = links[DigitalLinkService.linkTypeUri(linkType)]?.[0];
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: `No ${linkType} link for this product`
+      });
+    }
+    return res.redirect(307, target.href);
+  }
+
+  // Otherwise answer with the verification payload, as GET /api/products/:id/verify does
+  const verification = await VerificationService.forProduct(product.id);
+
+  return res.json({
+    verification,
+    digitalLink: anchor,
+    links: Object.fromEntries(
+      Object.entries(links).map(([type, targets]) => [type.replace('https://gs1.org/voc/', 'gs1:'), targets])
+    )
+  });
+}));
+
+export default router;
@@ -0,0 +1,261 @@
+import { Router } from 'express';
+import { NextFunction, Request, Response } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import multer from 'multer';
+import { ComplianceDocumentType, DocumentVisibility } from '@prisma/client';
+import { securityConfig } from '../config/security';
+import { AuthRequest, authMiddleware, optionalAuth } from '../middleware/auth';
+import { apiKeyOrAuth, Permission, Resource } from '../middleware/authorization';
+import { asyncHandler, createError } from '../middleware/errorHandler';
+import { DocumentService } from '../services/documentService';
+import { ExpiryReminderService } from '../services/expiryReminderService';
+
+const router = Router();
+
+// Documents are hashed in memory before they reach the blob store
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: securityConfig.documents.maxFileSize, files: 1 }
+});
+
+const receiveDocument = (req: Request, res: Response, next: NextFunction) => {
+  documentUpload.single('file')(req, res, (error?: unknown) => {
+    if (error instanceof multer.MulterError) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? createError(`Documents are limited to ${securityConfig.documents.maxFileSize / (1024 * 1024)}MB`, 413)
+        : createError(error.message, 400));
+    }
+    return next(error);
+  });
+};
+
+const DOCUMENT_TYPES = Object.values(ComplianceDocumentType);
+const VISIBILITIES = Object.values(DocumentVisibility);
+
+const documentDetails = (optional: boolean) => {
+  const field = (name: string) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 200 }).withMessage('title is required (1-200 characters)'),
+    field('documentType').isIn(DOCUMENT_TYPES).withMessage(`documentType must be one of ${DOCUMENT_TYPES.join(', ')}`),
+    body('complianceStandard').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('issuer').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    body('issuedAt').optional().isISO8601().withMessage('issuedAt must be an ISO 8601 date').toDate(),
+    body('expiresAt').optional().isISO8601().withMessage('expiresAt must be an ISO 8601 date').toDate(),
+    body('visibility').optional().isIn(VISIBILITIES).withMessage(`visibility must be one of ${VISIBILITIES.join(', ')}`),
+    // Multipart forms send one field per organization
+    body('sharedWith').optional().toArray(),
+    body('sharedWith.*').isString().notEmpty()
+  ];
+};
+
+const validateUpload = [
+  body('productId').optional().isString().notEmpty(),
+  body('checkpointId').optional().isString().notEmpty(),
+  body('certificateId').optional().isString().notEmpty(),
+  body('organizationId').optional().isString().notEmpty(),
+  ...documentDetails(false)
+];
+
+// Upload evidence for a product, checkpoint or certificate (multipart field "file")
+router.post('/', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), receiveDocument, validateUpload, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'Attach the document in the "file" field'
+    });
+  }
+
+  const { productId, checkpointId, certificateId, organizationId, title, documentType, complianceStandard, issuer, issuedAt, expiresAt, visibility, sharedWith } = req.body;
+  const document = await DocumentService.upload(req.user!, { productId, checkpointId, certificateId }, req.file, {
+    title, documentType, complianceStandard, issuer, issuedAt, expiresAt, visibility, sharedWith, organizationId
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: 'Document uploaded',
+    document
+  });
+}));
+
+// Documents the caller may see, optionally for one product, checkpoint or certificate
+router.get('/', optionalAuth, [
+  query('productId').optional().isString().notEmpty(),
+  query('checkpointId').optional().isString().notEmpty(),
+  query('certificateId').optional().isString().notEmpty(),
+  query('documentType').optional().isIn(DOCUMENT_TYPES),
+  query('complianceStandard').optional().isString().notEmpty(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { productId, checkpointId, certificateId, documentType, complianceStandard } = req.query as Record<string, string | undefined>;
+  const documents = await DocumentService.list(req.user, {
+    productId,
+    checkpointId,
+    certificateId,
+    documentType: documentType as ComplianceDocumentType | undefined,
+    complianceStandard,
+    limit: req.query.limit as number | undefined
+  });
+
+  return res.json({
+    success: true,
+    documents
+  });
+}));
+
+// Check whether a file is on record by its SHA-256
+router.get('/verify/:sha256', optionalAuth, [
+  param('sha256').matches(/^[A-Fa-f0-9]{64}$/).withMessage('sha256 must be 64 hex characters')
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const verification = await DocumentService.verify(req.user, req.params.sha256!);
+
+  return res.json({
+    success: true,
+    ...verification
+  });
+}));
+
+// Expiry reminders for the caller's documents and certificates
+router.get('/reminders', authMiddleware, [
+  query('pending').optional().isBoolean()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const reminders = await ExpiryReminderService.remindersFor(req.user!, req.query.pending === 'true');
+
+  return res.json({
+    success: true,
+    reminders
+  });
+}));
+
+router.post('/reminders/:id/acknowledge', authMiddleware, [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const reminder = await ExpiryReminderService.acknowledge(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    reminder
+  });
+}));
+
+router.get('/:id', optionalAuth, [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const document = await DocumentService.get(req.user, req.params.id!);
+
+  return res.json({
+    success: true,
+    document
+  });
+}));
+
+// Download a document; the contents are re-hashed before they are sent
+router.get('/:id/content', optionalAuth, [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { document, data } = await DocumentService.content(req.user, req.params.id!);
+
+  res.set('Content-Disposition', `attachment; filename="${document.fileName.replace(/[^A-Za-z0-9._-]/g, '_')}"`);
+  res.set('X-Content-SHA256', document.sha256);
+  return res.type(document.contentType).send(data);
+}));
+
+// Update a document's details (uploader or organization admin)
+router.put('/:id', authMiddleware, [param('id').isString().notEmpty(), ...documentDetails(true)], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { title, documentType, complianceStandard, issuer, issuedAt, expiresAt, visibility, sharedWith } = req.body;
+  const document = await DocumentService.update(req.user!, req.params.id!, {
+    title, documentType, complianceStandard, issuer, issuedAt, expiresAt, visibility, sharedWith
+  });
+
+  return res.json({
+    success: true,
+    message: 'Document updated',
+    document
+  });
+}));
+
+router.delete('/:id', authMiddleware, [param('id').isString().notEmpty()], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const document = await DocumentService.remove(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    message: 'Document deleted',
+    document
+  });
+}));
+
+export default router;
@@ -0,0 +1,96 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { isValidGln, normalizeGtin } from '../config/gs1';
+import { AuthRequest } from '../middleware/auth';
+import { apiKeyOrAuth, Permission, Resource } from '../middleware/authorization';
+import { asyncHandler } from '../middleware/errorHandler';
+import { DscsaService, VERIFICATION_CONTEXTS, VerificationContext } from '../services/dscsaService';
+
+const router = Router();
+
+const validateVerification = [
+  query('gtin').isString().custom(value => normalizeGtin(value) !== null).withMessage('Invalid GTIN'),
+  query('serialNumber').isString().matches(/^[!-~]{1,20}$/).withMessage('Serial number must be 1-20 printable characters'),
+  query('lotNumber').isString().trim().isLength({ min: 1, max: 20 }).withMessage('lotNumber is required'),
+  query('expirationDate').isString().matches(/^(\d{6}|\d{4}-\d{2}-\d{2})$/).withMessage('expirationDate must be YYMMDD or YYYY-MM-DD'),
+  query('context').optional().isIn(VERIFICATION_CONTEXTS).withMessage(`context must be one of ${VERIFICATION_CONTEXTS.join(', ')}`),
+  query('requestorGLN').optional().isString().custom(isValidGln).withMessage('requestorGLN must be a valid GLN'),
+  query('correlationUUID').optional().isUUID()
+];
+
+// Product identifier verification for saleable returns, in the style of a verification router responder
+router.get('/verification', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), validateVerification, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { gtin, serialNumber, lotNumber, expirationDate, context, requestorGLN, correlationUUID } = req.query as Record<string, string | undefined>;
+  const response = await DscsaService.verify({
+    gtin: gtin!,
+    serialNumber: serialNumber!,
+    lotNumber: lotNumber!,
+    expirationDate: expirationDate!,
+    context: (context as VerificationContext | undefined) || 'dscsaSaleableReturn',
+    requestorGln: requestorGLN,
+    correlationId: correlationUUID
+  }, {
+    userId: req.user?.id,
+    ipAddress: req.ip
+  });
+
+  return res.json(response);
+}));
+
+// T3 documents exchanged with the user's trading partners
+router.get('/transactions', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [
+  query('productId').optional().isString().notEmpty(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const transactions = await DscsaService.list(req.user!, {
+    productId: req.query.productId as string | undefined,
+    limit: req.query.limit as number | undefined
+  });
+
+  return res.json({
+    success: true,
+    transactions
+  });
+}));
+
+// One T3 document: transaction information, history and statement
+router.get('/transactions/:id', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [
+  param('id').isString().notEmpty()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const transaction = await DscsaService.get(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    transaction
+  });
+}));
+
+export default router;
@@ -0,0 +1,59 @@
+import express, { Router } from 'express';
+import { Response } from 'express';
+import { query, validationResult } from 'express-validator';
+import { AuthRequest } from '../middleware/auth';
+import { apiKeyOrAuth, Permission, Resource } from '../middleware/authorization';
+import { asyncHandler } from '../middleware/errorHandler';
+import { EpcisService } from '../services/epcisService';
+
+const router = Router();
+
+// EPCIS documents are usually sent as JSON-LD, which the app-wide JSON parser skips
+router.use(express.json({ type: ['application/json', 'application/ld+json'], limit: '10mb' }));
+
+// Capture EPCIS 2.0 events (an EPCISDocument, a single event or an event list)
+router.post('/events', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), asyncHandler(async (req: AuthRequest, res: Response) => {
+  const results = await EpcisService.capture(req.user!, req.body);
+
+  const captured = results.filter(result => result.status === 'captured').length;
+  const failed = results.filter(result => result.status === 'failed').length;
+
+  return res.status(captured > 0 ? 201 : failed === results.length ? 400 : 200).json({
+    success: failed === 0,
+    captured,
+    duplicates: results.filter(result => result.status === 'duplicate').length,
+    failed,
+    results
+  });
+}));
+
+// Export a product's history as an EPCISDocument
+router.get('/events', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [
+  query('productId').optional().isString().notEmpty(),
+  query('MATCH_epc').optional().isString().notEmpty(),
+  query('GE_eventTime').optional().isISO8601(),
+  query('LT_eventTime').optional().isISO8601(),
+  query('EQ_bizStep').optional().isString().notEmpty()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { productId, MATCH_epc, GE_eventTime, LT_eventTime, EQ_bizStep } = req.query as Record<string, string | undefined>;
+  const document = await EpcisService.query(req.user!, {
+    productId,
+    epc: MATCH_epc,
+    from: GE_eventTime ? new Date(GE_eventTime) : undefined,
+    to: LT_eventTime ? new Date(LT_eventTime) : undefined,
+    bizStep: EQ_bizStep
+  });
+
+  return res.type('application/ld+json').json(document);
+}));
+
+export default router;
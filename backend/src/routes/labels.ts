@@ -0,0 +1,122 @@
+import { Router } from 'express';
+import { Request, Response } from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { securityConfig } from '../config/security';
+import { AuthRequest } from '../middleware/auth';
+import { apiKeyOrAuth, Permission, Resource } from '../middleware/authorization';
+import { asyncHandler } from '../middleware/errorHandler';
+import { Label, LabelService, QrFormat } from '../services/labelService';
+
+const router = Router();
+
+const validateQr = [
+  query('format').optional().isIn(['png', 'svg']).withMessage('format must be png or svg'),
+  query('size').optional().isInt({ min: 64, max: 2048 }).withMessage('size must be 64-2048 pixels').toInt()
+];
+
+const validateSheet = [
+  query('copies').optional().isInt({ min: 1, max: securityConfig.labels.maxLabelsPerSheet }).toInt()
+];
+
+// Resolver origin for Digital Link QR codes: the configured public host, or this API's
+const resolverBaseUrl = (req: Request): string =>
+  securityConfig.digitalLink.resolverBaseUrl || `${req.protocol}://${req.get('host')}`;
+
+const sendQr = async (res: Response, label: Label, format: QrFormat, size?: number) => {
+  const image = await LabelService.qr(label.url, format, size);
+  res.set('X-Label-Url', label.url);
+  res.set('X-Label-Code', label.code);
+  return res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+};
+
+const sendSheet = async (res: Response, labels: Label[], copies: number | undefined, filename: string) => {
+  const pdf = await LabelService.sheet(labels, copies);
+  res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^A-Za-z0-9._-]/g, '_')}"`);
+  return res.type('application/pdf').send(pdf);
+};
+
+// QR code for a product (PNG or SVG)
+router.get('/products/:id/qr', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [param('id').isString().notEmpty(), ...validateQr], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const label = await LabelService.productLabel(req.user!, req.params.id!, resolverBaseUrl(req));
+  return sendQr(res, label, (req.query.format as QrFormat) || 'png', req.query.size as number | undefined);
+}));
+
+// Printable label sheet for a product
+router.get('/products/:id/labels.pdf', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [param('id').isString().notEmpty(), ...validateSheet], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const label = await LabelService.productLabel(req.user!, req.params.id!, resolverBaseUrl(req));
+  return sendSheet(res, [label], req.query.copies as number | undefined, `labels-${label.code}.pdf`);
+}));
+
+// Printable label sheet for a batch, optionally with everything packed in it
+router.get('/batches/:batchNumber/labels.pdf', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [
+  param('batchNumber').isString().notEmpty(),
+  query('includeContents').optional().isBoolean(),
+  ...validateSheet
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const labels = await LabelService.batchLabels(
+    req.user!,
+    req.params.batchNumber!,
+    resolverBaseUrl(req),
+    req.query.includeContents !== 'false'
+  );
+  return sendSheet(res, labels, req.query.copies as number | undefined, `batch-${req.params.batchNumber}.pdf`);
+}));
+
+// QR code for a certificate's verification code (PNG or SVG)
+router.get('/certificates/:tokenId/qr', apiKeyOrAuth(Resource.CERTIFICATE, Permission.READ), [param('tokenId').isString().notEmpty(), ...validateQr], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const label = await LabelService.certificateLabel(req.user!, req.params.tokenId!);
+  return sendQr(res, label, (req.query.format as QrFormat) || 'png', req.query.size as number | undefined);
+}));
+
+// Printable label sheet for a certificate
+router.get('/certificates/:tokenId/labels.pdf', apiKeyOrAuth(Resource.CERTIFICATE, Permission.READ), [param('tokenId').isString().notEmpty(), ...validateSheet], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const label = await LabelService.certificateLabel(req.user!, req.params.tokenId!);
+  return sendSheet(res, [label], req.query.copies as number | undefined, `certificate-${label.code}.pdf`);
+}));
+
+export default router;
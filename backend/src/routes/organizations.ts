@@ -0,0 +1,409 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { OrganizationType, UserRole } from '@prisma/client';
+import { AuthRequest, requireRole } from '../middleware/auth';
+import { asyncHandler } from '../middleware/errorHandler';
+import { isValidGln } from '../config/gs1';
+import { ALL_ROLES } from '../config/roles';
+import { AuthService } from '../services/authService';
+import { CheckpointSignatureService } from '../services/checkpointSignatureService';
+import { OrganizationService } from '../services/organizationService';
+
+const router = Router();
+
+const validateOrganization = [
+  body('name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name is required (2-100 characters)'),
+  body('type').isIn(Object.values(OrganizationType)).withMessage('Invalid organization type'),
+  body('walletAddress').optional().isEthereumAddress().withMessage('Valid Ethereum address required'),
+  body('address').optional().isString().trim().isLength({ min: 1, max: 500 }),
+  body('gln').optional().isString().custom(isValidGln).withMessage('GLN must be 13 digits with a valid check digit')
+];
+
+const validateOrganizationUpdate = [
+  param('id').isString().notEmpty(),
+  body('name').optional().isString().trim().isLength({ min: 2, max: 100 }),
+  body('type').optional().isIn(Object.values(OrganizationType)).withMessage('Invalid organization type'),
+  body('walletAddress').optional().isEthereumAddress().withMessage('Valid Ethereum address required'),
+  body('address').optional().isString().trim().isLength({ min: 1, max: 500 }),
+  body('gln').optional().isString().custom(isValidGln).withMessage('GLN must be 13 digits with a valid check digit')
+];
+
+const validateInvitation = [
+  param('id').isString().notEmpty(),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').isIn(ALL_ROLES).withMessage('Invalid role')
+];
+
+const validateMemberRoles = [
+  param('id').isString().notEmpty(),
+  param('userId').isString().notEmpty(),
+  body('roles').isArray({ min: 1 }).withMessage('At least one role is required'),
+  body('roles.*').isIn(ALL_ROLES).withMessage('Invalid role')
+];
+
+const validateDevice = [
+  param('id').isString().notEmpty(),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (1-100 characters)'),
+  body('address').isEthereumAddress().withMessage('Valid Ethereum address required'),
+  body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('signature must be a 65-byte hex signature')
+];
+
+// List the organizations the current user belongs to
+router.get('/', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const organizations = await OrganizationService.listForUser(req.user!.id);
+
+  return res.json({
+    success: true,
+    organizations
+  });
+}));
+
+// Create an organization; the creator becomes its admin
+router.post('/', validateOrganization, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { name, type, walletAddress, address, gln } = req.body;
+  const organization = await OrganizationService.create(req.user!.id, { name, type, walletAddress, address, gln });
+
+  await AuthService.logSecurityEvent(
+    'organization_created',
+    'info',
+    `Organization ${organization.slug} created by user ${req.user!.id}`,
+    { userId: req.user!.id, organizationId: organization.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.status(201).json({
+    success: true,
+    organization: OrganizationService.toResponse(organization)
+  });
+}));
+
+// Accept an invitation sent to the current user's email
+router.post('/invitations/accept', [
+  body('token').isString().notEmpty().withMessage('Invitation token is required')
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const result = await OrganizationService.acceptInvitation(req.body.token, req.user!);
+
+  await AuthService.logSecurityEvent(
+    'organization_invitation_accepted',
+    'info',
+    `User ${req.user!.id} joined organization ${result.organization.id} as ${result.role}`,
+    { userId: req.user!.id, organizationId: result.organization.id, role: result.role },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    ...result
+  });
+}));
+
+// Get an organization the current user belongs to
+router.get('/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+
+  return res.json({
+    success: true,
+    organization: OrganizationService.toResponse(organization),
+    roles: tenant.memberships.get(organization.id) || []
+  });
+}));
+
+// Update an organization's profile (organization admins)
+router.put('/:id', validateOrganizationUpdate, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const existing = await OrganizationService.getForTenant(req.params.id!, tenant);
+  OrganizationService.assertAdmin(existing.id, tenant);
+
+  const { name, type, walletAddress, address, gln } = req.body;
+  const organization = await OrganizationService.update(existing.id, { name, type, walletAddress, address, gln });
+
+  return res.json({
+    success: true,
+    organization: OrganizationService.toResponse(organization)
+  });
+}));
+
+// Confirm or withdraw an organization's declared type (platform admins). Types such as
+// AUDITOR and RECYCLER only grant access once verified.
+router.put('/:id/type-verification', requireRole([UserRole.ADMIN]), [
+  param('id').isString().notEmpty(),
+  body('verified').isBoolean().withMessage('verified must be true or false').toBoolean()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const organization = await OrganizationService.setTypeVerified(req.params.id!, req.body.verified);
+
+  await AuthService.logSecurityEvent(
+    req.body.verified ? 'organization_type_verified' : 'organization_type_unverified',
+    'info',
+    `Type ${organization.type} of organization ${organization.id} ${req.body.verified ? 'verified' : 'no longer verified'}`,
+    { organizationId: organization.id, type: organization.type, changedBy: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    organization: OrganizationService.toResponse(organization)
+  });
+}));
+
+// List members and their roles
+router.get('/:id/members', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+
+  return res.json({
+    success: true,
+    members: await OrganizationService.listMembers(organization.id)
+  });
+}));
+
+// Replace a member's roles (organization admins)
+router.put('/:id/members/:userId', validateMemberRoles, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+  OrganizationService.assertAdmin(organization.id, tenant);
+
+  const roles = await OrganizationService.setMemberRoles(organization.id, req.params.userId!, req.body.roles);
+
+  await AuthService.logSecurityEvent(
+    'organization_member_roles_changed',
+    'info',
+    `Roles of user ${req.params.userId} in organization ${organization.id} set to ${roles.join(', ')}`,
+    { organizationId: organization.id, userId: req.params.userId, roles, changedBy: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    userId: req.params.userId,
+    roles
+  });
+}));
+
+// Remove a member (organization admins, or members leaving themselves)
+router.delete('/:id/members/:userId', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+  if (req.params.userId !== req.user!.id) {
+    OrganizationService.assertAdmin(organization.id, tenant);
+  }
+
+  await OrganizationService.removeMember(organization.id, req.params.userId!);
+
+  await AuthService.logSecurityEvent(
+    'organization_member_removed',
+    'info',
+    `User ${req.params.userId} removed from organization ${organization.id}`,
+    { organizationId: organization.id, userId: req.params.userId, removedBy: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    message: 'Member removed'
+  });
+}));
+
+// List pending invitations (organization admins)
+router.get('/:id/invitations', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+  OrganizationService.assertAdmin(organization.id, tenant);
+
+  const invitations = await OrganizationService.listInvitations(organization.id);
+
+  return res.json({
+    success: true,
+    invitations: invitations.map(invitation => ({
+      id: invitation.id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt.toISOString(),
+      createdAt: invitation.createdAt.toISOString()
+    }))
+  });
+}));
+
+// Invite someone by email (organization admins). The token is returned once, for delivery to the invitee.
+router.post('/:id/invitations', validateInvitation, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+  OrganizationService.assertAdmin(organization.id, tenant);
+
+  const { email, role } = req.body;
+  const { token, invitation } = await OrganizationService.invite(organization.id, req.user!.id, email, role);
+
+  await AuthService.logSecurityEvent(
+    'organization_invitation_created',
+    'info',
+    `Invitation to organization ${organization.id} sent to ${invitation.email}`,
+    { organizationId: organization.id, invitationId: invitation.id, role, invitedBy: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.status(201).json({
+    success: true,
+    token,
+    invitation: {
+      id: invitation.id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt.toISOString()
+    }
+  });
+}));
+
+// Revoke a pending invitation (organization admins)
+router.delete('/:id/invitations/:invitationId', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+  OrganizationService.assertAdmin(organization.id, tenant);
+
+  const revoked = await OrganizationService.revokeInvitation(organization.id, req.params.invitationId!);
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      error: 'Invitation not found'
+    });
+  }
+
+  return res.json({
+    success: true,
+    message: 'Invitation revoked'
+  });
+}));
+
+// Device keys that may sign checkpoints for the organization (organization admins)
+router.get('/:id/devices', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+  OrganizationService.assertAdmin(organization.id, tenant);
+
+  const devices = await CheckpointSignatureService.listDevices(organization.id);
+
+  return res.json({
+    success: true,
+    devices
+  });
+}));
+
+// Register a field device's signing key (organization admins). The body carries a
+// DeviceRegistration signature made with that key.
+router.post('/:id/devices', validateDevice, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+  OrganizationService.assertAdmin(organization.id, tenant);
+
+  const { name, address, signature } = req.body;
+  const device = await CheckpointSignatureService.registerDevice(organization.id, req.user!.id, { name, address, signature });
+
+  await AuthService.logSecurityEvent(
+    'organization_device_registered',
+    'info',
+    `Device key ${device.address} registered to organization ${organization.id}`,
+    { organizationId: organization.id, deviceId: device.id, address: device.address, registeredBy: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.status(201).json({
+    success: true,
+    device
+  });
+}));
+
+// Revoke a device key (organization admins); checkpoints it already signed keep their signatures
+router.delete('/:id/devices/:deviceId', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const tenant = await OrganizationService.resolveTenant(req.user!);
+  const organization = await OrganizationService.getForTenant(req.params.id!, tenant);
+  OrganizationService.assertAdmin(organization.id, tenant);
+
+  const device = await CheckpointSignatureService.revokeDevice(organization.id, req.params.deviceId!);
+
+  await AuthService.logSecurityEvent(
+    'organization_device_revoked',
+    'warning',
+    `Device key ${device.address} of organization ${organization.id} revoked`,
+    { organizationId: organization.id, deviceId: device.id, address: device.address, revokedBy: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    message: 'Device revoked',
+    device
+  });
+}));
+
+export default router;
@@ -0,0 +1,178 @@
+import { Router } from 'express';
+import { Request, Response } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { AuthRequest, authMiddleware, optionalAuth } from '../middleware/auth';
+import { asyncHandler } from '../middleware/errorHandler';
+import { PASSPORT_VIEWS, PassportService, PassportView } from '../services/passportService';
+
+const router = Router();
+
+const JSON_LD = 'application/ld+json';
+
+const validateView = [
+  param('productId').isString().notEmpty(),
+  query('view').optional().isIn(PASSPORT_VIEWS).withMessage(`view must be one of ${PASSPORT_VIEWS.join(', ')}`)
+];
+
+const validatePassportData = [
+  body('countryOfOrigin').optional({ values: 'null' }).isISO31661Alpha2().withMessage('countryOfOrigin must be an ISO 3166-1 alpha-2 code'),
+  body('manufacturingSite').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  body('materials').optional({ values: 'null' }).isArray({ min: 1, max: 200 }),
+  body('materials.*.name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Each material needs a name'),
+  body('materials.*.share').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('materials.*.recycledShare').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('materials.*.hazardous').optional().isBoolean().toBoolean(),
+  body('materials.*.casNumber').optional().matches(/^\d{2,7}-\d{2}-\d$/).withMessage('Invalid CAS registry number'),
+  body('repairInstructions').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+  body('sparePartsAvailableUntil').optional({ values: 'null' }).isISO8601().toDate(),
+  body('repairabilityScore').optional({ values: 'null' }).isFloat({ min: 0, max: 10 }).toFloat(),
+  body('recyclingInstructions').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+  body('dismantlingInstructions').optional({ values: 'null' }).isString().trim().isLength({ max: 5000 }),
+  body('carbonFootprintKg').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('complianceStandardIds').optional().isArray(),
+  body('complianceStandardIds.*').isString().notEmpty()
+];
+
+const origin = (req: Request): string => `${req.protocol}://${req.get('host')}`;
+
+// Refuse views above the caller's clearance: 401 if signing in could help, 403 otherwise
+const resolveView = async (req: AuthRequest, res: Response): Promise<PassportView | null> => {
+  const view = (req.query.view as PassportView | undefined) || 'public';
+  const allowed = await PassportService.allowedViews(req.user, req.params.productId!);
+  if (allowed.includes(view)) {
+    return view;
+  }
+  res.status(req.user ? 403 : 401).json({
+    success: false,
+    error: `The ${view} view of this passport is not available to you`,
+    allowedViews: allowed
+  });
+  return null;
+};
+
+// Latest published passport (public URL printed on the product's data carrier)
+router.get('/:productId', optionalAuth, validateView, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const view = await resolveView(req, res);
+  if (!view) {
+    return res;
+  }
+
+  const passport = await PassportService.published(req.params.productId!, view);
+  return res.type(JSON_LD).json(passport);
+}));
+
+// Published versions of a passport
+router.get('/:productId/versions', [param('productId').isString().notEmpty()], asyncHandler(async (req: Request, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const versions = await PassportService.versions(req.params.productId!);
+
+  return res.json({
+    success: true,
+    passportUrl: PassportService.url(req.params.productId!, origin(req)),
+    versions
+  });
+}));
+
+// A specific published version
+router.get('/:productId/versions/:version', optionalAuth, [
+  ...validateView,
+  param('version').isInt({ min: 1 }).toInt()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const view = await resolveView(req, res);
+  if (!view) {
+    return res;
+  }
+
+  const passport = await PassportService.published(req.params.productId!, view, Number(req.params.version));
+  return res.type(JSON_LD).json(passport);
+}));
+
+// Passport content maintained by the owning organization
+router.get('/:productId/data', authMiddleware, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const passport = await PassportService.getData(req.user!, req.params.productId!);
+
+  return res.json({
+    success: true,
+    passport
+  });
+}));
+
+// Update passport content; publish to make it visible at the public URL
+router.put('/:productId/data', authMiddleware, validatePassportData, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const passport = await PassportService.setData(req.user!, req.params.productId!, req.body);
+
+  return res.json({
+    success: true,
+    message: 'Passport data saved',
+    passport
+  });
+}));
+
+// Preview the passport as it would be published now
+router.get('/:productId/draft', authMiddleware, validateView, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const passport = await PassportService.draft(
+    req.user!,
+    req.params.productId!,
+    origin(req),
+    (req.query.view as PassportView | undefined) || 'authority'
+  );
+  return res.type(JSON_LD).json(passport);
+}));
+
+// Publish the current passport as a new version
+router.post('/:productId/publish', authMiddleware, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const { version, created } = await PassportService.publish(req.user!, req.params.productId!, origin(req));
+
+  return res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? `Passport version ${version.version} published` : 'Passport unchanged since the last version',
+    passportUrl: PassportService.url(req.params.productId!, origin(req)),
+    version
+  });
+}));
+
+export default router;
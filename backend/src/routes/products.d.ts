@@ -1,3 +0,0 @@
-declare const router: import("express-serve-static-core").Router;
-export default router;
-//# sourceMappingURL=products.d.ts.map
\ No newline at end of file
@@ -1,257 +0,0 @@
-"use strict";
-Object.defineProperty(exports, "__esModule", { value: true });
-const express_1 = require("express");
-const express_validator_1 = require("express-validator");
-const express_2 = require("express");
-const auth_1 = require("../middleware/auth");
-const errorHandler_1 = require("../middleware/errorHandler");
-const router = (0, express_1.Router)();
-// Validation middleware
-const validateProductRegistration = [
-    (0, express_validator_1.body)('name').notEmpty().trim().escape(),
-    (0, express_validator_1.body)('type').isIn(['PHARMACEUTICAL', 'LUXURY', 'ELECTRONICS', 'FOOD', 'OTHER']),
-    (0, express_validator_1.body)('batchNumber').notEmpty().trim(),
-    (0, express_validator_1.body)('manufactureDate').isISO8601(),
-    (0, express_validator_1.body)('expiryDate').optional().isISO8601(),
-    (0, express_validator_1.body)('rawMaterials').isArray().withMessage('Raw materials must be an array'),
-    (0, express_validator_1.body)('metadataURI').optional().isURL()
-];
-const validateCheckpoint = [
-    (0, express_validator_1.body)('status').notEmpty().trim(),
-    (0, express_validator_1.body)('location').notEmpty().trim(),
-    (0, express_validator_1.body)('additionalData').optional().trim(),
-    (0, express_validator_1.body)('temperature').optional().trim(),
-    (0, express_validator_1.body)('humidity').optional().trim()
-];
-// Get all products for authenticated user
-router.get('/', [
-    (0, express_validator_1.query)('page').optional().isInt({ min: 1 }),
-    (0, express_validator_1.query)('limit').optional().isInt({ min: 1, max: 100 }),
-    (0, express_validator_1.query)('type').optional().isIn(['PHARMACEUTICAL', 'LUXURY', 'ELECTRONICS', 'FOOD', 'OTHER']),
-    (0, express_validator_1.query)('status').optional().isIn(['ACTIVE', 'INACTIVE', 'EXPIRED'])
-], (0, errorHandler_1.asyncHandler)(async (req, res) => {
-    const errors = (0, express_validator_1.validationResult)(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            error: 'Validation failed',
-            details: errors.array()
-        });
-    }
-    const { page = 1, limit = 10, type, status } = req.query;
-    const userId = req.user?.id;
-    // TODO: Implement product listing logic
-    // 1. Query products from database with filters
-    // 2. Apply pagination
-    // 3. Include blockchain data if available
-    const products = [
-        {
-            id: '1',
-            name: 'Sample Product',
-            type: 'PHARMACEUTICAL',
-            batchNumber: 'BATCH001',
-            manufactureDate: new Date().toISOString(),
-            expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
-            status: 'ACTIVE',
-            blockchainId: '123',
-            createdAt: new Date().toISOString()
-        }
-    ];
-    res.json({
-        products,
-        pagination: {
-            page: Number(page),
-            limit: Number(limit),
-            total: 1,
-            pages: 1
-        }
-    });
-}));
-// Get specific product by ID
-router.get('/:id', (0, errorHandler_1.asyncHandler)(async (req, res) => {
-    const { id } = req.params;
-    const userId = req.user?.id;
-    // TODO: Implement product retrieval logic
-    // 1. Find product by ID
-    // 2. Check user permissions
-    // 3. Include blockchain data and checkpoints
-    const product = {
-        id,
-        name: 'Sample Product',
-        type: 'PHARMACEUTICAL',
-        batchNumber: 'BATCH001',
-        manufactureDate: new Date().toISOString(),
-        expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
-        rawMaterials: ['Active Ingredient A', 'Inactive Ingredient B'],
-        stakeholders: [userId],
-        status: 'ACTIVE',
-        blockchainId: '123',
-        metadataURI: 'https://ipfs.io/ipfs/QmHash',
-        checkpoints: [
-            {
-                id: '1',
-                status: 'MANUFACTURED',
-                location: 'Manufacturing Facility',
-                timestamp: new Date().toISOString(),
-                stakeholder: userId,
-                additionalData: 'Quality control passed'
-            }
-        ],
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
-    res.json({ product });
-}));
-// Register new product
-router.post('/', validateProductRegistration, (0, errorHandler_1.asyncHandler)(async (req, res) => {
-    const errors = (0, express_validator_1.validationResult)(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            error: 'Validation failed',
-            details: errors.array()
-        });
-    }
-    const userId = req.user?.id;
-    const { name, type, batchNumber, manufactureDate, expiryDate, rawMaterials, metadataURI } = req.body;
-    // TODO: Implement product registration logic
-    // 1. Validate business rules
-    // 2. Create product in database
-    // 3. Register product on blockchain
-    // 4. Mint NFT certificate
-    // 5. Create initial checkpoint
-    const product = {
-        id: 'new_product_id',
-        name,
-        type,
-        batchNumber,
-        manufactureDate,
-        expiryDate,
-        rawMaterials,
-        metadataURI,
-        status: 'ACTIVE',
-        blockchainId: 'blockchain_id',
-        createdAt: new Date().toISOString()
-    };
-    res.status(201).json({
-        message: 'Product registered successfully',
-        product
-    });
-}));
-// Add checkpoint to product
-router.post('/:id/checkpoints', validateCheckpoint, (0, errorHandler_1.asyncHandler)(async (req, res) => {
-    const errors = (0, express_validator_1.validationResult)(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            error: 'Validation failed',
-            details: errors.array()
-        });
-    }
-    const { id } = req.params;
-    const userId = req.user?.id;
-    const { status, location, additionalData, temperature, humidity } = req.body;
-    // TODO: Implement checkpoint addition logic
-    // 1. Verify user has permission to add checkpoint
-    // 2. Validate checkpoint data
-    // 3. Add checkpoint to database
-    // 4. Update blockchain with checkpoint
-    // 5. Trigger notifications if needed
-    const checkpoint = {
-        id: 'new_checkpoint_id',
-        productId: id,
-        status,
-        location,
-        additionalData,
-        temperature,
-        humidity,
-        timestamp: new Date().toISOString(),
-        stakeholder: userId
-    };
-    res.status(201).json({
-        message: 'Checkpoint added successfully',
-        checkpoint
-    });
-}));
-// Add stakeholder to product
-router.post('/:id/stakeholders', [
-    (0, express_validator_1.body)('stakeholderAddress').isEthereumAddress()
-], (0, errorHandler_1.asyncHandler)(async (req, res) => {
-    const errors = (0, express_validator_1.validationResult)(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            error: 'Validation failed',
-            details: errors.array()
-        });
-    }
-    const { id } = req.params;
-    const { stakeholderAddress } = req.body;
-    const userId = req.user?.id;
-    // TODO: Implement stakeholder addition logic
-    // 1. Verify user has permission to add stakeholder
-    // 2. Find or create stakeholder user
-    // 3. Add stakeholder to product
-    // 4. Update blockchain
-    // 5. Send notification to new stakeholder
-    res.status(201).json({
-        message: 'Stakeholder added successfully',
-        stakeholder: {
-            address: stakeholderAddress,
-            role: 'DISTRIBUTOR'
-        }
-    });
-}));
-// Get product verification info (public endpoint)
-router.get('/:id/verify', (0, errorHandler_1.asyncHandler)(async (req, res) => {
-    const { id } = req.params;
-    // TODO: Implement public verification logic
-    // 1. Get product information
-    // 2. Get blockchain verification data
-    // 3. Return public verification info
-    const verification = {
-        productId: id,
-        isValid: true,
-        productName: 'Sample Product',
-        manufacturer: 'Sample Corp',
-        batchNumber: 'BATCH001',
-        manufactureDate: new Date().toISOString(),
-        expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
-        blockchainVerified: true,
-        nftCertificate: 'nft_id',
-        supplyChain: [
-            {
-                status: 'MANUFACTURED',
-                location: 'Manufacturing Facility',
-                timestamp: new Date().toISOString()
-            }
-        ]
-    };
-    res.json({ verification });
-}));
-// Update product
-router.put('/:id', [
-    (0, express_validator_1.body)('name').optional().trim().escape(),
-    (0, express_validator_1.body)('metadataURI').optional().isURL()
-], (0, errorHandler_1.asyncHandler)(async (req, res) => {
-    const errors = (0, express_validator_1.validationResult)(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            error: 'Validation failed',
-            details: errors.array()
-        });
-    }
-    const { id } = req.params;
-    const userId = req.user?.id;
-    const updates = req.body;
-    // TODO: Implement product update logic
-    // 1. Verify user has permission to update
-    // 2. Update product in database
-    // 3. Update blockchain if needed
-    res.json({
-        message: 'Product updated successfully',
-        product: {
-            id,
-            ...updates,
-            updatedAt: new Date().toISOString()
-        }
-    });
-}));
-exports.default = router;
-//# sourceMappingURL=products.js.map
\ No newline at end of file
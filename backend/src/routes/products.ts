@@ -1,23 +1,36 @@
-import { Router } from 'express';
+import { NextFunction, Router } from 'express';
 import { body, validationResult, query } from 'express-validator';
+import multer from 'multer';
+import { PackagingLevel } from '@prisma/client';
 import { Request, Response } from 'express';
 import { AuthRequest } from '../middleware/auth';
-import { asyncHandler } from '../middleware/errorHandler';
+import { asyncHandler, createError } from '../middleware/errorHandler';
 import { 
   requireResourcePermission, 
   requireOwnership, 
   auditLog,
-  UserRole,
+  apiKeyOrAuth,
   Resource,
   Permission
 } from '../middleware/authorization';
-import { optionalAuth } from '../middleware/auth';
+import { authMiddleware } from '../middleware/auth';
 import { 
   validate, 
   sanitize, 
-  validationGroups 
+  validationGroups,
+  dscsaProductIdentifier
 } from '../middleware/validation';
-import { db } from '../config/database';
+import prisma, { db } from '../config/database';
+import { normalizeCbvTerm, normalizeGtin } from '../config/gs1';
+import { securityConfig } from '../config/security';
+import { OutboxService } from '../services/outboxService';
+import { AnchorService } from '../services/anchorService';
+import { OrganizationService } from '../services/organizationService';
+import { CustodyService } from '../services/custodyService';
+import { PackagingService } from '../services/packagingService';
+import { ProductImportService } from '../services/productImportService';
+import { TelemetryService } from '../services/telemetryService';
+import { VerificationService } from '../services/verificationService';
 
 const router = Router();
 
@@ -29,7 +42,15 @@ const validateProductRegistration = [
   body('manufactureDate').isISO8601(),
   body('expiryDate').optional().isISO8601(),
   body('rawMaterials').isArray().withMessage('Raw materials must be an array'),
-  body('metadataURI').optional().isURL()
+  body('metadataURI').optional().isURL(),
+  body('organizationId').optional().isString().notEmpty(),
+  body('packagingLevel').optional().isIn(Object.values(PackagingLevel)).withMessage('Invalid packaging level'),
+  body('gtin').optional().custom(value => normalizeGtin(String(value)) !== null).withMessage('Invalid GTIN')
+    .customSanitizer(value => normalizeGtin(String(value))),
+  body('lotNumber').optional().isString().trim().matches(/^[!-~]{1,20}$/).withMessage('Lot number must be 1-20 printable characters'),
+  body('serialNumber').optional().isString().trim().matches(/^[!-~]{1,20}$/).withMessage('Serial number must be 1-20 printable characters')
+    .custom((value, { req }) => !!req.body.gtin).withMessage('A serial number requires a GTIN'),
+  ...dscsaProductIdentifier
 ];
 
 const validateCheckpoint = [
@@ -37,12 +58,45 @@ const validateCheckpoint = [
   body('location').notEmpty().trim(),
   body('additionalData').optional().trim(),
   body('temperature').optional().trim(),
-  body('humidity').optional().trim()
+  body('humidity').optional().trim(),
+  body('bizStep').optional().isString().custom(value => normalizeCbvTerm(value, 'bizstep') !== null)
+    .withMessage('bizStep must be a CBV business step or a URI').customSanitizer(value => normalizeCbvTerm(value, 'bizstep')),
+  body('disposition').optional().isString().custom(value => normalizeCbvTerm(value, 'disp') !== null)
+    .withMessage('disposition must be a CBV disposition or a URI').customSanitizer(value => normalizeCbvTerm(value, 'disp'))
 ];
 
-// Get all products for authenticated user
+const validateAggregation = [
+  body('childIds').isArray({ min: 1 }).withMessage('childIds must be a non-empty array'),
+  body('childIds.*').isString().notEmpty(),
+  body('location').notEmpty().trim()
+];
+
+// Bulk import spreadsheets are parsed straight from memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: securityConfig.productImport.maxFileSize, files: 1 }
+});
+
+const receiveImportFile = (req: Request, res: Response, next: NextFunction) => {
+  importUpload.single('file')(req, res, (error?: unknown) => {
+    if (error instanceof multer.MulterError) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? createError(`Import files are limited to ${securityConfig.productImport.maxFileSize / (1024 * 1024)}MB`, 413)
+        : createError(error.message, 400));
+    }
+    return next(error);
+  });
+};
+
+const validateDisaggregation = [
+  body('childIds').optional().isArray({ min: 1 }).withMessage('childIds must be a non-empty array'),
+  body('childIds.*').isString().notEmpty(),
+  body('location').notEmpty().trim()
+];
+
+// Get the products visible to the authenticated user's organizations
 router.get('/', 
-  optionalAuth,
+  authMiddleware,
   validate(validationGroups.product.query),
   sanitize,
   asyncHandler(async (req: AuthRequest, res: Response) => {
@@ -55,7 +109,6 @@ router.get('/',
   }
 
   const { page = 1, limit = 10, type, status } = req.query;
-  const userId = req.user?.id;
 
   try {
     // Build where clause for filtering
@@ -65,16 +118,24 @@ router.get('/',
       where.type = type;
     }
     
-    if (status) {
+    if (status === 'EXPIRED') {
+      where.expiryDate = { lt: new Date() };
+    } else if (status) {
       where.isActive = status === 'ACTIVE';
     }
 
-    // For a traceability platform, authenticated users can see all products
-    // Only filter by manufacturerId if specifically requested
     if (req.query.manufacturerId) {
       where.manufacturerId = req.query.manufacturerId;
     }
 
+    if (req.query.organizationId) {
+      where.organizationId = req.query.organizationId;
+    }
+
+    // Only products of the user's organizations (or that it is a stakeholder of) are listed
+    const tenant = await OrganizationService.resolveTenant(req.user!);
+    where.AND = [OrganizationService.productScope(tenant)];
+
     // Calculate pagination
     const skip = (Number(page) - 1) * Number(limit);
     const take = Number(limit);
@@ -130,6 +191,13 @@ router.get('/',
       updatedAt: product.updatedAt.toISOString(),
       rawMaterials: product.rawMaterials,
       metadataURI: product.metadataURI,
+      organizationId: product.organizationId,
+      currentCustodianId: product.currentCustodianId,
+      packagingLevel: product.packagingLevel,
+      gtin: product.gtin,
+      lotNumber: product.lotNumber,
+      serialNumber: product.serialNumber,
+      parentId: product.parentId,
       manufacturer: {
         id: product.manufacturer.id,
         name: `${product.manufacturer.firstName || ''} ${product.manufacturer.lastName || ''}`.trim() || product.manufacturer.email,
@@ -173,14 +241,15 @@ router.get('/',
 }));
 
 // Get specific product by ID
-router.get('/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
+router.get('/:id', authMiddleware, asyncHandler(async (req: AuthRequest, res: Response) => {
   const { id } = req.params;
-  const userId = req.user?.id;
 
   try {
-    // Find product by ID with all related data
-    const product = await db.product.findUnique({
-      where: { id },
+    const tenant = await OrganizationService.resolveTenant(req.user!);
+
+    // Find product by ID with all related data; products outside the user's scope are reported as missing
+    const product = await db.product.findFirst({
+      where: { AND: [{ id }, OrganizationService.productScope(tenant)] },
       include: {
         manufacturer: {
           select: {
@@ -196,6 +265,11 @@ router.get('/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
             timestamp: 'desc'
           }
         },
+        stakeholders: {
+          orderBy: {
+            createdAt: 'asc'
+          }
+        },
         nftCertificates: {
           include: {
             owner: {
@@ -218,12 +292,6 @@ router.get('/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
       });
     }
 
-    // Check user permissions (if authenticated)
-    if (userId && product.manufacturerId !== userId) {
-      // For now, allow access to all products
-      // Permission checking will be implemented based on user roles in future iterations
-    }
-
     // Transform product to match frontend expectations
     const transformedProduct = {
       id: product.id,
@@ -236,6 +304,13 @@ router.get('/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
       status: product.isActive ? 'ACTIVE' : 'INACTIVE',
       blockchainId: product.nftCertificates[0]?.contractAddress || null,
       metadataURI: product.metadataURI,
+      organizationId: product.organizationId,
+      currentCustodianId: product.currentCustodianId,
+      packagingLevel: product.packagingLevel,
+      gtin: product.gtin,
+      lotNumber: product.lotNumber,
+      serialNumber: product.serialNumber,
+      parentId: product.parentId,
       createdAt: product.createdAt.toISOString(),
       updatedAt: product.updatedAt.toISOString(),
       manufacturer: {
@@ -244,13 +319,23 @@ router.get('/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
         email: product.manufacturer.email,
         role: product.manufacturer.role
       },
+      packaging: await PackagingService.tree(product.id),
+      coldChain: await TelemetryService.summary(product.id),
       checkpoints: product.checkpoints.map(checkpoint => ({
         id: checkpoint.id,
         name: checkpoint.name,
         location: checkpoint.location,
         timestamp: checkpoint.timestamp.toISOString(),
         environment: checkpoint.environment,
-        metadata: checkpoint.metadata
+        metadata: checkpoint.metadata,
+        propagatedFromId: checkpoint.propagatedFromId
+      })),
+      stakeholders: product.stakeholders.map(stakeholder => ({
+        id: stakeholder.id,
+        address: stakeholder.walletAddress,
+        role: stakeholder.role,
+        userId: stakeholder.userId,
+        createdAt: stakeholder.createdAt.toISOString()
       })),
       nftCertificates: product.nftCertificates.map(nft => ({
         id: nft.id,
@@ -284,65 +369,8 @@ router.get('/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
   }
 }));
 
-// Test endpoint for product registration (no auth required)
-router.post('/test', validateProductRegistration, asyncHandler(async (req: Request, res: Response) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array()
-    });
-  }
-
-  const {
-    name,
-    type,
-    batchNumber,
-    manufactureDate,
-    expiryDate,
-    rawMaterials,
-    metadataURI
-  } = req.body;
-
-  // Generate a unique ID for the product
-  const productId = `prod_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-  const blockchainId = `0x${Math.random().toString(16).substring(2, 42)}`;
-
-  const product = {
-    id: productId,
-    name,
-    type,
-    batchNumber,
-    manufactureDate,
-    expiryDate,
-    rawMaterials,
-    metadataURI,
-    status: 'ACTIVE',
-    blockchainId: blockchainId,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    stakeholders: ['test-user-id'],
-    checkpoints: [
-      {
-        id: `checkpoint_${Date.now()}`,
-        productId: productId,
-        status: 'MANUFACTURED',
-        location: 'Manufacturing Facility',
-        additionalData: 'Product registered and verified',
-        timestamp: new Date().toISOString(),
-        stakeholder: 'test-user-id'
-      }
-    ]
-  };
-
-  return res.status(201).json({
-    message: 'Product registered successfully',
-    product
-  });
-}));
-
 // Register new product
-router.post('/', optionalAuth, validateProductRegistration, asyncHandler(async (req: AuthRequest, res: Response) => {
+router.post('/', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), validateProductRegistration, asyncHandler(async (req: AuthRequest, res: Response) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -352,39 +380,7 @@ router.post('/', optionalAuth, validateProductRegistration, asyncHandler(async (
     });
   }
 
-  const userId = req.user?.id;
-  
-  // If no user is authenticated, try to find or create a default user for testing
-  let manufacturerId = userId;
-  if (!manufacturerId) {
-    // For testing purposes, find or create a default manufacturer user
-    try {
-      const existingUser = await db.user.findFirst({
-        where: { role: 'MANUFACTURER' }
-      });
-      
-      if (existingUser) {
-        manufacturerId = existingUser.id;
-      } else {
-        // Create a default manufacturer user for testing
-        const newUser = await db.user.create({
-          data: {
-            email: 'default-manufacturer@tracechain.com',
-            firstName: 'Default',
-            lastName: 'Manufacturer',
-            role: 'MANUFACTURER'
-          }
-        });
-        manufacturerId = newUser.id;
-      }
-    } catch (error) {
-      console.error('Error finding/creating default user:', error);
-      return res.status(500).json({
-        success: false,
-        error: 'Unable to determine manufacturer for product registration'
-      });
-    }
-  }
+  const userId = req.user!.id;
 
   const {
     name,
@@ -393,9 +389,19 @@ router.post('/', optionalAuth, validateProductRegistration, asyncHandler(async (
     manufactureDate,
     expiryDate,
     rawMaterials,
-    metadataURI
+    metadataURI,
+    packagingLevel,
+    gtin,
+    lotNumber,
+    serialNumber
   } = req.body;
 
+  // Products belong to the registering user's organization
+  const organizationId = OrganizationService.productOrganizationFor(
+    await OrganizationService.resolveTenant(req.user!),
+    req.body.organizationId
+  );
+
   try {
     // Check if batch number already exists
     const existingProduct = await db.product.findUnique({
@@ -410,46 +416,74 @@ router.post('/', optionalAuth, validateProductRegistration, asyncHandler(async (
       });
     }
 
-    // Create product in database
-    const product = await db.product.create({
-      data: {
-        name,
-        type,
-        batchNumber,
-        manufactureDate: new Date(manufactureDate),
-        expiryDate: expiryDate ? new Date(expiryDate) : null,
-        rawMaterials,
-        metadataURI,
-        manufacturerId,
-        isActive: true
-      },
-      include: {
-        manufacturer: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            email: true,
-            role: true
+    if (gtin && serialNumber && await db.product.findFirst({ where: { gtin, serialNumber } })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A product with this GTIN and serial number already exists',
+        gtin,
+        serialNumber
+      });
+    }
+
+    // Create the product, its initial checkpoint and the on-chain registration job atomically
+    const { product, checkpoint, blockchainJob } = await prisma.$transaction(async (tx) => {
+      const product = await tx.product.create({
+        data: {
+          name,
+          type,
+          batchNumber,
+          manufactureDate: new Date(manufactureDate),
+          expiryDate: expiryDate ? new Date(expiryDate) : null,
+          rawMaterials,
+          metadataURI,
+          manufacturerId: userId,
+          organizationId,
+          currentCustodianId: organizationId,
+          packagingLevel,
+          gtin,
+          // Serialised units of one lot share it; without one the batch is the lot
+          lotNumber: lotNumber || batchNumber,
+          serialNumber,
+          isActive: true
+        },
+        include: {
+          manufacturer: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+              role: true
+            }
           }
         }
-      }
-    });
+      });
 
-    // Create initial checkpoint
-    const checkpoint = await db.checkpoint.create({
-      data: {
-        name: 'Manufactured',
-        location: 'Manufacturing Facility',
-        timestamp: new Date(),
-        environment: 'Production Line',
-        metadata: {
-          status: 'MANUFACTURED',
-          additionalData: 'Product registered and verified',
-          stakeholder: manufacturerId
-        },
-        productId: product.id
-      }
+      // Create initial checkpoint (registerProduct records the same one on-chain)
+      const checkpoint = await tx.checkpoint.create({
+        data: {
+          name: 'Manufactured',
+          location: 'Manufacturing Facility',
+          timestamp: new Date(),
+          environment: 'Production Line',
+          metadata: {
+            status: 'MANUFACTURED',
+            additionalData: 'Product registered and verified',
+            stakeholder: userId
+          },
+          productId: product.id
+        }
+      });
+
+      const blockchainJob = await OutboxService.enqueue({
+        method: 'registerProduct',
+        payload: { productId: product.id },
+        resourceType: 'product',
+        resourceId: product.id,
+        createdById: userId
+      }, tx);
+
+      return { product, checkpoint, blockchainJob };
     });
 
     // Transform product to match frontend expectations
@@ -462,8 +496,17 @@ router.post('/', optionalAuth, validateProductRegistration, asyncHandler(async (
       expiryDate: product.expiryDate?.toISOString(),
       rawMaterials: product.rawMaterials,
       status: product.isActive ? 'ACTIVE' : 'INACTIVE',
-      blockchainId: null, // Blockchain integration will be implemented in future iterations
+      // Nothing is minted yet; the on-chain registration is the queued blockchainJob
+      blockchainId: null,
+      blockchainStatus: blockchainJob.status,
       metadataURI: product.metadataURI,
+      organizationId: product.organizationId,
+      currentCustodianId: product.currentCustodianId,
+      packagingLevel: product.packagingLevel,
+      gtin: product.gtin,
+      lotNumber: product.lotNumber,
+      serialNumber: product.serialNumber,
+      parentId: product.parentId,
       createdAt: product.createdAt.toISOString(),
       updatedAt: product.updatedAt.toISOString(),
       manufacturer: {
@@ -480,13 +523,14 @@ router.post('/', optionalAuth, validateProductRegistration, asyncHandler(async (
         environment: checkpoint.environment,
         metadata: checkpoint.metadata
       }],
-      nftCertificates: [] // NFT certificate creation will be implemented in future iterations
+      nftCertificates: []
     };
 
     return res.status(201).json({
       success: true,
       message: 'Product registered successfully',
-      product: transformedProduct
+      product: transformedProduct,
+      blockchainJob: OutboxService.toResponse(blockchainJob)
     });
 
   } catch (error) {
@@ -499,8 +543,54 @@ router.post('/', optionalAuth, validateProductRegistration, asyncHandler(async (
   }
 }));
 
+// Bulk import products from a CSV or XLSX upload (multipart field "file"). With dryRun=true rows are
+// only validated; report=csv answers with the per-row report as a download instead of JSON.
+router.post('/import', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), receiveImportFile, [
+  query('dryRun').optional().isBoolean(),
+  query('report').optional().isIn(['json', 'csv']),
+  body('organizationId').optional().isString().notEmpty()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'Attach a CSV or XLSX file in the "file" field'
+    });
+  }
+
+  const result = await ProductImportService.import(req.user!, req.file, {
+    dryRun: req.query.dryRun === 'true',
+    organizationId: req.body.organizationId
+  });
+  const status = result.dryRun ? 200 : result.created > 0 ? 201 : 422;
+
+  if (req.query.report === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="product-import-${result.dryRun ? 'dry-run-' : ''}report.csv"`);
+    res.set('X-Import-Valid', String(result.valid));
+    res.set('X-Import-Invalid', String(result.invalid));
+    res.set('X-Import-Created', String(result.created));
+    return res.status(status).type('text/csv').send(ProductImportService.report(result.rows));
+  }
+
+  return res.status(status).json({
+    success: result.invalid === 0,
+    message: result.dryRun
+      ? `${result.valid} of ${result.totalRows} rows are valid`
+      : `Imported ${result.created} of ${result.totalRows} products`,
+    ...result
+  });
+}));
+
 // Add checkpoint to product
-router.post('/:id/checkpoints', validateCheckpoint, asyncHandler(async (req: AuthRequest, res: Response) => {
+router.post('/:id/checkpoints', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), validateCheckpoint, asyncHandler(async (req: AuthRequest, res: Response) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -510,37 +600,94 @@ router.post('/:id/checkpoints', validateCheckpoint, asyncHandler(async (req: Aut
   }
 
   const { id } = req.params;
-  const userId = req.user?.id;
-  const { status, location, additionalData, temperature, humidity } = req.body;
-
-  // Checkpoint addition logic will be implemented in future iterations
-  // 1. Verify user has permission to add checkpoint
-  // 2. Validate checkpoint data
-  // 3. Add checkpoint to database
-  // 4. Update blockchain with checkpoint
-  // 5. Trigger notifications if needed
-
-  const checkpoint = {
-    id: 'new_checkpoint_id',
-    productId: id,
-    status,
-    location,
-    additionalData,
-    temperature,
-    humidity,
-    timestamp: new Date().toISOString(),
-    stakeholder: userId
-  };
+  const user = req.user!;
+  const { status, location, additionalData, temperature, humidity, bizStep, disposition } = req.body;
 
-  return res.status(201).json({
-    message: 'Checkpoint added successfully',
-    checkpoint
-  });
+  try {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id }, OrganizationService.productScope(tenant)] },
+      include: { stakeholders: true }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    if (!OrganizationService.canRecordCheckpoint(tenant, product)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the manufacturing organization, the current custodian or a registered stakeholder can add checkpoints'
+      });
+    }
+
+    if (!product.isActive) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot add checkpoints to an inactive product'
+      });
+    }
+
+    const { checkpoint, propagatedCount, blockchainJob } = await prisma.$transaction(async (tx) => {
+      const checkpoint = await tx.checkpoint.create({
+        data: {
+          name: status,
+          location,
+          timestamp: new Date(),
+          bizStep,
+          disposition,
+          metadata: {
+            status,
+            additionalData,
+            temperature,
+            humidity,
+            stakeholder: user.id
+          },
+          productId: product.id
+        }
+      });
+
+      // Everything packed inside a case or pallet goes through the same checkpoint
+      const propagatedCount = await PackagingService.propagateCheckpoint(tx, checkpoint);
+
+      const blockchainJob = await AnchorService.enqueueCheckpoint(checkpoint, user.id, tx);
+
+      return { checkpoint, propagatedCount, blockchainJob };
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Checkpoint added successfully',
+      checkpoint: {
+        id: checkpoint.id,
+        productId: checkpoint.productId,
+        name: checkpoint.name,
+        location: checkpoint.location,
+        timestamp: checkpoint.timestamp.toISOString(),
+        environment: checkpoint.environment,
+        metadata: checkpoint.metadata
+      },
+      propagatedCount,
+      blockchainJob: blockchainJob ? OutboxService.toResponse(blockchainJob) : null
+    });
+
+  } catch (error) {
+    console.error('Error adding checkpoint:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to add checkpoint',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
 }));
 
 // Add stakeholder to product
-router.post('/:id/stakeholders', [
-  body('stakeholderAddress').isEthereumAddress()
+router.post('/:id/stakeholders', authMiddleware, [
+  body('stakeholderAddress').isEthereumAddress(),
+  body('role').optional().isIn(['MANUFACTURER', 'DISTRIBUTOR', 'RETAILER'])
 ], asyncHandler(async (req: AuthRequest, res: Response) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -551,22 +698,139 @@ router.post('/:id/stakeholders', [
   }
 
   const { id } = req.params;
-  const { stakeholderAddress } = req.body;
-  const userId = req.user?.id;
+  const { stakeholderAddress, role = 'DISTRIBUTOR' } = req.body;
+  const user = req.user!;
+  const walletAddress = stakeholderAddress.toLowerCase();
 
-  // Stakeholder addition logic will be implemented in future iterations
-  // 1. Verify user has permission to add stakeholder
-  // 2. Find or create stakeholder user
-  // 3. Add stakeholder to product
-  // 4. Update blockchain
-  // 5. Send notification to new stakeholder
+  try {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id }, OrganizationService.productScope(tenant)] },
+      include: { stakeholders: true }
+    });
 
-  return res.status(201).json({
-    message: 'Stakeholder added successfully',
-    stakeholder: {
-      address: stakeholderAddress,
-      role: 'DISTRIBUTOR'
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    if (!OrganizationService.canManageProduct(tenant, product)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the manufacturing organization can add stakeholders'
+      });
+    }
+
+    if (product.stakeholders.some(stakeholder => stakeholder.walletAddress === walletAddress)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Stakeholder already exists',
+        stakeholderAddress
+      });
     }
+
+    // Link the stakeholder to a platform account when the wallet is known
+    const stakeholderUser = await db.user.findFirst({
+      where: { walletAddress: { equals: walletAddress, mode: 'insensitive' } }
+    });
+
+    const stakeholder = await db.productStakeholder.create({
+      data: {
+        walletAddress,
+        role,
+        addedById: user.id,
+        productId: product.id,
+        userId: stakeholderUser?.id
+      }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Stakeholder added successfully',
+      stakeholder: {
+        id: stakeholder.id,
+        address: stakeholder.walletAddress,
+        role: stakeholder.role,
+        userId: stakeholder.userId,
+        createdAt: stakeholder.createdAt.toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error adding stakeholder:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to add stakeholder',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+}));
+
+// Chain of custody: which organization held the product when, and every transfer attempt
+router.get('/:id/custody', authMiddleware, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const custody = await CustodyService.chainOfCustody(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    custody
+  });
+}));
+
+// Pack products into this case or pallet
+router.post('/:id/aggregate', authMiddleware, validateAggregation, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { aggregationEvent, checkpoint, blockchainJob } = await PackagingService.aggregate(
+    req.user!,
+    req.params.id!,
+    req.body.childIds,
+    req.body.location
+  );
+
+  return res.status(201).json({
+    success: true,
+    message: `Packed ${aggregationEvent.childIds.length} item(s)`,
+    aggregationEvent,
+    checkpointId: checkpoint.id,
+    packaging: await PackagingService.tree(req.params.id!),
+    blockchainJob: blockchainJob ? OutboxService.toResponse(blockchainJob) : null
+  });
+}));
+
+// Unpack some or all products from this case or pallet
+router.post('/:id/disaggregate', authMiddleware, validateDisaggregation, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { aggregationEvent, checkpoint, blockchainJob } = await PackagingService.disaggregate(
+    req.user!,
+    req.params.id!,
+    req.body.childIds,
+    req.body.location
+  );
+
+  return res.json({
+    success: true,
+    message: `Unpacked ${aggregationEvent.childIds.length} item(s)`,
+    aggregationEvent,
+    checkpointId: checkpoint.id,
+    packaging: await PackagingService.tree(req.params.id!),
+    blockchainJob: blockchainJob ? OutboxService.toResponse(blockchainJob) : null
   });
 }));
 
@@ -574,37 +838,34 @@ router.post('/:id/stakeholders', [
 router.get('/:id/verify', asyncHandler(async (req: Request, res: Response) => {
   const { id } = req.params;
 
-  // Public verification logic will be implemented in future iterations
-  // 1. Get product information
-  // 2. Get blockchain verification data
-  // 3. Return public verification info
-
-  const verification = {
-    productId: id,
-    isValid: true,
-    productName: 'Sample Product',
-    manufacturer: 'Sample Corp',
-    batchNumber: 'BATCH001',
-    manufactureDate: new Date().toISOString(),
-    expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
-    blockchainVerified: true,
-    nftCertificate: 'nft_id',
-    supplyChain: [
-      {
-        status: 'MANUFACTURED',
-        location: 'Manufacturing Facility',
-        timestamp: new Date().toISOString()
-      }
-    ]
-  };
+  try {
+    const verification = await VerificationService.forProduct(id!);
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
 
-  return res.json({ verification });
+    return res.json({ verification });
+
+  } catch (error) {
+    console.error('Error verifying product:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify product',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
 }));
 
 // Update product
-router.put('/:id', [
+router.put('/:id', authMiddleware, [
   body('name').optional().trim().escape(),
-  body('metadataURI').optional().isURL()
+  body('metadataURI').optional().isURL(),
+  body('expiryDate').optional().isISO8601(),
+  body('status').optional().isIn(['ACTIVE', 'INACTIVE'])
 ], asyncHandler(async (req: AuthRequest, res: Response) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -615,22 +876,80 @@ router.put('/:id', [
   }
 
   const { id } = req.params;
-  const userId = req.user?.id;
-  const updates = req.body;
+  const user = req.user!;
+  const { name, metadataURI, expiryDate, status } = req.body;
 
-  // Product update logic will be implemented in future iterations
-  // 1. Verify user has permission to update
-  // 2. Update product in database
-  // 3. Update blockchain if needed
+  try {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const existingProduct = await db.product.findFirst({
+      where: { AND: [{ id }, OrganizationService.productScope(tenant)] }
+    });
 
-  return res.json({
-    message: 'Product updated successfully',
-    product: {
-      id,
-      ...updates,
-      updatedAt: new Date().toISOString()
+    if (!existingProduct) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
     }
-  });
+
+    if (!OrganizationService.canManageProduct(tenant, existingProduct)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the manufacturing organization can update this product'
+      });
+    }
+
+    if (expiryDate && new Date(expiryDate) <= existingProduct.manufactureDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Expiry date must be after manufacture date'
+      });
+    }
+
+    // Only whitelisted fields may change; identity fields (batch, type, manufacturer) are immutable
+    const product = await db.product.update({
+      where: { id },
+      data: {
+        name,
+        metadataURI,
+        expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+        isActive: status ? status === 'ACTIVE' : undefined
+      }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Product updated successfully',
+      product: {
+        id: product.id,
+        name: product.name,
+        type: product.type,
+        batchNumber: product.batchNumber,
+        manufactureDate: product.manufactureDate.toISOString(),
+        expiryDate: product.expiryDate?.toISOString(),
+        rawMaterials: product.rawMaterials,
+        status: product.isActive ? 'ACTIVE' : 'INACTIVE',
+        metadataURI: product.metadataURI,
+        organizationId: product.organizationId,
+        currentCustodianId: product.currentCustodianId,
+        packagingLevel: product.packagingLevel,
+        gtin: product.gtin,
+        lotNumber: product.lotNumber,
+        serialNumber: product.serialNumber,
+        parentId: product.parentId,
+        createdAt: product.createdAt.toISOString(),
+        updatedAt: product.updatedAt.toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating product:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update product',
+      message: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
 }));
 
 export default router;
@@ -0,0 +1,178 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { RecallClassification, RecallStatus } from '@prisma/client';
+import { AuthRequest } from '../middleware/auth';
+import { asyncHandler } from '../middleware/errorHandler';
+import { AuthService } from '../services/authService';
+import { RecallService } from '../services/recallService';
+
+const router = Router();
+
+const validateRecall = [
+  body('title').isString().trim().isLength({ min: 3, max: 200 }).withMessage('Title is required (3-200 characters)'),
+  body('reason').isString().trim().isLength({ min: 3, max: 2000 }).withMessage('Reason is required'),
+  body('classification').isIn(Object.values(RecallClassification)).withMessage('Invalid recall classification'),
+  body('batchNumbers').optional().isArray({ min: 1 }),
+  body('batchNumbers.*').isString().trim().notEmpty(),
+  body('manufacturedFrom').optional().isISO8601(),
+  body('manufacturedTo').optional().isISO8601(),
+  body('rawMaterials').optional().isArray({ min: 1 }),
+  body('rawMaterials.*').isString().trim().notEmpty(),
+  body('instructions').optional().isString().trim().isLength({ max: 2000 }),
+  body('organizationId').optional().isString().notEmpty()
+];
+
+const validateNotes = [
+  param('id').isString().notEmpty(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 })
+];
+
+// List recalls issued by the user's organizations
+router.get('/', [
+  query('status').optional().isIn(Object.values(RecallStatus))
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const recalls = await RecallService.list(req.user!, req.query.status as RecallStatus | undefined);
+
+  return res.json({
+    success: true,
+    recalls
+  });
+}));
+
+// Recall notices addressed to the user, their organizations or wallet
+router.get('/notifications', [
+  query('pending').optional().isBoolean()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const notifications = await RecallService.notificationsFor(req.user!, req.query.pending === 'true');
+
+  return res.json({
+    success: true,
+    notifications
+  });
+}));
+
+// Open a recall and notify downstream holders of the affected products
+router.post('/', validateRecall, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { title, reason, classification, batchNumbers, manufacturedFrom, manufacturedTo, rawMaterials, instructions, organizationId } = req.body;
+  const recall = await RecallService.open(req.user!, {
+    title,
+    reason,
+    classification,
+    batchNumbers,
+    manufacturedFrom: manufacturedFrom ? new Date(manufacturedFrom) : undefined,
+    manufacturedTo: manufacturedTo ? new Date(manufacturedTo) : undefined,
+    rawMaterials,
+    instructions,
+    organizationId
+  });
+
+  await AuthService.logSecurityEvent(
+    'recall_opened',
+    'info',
+    `Recall ${recall.id} opened by user ${req.user!.id} covering ${recall.productCount} product(s)`,
+    { recallId: recall.id, organizationId: recall.organization?.id, classification, notified: recall.acknowledgements.total },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.status(201).json({
+    success: true,
+    recall
+  });
+}));
+
+// Get a recall (issuers see every acknowledgement, holders their own notices)
+router.get('/:id', asyncHandler(async (req: AuthRequest, res: Response) => {
+  const recall = await RecallService.get(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    recall
+  });
+}));
+
+// Acknowledge a recall notice
+router.post('/:id/acknowledge', validateNotes, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const recall = await RecallService.acknowledge(req.user!, req.params.id!, req.body.notes);
+
+  await AuthService.logSecurityEvent(
+    'recall_acknowledged',
+    'info',
+    `Recall ${recall.id} acknowledged by user ${req.user!.id}`,
+    { recallId: recall.id, userId: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    recall
+  });
+}));
+
+// Close a recall (issuing organization)
+router.post('/:id/close', validateNotes, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const recall = await RecallService.close(req.user!, req.params.id!, req.body.notes);
+
+  await AuthService.logSecurityEvent(
+    'recall_closed',
+    'info',
+    `Recall ${recall.id} closed by user ${req.user!.id}`,
+    { recallId: recall.id, acknowledged: recall.acknowledgements.acknowledged, notified: recall.acknowledgements.total },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.json({
+    success: true,
+    recall
+  });
+}));
+
+export default router;
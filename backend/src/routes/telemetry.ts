@@ -0,0 +1,149 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { securityConfig } from '../config/security';
+import { AuthRequest } from '../middleware/auth';
+import { apiKeyOrAuth, Permission, Resource } from '../middleware/authorization';
+import { asyncHandler } from '../middleware/errorHandler';
+import { SensorReading, TelemetryService } from '../services/telemetryService';
+
+const router = Router();
+
+const validateReadings = [
+  body('deviceId').isString().trim().isLength({ min: 1, max: 128 }).withMessage('deviceId is required'),
+  body('productId').optional().isString().notEmpty(),
+  body('custodyTransferId').optional().isString().notEmpty(),
+  body('productId').if(body('custodyTransferId').not().exists()).exists().withMessage('productId or custodyTransferId is required'),
+  body('location').optional().isString().trim().isLength({ max: 200 }),
+  body('readings').isArray({ min: 1, max: securityConfig.telemetry.maxReadingsPerBatch })
+    .withMessage(`readings must be a list of 1-${securityConfig.telemetry.maxReadingsPerBatch} readings`),
+  body('readings.*.timestamp').isISO8601().withMessage('Each reading needs an ISO 8601 timestamp'),
+  body('readings.*.temperature').optional().isFloat({ min: -100, max: 100 }).toFloat(),
+  body('readings.*.humidity').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('readings.*').custom(reading => reading.temperature !== undefined || reading.humidity !== undefined)
+    .withMessage('Each reading needs a temperature or humidity value')
+];
+
+const validateThreshold = [
+  body('productType').isString().trim().isLength({ min: 1, max: 100 }).withMessage('productType is required'),
+  body('organizationId').optional().isString().notEmpty(),
+  body('minTemperature').optional().isFloat({ min: -100, max: 100 }).toFloat(),
+  body('maxTemperature').optional().isFloat({ min: -100, max: 100 }).toFloat(),
+  body('minHumidity').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('maxHumidity').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('maxExcursionMinutes').optional().isInt({ min: 0, max: 7 * 24 * 60 }).toInt()
+];
+
+// Ingest a batch of sensor readings from one device, bound to a product or a shipment
+router.post('/readings', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), validateReadings, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { deviceId, productId, custodyTransferId, location, readings } = req.body;
+  const result = await TelemetryService.ingest(req.user!, {
+    deviceId,
+    productId,
+    custodyTransferId,
+    location,
+    readings: (readings as (Omit<SensorReading, 'timestamp'> & { timestamp: string })[]).map(reading => ({
+      timestamp: new Date(reading.timestamp),
+      temperature: reading.temperature,
+      humidity: reading.humidity
+    }))
+  });
+
+  return res.status(result.stored > 0 ? 201 : 200).json({
+    success: true,
+    ...result
+  });
+}));
+
+// Readings and excursions recorded for a product
+router.get('/products/:id', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [
+  param('id').isString().notEmpty(),
+  query('deviceId').optional().isString().notEmpty(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 5000 }).toInt()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { deviceId, from, to } = req.query as Record<string, string | undefined>;
+  const history = await TelemetryService.history(req.user!, req.params.id!, {
+    deviceId,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    limit: req.query.limit as number | undefined
+  });
+
+  return res.json({
+    success: true,
+    ...history
+  });
+}));
+
+// Temperature and humidity ranges set by the user's organizations
+router.get('/thresholds', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), asyncHandler(async (req: AuthRequest, res: Response) => {
+  const thresholds = await TelemetryService.listThresholds(req.user!);
+
+  return res.json({
+    success: true,
+    thresholds
+  });
+}));
+
+// Create or replace the range for a product type
+router.put('/thresholds', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), validateThreshold, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const threshold = await TelemetryService.setThreshold(req.user!, req.body);
+
+  return res.json({
+    success: true,
+    threshold
+  });
+}));
+
+// Stop checking a product type for excursions
+router.delete('/thresholds/:id', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), [
+  param('id').isString().notEmpty()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const threshold = await TelemetryService.deleteThreshold(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    message: 'Threshold removed',
+    threshold
+  });
+}));
+
+export default router;
@@ -0,0 +1,130 @@
+import { Router } from 'express';
+import { Response } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { CriticalTrackingEvent } from '@prisma/client';
+import { AuthRequest } from '../middleware/auth';
+import { apiKeyOrAuth, Permission, Resource } from '../middleware/authorization';
+import { asyncHandler } from '../middleware/errorHandler';
+import { TraceabilityService } from '../services/traceabilityService';
+
+const router = Router();
+
+const location = (field: string) => body(field).optional().isString().trim().isLength({ min: 1, max: 500 });
+
+const validateEvent = [
+  param('id').isString().notEmpty(),
+  body('cte').isIn(Object.values(CriticalTrackingEvent))
+    .withMessage(`cte must be one of ${Object.values(CriticalTrackingEvent).join(', ')}`),
+  body('eventDate').isISO8601().withMessage('eventDate must be an ISO 8601 date').toDate(),
+  body('location').isString().trim().isLength({ min: 1, max: 500 }).withMessage('location is required'),
+  body('traceabilityLotCode').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('productDescription').optional().isString().trim().isLength({ min: 1, max: 500 }),
+  body('quantity').isFloat({ gt: 0 }).withMessage('quantity must be a positive number').toFloat(),
+  body('unitOfMeasure').isString().trim().isLength({ min: 1, max: 50 }).withMessage('unitOfMeasure is required'),
+  location('tlcSourceLocation'),
+  location('shipFromLocation'),
+  location('shipToLocation'),
+  body('referenceDocumentType').isString().trim().isLength({ min: 1, max: 100 }).withMessage('referenceDocumentType is required'),
+  body('referenceDocumentNumber').isString().trim().isLength({ min: 1, max: 100 }).withMessage('referenceDocumentNumber is required'),
+  body('commodity').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('variety').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('fieldName').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('harvestDate').optional().isISO8601().toDate(),
+  location('harvestLocation'),
+  body('coolingDate').optional().isISO8601().toDate(),
+  location('coolingLocation'),
+  body('inputs').optional().isArray({ min: 1, max: 100 }),
+  body('inputs.*.traceabilityLotCode').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each input needs a traceabilityLotCode'),
+  body('inputs.*.productDescription').optional().isString().trim().isLength({ max: 500 }),
+  body('inputs.*.quantity').optional().isFloat({ gt: 0 }).toFloat(),
+  body('inputs.*.unitOfMeasure').optional().isString().trim().isLength({ max: 50 })
+];
+
+// Record a Critical Tracking Event with its Key Data Elements for a FOOD product
+router.post('/products/:id/events', apiKeyOrAuth(Resource.PRODUCT, Permission.WRITE), validateEvent, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const result = await TraceabilityService.record(req.user!, req.params.id!, req.body);
+
+  return res.status(201).json({
+    success: true,
+    message: `${result.record.cte} event recorded for lot ${result.record.traceabilityLotCode}`,
+    ...result
+  });
+}));
+
+// Traceability records of a product
+router.get('/products/:id/events', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [
+  param('id').isString().notEmpty()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const records = await TraceabilityService.list(req.user!, req.params.id!);
+
+  return res.json({
+    success: true,
+    records
+  });
+}));
+
+// Electronic sortable spreadsheet for an FDA records request (XLSX by default)
+router.get('/report', apiKeyOrAuth(Resource.PRODUCT, Permission.READ), [
+  query('lotCode').optional().isString().trim().notEmpty(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('format').optional().isIn(['xlsx', 'csv', 'json']).withMessage('format must be xlsx, csv or json'),
+  query('limit').optional().isInt({ min: 1, max: 50000 }).toInt()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { lotCode, from, to, format = 'xlsx' } = req.query as Record<string, string | undefined>;
+  const { records, truncated } = await TraceabilityService.report(req.user!, {
+    lotCode,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    limit: req.query.limit as number | undefined
+  });
+
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      count: records.length,
+      truncated,
+      records: records.map(record => TraceabilityService.toResponse(record))
+    });
+  }
+
+  const filename = `fsma204-${lotCode || 'records'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^A-Za-z0-9._-]/g, '_')}"`);
+  res.set('X-Record-Count', String(records.length));
+  res.set('X-Records-Truncated', String(truncated));
+  if (format === 'csv') {
+    return res.type('text/csv').send(TraceabilityService.csv(records));
+  }
+  return res
+    .type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    .send(await TraceabilityService.spreadsheet(records));
+}));
+
+export default router;
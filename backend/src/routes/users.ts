@@ -1,10 +1,16 @@
 import { Router } from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { Request, Response } from 'express';
 import { asyncHandler } from '../middleware/errorHandler';
 import * as jwt from 'jsonwebtoken';
 import { AuthService } from '../services/authService';
 import { UserService } from '../services/userService';
+import { WalletAuthService } from '../services/walletAuthService';
+import { RoleService } from '../services/roleService';
+import { OrganizationService } from '../services/organizationService';
+import { AuthRequest, authMiddleware } from '../middleware/auth';
+import { requireRole, UserRole } from '../middleware/authorization';
+import { ALL_ROLES, SELF_REGISTRATION_ROLES } from '../config/roles';
 
 const router = Router();
 
@@ -14,7 +20,7 @@ const validateUserRegistration = [
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
   body('firstName').optional().trim().escape(),
   body('lastName').optional().trim().escape(),
-  body('role').optional().isIn(['USER', 'MANUFACTURER', 'DISTRIBUTOR', 'RETAILER', 'ADMIN']),
+  body('role').optional().isIn(SELF_REGISTRATION_ROLES).withMessage(`role must be one of ${SELF_REGISTRATION_ROLES.join(', ')}`),
   body('walletAddress').optional().isEthereumAddress().withMessage('Valid Ethereum address required'),
   // Legacy fields for backward compatibility
   body('companyName').optional().trim().escape(),
@@ -57,7 +63,7 @@ router.post('/register', validateUserRegistration, asyncHandler(async (req: Requ
     lastName,
     role,
     walletAddress
-  });
+  }, { ipAddress: req.ip, userAgent: req.get('User-Agent') });
 
   if (result.success) {
     // Log successful registration
@@ -74,6 +80,8 @@ router.post('/register', validateUserRegistration, asyncHandler(async (req: Requ
       success: true,
       message: 'User registered successfully',
       token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
       user: result.user
     });
   } else {
@@ -118,7 +126,19 @@ router.post('/login', validateUserLogin, asyncHandler(async (req: Request, res:
   );
 
   // Use AuthService for login
-  const result = await AuthService.loginUser({ email, password });
+  const result = await AuthService.loginUser(
+    { email, password },
+    { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+  );
+
+  if (result.success && result.mfaRequired) {
+    return res.json({
+      success: true,
+      message: 'Multi-factor authentication required',
+      mfaRequired: true,
+      mfaToken: result.mfaToken
+    });
+  }
 
   if (result.success) {
     // Log successful login
@@ -135,6 +155,8 @@ router.post('/login', validateUserLogin, asyncHandler(async (req: Request, res:
       success: true,
       message: 'Login successful',
       token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
       user: result.user
     });
   } else {
@@ -155,15 +177,37 @@ router.post('/login', validateUserLogin, asyncHandler(async (req: Request, res:
   }
 }));
 
-// Web3 wallet authentication
+// Sign-In With Ethereum: issue a nonce for the client to embed in its EIP-4361 message
+router.get('/wallet-auth/nonce', [
+  query('walletAddress').optional().isEthereumAddress()
+], asyncHandler(async (req: Request, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const nonce = await WalletAuthService.createNonce(req.query.walletAddress as string | undefined);
+
+  return res.json({
+    success: true,
+    ...nonce
+  });
+}));
+
+// Web3 wallet authentication: verify a signed EIP-4361 message
 router.post('/wallet-auth', [
-  body('walletAddress').isEthereumAddress(),
-  body('signature').notEmpty(),
-  body('message').notEmpty()
+  body('walletAddress').optional().isEthereumAddress(),
+  body('signature').matches(/^0x[a-fA-F0-9]{130}$/).withMessage('Valid signature is required'),
+  body('message').isString().isLength({ min: 1, max: 4096 })
 ], asyncHandler(async (req: Request, res: Response) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
+      success: false,
       error: 'Validation failed',
       details: errors.array()
     });
@@ -171,58 +215,229 @@ router.post('/wallet-auth', [
 
   const { walletAddress, signature, message } = req.body;
 
-  // TODO: Implement wallet authentication logic
-  // 1. Verify signature
-  // 2. Check if wallet is associated with existing user
-  // 3. Create user if doesn't exist
-  // 4. Generate JWT token
+  const result = await WalletAuthService.signIn(message, signature, walletAddress, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (!result.success) {
+    await AuthService.logSecurityEvent(
+      'wallet_login_failure',
+      'warning',
+      `Wallet login failed${walletAddress ? ` for ${walletAddress}` : ''}`,
+      { walletAddress, error: result.error },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    return res.status(401).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  if (result.mfaRequired) {
+    return res.json({
+      success: true,
+      message: 'Multi-factor authentication required',
+      mfaRequired: true,
+      mfaToken: result.mfaToken
+    });
+  }
+
+  await AuthService.logSecurityEvent(
+    'wallet_login_success',
+    'info',
+    `Wallet logged in successfully: ${result.user?.walletAddress}`,
+    { userId: result.user?.id, walletAddress: result.user?.walletAddress, isNew: result.isNew },
+    req.ip,
+    req.get('User-Agent')
+  );
 
   return res.json({
+    success: true,
     message: 'Wallet authentication successful',
-    token: 'jwt_token_here', // TODO: Generate actual JWT
+    token: result.token,
+    refreshToken: result.refreshToken,
+    expiresIn: result.expiresIn,
+    user: result.user,
+    isNew: result.isNew
+  });
+}));
+
+// Get the current user's profile and organizations
+router.get('/profile', authMiddleware, asyncHandler(async (req: AuthRequest, res: Response) => {
+  const result = await UserService.getUserById(req.user!.id);
+  if (!result.user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const { user } = result;
+  const organizations = await OrganizationService.listForUser(user.id);
+
+  return res.json({
+    success: true,
     user: {
-      walletAddress,
-      role: 'MANUFACTURER' // TODO: Get from database
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      walletAddress: user.walletAddress,
+      role: user.role,
+      roles: await RoleService.getRoles(user.id),
+      mfaEnabled: user.mfaEnabled,
+      organizations,
+      // Kept for clients that predate organizations: the first organization joined
+      companyName: organizations[0]?.name || null,
+      companyType: organizations[0]?.type || null,
+      createdAt: user.createdAt.toISOString()
     }
   });
 }));
 
-// Get user profile
-router.get('/profile', asyncHandler(async (req: Request, res: Response) => {
-  // TODO: Get user profile from database
+// Update the current user's profile. Organization details are managed under /api/organizations.
+router.put('/profile', authMiddleware, [
+  body('firstName').optional().trim().isLength({ min: 1, max: 50 }).escape(),
+  body('lastName').optional().trim().isLength({ min: 1, max: 50 }).escape()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { firstName, lastName } = req.body;
+  const result = await UserService.updateUser(req.user!.id, { firstName, lastName });
+
+  if (!result.success || !result.user) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update profile'
+    });
+  }
+
   return res.json({
+    success: true,
+    message: 'Profile updated successfully',
     user: {
-      id: 'user_id',
-      email: 'user@example.com',
-      companyName: 'Example Corp',
-      companyType: 'MANUFACTURER',
-      walletAddress: '0x123...',
-      role: 'MANUFACTURER',
-      createdAt: new Date().toISOString()
+      id: result.user.id,
+      email: result.user.email,
+      firstName: result.user.firstName,
+      lastName: result.user.lastName
     }
   });
 }));
 
-// Update user profile
-router.put('/profile', [
-  body('companyName').optional().trim().escape(),
-  body('walletAddress').optional().isEthereumAddress()
-], asyncHandler(async (req: Request, res: Response) => {
+const validateRoleAssignment = [
+  param('id').notEmpty().withMessage('User ID is required'),
+  body('role').isIn(ALL_ROLES).withMessage('Invalid user role'),
+  body('organizationId').optional().isString().notEmpty()
+];
+
+// List a user's roles and role assignments (admin only)
+router.get('/:id/roles', authMiddleware, requireRole([UserRole.ADMIN]), asyncHandler(async (req: AuthRequest, res: Response) => {
+  const userId = req.params.id!;
+  const [roles, assignments] = await Promise.all([
+    RoleService.getRoles(userId),
+    RoleService.listAssignments(userId)
+  ]);
+
+  if (roles.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  return res.json({
+    success: true,
+    roles,
+    assignments
+  });
+}));
+
+// Grant a role, globally or within an organization (admin only)
+router.post('/:id/roles', authMiddleware, requireRole([UserRole.ADMIN]), validateRoleAssignment, asyncHandler(async (req: AuthRequest, res: Response) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
+      success: false,
       error: 'Validation failed',
       details: errors.array()
     });
   }
 
-  const updates = req.body;
+  const userId = req.params.id!;
+  const { role, organizationId } = req.body;
 
-  // TODO: Update user profile in database
+  const existing = await UserService.getUserById(userId);
+  if (!existing.user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const assignment = await RoleService.assignRole(userId, role, organizationId);
+
+  await AuthService.logSecurityEvent(
+    'user_role_assigned',
+    'info',
+    `Role ${role} assigned to user ${userId}`,
+    { userId, role, organizationId, assignedBy: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
+
+  return res.status(201).json({
+    success: true,
+    assignment
+  });
+}));
+
+// Remove a role assignment (admin only). Takes effect when the user's access token is next refreshed.
+router.delete('/:id/roles/:role', authMiddleware, requireRole([UserRole.ADMIN]), [
+  param('role').isIn(ALL_ROLES).withMessage('Invalid user role'),
+  query('organizationId').optional().isString().notEmpty()
+], asyncHandler(async (req: AuthRequest, res: Response) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const userId = req.params.id!;
+  const role = req.params.role as UserRole;
+  const organizationId = req.query.organizationId as string | undefined;
+
+  const removed = await RoleService.removeRole(userId, role, organizationId);
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      error: 'Role assignment not found'
+    });
+  }
+
+  await AuthService.logSecurityEvent(
+    'user_role_removed',
+    'info',
+    `Role ${role} removed from user ${userId}`,
+    { userId, role, organizationId, removedBy: req.user!.id },
+    req.ip,
+    req.get('User-Agent')
+  );
 
   return res.json({
-    message: 'Profile updated successfully',
-    user: updates
+    success: true,
+    message: 'Role removed'
   });
 }));
 
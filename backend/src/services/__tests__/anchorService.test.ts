@@ -0,0 +1,92 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import { Checkpoint, CheckpointAnchor } from '@prisma/client';
+import { id } from 'ethers';
+import prisma from '../../config/database';
+import { buildMerkleTree } from '../../config/hashing';
+import { securityConfig } from '../../config/security';
+import { fake } from '../../__tests__/fakeDb';
+import { AnchorService } from '../anchorService';
+
+jest.mock('../../config/database', () => {
+  const client = { outboxJob: { create: jest.fn() } };
+  return { __esModule: true, default: client, db: client };
+});
+
+const { anchoring } = securityConfig.blockchain;
+const anchoringEnabled = anchoring.enabled;
+
+const checkpoint = (overrides: Partial<Checkpoint> = {}): Checkpoint => ({
+  id: 'checkpoint-1',
+  productId: 'product-1',
+  name: 'Shipped',
+  location: 'Rotterdam',
+  timestamp: new Date('2026-10-01T08:00:00.000Z'),
+  environment: null,
+  metadata: { status: 'shipped' },
+  epcisEventId: null,
+  eventType: null,
+  bizStep: 'urn:epcglobal:cbv:bizstep:shipping',
+  disposition: 'urn:epcglobal:cbv:disp:in_transit',
+  readPoint: null,
+  bizLocation: null,
+  propagatedFromId: null,
+  createdAt: new Date('2026-10-01T08:00:05.000Z'),
+  ...overrides
+} as Checkpoint);
+
+afterEach(() => {
+  anchoring.enabled = anchoringEnabled;
+  jest.clearAllMocks();
+});
+
+describe('AnchorService.enqueueCheckpoint', () => {
+  it('queues the checkpoint on its own when anchoring is off', async () => {
+    anchoring.enabled = false;
+    fake<{ data: object }>(prisma.outboxJob.create, ({ data }) => ({ id: 'job-1', ...data }));
+
+    const job = await AnchorService.enqueueCheckpoint(checkpoint(), 'user-1');
+
+    expect(job).toMatchObject({
+      method: 'addCheckpoint',
+      payload: { productId: 'product-1', checkpointId: 'checkpoint-1' },
+      resourceId: 'checkpoint-1',
+      createdById: 'user-1'
+    });
+  });
+
+  it('leaves the checkpoint to its batch root when anchoring is on', async () => {
+    anchoring.enabled = true;
+
+    expect(await AnchorService.enqueueCheckpoint(checkpoint(), 'user-1')).toBeNull();
+    expect(prisma.outboxJob.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('AnchorService.proof', () => {
+  const batch = [checkpoint(), checkpoint({ id: 'checkpoint-2', name: 'Received' }), checkpoint({ id: 'checkpoint-3', name: 'Sold' })];
+  const hashes = batch.map(entry => AnchorService.checkpointHash(entry));
+  const tree = buildMerkleTree(hashes);
+  const anchor = { id: 'anchor-1', merkleRoot: tree.root, leafCount: 3, chainAnchorId: 4, txHash: id('tx'), blockNumber: 120, anchoredAt: new Date() } as CheckpointAnchor;
+  const anchored = (index: number, overrides: Partial<Checkpoint> = {}) =>
+    ({ ...batch[index]!, ...overrides, anchor, anchorHash: hashes[index]!, anchorProof: tree.proofs[index]! });
+
+  it('serves the inclusion proof and the anchoring transaction', () => {
+    expect(AnchorService.proof(anchored(2))).toMatchObject({
+      status: 'ANCHORED',
+      intact: true,
+      checkpointHash: hashes[2],
+      proof: tree.proofs[2],
+      merkleRoot: tree.root,
+      chain: { anchorId: 4, txHash: id('tx'), blockNumber: 120 }
+    });
+  });
+
+  it('flags a checkpoint edited after it was anchored', () => {
+    expect(AnchorService.proof(anchored(1, { location: 'Antwerp' }))).toMatchObject({ status: 'ANCHORED', intact: false });
+  });
+
+  it('reports checkpoints not in a batch yet', () => {
+    expect(AnchorService.proof({ ...batch[0]!, anchor: null, anchorHash: null, anchorProof: [] } as Parameters<typeof AnchorService.proof>[0]))
+      .toEqual({ status: 'UNANCHORED', intact: null });
+  });
+});
@@ -0,0 +1,179 @@
+import * as crypto from 'crypto';
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { ApiKey } from '@prisma/client';
+import { db } from '../../config/database';
+import { securityConfig } from '../../config/security';
+import { fake } from '../../__tests__/fakeDb';
+import { ApiKeyService } from '../apiKeyService';
+
+jest.mock('../../config/database', () => ({
+  db: {
+    apiKey: { count: jest.fn(), create: jest.fn(), findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() }
+  }
+}));
+
+interface Query {
+  where: { id?: string; userId?: string; keyHash?: string; revokedAt?: null };
+  data: Partial<ApiKey>;
+}
+
+const config = securityConfig.apiKeys;
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const owner = { id: 'user-1', email: 'ops@acme.example', role: 'MANUFACTURER' };
+
+let keys: ApiKey[];
+
+const sha256 = (value: string) => crypto.createHash('sha256').update(value).digest('hex');
+
+const createKey = (fields: Partial<Parameters<typeof ApiKeyService.create>[1]> = {}) =>
+  ApiKeyService.create('user-1', { name: 'ERP sync', scopes: ['product:read'], ...fields });
+
+beforeEach(() => {
+  // The service stamps keys with new Date(), so the clock itself is faked
+  jest.useFakeTimers({ now: NOW });
+  keys = [];
+
+  fake<Query>(db.apiKey.count, ({ where }) => keys.filter(key => key.userId === where.userId && key.revokedAt === null).length);
+  fake<Query>(db.apiKey.create, ({ data }) => {
+    const key = {
+      id: `key-${keys.length + 1}`,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      createdAt: new Date(NOW),
+      ...data
+    } as ApiKey;
+    keys.push(key);
+    return { ...key };
+  });
+  fake<Query>(db.apiKey.findUnique, ({ where }) => {
+    const key = keys.find(candidate => candidate.keyHash === where.keyHash);
+    return key ? { ...key, user: owner } : null;
+  });
+  fake<Query>(db.apiKey.update, ({ where, data }) => Object.assign(keys.find(key => key.id === where.id)!, data));
+  fake<Query>(db.apiKey.updateMany, ({ where, data }) => {
+    const matched = keys.filter(key => key.id === where.id && key.userId === where.userId && key.revokedAt === null);
+    matched.forEach(key => Object.assign(key, data));
+    return { count: matched.length };
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('ApiKeyService.create', () => {
+  it('returns the full key once and stores only its hash and prefix', async () => {
+    const { key, apiKey } = await createKey();
+
+    expect(key).toMatch(/^tc_[0-9a-f]{8}_[A-Za-z0-9_-]{32}$/);
+    expect(key.startsWith(`${apiKey.prefix}_`)).toBe(true);
+    expect(keys[0]!.keyHash).toBe(sha256(key));
+    expect(JSON.stringify(keys[0])).not.toContain(key);
+  });
+
+  it('drops duplicate scopes', async () => {
+    const { apiKey } = await createKey({ scopes: ['product:read', 'product:write', 'product:read'] });
+
+    expect(apiKey.scopes).toEqual(['product:read', 'product:write']);
+  });
+
+  it('expires keys after the rotation period unless an earlier date is requested', async () => {
+    const earlier = new Date(NOW + 24 * 60 * 60 * 1000);
+
+    expect((await createKey()).apiKey.expiresAt).toEqual(new Date(NOW + config.rotationPeriod));
+    expect((await createKey({ expiresAt: earlier })).apiKey.expiresAt).toEqual(earlier);
+  });
+
+  it('uses the default rate limit and caps requested ones', async () => {
+    expect((await createKey()).apiKey.rateLimitPerMinute).toBe(config.defaultRateLimitPerMinute);
+    expect((await createKey({ rateLimitPerMinute: config.maxRateLimitPerMinute * 10 })).apiKey.rateLimitPerMinute)
+      .toBe(config.maxRateLimitPerMinute);
+  });
+
+  it('refuses keys beyond the per-user limit, counting only active ones', async () => {
+    for (let created = 0; created < config.maxKeysPerUser; created++) {
+      await createKey();
+    }
+    await expect(createKey()).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(await ApiKeyService.revoke('user-1', 'key-1')).toBe(true);
+    await expect(createKey()).resolves.toHaveProperty('key');
+  });
+});
+
+describe('ApiKeyService.authenticate', () => {
+  it('resolves a presented key to its record and owner', async () => {
+    const { key } = await createKey();
+
+    expect(await ApiKeyService.authenticate(key, '203.0.113.7')).toMatchObject({ id: 'key-1', user: owner });
+  });
+
+  it('rejects unknown, revoked and expired keys', async () => {
+    const { key } = await createKey();
+    const { key: expired } = await createKey({ expiresAt: new Date(NOW - 1) });
+    const { key: revoked } = await createKey();
+    await ApiKeyService.revoke('user-1', 'key-3');
+
+    expect(await ApiKeyService.authenticate(`${key}x`)).toBeNull();
+    expect(await ApiKeyService.authenticate(expired)).toBeNull();
+    expect(await ApiKeyService.authenticate(revoked)).toBeNull();
+  });
+
+  it('records when and where a key was used at most once per interval', async () => {
+    const { key } = await createKey();
+
+    await ApiKeyService.authenticate(key, '203.0.113.7');
+    jest.setSystemTime(NOW + config.lastUsedUpdateInterval);
+    await ApiKeyService.authenticate(key, '198.51.100.1');
+    expect(keys[0]).toMatchObject({ lastUsedAt: new Date(NOW), lastUsedIp: '203.0.113.7' });
+
+    jest.setSystemTime(NOW + config.lastUsedUpdateInterval + 1);
+    await ApiKeyService.authenticate(key, '198.51.100.1');
+    expect(keys[0]).toMatchObject({ lastUsedAt: new Date(NOW + config.lastUsedUpdateInterval + 1), lastUsedIp: '198.51.100.1' });
+  });
+});
+
+describe('ApiKeyService.revoke', () => {
+  it('revokes only the owner\'s active keys', async () => {
+    await createKey();
+
+    expect(await ApiKeyService.revoke('user-2', 'key-1')).toBe(false);
+    expect(await ApiKeyService.revoke('user-1', 'key-1')).toBe(true);
+    expect(await ApiKeyService.revoke('user-1', 'key-1')).toBe(false);
+  });
+});
+
+describe('ApiKeyService.consumeRateLimit', () => {
+  it('allows the key\'s limit per minute and resets with the next window', () => {
+    const apiKey = { id: 'rate-limited', rateLimitPerMinute: 2 };
+
+    expect(ApiKeyService.consumeRateLimit(apiKey)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(ApiKeyService.consumeRateLimit(apiKey)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(ApiKeyService.consumeRateLimit(apiKey)).toMatchObject({
+      allowed: false,
+      limit: 2,
+      remaining: 0,
+      resetAt: new Date(NOW + 60 * 1000)
+    });
+
+    jest.setSystemTime(NOW + 60 * 1000);
+    expect(ApiKeyService.consumeRateLimit(apiKey)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  it('counts each key separately', () => {
+    ApiKeyService.consumeRateLimit({ id: 'busy', rateLimitPerMinute: 1 });
+
+    expect(ApiKeyService.consumeRateLimit({ id: 'busy', rateLimitPerMinute: 1 }).allowed).toBe(false);
+    expect(ApiKeyService.consumeRateLimit({ id: 'quiet', rateLimitPerMinute: 1 }).allowed).toBe(true);
+  });
+});
+
+describe('ApiKeyService.toResponse', () => {
+  it('never exposes the key hash', async () => {
+    const { apiKey } = await createKey();
+
+    expect(ApiKeyService.toResponse(apiKey)).not.toHaveProperty('keyHash');
+    expect(JSON.stringify(ApiKeyService.toResponse(apiKey))).not.toContain(apiKey.keyHash);
+  });
+});
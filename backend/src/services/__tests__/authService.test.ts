@@ -0,0 +1,53 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { PrismaClient, UserRole } from '@prisma/client';
+import { AuthService } from '../authService';
+
+jest.mock('@prisma/client', () => {
+  const user = { findUnique: jest.fn(), create: jest.fn() };
+  return {
+    ...jest.requireActual<object>('@prisma/client'),
+    PrismaClient: jest.fn(() => ({ user }))
+  };
+});
+
+jest.mock('../tokenService', () => ({
+  TokenService: {
+    issueTokens: async () => ({ token: 'access', refreshToken: 'refresh', expiresIn: 900 })
+  }
+}));
+
+// Every client the services construct shares these mocks
+const mockUser = (new PrismaClient() as unknown as { user: Record<'findUnique' | 'create', jest.Mock> }).user;
+
+const registration = { email: 'new@example.com', password: 'Str0ng!Passw0rd', firstName: 'Ada' };
+
+beforeEach(() => {
+  mockUser.findUnique.mockReset();
+  mockUser.create.mockReset();
+  (mockUser.findUnique as jest.Mock<() => Promise<unknown>>).mockResolvedValue(null);
+  (mockUser.create as jest.Mock<(query: { data: object }) => Promise<unknown>>)
+    .mockImplementation(async ({ data }) => ({ id: 'user-1', ...data }));
+});
+
+describe('AuthService.registerUser', () => {
+  it.each([UserRole.ADMIN, UserRole.MODERATOR, UserRole.AUDITOR])('refuses self-registration as %s', async role => {
+    const result = await AuthService.registerUser({ ...registration, role });
+
+    expect(result).toEqual({ success: false, error: `Role ${role} cannot be chosen at registration` });
+    expect(mockUser.create).not.toHaveBeenCalled();
+  });
+
+  it('registers a business role picked at sign-up', async () => {
+    const result = await AuthService.registerUser({ ...registration, role: UserRole.MANUFACTURER });
+
+    expect(result.success).toBe(true);
+    expect(result.user?.role).toBe(UserRole.MANUFACTURER);
+  });
+
+  it('registers a plain user when no role is given', async () => {
+    const result = await AuthService.registerUser(registration);
+
+    expect(result.success).toBe(true);
+    expect(mockUser.create).toHaveBeenCalledWith({ data: expect.objectContaining({ role: UserRole.USER }) });
+  });
+});
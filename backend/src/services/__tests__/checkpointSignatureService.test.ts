@@ -0,0 +1,100 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Wallet, hexlify, randomBytes } from 'ethers';
+import prisma, { db } from '../../config/database';
+import { CHECKPOINT_TYPES, DEVICE_REGISTRATION_TYPES, signingDomain } from '../../config/eip712';
+import { fake } from '../../__tests__/fakeDb';
+import { CheckpointSignatureService } from '../checkpointSignatureService';
+
+jest.mock('../../config/database', () => {
+  const client = {
+    $transaction: jest.fn(),
+    product: { findUnique: jest.fn() },
+    deviceKey: { findUnique: jest.fn(), create: jest.fn() },
+    user: { findFirst: jest.fn() },
+    checkpoint: { create: jest.fn() },
+    checkpointSignature: { create: jest.fn() }
+  };
+  return { __esModule: true, default: client, db: client };
+});
+
+jest.mock('../organizationService', () => ({
+  OrganizationService: { resolveTenant: async () => ({}), canRecordCheckpoint: () => true }
+}));
+jest.mock('../roleService', () => ({ RoleService: { getRoles: async () => [] } }));
+jest.mock('../packagingService', () => ({ PackagingService: { propagateCheckpoint: async () => 0 } }));
+jest.mock('../anchorService', () => ({ AnchorService: { enqueueCheckpoint: async () => null } }));
+
+interface Query {
+  where: { walletAddress?: { equals: string; mode?: string } };
+  data: Record<string, unknown>;
+}
+
+const wallet = Wallet.createRandom();
+let users: { id: string; role: string; walletAddress: string }[];
+let stakeholders: { walletAddress: string }[];
+
+// Matches the lookup the way Postgres would for the query's mode
+const userByWallet = ({ where }: Query) => users.find(user => where.walletAddress?.mode === 'insensitive'
+  ? user.walletAddress.toLowerCase() === where.walletAddress.equals.toLowerCase()
+  : user.walletAddress === where.walletAddress?.equals) || null;
+
+const signedCheckpoint = async (signer = wallet) => {
+  const fields = {
+    productId: 'product-1',
+    status: 'received',
+    location: 'Warehouse 4',
+    scannedAt: Math.floor(Date.now() / 1000) - 60,
+    nonce: hexlify(randomBytes(32))
+  };
+  const message = CheckpointSignatureService.message(fields);
+  return {
+    ...fields,
+    signer: signer.address,
+    signature: await signer.signTypedData(signingDomain(), CHECKPOINT_TYPES, message)
+  };
+};
+
+beforeEach(() => {
+  users = [];
+  stakeholders = [];
+  fake<Query>(db.product.findUnique, () => ({ id: 'product-1', organizationId: 'org-1', isActive: true, stakeholders }));
+  fake<Query>(db.deviceKey.findUnique, () => null);
+  fake<Query>(db.user.findFirst, userByWallet);
+  fake<(tx: unknown) => unknown>(prisma.$transaction, callback => callback(prisma));
+  fake<Query>(db.checkpoint.create, ({ data }) => ({ id: 'checkpoint-1', environment: null, ...data }));
+  fake<Query>(db.checkpointSignature.create, ({ data }) => ({ ...data, deviceKey: null, createdAt: new Date() }));
+});
+
+describe('CheckpointSignatureService.submit', () => {
+  it('accepts a wallet stored with its EIP-55 checksum', async () => {
+    users.push({ id: 'user-1', role: 'DISTRIBUTOR', walletAddress: wallet.address });
+
+    const result = await CheckpointSignatureService.submit(await signedCheckpoint());
+
+    expect(result.signature).toMatchObject({ signer: wallet.address.toLowerCase(), signerType: 'WALLET', userId: 'user-1' });
+  });
+
+  it('accepts a stakeholder recorded with its checksum', async () => {
+    stakeholders.push({ walletAddress: wallet.address });
+
+    const result = await CheckpointSignatureService.submit(await signedCheckpoint());
+
+    expect(result.signature).toMatchObject({ signer: wallet.address.toLowerCase(), userId: null });
+  });
+
+  it('rejects a signer that is neither a user, a stakeholder nor a device', async () => {
+    await expect(CheckpointSignatureService.submit(await signedCheckpoint()))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('CheckpointSignatureService.registerDevice', () => {
+  it('refuses a key that is a checksummed user wallet', async () => {
+    users.push({ id: 'user-1', role: 'DISTRIBUTOR', walletAddress: wallet.address });
+    const signature = await wallet.signTypedData(signingDomain(), DEVICE_REGISTRATION_TYPES, { organizationId: 'org-1', name: 'Dock scanner' });
+
+    await expect(CheckpointSignatureService.registerDevice('org-1', 'admin-1', { name: 'Dock scanner', address: wallet.address, signature }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(db.deviceKey.create).not.toHaveBeenCalled();
+  });
+});
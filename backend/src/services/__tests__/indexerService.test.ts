@@ -0,0 +1,242 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { db } from '../../config/database';
+import { fake } from '../../__tests__/fakeDb';
+import { IndexerService } from '../indexerService';
+
+jest.mock('../../config/database', () => ({
+  db: {
+    product: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn(), findMany: jest.fn() },
+    outboxJob: { findFirst: jest.fn() },
+    checkpoint: { updateMany: jest.fn() },
+    productStakeholder: { updateMany: jest.fn() },
+    nftCertificate: { updateMany: jest.fn() },
+    chainCursor: { findUnique: jest.fn(), upsert: jest.fn(), update: jest.fn(), delete: jest.fn() },
+    indexedBlock: { findMany: jest.fn(), upsert: jest.fn(), deleteMany: jest.fn() }
+  }
+}));
+
+const mockOnChainProducts = new Map<number, Record<string, unknown>>();
+// Block hashes of the chain the RPC currently serves
+const mockBlocks = new Map<number, string>();
+const mockQueryFilter = jest.fn(async () => []);
+
+jest.mock('../../config/blockchain', () => ({
+  ...jest.requireActual<object>('../../config/blockchain'),
+  getProvider: () => ({
+    getBlockNumber: async () => Math.max(...mockBlocks.keys()),
+    getBlock: async (number: number) => (mockBlocks.has(number) ? { number, hash: mockBlocks.get(number) } : null)
+  }),
+  getProductRegistry: () => ({
+    getFunction: () => async (productId: number) => mockOnChainProducts.get(productId),
+    queryFilter: mockQueryFilter
+  }),
+  getNftCertificate: () => ({ queryFilter: mockQueryFilter })
+}));
+
+jest.mock('../userService', () => ({
+  UserService: {
+    findOrCreateByWalletAddress: async () => ({ success: true, user: { id: 'maker-1' } })
+  }
+}));
+
+interface Query {
+  where: Record<string, unknown> & { chainProductId?: number; batchNumber?: string; id?: string };
+  data: Record<string, unknown>;
+  update: Record<string, unknown>;
+  create: Record<string, unknown>;
+}
+
+const onChainProduct = (productType: string) => ({
+  productName: 'Amoxicillin 500mg',
+  productType,
+  manufacturer: '0x00000000000000000000000000000000000000aa',
+  batchNumber: 'AMX-2026-01',
+  manufactureDate: 1_790_000_000n,
+  expiryDate: 0n,
+  rawMaterials: ['amoxicillin'],
+  isActive: true,
+  metadataURI: ''
+});
+
+// syncProduct is what every ProductRegistered and ProductUpdated event runs
+const syncProduct = (chainProductId: number) => IndexerService['syncProduct'](chainProductId, null);
+
+beforeEach(() => {
+  mockOnChainProducts.clear();
+  fake<Query>(db.product.findUnique, () => null);
+  fake<Query>(db.product.create, ({ data }) => ({ id: 'product-1', ...data }));
+});
+
+describe('IndexerService product sync', () => {
+  it.each([
+    ['pharmaceutical', 'PHARMACEUTICAL'],
+    [' Food ', 'FOOD'],
+    ['OTHER', 'OTHER']
+  ])('stores the on-chain type %p as %s', async (productType, type) => {
+    mockOnChainProducts.set(7, onChainProduct(productType));
+
+    expect(await syncProduct(7)).toMatchObject({ type, lotNumber: 'AMX-2026-01', manufacturerId: 'maker-1' });
+  });
+
+  it.each(['Widgets', '', 'LUXURY GOODS'])('files a product with the free-text type %p under OTHER', async productType => {
+    mockOnChainProducts.set(7, onChainProduct(productType));
+
+    expect(await syncProduct(7)).toMatchObject({ type: 'OTHER' });
+  });
+});
+
+describe('IndexerService reorg handling', () => {
+  type Row = Record<string, unknown>;
+
+  let cursor: { id: string; blockNumber: number; blockHash: string } | null;
+  let indexedBlocks: Map<number, string>;
+  let products: Row[];
+  let checkpoints: Row[];
+  let stakeholders: Row[];
+  let certificates: Row[];
+
+  // The where conditions rollback and poll use: equality, gt, lt and not
+  const satisfies = (value: unknown, condition: unknown): boolean => {
+    if (condition === null || typeof condition !== 'object') {
+      return value === condition;
+    }
+    const { gt, lt, not } = condition as { gt?: number; lt?: number; not?: unknown };
+    return (gt === undefined || (value !== null && (value as number) > gt))
+      && (lt === undefined || (value !== null && (value as number) < lt))
+      && (!('not' in condition) || value !== not);
+  };
+
+  const matching = (rows: Row[], where: Row): Row[] =>
+    rows.filter(row => Object.entries(where).every(([field, condition]) => satisfies(row[field], condition)));
+
+  const updateMany = (rows: () => Row[]) => ({ where, data }: Query) => {
+    const matched = matching(rows(), where);
+    matched.forEach(row => Object.assign(row, data));
+    return { count: matched.length };
+  };
+
+  // Serve blocks from-to with the hashes of one fork
+  const fork = (prefix: string, from: number, to: number) => {
+    for (let number = from; number <= to; number++) {
+      mockBlocks.set(number, `0x${prefix}${number}`);
+    }
+  };
+
+  beforeEach(() => {
+    mockBlocks.clear();
+    mockQueryFilter.mockClear();
+    fork('a', 0, 10);
+    indexedBlocks = new Map(mockBlocks);
+    cursor = { id: 'chain-indexer', blockNumber: 10, blockHash: '0xa10' };
+
+    products = [
+      { id: 'kept', chainProductId: 1, chainTxHash: '0xt1', chainBlockNumber: 5, chainUpdatedBlock: null },
+      { id: 'orphaned', chainProductId: 2, chainTxHash: '0xt2', chainBlockNumber: 9, chainUpdatedBlock: null },
+      {
+        id: 'renamed',
+        chainProductId: 3,
+        chainTxHash: '0xt3',
+        chainBlockNumber: 4,
+        chainUpdatedBlock: 9,
+        name: 'Renamed on the orphaned fork',
+        isActive: false,
+        metadataURI: null
+      }
+    ];
+    checkpoints = [
+      { id: 'checkpoint-kept', chainIndex: 0, txHash: '0xt4', blockNumber: 7 },
+      { id: 'checkpoint-orphaned', chainIndex: 1, txHash: '0xt5', blockNumber: 8 }
+    ];
+    stakeholders = [{ id: 'stakeholder', blockNumber: 9 }];
+    certificates = [
+      { id: 'invalidated', txHash: '0xt6', blockNumber: 6, isValid: false, invalidationReason: 'Recalled', invalidatedAtBlock: 9 },
+      { id: 'minted', txHash: '0xt7', blockNumber: 10, isValid: true, invalidationReason: null, invalidatedAtBlock: null }
+    ];
+    mockOnChainProducts.set(3, onChainProduct('pharmaceutical'));
+
+    fake<Query>(db.chainCursor.findUnique, () => (cursor ? { ...cursor } : null));
+    fake<Query>(db.chainCursor.upsert, ({ create }) => (cursor = { ...create } as typeof cursor));
+    fake<Query>(db.chainCursor.update, ({ data }) => Object.assign(cursor!, data));
+    fake<Query>(db.chainCursor.delete, () => {
+      cursor = null;
+    });
+
+    fake<Query>(db.indexedBlock.findMany, ({ where }) =>
+      [...indexedBlocks].map(([number, hash]) => ({ number, hash }))
+        .filter(block => satisfies(block.number, where.number))
+        .sort((a, b) => b.number - a.number));
+    fake<Query>(db.indexedBlock.upsert, ({ create }) => indexedBlocks.set(create.number as number, create.hash as string));
+    fake<Query>(db.indexedBlock.deleteMany, ({ where }) => {
+      [...indexedBlocks.keys()].filter(number => satisfies(number, where.number)).forEach(number => indexedBlocks.delete(number));
+    });
+
+    fake<Query>(db.product.findUnique, ({ where }) => matching(products, where)[0] || null);
+    fake<Query>(db.product.findMany, ({ where }) => matching(products, where));
+    fake<Query>(db.product.update, ({ where, data }) => Object.assign(matching(products, where)[0]!, data));
+    fake<Query>(db.product.updateMany, updateMany(() => products));
+    fake<Query>(db.checkpoint.updateMany, updateMany(() => checkpoints));
+    fake<Query>(db.productStakeholder.updateMany, updateMany(() => stakeholders));
+    fake<Query>(db.nftCertificate.updateMany, updateMany(() => certificates));
+  });
+
+  it('indexes on from the cursor while the indexed chain is still canonical', async () => {
+    fork('a', 11, 12);
+
+    expect(await IndexerService.poll()).toBe(2);
+    expect(mockQueryFilter).toHaveBeenCalledWith('*', 11, 12);
+    expect(cursor).toMatchObject({ blockNumber: 12, blockHash: '0xa12' });
+    expect(products.find(row => row.id === 'orphaned')).toMatchObject({ chainProductId: 2 });
+  });
+
+  it('unlinks everything recorded after the last common block and re-indexes the new fork from there', async () => {
+    fork('b', 8, 12);
+
+    expect(await IndexerService.poll()).toBe(5);
+
+    expect(mockQueryFilter).toHaveBeenCalledWith('*', 8, 12);
+    expect(cursor).toMatchObject({ blockNumber: 12, blockHash: '0xb12' });
+    expect([...indexedBlocks].filter(([number]) => number > 7)).toEqual([[12, '0xb12']]);
+
+    expect(products.find(row => row.id === 'kept')).toMatchObject({ chainProductId: 1, chainBlockNumber: 5 });
+    expect(products.find(row => row.id === 'orphaned'))
+      .toMatchObject({ chainProductId: null, chainTxHash: null, chainBlockNumber: null });
+    expect(checkpoints).toEqual([
+      { id: 'checkpoint-kept', chainIndex: 0, txHash: '0xt4', blockNumber: 7 },
+      { id: 'checkpoint-orphaned', chainIndex: null, txHash: null, blockNumber: null }
+    ]);
+    expect(stakeholders).toEqual([{ id: 'stakeholder', blockNumber: null }]);
+  });
+
+  it('revalidates certificates invalidated on the orphaned fork and unlinks ones minted there', async () => {
+    fork('b', 8, 12);
+
+    await IndexerService.poll();
+
+    expect(certificates.find(row => row.id === 'invalidated'))
+      .toMatchObject({ isValid: true, invalidationReason: null, invalidatedAtBlock: null, blockNumber: 6 });
+    expect(certificates.find(row => row.id === 'minted')).toMatchObject({ txHash: null, blockNumber: null });
+  });
+
+  it('restores products updated on the orphaned fork from the canonical registry', async () => {
+    fork('b', 8, 12);
+
+    await IndexerService.poll();
+
+    expect(products.find(row => row.id === 'renamed')).toMatchObject({
+      chainProductId: 3,
+      name: 'Amoxicillin 500mg',
+      isActive: true,
+      chainUpdatedBlock: null
+    });
+  });
+
+  it('starts over from the start block when no recorded block is still canonical', async () => {
+    fork('b', 0, 12);
+
+    expect(await IndexerService.poll()).toBe(13);
+
+    expect(mockQueryFilter).toHaveBeenCalledWith('*', 0, 12);
+    expect(products.every(row => row.chainProductId === null)).toBe(true);
+    expect(cursor).toMatchObject({ blockNumber: 12, blockHash: '0xb12' });
+  });
+});
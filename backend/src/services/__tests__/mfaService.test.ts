@@ -0,0 +1,251 @@
+import * as crypto from 'crypto';
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { db } from '../../config/database';
+import { securityConfig } from '../../config/security';
+import { fake } from '../../__tests__/fakeDb';
+import { MfaService } from '../mfaService';
+
+jest.mock('../../config/database', () => ({
+  db: {
+    user: { findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() }
+  }
+}));
+
+interface StoredUser {
+  id: string;
+  email: string;
+  mfaEnabled: boolean;
+  mfaSecret: string | null;
+  mfaLastUsedStep: number | null;
+  mfaRecoveryCodes: string[];
+  mfaFailedAttempts: number;
+  mfaLockedUntil: Date | null;
+}
+
+interface Query {
+  where: {
+    id: string;
+    OR?: { mfaLastUsedStep: null | { lt: number } }[];
+    mfaRecoveryCodes?: { has: string; equals: string[] };
+    mfaFailedAttempts?: { lt: number };
+    mfaLockedUntil?: { lte: Date };
+  };
+  data: Partial<Omit<StoredUser, 'mfaFailedAttempts'>> & { mfaFailedAttempts?: number | { increment: number } };
+}
+
+const { period } = securityConfig.mfa;
+// Halfway through a time step, so neighbouring steps are a whole period away
+const NOW = (Math.floor(1_800_000_000 / period) * period + period / 2) * 1000;
+const CURRENT_STEP = Math.floor(NOW / 1000 / period);
+
+let user: StoredUser;
+
+const stepAllowed = (condition: { mfaLastUsedStep: null | { lt: number } }) =>
+  condition.mfaLastUsedStep === null
+    ? user.mfaLastUsedStep === null
+    : user.mfaLastUsedStep !== null && user.mfaLastUsedStep < condition.mfaLastUsedStep.lt;
+
+const sameCodes = (codes: string[]) =>
+  codes.length === user.mfaRecoveryCodes.length && codes.every((code, index) => user.mfaRecoveryCodes[index] === code);
+
+const apply = ({ mfaFailedAttempts, ...data }: Query['data']) => Object.assign(user, data, {
+  mfaFailedAttempts: typeof mfaFailedAttempts === 'object'
+    ? user.mfaFailedAttempts + mfaFailedAttempts.increment
+    : mfaFailedAttempts ?? user.mfaFailedAttempts
+});
+
+// RFC 6238 with the configured digits, written independently of the service
+const base32Decode = (input: string): Buffer => {
+  const bits = input.split('').map(char => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0')).join('');
+  return Buffer.from(bits.match(/.{8}/g)!.map(byte => parseInt(byte, 2)));
+};
+
+const totp = (secret: string, step: number): string => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1]! & 0xf;
+  return ((hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** securityConfig.mfa.digits)
+    .toString()
+    .padStart(securityConfig.mfa.digits, '0');
+};
+
+// Enrolled a few steps ago, so every step in the window around now is still unused
+const ENROLLED_STEP = CURRENT_STEP - 3;
+
+const enroll = async (): Promise<{ secret: string; recoveryCodes: string[] }> => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW - 3 * period * 1000);
+  const started = await MfaService.startEnrollment(user);
+  if (!started.success) throw new Error(started.error);
+  const confirmed = await MfaService.confirmEnrollment(user.id, totp(started.secret, ENROLLED_STEP));
+  if (!confirmed.success) throw new Error(confirmed.error);
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  return { secret: started.secret, recoveryCodes: confirmed.recoveryCodes };
+};
+
+beforeEach(() => {
+  user = {
+    id: 'user-1',
+    email: 'user@example.com',
+    mfaEnabled: false,
+    mfaSecret: null,
+    mfaLastUsedStep: null,
+    mfaRecoveryCodes: [],
+    mfaFailedAttempts: 0,
+    mfaLockedUntil: null
+  };
+
+  fake<Query>(db.user.findUnique, () => ({ ...user, mfaRecoveryCodes: [...user.mfaRecoveryCodes] }));
+  fake<Query>(db.user.update, ({ data }) => apply(data));
+  fake<Query>(db.user.updateMany, ({ where, data }) => {
+    const matched = where.id === user.id
+      && (!where.OR || where.OR.some(stepAllowed))
+      && (!where.mfaRecoveryCodes
+        || (user.mfaRecoveryCodes.includes(where.mfaRecoveryCodes.has) && sameCodes(where.mfaRecoveryCodes.equals)))
+      && (!where.mfaFailedAttempts || user.mfaFailedAttempts < where.mfaFailedAttempts.lt)
+      && (!where.mfaLockedUntil || (user.mfaLockedUntil !== null && user.mfaLockedUntil <= where.mfaLockedUntil.lte));
+    if (matched) {
+      apply(data);
+    }
+    return { count: matched ? 1 : 0 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MfaService TOTP codes', () => {
+  it('records the step of the code that confirmed enrollment', async () => {
+    await enroll();
+
+    expect(user.mfaEnabled).toBe(true);
+    expect(user.mfaLastUsedStep).toBe(ENROLLED_STEP);
+  });
+
+  it.each([-1, 0, 1])('accepts a code %i step(s) from the clock', async offset => {
+    const { secret } = await enroll();
+
+    expect(await MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP + offset))).toEqual({ success: true });
+    expect(user.mfaLastUsedStep).toBe(CURRENT_STEP + offset);
+  });
+
+  it.each([-2, 2])('rejects a code %i steps from the clock', async offset => {
+    const { secret } = await enroll();
+
+    expect(await MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP + offset)))
+      .toEqual({ success: false, error: 'Invalid verification code' });
+  });
+
+  it('rejects a code that was already used', async () => {
+    const { secret } = await enroll();
+    const code = totp(secret, CURRENT_STEP);
+    await MfaService.verifyCode(user.id, code);
+
+    expect(await MfaService.verifyCode(user.id, code)).toEqual({ success: false, error: 'Invalid verification code' });
+  });
+
+  it('rejects an older code once a newer one was used', async () => {
+    const { secret } = await enroll();
+    await MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP + 1));
+
+    expect(await MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP)))
+      .toEqual({ success: false, error: 'Invalid verification code' });
+  });
+
+  it('lets only one of two concurrent requests use a code', async () => {
+    const { secret } = await enroll();
+    const code = totp(secret, CURRENT_STEP);
+    const results = await Promise.all([MfaService.verifyCode(user.id, code), MfaService.verifyCode(user.id, code)]);
+
+    expect(results).toContainEqual({ success: true });
+    expect(results).toContainEqual({ success: false, error: 'Verification code already used' });
+  });
+
+  it('rejects codes of the wrong length', async () => {
+    const { secret } = await enroll();
+
+    expect(await MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP).slice(1)))
+      .toEqual({ success: false, error: 'Invalid verification code' });
+  });
+});
+
+describe('MfaService recovery codes', () => {
+  it('spends a recovery code on first use', async () => {
+    const { recoveryCodes } = await enroll();
+
+    expect(await MfaService.verifyCode(user.id, recoveryCodes[0]!)).toEqual({ success: true, usedRecoveryCode: true });
+    expect(user.mfaRecoveryCodes).toHaveLength(recoveryCodes.length - 1);
+    expect(await MfaService.verifyCode(user.id, recoveryCodes[0]!))
+      .toEqual({ success: false, error: 'Invalid verification code' });
+    expect(await MfaService.verifyCode(user.id, recoveryCodes[1]!)).toEqual({ success: true, usedRecoveryCode: true });
+  });
+
+  it('lets only one of two concurrent requests spend a code', async () => {
+    const { recoveryCodes } = await enroll();
+    const results = await Promise.all([
+      MfaService.verifyCode(user.id, recoveryCodes[0]!),
+      MfaService.verifyCode(user.id, recoveryCodes[0]!)
+    ]);
+
+    expect(results).toContainEqual({ success: true, usedRecoveryCode: true });
+    expect(results).toContainEqual({ success: false, error: 'Recovery code already used' });
+    expect(user.mfaRecoveryCodes).toHaveLength(recoveryCodes.length - 1);
+  });
+});
+
+describe('MfaService attempt limit', () => {
+  const { maxAttempts, lockoutDuration } = securityConfig.mfa;
+
+  const useUpAttempts = async () => {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      expect(await MfaService.verifyCode(user.id, '000000')).toEqual({ success: false, error: 'Invalid verification code' });
+    }
+  };
+
+  const locked = { success: false, error: 'Too many failed verification attempts, please try again later', locked: true };
+
+  it('locks verification after the configured number of wrong codes, even for the right one', async () => {
+    const { secret, recoveryCodes } = await enroll();
+    await useUpAttempts();
+
+    expect(await MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP))).toEqual(locked);
+    expect(await MfaService.verifyCode(user.id, recoveryCodes[0]!)).toEqual(locked);
+    expect(user.mfaLastUsedStep).toBe(ENROLLED_STEP);
+    expect(user.mfaRecoveryCodes).toHaveLength(recoveryCodes.length);
+  });
+
+  it('counts concurrent guesses before checking them', async () => {
+    const { secret } = await enroll();
+    const guesses = Array.from({ length: maxAttempts * 2 }, () => MfaService.verifyCode(user.id, '000000'));
+    const results = await Promise.all([...guesses, MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP))]);
+
+    expect(results.filter(result => 'locked' in result)).toHaveLength(maxAttempts + 1);
+    expect(results).not.toContainEqual({ success: true });
+  });
+
+  it('keeps verification locked until the lockout has passed', async () => {
+    const { secret } = await enroll();
+    await useUpAttempts();
+
+    jest.spyOn(Date, 'now').mockReturnValue(NOW + lockoutDuration - 1);
+    expect(await MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP))).toEqual(locked);
+
+    const later = NOW + lockoutDuration;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    const laterStep = Math.floor(later / 1000 / period);
+    expect(await MfaService.verifyCode(user.id, totp(secret, laterStep))).toEqual({ success: true });
+    expect(user).toMatchObject({ mfaFailedAttempts: 0, mfaLockedUntil: null });
+  });
+
+  it('gives the attempts back when a code is accepted', async () => {
+    const { secret, recoveryCodes } = await enroll();
+    for (let attempt = 1; attempt < maxAttempts; attempt++) {
+      await MfaService.verifyCode(user.id, '000000');
+    }
+    expect(await MfaService.verifyCode(user.id, recoveryCodes[0]!)).toEqual({ success: true, usedRecoveryCode: true });
+
+    await MfaService.verifyCode(user.id, '000000');
+    expect(await MfaService.verifyCode(user.id, totp(secret, CURRENT_STEP))).toEqual({ success: true });
+  });
+});
@@ -0,0 +1,182 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Prisma, UserRole } from '@prisma/client';
+import { db } from '../../config/database';
+import { fake } from '../../__tests__/fakeDb';
+import { OrganizationService, Tenant } from '../organizationService';
+
+jest.mock('../../config/database', () => {
+  const client = { userRoleAssignment: { findMany: jest.fn() } };
+  return { __esModule: true, default: client, db: client };
+});
+
+interface Query {
+  where: { userId: string; organizationId: { not: null } };
+}
+
+interface Row {
+  [field: string]: unknown;
+}
+
+interface ProductRow extends Row {
+  id: string;
+  organizationId: string | null;
+  manufacturerId: string;
+  currentCustodianId: string | null;
+  custodyTransfers: { toOrganizationId: string }[];
+  stakeholders: { userId: string | null; walletAddress: string }[];
+}
+
+// Evaluates the parts of a Prisma where clause productScope builds, so the tests
+// check which products a tenant sees rather than the shape of the query
+const matches = (row: Row, where: Row): boolean =>
+  Object.entries(where).every(([field, condition]) => {
+    if (field === 'OR') {
+      return (condition as Row[]).some(branch => matches(row, branch));
+    }
+    const value = row[field];
+    if (condition === null || typeof condition !== 'object') {
+      return value === condition;
+    }
+    if ('in' in condition) {
+      return (condition.in as unknown[]).includes(value);
+    }
+    if ('some' in condition) {
+      return (value as Row[]).some(item => matches(item, condition.some as Row));
+    }
+    throw new Error(`Unsupported condition on ${field}`);
+  });
+
+const product = (id: string, fields: Partial<ProductRow> = {}): ProductRow => ({
+  id,
+  organizationId: null,
+  manufacturerId: 'someone-else',
+  currentCustodianId: null,
+  custodyTransfers: [],
+  stakeholders: [],
+  ...fields
+});
+
+const catalogue: ProductRow[] = [
+  product('own-org', { organizationId: 'org-a', currentCustodianId: 'org-a' }),
+  product('held', { organizationId: 'org-x', currentCustodianId: 'org-a' }),
+  product('offered', { organizationId: 'org-x', currentCustodianId: 'org-x', custodyTransfers: [{ toOrganizationId: 'org-a' }] }),
+  product('legacy-own', { manufacturerId: 'user-1' }),
+  product('legacy-other'),
+  product('stakeholder-user', { organizationId: 'org-x', stakeholders: [{ userId: 'user-1', walletAddress: '0xother' }] }),
+  product('stakeholder-wallet', { organizationId: 'org-x', stakeholders: [{ userId: null, walletAddress: '0xabc' }] }),
+  product('foreign', { organizationId: 'org-x', currentCustodianId: 'org-x', manufacturerId: 'user-1' })
+];
+
+const visible = (tenant: Tenant): string[] =>
+  catalogue.filter(row => matches(row, OrganizationService.productScope(tenant) as Row)).map(row => row.id);
+
+const tenant = (memberships: Record<string, UserRole[]>, overrides: Partial<Tenant> = {}): Tenant => ({
+  userId: 'user-1',
+  walletAddress: '0xabc',
+  isPlatformAdmin: false,
+  memberships: new Map(Object.entries(memberships)),
+  ...overrides
+});
+
+describe('OrganizationService.resolveTenant', () => {
+  let assignments: { organizationId: string; role: UserRole }[];
+
+  beforeEach(() => {
+    assignments = [];
+    fake<Query>(db.userRoleAssignment.findMany, () => assignments);
+  });
+
+  it('groups the user\'s organization roles by organization', async () => {
+    assignments = [
+      { organizationId: 'org-a', role: UserRole.MANUFACTURER },
+      { organizationId: 'org-b', role: UserRole.VIEWER },
+      { organizationId: 'org-a', role: UserRole.ADMIN }
+    ];
+
+    const resolved = await OrganizationService.resolveTenant({ id: 'user-1', role: UserRole.USER });
+
+    expect(resolved.memberships).toEqual(new Map([
+      ['org-a', [UserRole.MANUFACTURER, UserRole.ADMIN]],
+      ['org-b', [UserRole.VIEWER]]
+    ]));
+    expect((db.userRoleAssignment.findMany as jest.Mock).mock.lastCall![0])
+      .toMatchObject({ where: { userId: 'user-1', organizationId: { not: null } } });
+  });
+
+  it('treats only a global ADMIN as platform admin', async () => {
+    assignments = [{ organizationId: 'org-a', role: UserRole.ADMIN }];
+
+    expect(await OrganizationService.resolveTenant({ id: 'user-1', role: UserRole.USER }))
+      .toMatchObject({ isPlatformAdmin: false });
+    expect(await OrganizationService.resolveTenant({ id: 'user-1', role: UserRole.USER, roles: [UserRole.USER, UserRole.ADMIN] }))
+      .toMatchObject({ isPlatformAdmin: true });
+  });
+
+  it('lowercases the wallet address so stakeholder matches ignore checksum case', async () => {
+    const resolved = await OrganizationService.resolveTenant({
+      id: 'user-1',
+      role: UserRole.USER,
+      walletAddress: '0xAbCdEf0123456789aBcDeF0123456789AbCdEf01'
+    });
+
+    expect(resolved.walletAddress).toBe('0xabcdef0123456789abcdef0123456789abcdef01');
+  });
+});
+
+describe('OrganizationService.productScope', () => {
+  it('shows a member its organization\'s products, those it holds or is offered, its legacy products and stakeholder products', () => {
+    expect(visible(tenant({ 'org-a': [UserRole.VIEWER] }))).toEqual([
+      'own-org', 'held', 'offered', 'legacy-own', 'stakeholder-user', 'stakeholder-wallet'
+    ]);
+  });
+
+  it('does not show another organization\'s product just because the user once registered it', () => {
+    expect(visible(tenant({ 'org-a': [UserRole.MANUFACTURER] }))).not.toContain('foreign');
+  });
+
+  it('matches stakeholders by wallet only when the tenant has one', () => {
+    expect(visible(tenant({}, { walletAddress: undefined }))).toEqual(['legacy-own', 'stakeholder-user']);
+  });
+
+  it('shows a platform admin every product', () => {
+    expect(visible(tenant({}, { isPlatformAdmin: true }))).toEqual(catalogue.map(row => row.id));
+  });
+
+  it('gives a user without memberships an empty organization filter rather than none', () => {
+    const scope = OrganizationService.productScope(tenant({})) as Prisma.ProductWhereInput & { OR: Row[] };
+
+    expect(scope.OR).toContainEqual({ organizationId: { in: [] } });
+  });
+});
+
+describe('OrganizationService.canManageProduct', () => {
+  const orgProduct = { organizationId: 'org-a', manufacturerId: 'user-2' };
+
+  it.each([UserRole.ADMIN, UserRole.MANUFACTURER, UserRole.DISTRIBUTOR, UserRole.RETAILER, UserRole.MODERATOR])(
+    'lets an owning-organization %s manage its products',
+    role => {
+      expect(OrganizationService.canManageProduct(tenant({ 'org-a': [role] }), orgProduct)).toBe(true);
+    }
+  );
+
+  it.each([UserRole.VIEWER, UserRole.AUDITOR, UserRole.USER])('refuses an owning-organization %s', role => {
+    expect(OrganizationService.canManageProduct(tenant({ 'org-a': [role] }), orgProduct)).toBe(false);
+  });
+
+  it('ignores roles held in other organizations', () => {
+    expect(OrganizationService.canManageProduct(tenant({ 'org-b': [UserRole.ADMIN] }), orgProduct)).toBe(false);
+  });
+
+  it('refuses the original registrant once the product belongs to an organization they are not in', () => {
+    expect(OrganizationService.canManageProduct(tenant({}), { organizationId: 'org-a', manufacturerId: 'user-1' })).toBe(false);
+  });
+
+  it('leaves legacy products without an organization to their registrant', () => {
+    expect(OrganizationService.canManageProduct(tenant({}), { organizationId: null, manufacturerId: 'user-1' })).toBe(true);
+    expect(OrganizationService.canManageProduct(tenant({}), { organizationId: null, manufacturerId: 'user-2' })).toBe(false);
+  });
+
+  it('lets a platform admin manage any product', () => {
+    expect(OrganizationService.canManageProduct(tenant({}, { isPlatformAdmin: true }), orgProduct)).toBe(true);
+  });
+});
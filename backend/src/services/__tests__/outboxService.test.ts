@@ -0,0 +1,361 @@
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { OutboxJob } from '@prisma/client';
+import { db } from '../../config/database';
+import { securityConfig } from '../../config/security';
+import { fake } from '../../__tests__/fakeDb';
+import { OutboxService } from '../outboxService';
+
+jest.mock('../../config/database', () => {
+  const client = {
+    outboxJob: { findMany: jest.fn(), updateMany: jest.fn(), update: jest.fn() },
+    signerNonce: { findUnique: jest.fn(), upsert: jest.fn(), deleteMany: jest.fn() },
+    product: { findUnique: jest.fn() }
+  };
+  return { __esModule: true, default: client, db: client };
+});
+
+const SIGNER = '0x00000000000000000000000000000000000000aa';
+const GWEI = 1_000_000_000n;
+
+// The node and the ProductRegistry as the worker sees them through ethers
+const mockChain = {
+  pendingCount: 0,
+  feeData: { maxFeePerGas: 0n as bigint | null, maxPriorityFeePerGas: 0n as bigint | null, gasPrice: 0n as bigint | null },
+  estimateGas: jest.fn<() => Promise<bigint>>(),
+  send: jest.fn<(...args: unknown[]) => Promise<{ hash: string }>>()
+};
+
+jest.mock('../../config/blockchain', () => ({
+  ...jest.requireActual<object>('../../config/blockchain'),
+  getSigner: () => ({ address: SIGNER }),
+  getProvider: () => ({
+    getFeeData: async () => mockChain.feeData,
+    getTransactionCount: async () => mockChain.pendingCount,
+    getTransactionReceipt: async () => null
+  }),
+  getProductRegistry: () => ({
+    getFunction: () => ({ estimateGas: mockChain.estimateGas, send: mockChain.send })
+  })
+}));
+
+interface Query {
+  where: { id?: string; status?: string; nextAttemptAt?: { lte: Date }; address?: string };
+  data: Record<string, unknown>;
+  update: { nextNonce: number };
+  create: { address: string; nextNonce: number };
+}
+
+const config = securityConfig.blockchain.outbox;
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+let jobs: OutboxJob[];
+let storedNonce: number | null;
+
+const job = (id: string, fields: Partial<OutboxJob> = {}): OutboxJob => ({
+  id,
+  method: 'registerProduct',
+  payload: { productId: `product-${id}` },
+  status: 'PENDING',
+  resourceType: 'product',
+  resourceId: `product-${id}`,
+  signer: null,
+  nonce: null,
+  gasLimit: null,
+  maxFeePerGas: null,
+  maxPriorityFeePerGas: null,
+  txHash: null,
+  replacedTxHashes: [],
+  attempts: 0,
+  nextAttemptAt: new Date(NOW),
+  lastError: null,
+  receiptStatus: null,
+  blockNumber: null,
+  gasUsed: null,
+  result: null,
+  submittedAt: null,
+  confirmedAt: null,
+  createdAt: new Date(NOW),
+  updatedAt: new Date(NOW),
+  createdById: 'user-1',
+  ...fields
+});
+
+// Applies Prisma's increment and push operations the worker uses
+const applyUpdate = (row: OutboxJob, data: Record<string, unknown>): OutboxJob => {
+  const fields = row as unknown as Record<string, unknown>;
+  for (const [field, value] of Object.entries(data)) {
+    const operation = value as { increment?: number; push?: string } | null | undefined;
+    if (operation === undefined) {
+      continue;
+    } else if (operation?.increment !== undefined) {
+      fields[field] = (fields[field] as number) + operation.increment;
+    } else if (operation?.push !== undefined) {
+      fields[field] = [...(fields[field] as string[]), operation.push];
+    } else {
+      fields[field] = value;
+    }
+  }
+  return { ...row };
+};
+
+const stored = (id: string): OutboxJob => jobs.find(row => row.id === id)!;
+
+const revert = (reason: string) => Object.assign(new Error(reason), { code: 'CALL_EXCEPTION', reason, shortMessage: reason });
+
+const sentNonces = () => mockChain.send.mock.calls.map(args => (args[args.length - 1] as { nonce: number }).nonce);
+const lastOverrides = () => {
+  const args = mockChain.send.mock.lastCall!;
+  return args[args.length - 1] as { nonce: number; maxFeePerGas?: bigint; maxPriorityFeePerGas?: bigint; gasLimit: bigint };
+};
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  jobs = [];
+  storedNonce = null;
+  mockChain.pendingCount = 0;
+  mockChain.feeData = { maxFeePerGas: 30n * GWEI, maxPriorityFeePerGas: 2n * GWEI, gasPrice: null };
+  mockChain.estimateGas.mockReset().mockResolvedValue(100_000n);
+  mockChain.send.mockReset().mockImplementation(async () => ({ hash: `0xtx${mockChain.send.mock.calls.length}` }));
+
+  fake<Query>(db.outboxJob.findMany, ({ where }) =>
+    jobs.filter(row => row.status === where.status && (!where.nextAttemptAt || row.nextAttemptAt <= where.nextAttemptAt.lte)).map(row => ({ ...row })));
+  fake<Query>(db.outboxJob.updateMany, ({ where, data }) => {
+    const row = jobs.find(candidate => candidate.id === where.id && candidate.status === where.status);
+    if (row) applyUpdate(row, data);
+    return { count: row ? 1 : 0 };
+  });
+  fake<Query>(db.outboxJob.update, ({ where, data }) => applyUpdate(stored(where.id!), data));
+
+  fake<Query>(db.signerNonce.findUnique, () => (storedNonce === null ? null : { address: SIGNER, nextNonce: storedNonce }));
+  fake<Query>(db.signerNonce.upsert, ({ update }) => {
+    storedNonce = update.nextNonce;
+    return { address: SIGNER, nextNonce: storedNonce };
+  });
+  fake<Query>(db.signerNonce.deleteMany, () => {
+    const count = storedNonce === null ? 0 : 1;
+    storedNonce = null;
+    return { count };
+  });
+
+  fake<Query>(db.product.findUnique, ({ where }) => ({
+    id: where.id,
+    name: 'Amoxicillin 500mg',
+    type: 'PHARMACEUTICAL',
+    batchNumber: `AMX-${where.id}`,
+    manufactureDate: new Date('2026-01-10T00:00:00.000Z'),
+    expiryDate: null,
+    rawMaterials: ['amoxicillin'],
+    metadataURI: null,
+    chainProductId: null
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OutboxService nonce allocation', () => {
+  it('gives successive jobs consecutive nonces and stores the next one once broadcast', async () => {
+    mockChain.pendingCount = 4;
+    jobs = [job('a'), job('b'), job('c')];
+
+    await OutboxService.processPending();
+
+    expect(sentNonces()).toEqual([4, 5, 6]);
+    expect(storedNonce).toBe(7);
+    expect(jobs.map(row => [row.status, row.nonce, row.signer])).toEqual([
+      ['SUBMITTED', 4, SIGNER], ['SUBMITTED', 5, SIGNER], ['SUBMITTED', 6, SIGNER]
+    ]);
+  });
+
+  it('never hands out a nonce behind the node\'s pending count', async () => {
+    storedNonce = 3;
+    mockChain.pendingCount = 9;
+    jobs = [job('a')];
+
+    await OutboxService.processPending();
+
+    expect(sentNonces()).toEqual([9]);
+    expect(storedNonce).toBe(10);
+  });
+
+  it('spends no nonce on a call that reverts during estimation', async () => {
+    mockChain.estimateGas.mockRejectedValueOnce(revert('Batch number already registered'));
+    jobs = [job('a'), job('b')];
+
+    await OutboxService.processPending();
+
+    expect(stored('a')).toMatchObject({ status: 'FAILED', nonce: null, lastError: 'Batch number already registered' });
+    expect(sentNonces()).toEqual([0]);
+    expect(stored('b')).toMatchObject({ status: 'SUBMITTED', nonce: 0 });
+  });
+
+  it('keeps the nonce unspent when the broadcast fails, so the next job takes it', async () => {
+    mockChain.send.mockRejectedValueOnce(new Error('connection reset'));
+    jobs = [job('a'), job('b')];
+
+    await OutboxService.processPending();
+
+    expect(stored('a')).toMatchObject({ status: 'PENDING', nonce: null, attempts: 1, lastError: 'connection reset' });
+    expect(stored('b')).toMatchObject({ status: 'SUBMITTED', nonce: 0 });
+    expect(storedNonce).toBe(1);
+  });
+
+  it('forgets the stored counter when the node reports the nonce as used', async () => {
+    storedNonce = 2;
+    mockChain.send.mockRejectedValueOnce(Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' }));
+    jobs = [job('a')];
+
+    await OutboxService.processPending();
+
+    expect(storedNonce).toBeNull();
+    expect(stored('a')).toMatchObject({ status: 'PENDING', nonce: null, attempts: 1 });
+  });
+
+  it('sends a job only once when two workers pick it up', async () => {
+    jobs = [job('a')];
+
+    await Promise.all([OutboxService.processPending(), OutboxService.processPending()]);
+
+    expect(mockChain.send).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('OutboxService fee bumping', () => {
+  const submitted = (fields: Partial<OutboxJob> = {}) => job('a', {
+    status: 'SUBMITTED',
+    signer: SIGNER,
+    nonce: 7,
+    maxFeePerGas: (40n * GWEI).toString(),
+    maxPriorityFeePerGas: (2n * GWEI).toString(),
+    txHash: '0xoriginal',
+    attempts: 1,
+    submittedAt: new Date(NOW - config.stuckAfterMs - 1),
+    ...fields
+  });
+
+  it('requeues a transaction left unmined past the stuck threshold', async () => {
+    jobs = [submitted()];
+
+    await OutboxService.checkSubmitted();
+
+    expect(stored('a')).toMatchObject({ status: 'PENDING', nonce: 7, txHash: '0xoriginal' });
+  });
+
+  it('leaves a recent transaction waiting on its receipt', async () => {
+    jobs = [submitted({ submittedAt: new Date(NOW - config.stuckAfterMs + 1000) })];
+
+    await OutboxService.checkSubmitted();
+
+    expect(stored('a').status).toBe('SUBMITTED');
+  });
+
+  it('stops replacing once the job has used its attempts', async () => {
+    jobs = [submitted({ attempts: config.maxAttempts })];
+
+    await OutboxService.checkSubmitted();
+
+    expect(stored('a').status).toBe('SUBMITTED');
+  });
+
+  it('replaces the transaction on the same nonce with fees raised by the bump percentage', async () => {
+    storedNonce = 12;
+    jobs = [submitted()];
+    await OutboxService.checkSubmitted();
+
+    await OutboxService.processPending();
+
+    const percent = BigInt(100 + config.feeBumpPercent);
+    expect(lastOverrides()).toMatchObject({
+      nonce: 7,
+      maxFeePerGas: 40n * GWEI * percent / 100n,
+      maxPriorityFeePerGas: 2n * GWEI * percent / 100n
+    });
+    expect(stored('a')).toMatchObject({
+      status: 'SUBMITTED',
+      nonce: 7,
+      txHash: '0xtx1',
+      replacedTxHashes: ['0xoriginal'],
+      attempts: 2
+    });
+    // The counter belongs to the next new job, not the replacement
+    expect(storedNonce).toBe(12);
+  });
+
+  it('pays the network price when it has risen above the bumped fees', async () => {
+    mockChain.feeData = { maxFeePerGas: 90n * GWEI, maxPriorityFeePerGas: 5n * GWEI, gasPrice: null };
+    jobs = [submitted({ status: 'PENDING' })];
+
+    await OutboxService.processPending();
+
+    expect(lastOverrides()).toMatchObject({ maxFeePerGas: 90n * GWEI, maxPriorityFeePerGas: 5n * GWEI });
+  });
+
+  it('bumps the gas price on networks without EIP-1559 fees', async () => {
+    mockChain.feeData = { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: 10n * GWEI };
+    jobs = [submitted({ status: 'PENDING', maxFeePerGas: (20n * GWEI).toString(), maxPriorityFeePerGas: null })];
+
+    await OutboxService.processPending();
+
+    expect(lastOverrides()).toMatchObject({ gasPrice: 20n * GWEI * BigInt(100 + config.feeBumpPercent) / 100n });
+  });
+
+  it('goes back to waiting on the receipt when the original was mined while being replaced', async () => {
+    mockChain.estimateGas.mockRejectedValueOnce(revert('Batch number already registered'));
+    jobs = [submitted({ status: 'PENDING' })];
+
+    await OutboxService.processPending();
+
+    expect(stored('a')).toMatchObject({ status: 'SUBMITTED', txHash: '0xoriginal', lastError: null });
+  });
+});
+
+describe('OutboxService retries', () => {
+  it('backs off exponentially between attempts', async () => {
+    mockChain.send.mockRejectedValue(new Error('connection reset'));
+    jobs = [job('a', { attempts: 2 })];
+
+    await OutboxService.processPending();
+
+    expect(stored('a')).toMatchObject({ status: 'PENDING', attempts: 3 });
+    expect(stored('a').nextAttemptAt.getTime()).toBe(NOW + config.baseBackoffMs * 4);
+  });
+
+  it('caps the backoff of a broadcast job that keeps failing to be replaced', async () => {
+    mockChain.send.mockRejectedValue(new Error('connection reset'));
+    jobs = [job('a', { nonce: 7, txHash: '0xoriginal', maxFeePerGas: '1', attempts: 20 })];
+
+    await OutboxService.processPending();
+
+    expect(stored('a').nextAttemptAt.getTime()).toBe(NOW + config.maxBackoffMs);
+  });
+
+  it('fails a never-broadcast job on its last attempt', async () => {
+    mockChain.send.mockRejectedValue(new Error('connection reset'));
+    jobs = [job('a', { attempts: config.maxAttempts - 1 })];
+
+    await OutboxService.processPending();
+
+    expect(stored('a')).toMatchObject({ status: 'FAILED', attempts: config.maxAttempts, lastError: 'connection reset' });
+  });
+
+  it('keeps a broadcast job waiting on its receipt however often the replacement fails', async () => {
+    mockChain.send.mockRejectedValue(new Error('connection reset'));
+    jobs = [job('a', { status: 'PENDING', nonce: 7, txHash: '0xoriginal', maxFeePerGas: '1', attempts: config.maxAttempts })];
+
+    await OutboxService.processPending();
+
+    expect(stored('a')).toMatchObject({ status: 'SUBMITTED', nonce: 7, txHash: '0xoriginal' });
+  });
+
+  it('waits without using an attempt while a dependency is not on-chain yet', async () => {
+    jobs = [job('a', { method: 'mintCertificate' })];
+    fake<Query>(db.product.findUnique, ({ where }) => ({ id: where.id, chainProductId: null }));
+
+    await OutboxService.processPending();
+
+    expect(stored('a')).toMatchObject({ status: 'PENDING', attempts: 0, lastError: 'Waiting for product registration' });
+    expect(stored('a').nextAttemptAt.getTime()).toBe(NOW + config.baseBackoffMs);
+    expect(mockChain.send).not.toHaveBeenCalled();
+  });
+});
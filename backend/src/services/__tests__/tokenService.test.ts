@@ -0,0 +1,135 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { UserRole } from '@prisma/client';
+import { db } from '../../config/database';
+import { fake } from '../../__tests__/fakeDb';
+import { TokenService, TokenUser } from '../tokenService';
+
+jest.mock('../../config/database', () => ({
+  db: {
+    refreshToken: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+    revokedSession: { upsert: jest.fn(), deleteMany: jest.fn(), findFirst: jest.fn() }
+  }
+}));
+
+jest.mock('../roleService', () => ({
+  RoleService: { getRoles: async () => [] }
+}));
+
+interface StoredToken {
+  id: string;
+  tokenHash: string;
+  familyId: string;
+  userId: string;
+  expiresAt: Date;
+  mfaVerified: boolean;
+  revokedAt: Date | null;
+  revokedReason: string | null;
+  replacedById: string | null;
+}
+
+interface Query {
+  where: Partial<StoredToken> & { sessionId?: string };
+  data: Partial<StoredToken>;
+  update: { expiresAt: Date };
+  create: { sessionId: string; expiresAt: Date };
+}
+
+const user: TokenUser = { id: 'user-1', email: 'user@example.com', role: UserRole.USER, mfaEnabled: false };
+
+let tokens: StoredToken[] = [];
+let revokedSessions: Map<string, Date>;
+
+const matches = (token: StoredToken, where: Query['where']) =>
+  Object.entries(where).every(([key, value]) => token[key as keyof StoredToken] === value);
+
+beforeEach(() => {
+  tokens = [];
+  revokedSessions = new Map();
+
+  fake<Query>(db.refreshToken.findUnique, ({ where }) => {
+    const token = tokens.find(candidate => candidate.tokenHash === where.tokenHash);
+    return token ? { ...token, user } : null;
+  });
+  fake<Query>(db.refreshToken.create, ({ data }) => {
+    const token = { ...data, id: `token-${tokens.length + 1}`, revokedAt: null, revokedReason: null, replacedById: null } as StoredToken;
+    tokens.push(token);
+    return { ...token };
+  });
+  fake<Query>(db.refreshToken.update, ({ where, data }) => Object.assign(tokens.find(token => token.id === where.id)!, data));
+  fake<Query>(db.refreshToken.updateMany, ({ where, data }) => {
+    const matched = tokens.filter(token => matches(token, where));
+    matched.forEach(token => Object.assign(token, data));
+    return { count: matched.length };
+  });
+  fake<Query>(db.revokedSession.upsert, ({ where, update }) => revokedSessions.set(where.sessionId!, update.expiresAt));
+  fake<Query>(db.revokedSession.deleteMany, () => ({ count: 0 }));
+  fake<Query>(db.revokedSession.findFirst, ({ where }) => {
+    const expiresAt = revokedSessions.get(where.sessionId!);
+    return expiresAt && expiresAt > new Date() ? { sessionId: where.sessionId } : null;
+  });
+});
+
+describe('TokenService.refresh', () => {
+  it('rotates the refresh token within the same session', async () => {
+    const issued = await TokenService.issueTokens(user);
+    const result = await TokenService.refresh(issued.refreshToken);
+
+    expect(result.success).toBe(true);
+    if (!result.success) return;
+    expect(result.tokens.refreshToken).not.toBe(issued.refreshToken);
+    expect(tokens).toHaveLength(2);
+    expect(tokens[0]).toMatchObject({ revokedReason: 'rotated', replacedById: tokens[1]!.id });
+    expect(tokens[1]).toMatchObject({ familyId: tokens[0]!.familyId, revokedAt: null });
+  });
+
+  it('revokes the whole session when a rotated token is presented again', async () => {
+    const issued = await TokenService.issueTokens(user);
+    const rotated = await TokenService.refresh(issued.refreshToken);
+    const replayed = await TokenService.refresh(issued.refreshToken);
+    const familyId = tokens[0]!.familyId;
+
+    expect(replayed).toEqual({
+      success: false,
+      error: 'Refresh token reuse detected; session revoked',
+      reuseDetected: true,
+      userId: user.id,
+      familyId
+    });
+    expect(tokens[1]).toMatchObject({ revokedReason: 'reuse_detected' });
+    expect(await TokenService.isRevoked(familyId)).toBe(true);
+
+    // The legitimate holder's newer token stops working too
+    expect(rotated.success && await TokenService.refresh(rotated.tokens.refreshToken))
+      .toEqual({ success: false, error: 'Refresh token has been revoked' });
+  });
+
+  it('treats the loser of two concurrent refreshes as reuse', async () => {
+    const issued = await TokenService.issueTokens(user);
+    const results = await Promise.all([
+      TokenService.refresh(issued.refreshToken),
+      TokenService.refresh(issued.refreshToken)
+    ]);
+
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(results.filter(result => !result.success && result.reuseDetected)).toHaveLength(1);
+    expect(tokens.every(token => token.revokedAt !== null)).toBe(true);
+  });
+
+  it('does not report reuse for a session that was logged out', async () => {
+    const issued = await TokenService.issueTokens(user);
+    await TokenService.revokeSession(tokens[0]!.familyId);
+
+    expect(await TokenService.refresh(issued.refreshToken))
+      .toEqual({ success: false, error: 'Refresh token has been revoked' });
+  });
+
+  it('rejects expired and unknown tokens', async () => {
+    const issued = await TokenService.issueTokens(user);
+    tokens[0]!.expiresAt = new Date(Date.now() - 1000);
+
+    expect(await TokenService.refresh(issued.refreshToken))
+      .toEqual({ success: false, error: 'Refresh token expired' });
+    expect(await TokenService.refresh('not-a-token'))
+      .toEqual({ success: false, error: 'Invalid refresh token' });
+  });
+});
@@ -0,0 +1,60 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { db } from '../../config/database';
+import { fake } from '../../__tests__/fakeDb';
+import { VerificationService } from '../verificationService';
+
+jest.mock('../../config/database', () => ({
+  db: { product: { findUnique: jest.fn() } }
+}));
+
+jest.mock('../recallService', () => ({
+  RecallService: { openRecallsFor: async () => [] }
+}));
+
+jest.mock('../telemetryService', () => ({
+  TelemetryService: { summary: async () => ({ excursionCount: 0 }) }
+}));
+
+interface Query {
+  include: Record<string, unknown>;
+}
+
+// Row as Prisma returns it for the query's include; the registering user is never part of it
+let organization: { name: string } | null;
+
+beforeEach(() => {
+  organization = { name: 'Acme Pharma BV' };
+  fake<Query>(db.product.findUnique, ({ include }) => ({
+    id: 'product-1',
+    name: 'Amoxicillin 500mg',
+    isActive: true,
+    batchNumber: 'AMX-2026-01',
+    gtin: null,
+    serialNumber: null,
+    manufactureDate: new Date('2026-01-10T00:00:00.000Z'),
+    expiryDate: null,
+    checkpoints: [],
+    nftCertificates: [],
+    ...('organization' in include ? { organization } : {}),
+    ...('manufacturer' in include ? { manufacturer: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@acme.example' } } : {})
+  }));
+});
+
+describe('VerificationService.forProduct', () => {
+  it('names the owning organization as the manufacturer', async () => {
+    expect(await VerificationService.forProduct('product-1')).toMatchObject({ manufacturer: 'Acme Pharma BV' });
+  });
+
+  it('leaves the manufacturer empty for products without an organization', async () => {
+    organization = null;
+
+    expect(await VerificationService.forProduct('product-1')).toMatchObject({ manufacturer: null });
+  });
+
+  it('does not load or expose the registering user', async () => {
+    const payload = await VerificationService.forProduct('product-1');
+
+    expect((db.product.findUnique as jest.Mock).mock.lastCall![0]).not.toHaveProperty('include.manufacturer');
+    expect(JSON.stringify(payload)).not.toMatch(/ada@acme\.example|Lovelace/);
+  });
+});
@@ -0,0 +1,196 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { Wallet } from 'ethers';
+import { db } from '../../config/database';
+import { securityConfig } from '../../config/security';
+import { WalletAuthService } from '../walletAuthService';
+
+jest.mock('../../config/database', () => ({
+  db: {
+    walletNonce: { updateMany: jest.fn() }
+  }
+}));
+
+const consumeNonce = db.walletNonce.updateMany as unknown as jest.Mock<() => Promise<{ count: number }>>;
+
+const wallet = Wallet.createRandom();
+const minutes = (count: number) => count * 60 * 1000;
+
+interface MessageOptions {
+  domain?: string;
+  address?: string;
+  statement?: string | null;
+  chainId?: number;
+  nonce?: string;
+  issuedAt?: Date;
+  expirationTime?: Date;
+  notBefore?: Date;
+  resources?: string[];
+}
+
+const buildMessage = (options: MessageOptions = {}): string => {
+  const statement = options.statement === undefined ? securityConfig.siwe.statement : options.statement;
+  const lines = [
+    `${options.domain ?? securityConfig.siwe.domain} wants you to sign in with your Ethereum account:`,
+    options.address ?? wallet.address,
+    '',
+    ...(statement !== null ? [statement, ''] : []),
+    `URI: http://${securityConfig.siwe.domain}/login`,
+    'Version: 1',
+    `Chain ID: ${options.chainId ?? securityConfig.siwe.allowedChainIds[0]}`,
+    `Nonce: ${options.nonce ?? 'a1b2c3d4e5f60718'}`,
+    `Issued At: ${(options.issuedAt ?? new Date()).toISOString()}`
+  ];
+  if (options.expirationTime) {
+    lines.push(`Expiration Time: ${options.expirationTime.toISOString()}`);
+  }
+  if (options.notBefore) {
+    lines.push(`Not Before: ${options.notBefore.toISOString()}`);
+  }
+  if (options.resources) {
+    lines.push('Resources:', ...options.resources.map(resource => `- ${resource}`));
+  }
+  return lines.join('\n');
+};
+
+const signIn = async (options: MessageOptions = {}, signer = wallet) => {
+  const message = buildMessage(options);
+  return WalletAuthService.signIn(message, await signer.signMessage(message));
+};
+
+describe('WalletAuthService.parseMessage', () => {
+  it('reads every field of a full message', () => {
+    const issuedAt = new Date('2026-01-01T00:00:00.000Z');
+    const expirationTime = new Date('2026-01-01T00:10:00.000Z');
+    const parsed = WalletAuthService.parseMessage(buildMessage({
+      issuedAt,
+      expirationTime,
+      resources: ['ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq', 'https://example.com/terms']
+    }));
+
+    expect(parsed).toEqual({
+      domain: securityConfig.siwe.domain,
+      address: wallet.address,
+      statement: securityConfig.siwe.statement,
+      uri: `http://${securityConfig.siwe.domain}/login`,
+      version: '1',
+      chainId: securityConfig.siwe.allowedChainIds[0],
+      nonce: 'a1b2c3d4e5f60718',
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expirationTime.toISOString(),
+      notBefore: undefined,
+      requestId: undefined,
+      resources: ['ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq', 'https://example.com/terms']
+    });
+  });
+
+  it('accepts a message without a statement and with CRLF line endings', () => {
+    const parsed = WalletAuthService.parseMessage(buildMessage({ statement: null }).replace(/\n/g, '\r\n'));
+
+    expect(parsed.statement).toBeUndefined();
+    expect(parsed.uri).toBe(`http://${securityConfig.siwe.domain}/login`);
+  });
+
+  it('keeps the domain exactly as written in the header', () => {
+    expect(WalletAuthService.parseMessage(buildMessage({ domain: 'evil.example:3000' })).domain).toBe('evil.example:3000');
+  });
+
+  it.each([
+    ['a foreign header', (message: string) => message.replace('wants you to sign in', 'asks you to sign in'), 'Invalid message header'],
+    ['a short address', (message: string) => message.replace(wallet.address, wallet.address.slice(0, 40)), 'Invalid address line'],
+    ['a missing blank line', (message: string) => message.replace(`${wallet.address}\n\n`, `${wallet.address}\n`), 'Expected an empty line'],
+    ['a missing nonce', (message: string) => message.replace(/Nonce: .*\n/, ''), 'Missing nonce'],
+    ['a short nonce', (message: string) => message.replace(/Nonce: .*/, 'Nonce: abc123'), 'Invalid nonce'],
+    ['a repeated field', (message: string) => message.replace(/(Chain ID: .*)/, '$1\n$1'), 'Unexpected line: Chain ID'],
+    ['an unknown field', (message: string) => `${message}\nAudience: anyone`, 'Unexpected line: Audience: anyone'],
+    ['content after the resources', (message: string) => `${message}\nResources:\n- https://example.com\nURI: http://other`, 'Unexpected content after resources']
+  ])('rejects %s', (_case, tamper, error) => {
+    expect(() => WalletAuthService.parseMessage(tamper(buildMessage()))).toThrow(error);
+  });
+});
+
+describe('WalletAuthService.signIn', () => {
+  beforeEach(() => {
+    consumeNonce.mockReset();
+    consumeNonce.mockResolvedValue({ count: 0 });
+  });
+
+  it('rejects a message issued for another domain', async () => {
+    const result = await signIn({ domain: 'evil.example' });
+
+    expect(result).toEqual({ success: false, error: 'Sign-in message was issued for a different domain' });
+    expect(consumeNonce).not.toHaveBeenCalled();
+  });
+
+  it('rejects a chain that is not configured', async () => {
+    const result = await signIn({ chainId: 1 });
+
+    expect(result).toEqual({ success: false, error: 'Chain ID 1 is not supported' });
+    expect(consumeNonce).not.toHaveBeenCalled();
+  });
+
+  it('rejects an expired message', async () => {
+    const result = await signIn({
+      issuedAt: new Date(Date.now() - minutes(20)),
+      expirationTime: new Date(Date.now() - 1000)
+    });
+
+    expect(result).toEqual({ success: false, error: 'Sign-in message has expired' });
+    expect(consumeNonce).not.toHaveBeenCalled();
+  });
+
+  it('rejects a message issued beyond the tolerated clock skew', async () => {
+    const result = await signIn({ issuedAt: new Date(Date.now() + securityConfig.siwe.clockSkew + minutes(1)) });
+
+    expect(result).toEqual({ success: false, error: 'Sign-in message is not valid yet' });
+  });
+
+  it('rejects a message that is not valid before a later time', async () => {
+    const result = await signIn({ notBefore: new Date(Date.now() + securityConfig.siwe.clockSkew + minutes(1)) });
+
+    expect(result).toEqual({ success: false, error: 'Sign-in message is not valid yet' });
+  });
+
+  it('rejects an unparseable expiration time', async () => {
+    const message = buildMessage().concat('\nExpiration Time: tomorrow');
+    const result = await WalletAuthService.signIn(message, await wallet.signMessage(message));
+
+    expect(result).toEqual({ success: false, error: 'Malformed sign-in message: Invalid Expiration Time' });
+  });
+
+  it('rejects a signature from another wallet', async () => {
+    const result = await signIn({}, Wallet.createRandom());
+
+    expect(result).toEqual({ success: false, error: 'Invalid signature' });
+    expect(consumeNonce).not.toHaveBeenCalled();
+  });
+
+  it('rejects an address with a bad checksum', async () => {
+    const address = wallet.address.replace(/[a-fA-F]/, letter =>
+      letter === letter.toLowerCase() ? letter.toUpperCase() : letter.toLowerCase());
+    const result = await signIn({ address });
+
+    expect(result).toEqual({ success: false, error: 'Invalid signature' });
+  });
+
+  it('rejects a wallet address that differs from the signed one', async () => {
+    const message = buildMessage();
+    const result = await WalletAuthService.signIn(message, await wallet.signMessage(message), Wallet.createRandom().address);
+
+    expect(result).toEqual({ success: false, error: 'Wallet address does not match the signed message' });
+  });
+
+  it('consumes the nonce for this wallet once the message checks out', async () => {
+    const issuedAt = new Date(Date.now() + securityConfig.siwe.clockSkew - minutes(1));
+    const result = await signIn({ issuedAt, expirationTime: new Date(Date.now() + minutes(10)) });
+
+    expect(result).toEqual({ success: false, error: 'Nonce is invalid, expired or already used' });
+    expect(consumeNonce).toHaveBeenCalledTimes(1);
+    expect(consumeNonce.mock.calls[0]).toEqual([expect.objectContaining({
+      where: expect.objectContaining({
+        nonce: 'a1b2c3d4e5f60718',
+        usedAt: null,
+        OR: [{ walletAddress: null }, { walletAddress: wallet.address.toLowerCase() }]
+      })
+    })]);
+  });
+});
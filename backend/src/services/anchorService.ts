@@ -0,0 +1,179 @@
+import { keccak256, toUtf8Bytes } from 'ethers';
+import { Checkpoint, CheckpointAnchor, OutboxJob, Prisma } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { buildMerkleTree, canonicalJson, merkleLeaf, verifyMerkleProof } from '../config/hashing';
+import { securityConfig } from '../config/security';
+import { OutboxService } from './outboxService';
+
+/**
+ * Batches checkpoints into Merkle trees and publishes only each tree's root on-chain, so
+ * every checkpoint can later be shown unaltered with its inclusion proof.
+ *
+ * Run a single worker: a checkpoint belongs to exactly one batch.
+ */
+export class AnchorService {
+  private static timer?: ReturnType<typeof setTimeout>;
+  private static stopped = true;
+
+  /**
+   * The fields of a checkpoint that are anchored. Chain mirror fields are left out because the
+   * indexer fills them in later; metadata is represented by its hash so the record can be
+   * published without it.
+   */
+  static record(checkpoint: Checkpoint) {
+    return {
+      id: checkpoint.id,
+      productId: checkpoint.productId,
+      name: checkpoint.name,
+      location: checkpoint.location,
+      timestamp: checkpoint.timestamp.toISOString(),
+      environment: checkpoint.environment,
+      metadataHash: checkpoint.metadata === null ? null : keccak256(toUtf8Bytes(canonicalJson(checkpoint.metadata))),
+      epcisEventId: checkpoint.epcisEventId,
+      eventType: checkpoint.eventType,
+      bizStep: checkpoint.bizStep,
+      disposition: checkpoint.disposition,
+      readPoint: checkpoint.readPoint,
+      bizLocation: checkpoint.bizLocation,
+      propagatedFromId: checkpoint.propagatedFromId,
+      recordedAt: checkpoint.createdAt.toISOString()
+    };
+  }
+
+  static checkpointHash(checkpoint: Checkpoint): string {
+    return keccak256(toUtf8Bytes(canonicalJson(this.record(checkpoint))));
+  }
+
+  /**
+   * Queue a new checkpoint's own addCheckpoint call. With anchoring enabled the checkpoint
+   * reaches the chain only through its batch root, so nothing is queued and null is returned.
+   */
+  static async enqueueCheckpoint(
+    checkpoint: Pick<Checkpoint, 'id' | 'productId'>,
+    createdById: string | undefined,
+    client: Prisma.TransactionClient = prisma
+  ): Promise<OutboxJob | null> {
+    if (securityConfig.blockchain.anchoring.enabled) {
+      return null;
+    }
+
+    return OutboxService.enqueue({
+      method: 'addCheckpoint',
+      payload: { productId: checkpoint.productId, checkpointId: checkpoint.id },
+      resourceType: 'checkpoint',
+      resourceId: checkpoint.id,
+      createdById
+    }, client);
+  }
+
+  /**
+   * Put the oldest checkpoints not yet in a batch into a new one and queue its root for
+   * publication. Returns null when there is nothing to anchor.
+   */
+  static async anchorPending(): Promise<CheckpointAnchor | null> {
+    const checkpoints = await db.checkpoint.findMany({
+      where: { anchorId: null },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: securityConfig.blockchain.anchoring.maxBatchSize
+    });
+    if (checkpoints.length === 0) {
+      return null;
+    }
+
+    const hashes = checkpoints.map(checkpoint => this.checkpointHash(checkpoint));
+    const tree = buildMerkleTree(hashes);
+
+    return prisma.$transaction(async tx => {
+      const anchor = await tx.checkpointAnchor.create({
+        data: { merkleRoot: tree.root, leafCount: checkpoints.length }
+      });
+
+      for (const [index, checkpoint] of checkpoints.entries()) {
+        const batched = await tx.checkpoint.updateMany({
+          where: { id: checkpoint.id, anchorId: null },
+          data: { anchorId: anchor.id, anchorHash: hashes[index], anchorProof: tree.proofs[index] }
+        });
+        if (batched.count === 0) {
+          // Deleted or batched elsewhere since it was read; the next run starts over
+          throw new Error(`Checkpoint ${checkpoint.id} changed while its batch was built`);
+        }
+      }
+
+      await OutboxService.enqueue({
+        method: 'anchorCheckpoints',
+        payload: { anchorId: anchor.id },
+        resourceType: 'checkpointAnchor',
+        resourceId: anchor.id
+      }, tx);
+
+      return anchor;
+    }, { timeout: 60_000 });
+  }
+
+  /**
+   * Inclusion proof for a checkpoint, with whether the record still hashes to what was anchored
+   * and the proof still leads to the batch root
+   */
+  static proof(checkpoint: Checkpoint & { anchor: CheckpointAnchor | null }) {
+    if (!checkpoint.anchor || !checkpoint.anchorHash) {
+      return { status: 'UNANCHORED' as const, intact: null };
+    }
+
+    const { anchor } = checkpoint;
+    const currentHash = this.checkpointHash(checkpoint);
+    const intact = currentHash === checkpoint.anchorHash
+      && verifyMerkleProof(checkpoint.anchorHash, checkpoint.anchorProof, anchor.merkleRoot);
+
+    return {
+      status: anchor.chainAnchorId ? 'ANCHORED' as const : 'PENDING' as const,
+      intact,
+      record: this.record(checkpoint),
+      checkpointHash: checkpoint.anchorHash,
+      leaf: merkleLeaf(checkpoint.anchorHash),
+      proof: checkpoint.anchorProof,
+      merkleRoot: anchor.merkleRoot,
+      leafCount: anchor.leafCount,
+      chain: anchor.chainAnchorId ? {
+        contractAddress: securityConfig.blockchain.contractAddresses.productRegistry || null,
+        anchorId: anchor.chainAnchorId,
+        txHash: anchor.txHash,
+        blockNumber: anchor.blockNumber,
+        anchoredAt: anchor.anchoredAt?.toISOString() || null
+      } : null
+    };
+  }
+
+  static async start(): Promise<void> {
+    if (!this.stopped) {
+      return;
+    }
+    this.stopped = false;
+    console.log('🌳 Checkpoint anchoring started');
+    this.scheduleNext(0);
+  }
+
+  static stop(): void {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  private static scheduleNext(delay: number): void {
+    if (this.stopped) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.anchorPending();
+      } catch (error) {
+        console.error('Checkpoint anchoring failed:', error);
+      }
+      this.scheduleNext(securityConfig.blockchain.anchoring.pollInterval);
+    }, delay);
+  }
+}
+
+export default AnchorService;
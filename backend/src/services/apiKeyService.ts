@@ -0,0 +1,153 @@
+import * as crypto from 'crypto';
+import { ApiKey, User } from '@prisma/client';
+import { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { createError } from '../middleware/errorHandler';
+
+export interface CreateApiKeyData {
+  name: string;
+  scopes: string[];
+  expiresAt?: Date;
+  rateLimitPerMinute?: number;
+}
+
+export interface RateLimitState {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  resetAt: Date;
+}
+
+const KEY_PREFIX = 'tc';
+
+const hashKey = (key: string): string => crypto.createHash('sha256').update(key).digest('hex');
+
+// Fixed one-minute windows per key, kept in memory like the express-rate-limit stores
+const usageWindows = new Map<string, { windowStart: number; count: number }>();
+
+export class ApiKeyService {
+  /**
+   * Create a key. The full key is only returned here; afterwards only its prefix is visible.
+   */
+  static async create(userId: string, data: CreateApiKeyData): Promise<{ key: string; apiKey: ApiKey }> {
+    const config = securityConfig.apiKeys;
+
+    const activeKeys = await db.apiKey.count({
+      where: { userId, revokedAt: null }
+    });
+    if (activeKeys >= config.maxKeysPerUser) {
+      throw createError(`A user can have at most ${config.maxKeysPerUser} active API keys`, 409);
+    }
+
+    // tc_<8 hex prefix>_<secret>; the prefix identifies the key without revealing it
+    const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await db.apiKey.create({
+      data: {
+        name: data.name,
+        prefix,
+        keyHash: hashKey(key),
+        scopes: [...new Set(data.scopes)],
+        rateLimitPerMinute: Math.min(
+          data.rateLimitPerMinute || config.defaultRateLimitPerMinute,
+          config.maxRateLimitPerMinute
+        ),
+        // Keys expire after the rotation period unless an earlier date is requested
+        expiresAt: data.expiresAt || new Date(Date.now() + config.rotationPeriod),
+        userId
+      }
+    });
+
+    return { key, apiKey };
+  }
+
+  /**
+   * List a user's keys, newest first
+   */
+  static async listForUser(userId: string): Promise<ApiKey[]> {
+    return db.apiKey.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke one of a user's keys. Returns false if the user has no such active key.
+   */
+  static async revoke(userId: string, id: string): Promise<boolean> {
+    const result = await db.apiKey.updateMany({
+      where: { id, userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    usageWindows.delete(id);
+    return result.count === 1;
+  }
+
+  /**
+   * Resolve a presented key to its record and owner, or null if it is unknown,
+   * revoked or expired
+   */
+  static async authenticate(key: string, ipAddress?: string): Promise<(ApiKey & { user: User }) | null> {
+    const apiKey = await db.apiKey.findUnique({
+      where: { keyHash: hashKey(key) },
+      include: { user: true }
+    });
+
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return null;
+    }
+
+    const interval = securityConfig.apiKeys.lastUsedUpdateInterval;
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > interval) {
+      await db.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+      });
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Count a request against the key's per-minute limit
+   */
+  static consumeRateLimit(apiKey: Pick<ApiKey, 'id' | 'rateLimitPerMinute'>): RateLimitState {
+    const now = Date.now();
+    const windowMs = 60 * 1000;
+
+    let usage = usageWindows.get(apiKey.id);
+    if (!usage || now - usage.windowStart >= windowMs) {
+      usage = { windowStart: now, count: 0 };
+      usageWindows.set(apiKey.id, usage);
+    }
+    usage.count += 1;
+
+    return {
+      allowed: usage.count <= apiKey.rateLimitPerMinute,
+      limit: apiKey.rateLimitPerMinute,
+      remaining: Math.max(apiKey.rateLimitPerMinute - usage.count, 0),
+      resetAt: new Date(usage.windowStart + windowMs)
+    };
+  }
+
+  /**
+   * Public view of a key (never includes the hash)
+   */
+  static toResponse(apiKey: ApiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute,
+      expiresAt: apiKey.expiresAt?.toISOString() || null,
+      lastUsedAt: apiKey.lastUsedAt?.toISOString() || null,
+      lastUsedIp: apiKey.lastUsedIp,
+      revokedAt: apiKey.revokedAt?.toISOString() || null,
+      createdAt: apiKey.createdAt.toISOString()
+    };
+  }
+}
+
+export default ApiKeyService;
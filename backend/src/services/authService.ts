@@ -1,7 +1,10 @@
 import * as bcrypt from 'bcryptjs';
 import * as jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, UserRole } from '@prisma/client';
+import { SELF_REGISTRATION_ROLES } from '../config/roles';
 import { securityConfig } from '../config/security';
+import { SessionContext, TokenService } from './tokenService';
+import { MfaService } from './mfaService';
 
 const prisma = new PrismaClient();
 
@@ -10,7 +13,7 @@ export interface RegisterUserData {
   password: string;
   firstName?: string;
   lastName?: string;
-  role?: 'USER' | 'MANUFACTURER' | 'DISTRIBUTOR' | 'RETAILER' | 'ADMIN';
+  role?: UserRole;
   walletAddress?: string;
 }
 
@@ -22,6 +25,11 @@ export interface LoginCredentials {
 export interface AuthResponse {
   success: boolean;
   token?: string;
+  refreshToken?: string;
+  expiresIn?: number;
+  // Set instead of tokens when the account has MFA enabled
+  mfaRequired?: boolean;
+  mfaToken?: string;
   user?: {
     id: string;
     email: string;
@@ -86,29 +94,18 @@ export class AuthService {
     };
   }
 
-  /**
-   * Generate JWT token
-   */
-  static generateToken(user: any): string {
-    const payload = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      walletAddress: user.walletAddress
-    };
-
-    return jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'tracechain_jwt_secret_key_2025_development',
-      { expiresIn: '24h' }
-    );
-  }
-
   /**
    * Register a new user
    */
-  static async registerUser(data: RegisterUserData): Promise<AuthResponse> {
+  static async registerUser(data: RegisterUserData, context: SessionContext = {}): Promise<AuthResponse> {
     try {
+      if (data.role && !SELF_REGISTRATION_ROLES.includes(data.role)) {
+        return {
+          success: false,
+          error: `Role ${data.role} cannot be chosen at registration`
+        };
+      }
+
       // Validate password strength
       const passwordValidation = this.validatePasswordStrength(data.password);
       if (!passwordValidation.isValid) {
@@ -159,12 +156,14 @@ export class AuthService {
         }
       });
 
-      // Generate JWT token
-      const token = this.generateToken(user);
+      // Start a session: short-lived access token plus a rotating refresh token
+      const { token, refreshToken, expiresIn } = await TokenService.issueTokens(user, context);
 
       return {
         success: true,
         token,
+        refreshToken,
+        expiresIn,
         user: {
           id: user.id,
           email: user.email,
@@ -186,7 +185,7 @@ export class AuthService {
   /**
    * Login user with email and password
    */
-  static async loginUser(credentials: LoginCredentials): Promise<AuthResponse> {
+  static async loginUser(credentials: LoginCredentials, context: SessionContext = {}): Promise<AuthResponse> {
     try {
       // Find user by email
       const user = await prisma.user.findUnique({
@@ -217,12 +216,23 @@ export class AuthService {
         };
       }
 
-      // Generate JWT token
-      const token = this.generateToken(user);
+      // Second factor: the client exchanges mfaToken plus a code at /api/auth/mfa/verify
+      if (user.mfaEnabled) {
+        return {
+          success: true,
+          mfaRequired: true,
+          mfaToken: MfaService.createChallengeToken(user.id)
+        };
+      }
+
+      // Start a session: short-lived access token plus a rotating refresh token
+      const { token, refreshToken, expiresIn } = await TokenService.issueTokens(user, context);
 
       return {
         success: true,
         token,
+        refreshToken,
+        expiresIn,
         user: {
           id: user.id,
           email: user.email,
@@ -251,6 +261,13 @@ export class AuthService {
         process.env.JWT_SECRET || 'tracechain_jwt_secret_key_2025_development'
       ) as any;
 
+      if (!decoded.sid || await TokenService.isRevoked(decoded.sid)) {
+        return {
+          success: false,
+          error: 'Token has been revoked'
+        };
+      }
+
       // Get fresh user data from database
       const user = await prisma.user.findUnique({
         where: { id: decoded.id }
@@ -0,0 +1,332 @@
+import { Prisma } from '@prisma/client';
+import { isError } from 'ethers';
+import { db } from '../config/database';
+import { getNftCertificate } from '../config/blockchain';
+import { createError } from '../middleware/errorHandler';
+import { OutboxService } from './outboxService';
+import { OrganizationService } from './organizationService';
+
+export interface CertificateUser {
+  id: string;
+  role: string;
+  roles?: string[];
+  walletAddress?: string;
+}
+
+export interface MintCertificateData {
+  productId: string;
+  certificateType: string;
+  metadataURI: string;
+  complianceStandards?: string[];
+  expiresAt?: string;
+  recipientAddress?: string;
+}
+
+export interface VerificationContext {
+  method: 'api' | 'code';
+  verifier?: CertificateUser;
+  ipAddress?: string;
+}
+
+const certificateInclude = {
+  product: {
+    select: { id: true, name: true, type: true, batchNumber: true, manufacturerId: true, organizationId: true, chainProductId: true }
+  },
+  owner: { select: { walletAddress: true } },
+  verifications: { orderBy: { createdAt: 'desc' as const }, take: 1 },
+  _count: { select: { verifications: true } }
+} satisfies Prisma.NFTCertificateInclude;
+
+type CertificateWithRelations = Prisma.NFTCertificateGetPayload<{ include: typeof certificateInclude }>;
+
+const isExpired = (expiresAt: Date | null): boolean => !!expiresAt && expiresAt <= new Date();
+
+export class CertificateService {
+  /**
+   * Certificates the user may see: ones they own or issued for products in their
+   * organizations' scope (admins see all)
+   */
+  static async visibleTo(user: CertificateUser): Promise<Prisma.NFTCertificateWhereInput> {
+    const tenant = await OrganizationService.resolveTenant(user);
+    if (tenant.isPlatformAdmin) {
+      return {};
+    }
+    return {
+      OR: [
+        { ownerId: user.id },
+        { product: OrganizationService.productScope(tenant) }
+      ]
+    };
+  }
+
+  /**
+   * List certificates visible to the user, optionally for a single product
+   */
+  static async list(user: CertificateUser, filters: { productId?: string } = {}) {
+    const certificates = await db.nftCertificate.findMany({
+      where: {
+        AND: [
+          await this.visibleTo(user),
+          filters.productId ? { productId: filters.productId } : {}
+        ]
+      },
+      include: certificateInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const starred = await this.starredIds(user.id, certificates.map(cert => cert.id));
+    return certificates.map(cert => this.toResponse(cert, starred.has(cert.id)));
+  }
+
+  /**
+   * Get a certificate by token ID, or throw 404 if it is missing or not visible
+   */
+  static async getByTokenId(tokenId: string, user: CertificateUser) {
+    const certificate = await this.findVisible(tokenId, user);
+    const starred = await this.starredIds(user.id, [certificate.id]);
+    return this.toResponse(certificate, starred.has(certificate.id));
+  }
+
+  /**
+   * Queue a mint through the outbox. The certificate row is created once the
+   * transaction confirms and the token ID is known.
+   */
+  static async mint(user: CertificateUser, data: MintCertificateData) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: {
+        AND: [
+          /^[0-9]+$/.test(data.productId)
+            ? { chainProductId: Number(data.productId) }
+            : { id: data.productId },
+          OrganizationService.productScope(tenant)
+        ]
+      }
+    });
+
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    if (!OrganizationService.canManageProduct(tenant, product)) {
+      throw createError('Only the manufacturing organization can mint certificates for this product', 403);
+    }
+    if (!product.isActive) {
+      throw createError('Cannot mint certificates for an inactive product', 409);
+    }
+
+    const to = data.recipientAddress || user.walletAddress;
+    if (!to) {
+      throw createError('A recipient wallet address is required to mint a certificate', 400);
+    }
+
+    return OutboxService.enqueue({
+      method: 'mintCertificate',
+      payload: {
+        to,
+        productId: product.id,
+        certificateType: data.certificateType,
+        metadataURI: data.metadataURI,
+        complianceStandards: data.complianceStandards || [],
+        expiresAt: data.expiresAt || null
+      },
+      resourceType: 'product',
+      resourceId: product.id,
+      createdById: user.id
+    });
+  }
+
+  /**
+   * Verify a certificate by its verification code and record the attempt.
+   * Validity comes from the contract; the mirrored row is only used when the
+   * chain cannot be reached.
+   */
+  static async verifyByCode(code: string, context: VerificationContext) {
+    const certificate = await db.nftCertificate.findUnique({
+      where: { verificationCode: code },
+      include: certificateInclude
+    });
+
+    if (!certificate) {
+      throw createError('Certificate not found', 404);
+    }
+
+    let isValid: boolean;
+    let source: 'chain' | 'cache';
+    try {
+      isValid = await getNftCertificate().getFunction('isCertificateValid')(BigInt(certificate.tokenId));
+      source = 'chain';
+    } catch (error) {
+      if (isError(error, 'CALL_EXCEPTION')) {
+        // The token does not exist on-chain (e.g. its mint was rolled back by a reorg)
+        isValid = false;
+        source = 'chain';
+      } else {
+        console.warn(`Falling back to cached validity for certificate ${certificate.tokenId}:`, error);
+        isValid = certificate.isValid && !isExpired(certificate.expiresAt);
+        source = 'cache';
+      }
+    }
+
+    const verification = await db.certificateVerification.create({
+      data: {
+        certificateId: certificate.id,
+        method: context.method,
+        isValid,
+        source,
+        verifierId: context.verifier?.id,
+        verifierAddress: context.verifier?.walletAddress?.toLowerCase(),
+        ipAddress: context.ipAddress
+      }
+    });
+
+    // Keep the mirror in line when the contract disagrees with it
+    const contractInvalidated = source === 'chain' && !isValid && certificate.isValid && !isExpired(certificate.expiresAt);
+
+    await db.nftCertificate.update({
+      where: { id: certificate.id },
+      data: {
+        isVerified: true,
+        lastVerified: verification.createdAt.toISOString(),
+        ...(contractInvalidated ? { isValid: false } : {})
+      }
+    });
+
+    return {
+      isValid,
+      certificate: {
+        ...this.toResponse(certificate, false),
+        verificationCount: certificate._count.verifications + 1,
+        lastVerified: verification.createdAt.toISOString()
+      },
+      verification
+    };
+  }
+
+  /**
+   * Star or unstar a certificate for one user
+   */
+  static async toggleStar(tokenId: string, user: CertificateUser): Promise<boolean> {
+    const certificate = await this.findVisible(tokenId, user);
+    const key = { userId_certificateId: { userId: user.id, certificateId: certificate.id } };
+
+    const existing = await db.certificateStar.findUnique({ where: key });
+    if (existing) {
+      await db.certificateStar.delete({ where: key });
+      return false;
+    }
+
+    await db.certificateStar.create({
+      data: { userId: user.id, certificateId: certificate.id }
+    });
+    return true;
+  }
+
+  /**
+   * Queue an on-chain invalidation. The row is marked invalid once it confirms.
+   */
+  static async invalidate(tokenId: string, user: CertificateUser, reason: string) {
+    const certificate = await this.findVisible(tokenId, user);
+
+    const tenant = await OrganizationService.resolveTenant(user);
+    if (!OrganizationService.canManageProduct(tenant, certificate.product)) {
+      throw createError('Only the manufacturing organization can invalidate this certificate', 403);
+    }
+    if (!certificate.isValid) {
+      throw createError('Certificate is already invalid', 409);
+    }
+
+    return OutboxService.enqueue({
+      method: 'invalidateCertificate',
+      payload: { tokenId: certificate.tokenId, reason },
+      resourceType: 'certificate',
+      resourceId: certificate.id,
+      createdById: user.id
+    });
+  }
+
+  /**
+   * Aggregate statistics over the certificates visible to the user
+   */
+  static async getStats(user: CertificateUser) {
+    const where = await this.visibleTo(user);
+    const now = new Date();
+
+    const [totalCertificates, validCertificates, expiredCertificates, totalVerifications, byType] = await Promise.all([
+      db.nftCertificate.count({ where }),
+      db.nftCertificate.count({
+        where: { AND: [where, { isValid: true }, { OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] }] }
+      }),
+      db.nftCertificate.count({ where: { AND: [where, { expiresAt: { lte: now } }] } }),
+      db.certificateVerification.count({ where: { certificate: where } }),
+      db.nftCertificate.groupBy({
+        by: ['certificateType'],
+        where,
+        _count: { _all: true }
+      })
+    ]);
+
+    const typeStats = byType.reduce((acc, row) => {
+      acc[row.certificateType || 'unknown'] = row._count._all;
+      return acc;
+    }, {} as Record<string, number>);
+
+    return {
+      totalCertificates,
+      validCertificates,
+      expiredCertificates,
+      totalVerifications,
+      typeStats
+    };
+  }
+
+  private static async findVisible(tokenId: string, user: CertificateUser): Promise<CertificateWithRelations> {
+    const certificate = await db.nftCertificate.findFirst({
+      where: { AND: [{ tokenId }, await this.visibleTo(user)] },
+      include: certificateInclude
+    });
+
+    if (!certificate) {
+      throw createError('Certificate not found', 404);
+    }
+    return certificate;
+  }
+
+  private static async starredIds(userId: string, certificateIds: string[]): Promise<Set<string>> {
+    if (certificateIds.length === 0) {
+      return new Set();
+    }
+
+    const stars = await db.certificateStar.findMany({
+      where: { userId, certificateId: { in: certificateIds } },
+      select: { certificateId: true }
+    });
+    return new Set(stars.map(star => star.certificateId));
+  }
+
+  private static toResponse(certificate: CertificateWithRelations, isStarred: boolean) {
+    return {
+      tokenId: certificate.tokenId,
+      productId: certificate.product.id,
+      chainProductId: certificate.product.chainProductId,
+      productName: certificate.product.name,
+      productType: certificate.product.type.toLowerCase(),
+      batchNumber: certificate.product.batchNumber,
+      certificateType: certificate.certificateType,
+      verificationCode: certificate.verificationCode,
+      metadataURI: certificate.metadataURI,
+      contractAddress: certificate.contractAddress,
+      isValid: certificate.isValid && !isExpired(certificate.expiresAt),
+      invalidationReason: certificate.invalidationReason,
+      mintedAt: certificate.createdAt.toISOString(),
+      expiresAt: certificate.expiresAt?.toISOString() || null,
+      owner: certificate.owner.walletAddress,
+      txHash: certificate.txHash,
+      complianceStandards: certificate.complianceStandards,
+      verificationCount: certificate._count.verifications,
+      lastVerified: certificate.verifications[0]?.createdAt.toISOString() || null,
+      isStarred
+    };
+  }
+}
+
+export default CertificateService;
@@ -0,0 +1,386 @@
+import { CheckpointSignature, CheckpointSignerType, DeviceKey, Prisma } from '@prisma/client';
+import { getAddress, TypedDataDomain } from 'ethers';
+import prisma, { db } from '../config/database';
+import {
+  CHECKPOINT_TYPES,
+  checkpointDataHash,
+  CheckpointData,
+  CheckpointMessage,
+  DEVICE_REGISTRATION_TYPES,
+  recoverTypedDataSigner,
+  signingDomain
+} from '../config/eip712';
+import { normalizeCbvTerm } from '../config/gs1';
+import { securityConfig } from '../config/security';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService } from './organizationService';
+import { AnchorService } from './anchorService';
+import { OutboxService } from './outboxService';
+import { PackagingService } from './packagingService';
+import { RoleService } from './roleService';
+
+export interface SignedCheckpointInput extends CheckpointData {
+  productId: string;
+  status: string;
+  location: string;
+  scannedAt: number;
+  nonce: string;
+  signer: string;
+  signature: string;
+  bizStep?: string;
+  disposition?: string;
+}
+
+export interface DeviceKeyData {
+  name: string;
+  address: string;
+  signature: string; // DeviceRegistration typed data signed by the device key
+}
+
+type SignatureWithRelations = CheckpointSignature & { deviceKey: DeviceKey | null };
+
+/**
+ * Checkpoints signed with EIP-712 typed data by a stakeholder's wallet or an organization's
+ * registered device key. The signature is kept with the checkpoint so anyone can re-check
+ * who recorded what, without trusting this server's session records.
+ */
+export class CheckpointSignatureService {
+  /**
+   * What a client needs to build the typed data it signs
+   */
+  static signingSpec() {
+    return {
+      domain: signingDomain(),
+      primaryType: 'Checkpoint',
+      types: CHECKPOINT_TYPES,
+      dataHash: 'keccak256 of the JSON of { temperature, humidity, additionalData } with keys sorted and absent fields left out',
+      scannedAt: 'Unix time in seconds',
+      maxAgeSeconds: securityConfig.checkpointSigning.maxAge / 1000,
+      deviceRegistration: {
+        primaryType: 'DeviceRegistration',
+        types: DEVICE_REGISTRATION_TYPES
+      }
+    };
+  }
+
+  /**
+   * Typed-data message for a checkpoint's fields
+   */
+  static message(
+    input: Omit<CheckpointMessage, 'dataHash' | 'bizStep' | 'disposition'> & CheckpointData & { bizStep?: string | null; disposition?: string | null }
+  ): CheckpointMessage {
+    return {
+      productId: input.productId,
+      status: input.status,
+      location: input.location,
+      bizStep: input.bizStep || '',
+      disposition: input.disposition || '',
+      scannedAt: input.scannedAt,
+      dataHash: checkpointDataHash(input),
+      nonce: input.nonce.toLowerCase()
+    };
+  }
+
+  /**
+   * Record a checkpoint on the strength of its signature alone. The signer must be an active
+   * device key of the product's organization or current custodian, or the wallet of someone
+   * allowed to record checkpoints on the product.
+   */
+  static async submit(input: SignedCheckpointInput) {
+    const domain = signingDomain();
+    const message = this.message(input);
+    const signer = recoverTypedDataSigner(domain, CHECKPOINT_TYPES, { ...message }, input.signature);
+    if (!signer || signer !== input.signer.toLowerCase()) {
+      throw createError('Signature does not match the checkpoint and signer', 401);
+    }
+
+    // Signed as sent, stored in the same normalised form as other checkpoints
+    const bizStep = input.bizStep ? normalizeCbvTerm(input.bizStep, 'bizstep') : null;
+    const disposition = input.disposition ? normalizeCbvTerm(input.disposition, 'disp') : null;
+    if ((input.bizStep && !bizStep) || (input.disposition && !disposition)) {
+      throw createError('bizStep and disposition must be CBV terms or URIs', 400);
+    }
+
+    const scannedAt = new Date(input.scannedAt * 1000);
+    const { maxAge, clockSkew } = securityConfig.checkpointSigning;
+    if (scannedAt.getTime() > Date.now() + clockSkew) {
+      throw createError('scannedAt cannot be in the future', 400);
+    }
+    if (scannedAt.getTime() < Date.now() - maxAge) {
+      throw createError(`Signed checkpoints must be submitted within ${maxAge / (24 * 60 * 60 * 1000)} days of the scan`, 400);
+    }
+
+    const product = await db.product.findUnique({
+      where: { id: input.productId },
+      include: { stakeholders: true }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+
+    const deviceKey = await db.deviceKey.findUnique({ where: { address: signer } });
+    let userId: string | null = null;
+    if (deviceKey) {
+      if (deviceKey.revokedAt) {
+        throw createError('This device key has been revoked', 403);
+      }
+      if (deviceKey.organizationId !== product.organizationId && deviceKey.organizationId !== product.currentCustodianId) {
+        throw createError('Only devices of the manufacturing organization or the current custodian can record checkpoints', 403);
+      }
+    } else {
+      // Wallets are stored as given (often EIP-55 checksummed); signer is lower-case
+      const user = await db.user.findFirst({ where: { walletAddress: { equals: signer, mode: 'insensitive' } } });
+      if (user) {
+        const tenant = await OrganizationService.resolveTenant({
+          id: user.id,
+          role: user.role,
+          roles: await RoleService.getRoles(user.id),
+          walletAddress: signer
+        });
+        if (!OrganizationService.canRecordCheckpoint(tenant, product)) {
+          throw createError('Only the manufacturing organization, the current custodian or a registered stakeholder can add checkpoints', 403);
+        }
+        userId = user.id;
+      } else if (!product.stakeholders.some(stakeholder => stakeholder.walletAddress.toLowerCase() === signer)) {
+        throw createError('The signer is neither a registered device nor a stakeholder of this product', 403);
+      }
+    }
+
+    if (!product.isActive) {
+      throw createError('Cannot add checkpoints to an inactive product', 409);
+    }
+
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const checkpoint = await tx.checkpoint.create({
+          data: {
+            name: input.status,
+            location: input.location,
+            timestamp: scannedAt,
+            bizStep,
+            disposition,
+            metadata: {
+              status: input.status,
+              additionalData: input.additionalData,
+              temperature: input.temperature,
+              humidity: input.humidity,
+              ...(userId ? { stakeholder: userId } : {}),
+              ...(deviceKey ? { device: deviceKey.id } : {}),
+              signer
+            },
+            productId: product.id
+          }
+        });
+
+        const signature = await tx.checkpointSignature.create({
+          data: {
+            signer,
+            signerType: deviceKey ? CheckpointSignerType.DEVICE : CheckpointSignerType.WALLET,
+            signature: input.signature,
+            domain: domain as Prisma.InputJsonObject,
+            message: message as unknown as Prisma.InputJsonObject,
+            nonce: message.nonce,
+            checkpointId: checkpoint.id,
+            deviceKeyId: deviceKey?.id,
+            userId
+          },
+          include: { deviceKey: true }
+        });
+
+        // Everything packed inside a case or pallet goes through the same checkpoint
+        const propagatedCount = await PackagingService.propagateCheckpoint(tx, checkpoint);
+
+        const blockchainJob = await AnchorService.enqueueCheckpoint(checkpoint, userId || deviceKey?.registeredById, tx);
+
+        return { checkpoint, signature, propagatedCount, blockchainJob };
+      });
+
+      if (deviceKey) {
+        await db.deviceKey.update({ where: { id: deviceKey.id }, data: { lastUsedAt: new Date() } });
+      }
+
+      return {
+        checkpoint: {
+          id: result.checkpoint.id,
+          productId: result.checkpoint.productId,
+          name: result.checkpoint.name,
+          location: result.checkpoint.location,
+          timestamp: result.checkpoint.timestamp.toISOString(),
+          environment: result.checkpoint.environment,
+          metadata: result.checkpoint.metadata
+        },
+        signature: this.toResponse(result.signature),
+        propagatedCount: result.propagatedCount,
+        blockchainJob: result.blockchainJob ? OutboxService.toResponse(result.blockchainJob) : null
+      };
+    } catch (error) {
+      if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        throw createError('This nonce has already been used by the signer', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Re-check a checkpoint's signature: it must recover to the recorded signer, sign exactly what
+   * the checkpoint now says, and come from a device key that was not revoked when it signed
+   */
+  static async verify(checkpointId: string) {
+    const checkpoint = await db.checkpoint.findUnique({
+      where: { id: checkpointId },
+      include: { signature: { include: { deviceKey: true } } }
+    });
+    if (!checkpoint) {
+      throw createError('Checkpoint not found', 404);
+    }
+
+    const { signature } = checkpoint;
+    if (!signature) {
+      return { checkpointId: checkpoint.id, signed: false, valid: false, checks: null, signature: null };
+    }
+
+    const signedMessage = signature.message as unknown as CheckpointMessage;
+    const recovered = recoverTypedDataSigner(
+      signature.domain as TypedDataDomain,
+      CHECKPOINT_TYPES,
+      { ...signedMessage },
+      signature.signature
+    );
+
+    const metadata = (checkpoint.metadata || {}) as CheckpointData & { status?: string };
+    const current = this.message({
+      productId: checkpoint.productId,
+      status: metadata.status || checkpoint.name,
+      location: checkpoint.location,
+      bizStep: checkpoint.bizStep,
+      disposition: checkpoint.disposition,
+      scannedAt: Math.floor(checkpoint.timestamp.getTime() / 1000),
+      nonce: signedMessage.nonce,
+      temperature: metadata.temperature,
+      humidity: metadata.humidity,
+      additionalData: metadata.additionalData
+    });
+
+    const { deviceKey } = signature;
+    const checks = {
+      signatureValid: recovered !== null,
+      signerMatches: recovered === signature.signer
+        && (signature.signerType !== CheckpointSignerType.DEVICE || deviceKey?.address === signature.signer),
+      matchesCheckpoint: (Object.keys(current) as (keyof CheckpointMessage)[]).every(field => {
+        if (field === 'bizStep' || field === 'disposition') {
+          const kind = field === 'bizStep' ? 'bizstep' : 'disp';
+          const signed = signedMessage[field] ? normalizeCbvTerm(signedMessage[field], kind) : '';
+          return signed === current[field];
+        }
+        return String(current[field]) === String(signedMessage[field]);
+      }),
+      keyValidAtSigning: signature.signerType !== CheckpointSignerType.DEVICE
+        || (!!deviceKey && (!deviceKey.revokedAt || deviceKey.revokedAt > signature.createdAt))
+    };
+
+    return {
+      checkpointId: checkpoint.id,
+      signed: true,
+      valid: Object.values(checks).every(Boolean),
+      checks,
+      signature: this.toResponse(signature)
+    };
+  }
+
+  /**
+   * Device keys registered to an organization, newest first
+   */
+  static async listDevices(organizationId: string) {
+    const devices = await db.deviceKey.findMany({
+      where: { organizationId },
+      orderBy: { createdAt: 'desc' }
+    });
+    return devices.map(device => this.deviceResponse(device));
+  }
+
+  /**
+   * Register a device key for an organization. The device proves it holds the key by signing a
+   * DeviceRegistration for this organization and name.
+   */
+  static async registerDevice(organizationId: string, registeredById: string, data: DeviceKeyData) {
+    const address = getAddress(data.address).toLowerCase();
+    const signer = recoverTypedDataSigner(
+      signingDomain(),
+      DEVICE_REGISTRATION_TYPES,
+      { organizationId, name: data.name },
+      data.signature
+    );
+    if (signer !== address) {
+      throw createError('The registration must be signed by the device key', 400);
+    }
+
+    const wallet = await db.user.findFirst({
+      where: { walletAddress: { equals: address, mode: 'insensitive' } },
+      select: { id: true }
+    });
+    if (wallet) {
+      throw createError('This address is a user wallet and cannot be registered as a device', 409);
+    }
+
+    try {
+      const device = await db.deviceKey.create({
+        data: { name: data.name, address, organizationId, registeredById }
+      });
+      return this.deviceResponse(device);
+    } catch (error) {
+      if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        throw createError('This device key is already registered', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stop accepting a device's signatures. Checkpoints it signed before stay valid.
+   */
+  static async revokeDevice(organizationId: string, deviceId: string) {
+    const device = await db.deviceKey.findFirst({ where: { id: deviceId, organizationId } });
+    if (!device) {
+      throw createError('Device not found', 404);
+    }
+    if (device.revokedAt) {
+      return this.deviceResponse(device);
+    }
+
+    const revoked = await db.deviceKey.update({
+      where: { id: device.id },
+      data: { revokedAt: new Date() }
+    });
+    return this.deviceResponse(revoked);
+  }
+
+  static toResponse(signature: SignatureWithRelations) {
+    return {
+      signer: signature.signer,
+      signerType: signature.signerType,
+      device: signature.deviceKey ? { id: signature.deviceKey.id, name: signature.deviceKey.name } : null,
+      userId: signature.userId,
+      signature: signature.signature,
+      domain: signature.domain,
+      primaryType: 'Checkpoint',
+      types: CHECKPOINT_TYPES,
+      message: signature.message,
+      createdAt: signature.createdAt.toISOString()
+    };
+  }
+
+  private static deviceResponse(device: DeviceKey) {
+    return {
+      id: device.id,
+      name: device.name,
+      address: device.address,
+      organizationId: device.organizationId,
+      registeredById: device.registeredById,
+      createdAt: device.createdAt.toISOString(),
+      lastUsedAt: device.lastUsedAt?.toISOString() || null,
+      revokedAt: device.revokedAt?.toISOString() || null
+    };
+  }
+}
+
+export default CheckpointSignatureService;
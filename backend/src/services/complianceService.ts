@@ -0,0 +1,558 @@
+import { ComplianceDocumentType, ComplianceEvaluation, ComplianceStandard, ComplianceStatus, Prisma } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, TenantUser } from './organizationService';
+import { PackagingService } from './packagingService';
+
+// Records the platform keeps itself that a REQUIRED_DOCUMENT rule can ask for
+export const PLATFORM_DOCUMENTS = ['NFT_CERTIFICATE', 'PRODUCT_PASSPORT', 'DSCSA_T3', 'FSMA_TRACEABILITY'] as const;
+
+export type PlatformDocument = typeof PLATFORM_DOCUMENTS[number];
+
+// Besides those, a rule can ask for an unexpired evidence document of a given type
+export type RequiredDocument = PlatformDocument | ComplianceDocumentType;
+
+const REQUIRED_DOCUMENTS: RequiredDocument[] = [...PLATFORM_DOCUMENTS, ...Object.values(ComplianceDocumentType)];
+
+export type ComplianceRule =
+  | { type: 'REQUIRED_CHECKPOINT'; status?: string; bizStep?: string; description?: string }
+  | { type: 'MAX_TEMPERATURE'; max: number; description?: string }
+  | { type: 'REQUIRED_DOCUMENT'; document: RequiredDocument; description?: string }
+  | { type: 'EXPIRY_WINDOW'; minDaysRemaining?: number; maxShelfLifeDays?: number; description?: string };
+
+export const COMPLIANCE_RULE_TYPES: ComplianceRule['type'][] = ['REQUIRED_CHECKPOINT', 'MAX_TEMPERATURE', 'REQUIRED_DOCUMENT', 'EXPIRY_WINDOW'];
+
+export interface StandardData {
+  name: string;
+  description: string;
+  version: string;
+  isActive?: boolean;
+  productTypes?: string[];
+  rules?: ComplianceRule[];
+}
+
+export interface RuleResult {
+  rule: ComplianceRule;
+  passed: boolean;
+  reason: string;
+}
+
+type EvaluationWithStandard = ComplianceEvaluation & { standard: Pick<ComplianceStandard, 'id' | 'name' | 'version'> };
+
+type ProductForEvaluation = Prisma.ProductGetPayload<{
+  include: { checkpoints: { select: { name: true; bizStep: true; metadata: true } } };
+}>;
+
+// What the rules of the applicable standards need to know about a product, loaded once per evaluation
+interface ProductFacts {
+  maxTemperature: number | null;
+  documents: Set<RequiredDocument>;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isNonNegativeInt = (value: unknown): boolean => Number.isInteger(value) && (value as number) >= 0;
+
+export class ComplianceService {
+  private static timer?: ReturnType<typeof setTimeout>;
+  private static stopped = true;
+
+  /**
+   * Problems with a standard's rule list, empty when every rule is well-formed
+   */
+  static validateRules(rules: unknown): string[] {
+    if (!Array.isArray(rules)) {
+      return ['rules must be an array'];
+    }
+
+    const problems: string[] = [];
+    rules.forEach((rule, index) => {
+      const at = `rules[${index}]`;
+      if (!isObject(rule) || !COMPLIANCE_RULE_TYPES.includes(rule.type as ComplianceRule['type'])) {
+        problems.push(`${at}.type must be one of ${COMPLIANCE_RULE_TYPES.join(', ')}`);
+        return;
+      }
+      if (rule.description !== undefined && typeof rule.description !== 'string') {
+        problems.push(`${at}.description must be a string`);
+      }
+      switch (rule.type) {
+        case 'REQUIRED_CHECKPOINT':
+          if (typeof rule.status !== 'string' && typeof rule.bizStep !== 'string') {
+            problems.push(`${at} needs a checkpoint status or bizStep`);
+          }
+          break;
+        case 'MAX_TEMPERATURE':
+          if (typeof rule.max !== 'number' || !Number.isFinite(rule.max)) {
+            problems.push(`${at}.max must be a temperature in °C`);
+          }
+          break;
+        case 'REQUIRED_DOCUMENT':
+          if (!REQUIRED_DOCUMENTS.includes(rule.document as RequiredDocument)) {
+            problems.push(`${at}.document must be one of ${REQUIRED_DOCUMENTS.join(', ')}`);
+          }
+          break;
+        case 'EXPIRY_WINDOW':
+          if (rule.minDaysRemaining === undefined && rule.maxShelfLifeDays === undefined) {
+            problems.push(`${at} needs minDaysRemaining or maxShelfLifeDays`);
+          }
+          for (const field of ['minDaysRemaining', 'maxShelfLifeDays']) {
+            if (rule[field] !== undefined && !isNonNegativeInt(rule[field])) {
+              problems.push(`${at}.${field} must be a whole number of days`);
+            }
+          }
+          break;
+      }
+    });
+    return problems;
+  }
+
+  static async list(activeOnly = false) {
+    const standards = await db.complianceStandard.findMany({
+      where: activeOnly ? { isActive: true } : {},
+      orderBy: { name: 'asc' }
+    });
+    return standards.map(standard => this.toResponse(standard));
+  }
+
+  /**
+   * A standard with how many products it has been evaluated against, by outcome
+   */
+  static async get(standardId: string) {
+    const standard = await db.complianceStandard.findUnique({ where: { id: standardId } });
+    if (!standard) {
+      throw createError('Compliance standard not found', 404);
+    }
+
+    const outcomes = await db.complianceEvaluation.groupBy({
+      by: ['status'],
+      where: { standardId },
+      _count: { _all: true }
+    });
+    const count = (status: ComplianceStatus) => outcomes.find(outcome => outcome.status === status)?._count._all || 0;
+
+    return {
+      ...this.toResponse(standard),
+      evaluations: {
+        compliant: count(ComplianceStatus.COMPLIANT),
+        nonCompliant: count(ComplianceStatus.NON_COMPLIANT)
+      }
+    };
+  }
+
+  static async create(data: StandardData) {
+    try {
+      const standard = await db.complianceStandard.create({
+        data: {
+          name: data.name,
+          description: data.description,
+          version: data.version,
+          isActive: data.isActive,
+          productTypes: data.productTypes || [],
+          rules: (data.rules || []) as unknown as Prisma.InputJsonArray
+        }
+      });
+      return this.toResponse(standard);
+    } catch (error) {
+      throw this.duplicateName(error);
+    }
+  }
+
+  /**
+   * Update a standard. Its evaluations are dropped when rules, applicability or activation
+   * change, so no outdated verdict is reported until the products are evaluated again.
+   */
+  static async update(standardId: string, data: Partial<StandardData>) {
+    const existing = await db.complianceStandard.findUnique({ where: { id: standardId } });
+    if (!existing) {
+      throw createError('Compliance standard not found', 404);
+    }
+
+    try {
+      const [standard] = await prisma.$transaction([
+        db.complianceStandard.update({
+          where: { id: standardId },
+          data: {
+            name: data.name,
+            description: data.description,
+            version: data.version,
+            isActive: data.isActive,
+            productTypes: data.productTypes,
+            rules: data.rules as unknown as Prisma.InputJsonArray | undefined
+          }
+        }),
+        ...(data.rules !== undefined || data.productTypes !== undefined || data.isActive === false
+          ? [db.complianceEvaluation.deleteMany({ where: { standardId } })]
+          : [])
+      ]);
+      return this.toResponse(standard);
+    } catch (error) {
+      throw this.duplicateName(error);
+    }
+  }
+
+  static async remove(standardId: string) {
+    const existing = await db.complianceStandard.findUnique({ where: { id: standardId } });
+    if (!existing) {
+      throw createError('Compliance standard not found', 404);
+    }
+    await db.complianceStandard.delete({ where: { id: standardId } });
+    return this.toResponse(existing);
+  }
+
+  /**
+   * Latest evaluations of a product the user can see
+   */
+  static async forProduct(user: TenantUser, productId: string) {
+    const product = await this.findVisible(user, productId);
+    const evaluations = await db.complianceEvaluation.findMany({
+      where: { productId: product.id, standard: { isActive: true } },
+      include: { standard: { select: { id: true, name: true, version: true } } },
+      orderBy: { standard: { name: 'asc' } }
+    });
+    return this.productSummary(product.id, evaluations);
+  }
+
+  /**
+   * Evaluate a product the user can see against its applicable standards now
+   */
+  static async evaluateForUser(user: TenantUser, productId: string) {
+    const product = await this.findVisible(user, productId);
+    return this.productSummary(product.id, await this.evaluateProduct(product.id));
+  }
+
+  /**
+   * Evaluate a product against every active standard that applies to it (by product type or
+   * an explicit link) and persist the outcome, replacing earlier evaluations
+   */
+  static async evaluateProduct(productId: string): Promise<EvaluationWithStandard[]> {
+    const product = await db.product.findUnique({
+      where: { id: productId },
+      include: { checkpoints: { select: { name: true, bizStep: true, metadata: true } } }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+
+    const standards = await db.complianceStandard.findMany({
+      where: {
+        isActive: true,
+        OR: [{ productTypes: { has: product.type } }, { products: { some: { productId } } }]
+      }
+    });
+    const rulesOf = (standard: ComplianceStandard) => standard.rules as unknown as ComplianceRule[];
+    const facts = await this.loadFacts(product, standards.flatMap(rulesOf));
+    const evaluatedAt = new Date();
+
+    const evaluations = await prisma.$transaction([
+      // Standards that no longer apply have no verdict
+      db.complianceEvaluation.deleteMany({
+        where: { productId, standardId: { notIn: standards.map(standard => standard.id) } }
+      }),
+      ...standards.map(standard => {
+        const results = rulesOf(standard).map(rule => this.check(rule, product, facts, evaluatedAt));
+        const passedRules = results.filter(result => result.passed).length;
+        const outcome = {
+          status: passedRules === results.length ? ComplianceStatus.COMPLIANT : ComplianceStatus.NON_COMPLIANT,
+          passedRules,
+          totalRules: results.length,
+          results: results as unknown as Prisma.InputJsonArray,
+          evaluatedAt
+        };
+        return db.complianceEvaluation.upsert({
+          where: { productId_standardId: { productId, standardId: standard.id } },
+          create: { ...outcome, productId, standardId: standard.id },
+          update: outcome,
+          include: { standard: { select: { id: true, name: true, version: true } } }
+        });
+      })
+    ]);
+    return evaluations.slice(1) as EvaluationWithStandard[];
+  }
+
+  /**
+   * Evaluate every product a standard applies to, in batches
+   */
+  static async evaluateStandard(standardId: string) {
+    const standard = await db.complianceStandard.findUnique({ where: { id: standardId } });
+    if (!standard) {
+      throw createError('Compliance standard not found', 404);
+    }
+    if (!standard.isActive) {
+      throw createError('Inactive standards are not evaluated', 409);
+    }
+
+    const { batchSize } = securityConfig.compliance.sweep;
+    const summary = { evaluated: 0, compliant: 0, nonCompliant: 0 };
+    let cursor: string | undefined;
+    for (;;) {
+      const products = await db.product.findMany({
+        where: { OR: [{ type: { in: standard.productTypes } }, { complianceStandards: { some: { standardId } } }] },
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+      });
+      for (const product of products) {
+        const evaluation = (await this.evaluateProduct(product.id)).find(entry => entry.standardId === standardId);
+        summary.evaluated += 1;
+        summary[evaluation?.status === ComplianceStatus.COMPLIANT ? 'compliant' : 'nonCompliant'] += 1;
+      }
+      if (products.length < batchSize) {
+        return summary;
+      }
+      cursor = products[products.length - 1]!.id;
+    }
+  }
+
+  /**
+   * Active products bucketed by the share of rules they pass across their applicable standards:
+   * excellent (all), good (80%+), fair (50%+) and poor
+   */
+  static async stats(productWhere: Prisma.ProductWhereInput) {
+    const activeProducts: Prisma.ProductWhereInput = { AND: [productWhere, { isActive: true }] };
+    const [totals, activeCount] = await Promise.all([
+      db.complianceEvaluation.groupBy({
+        by: ['productId'],
+        where: { product: activeProducts, standard: { isActive: true } },
+        _sum: { passedRules: true, totalRules: true }
+      }),
+      db.product.count({ where: activeProducts })
+    ]);
+
+    const stats = { excellent: 0, good: 0, fair: 0, poor: 0, notEvaluated: activeCount - totals.length };
+    for (const total of totals) {
+      const passed = total._sum.passedRules || 0;
+      const rules = total._sum.totalRules || 0;
+      const share = rules === 0 ? 1 : passed / rules;
+      stats[share === 1 ? 'excellent' : share >= 0.8 ? 'good' : share >= 0.5 ? 'fair' : 'poor'] += 1;
+    }
+    return stats;
+  }
+
+  static async start(): Promise<void> {
+    if (!this.stopped) {
+      return;
+    }
+    this.stopped = false;
+    console.log('📋 Compliance sweep started');
+    this.scheduleNext(0);
+  }
+
+  static stop(): void {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  /**
+   * Evaluate products that have never been evaluated against a standard that applies to them,
+   * then refresh the stalest evaluations
+   */
+  static async sweep(): Promise<number> {
+    const { batchSize, staleAfterMs } = securityConfig.compliance.sweep;
+    const standards = await db.complianceStandard.findMany({
+      where: { isActive: true },
+      select: { id: true, productTypes: true }
+    });
+    if (standards.length === 0) {
+      return 0;
+    }
+
+    const unevaluated = await db.product.findMany({
+      where: {
+        isActive: true,
+        OR: standards.map(standard => ({
+          OR: [{ type: { in: standard.productTypes } }, { complianceStandards: { some: { standardId: standard.id } } }],
+          complianceEvaluations: { none: { standardId: standard.id } }
+        }))
+      },
+      select: { id: true },
+      take: batchSize
+    });
+    const stale = await db.complianceEvaluation.findMany({
+      where: {
+        evaluatedAt: { lt: new Date(Date.now() - staleAfterMs) },
+        productId: { notIn: unevaluated.map(product => product.id) }
+      },
+      distinct: ['productId'],
+      select: { productId: true },
+      orderBy: { evaluatedAt: 'asc' },
+      take: Math.max(batchSize - unevaluated.length, 0)
+    });
+
+    const productIds = [...unevaluated.map(product => product.id), ...stale.map(evaluation => evaluation.productId)];
+    for (const productId of productIds) {
+      await this.evaluateProduct(productId);
+    }
+    return productIds.length;
+  }
+
+  static toResponse(standard: ComplianceStandard) {
+    return {
+      id: standard.id,
+      name: standard.name,
+      description: standard.description,
+      version: standard.version,
+      isActive: standard.isActive,
+      productTypes: standard.productTypes,
+      rules: standard.rules,
+      createdAt: standard.createdAt.toISOString(),
+      updatedAt: standard.updatedAt.toISOString()
+    };
+  }
+
+  private static scheduleNext(delay: number): void {
+    if (this.stopped) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.sweep();
+      } catch (error) {
+        console.error('Compliance sweep failed:', error);
+      }
+      this.scheduleNext(securityConfig.compliance.sweep.pollInterval);
+    }, delay);
+  }
+
+  private static async findVisible(user: TenantUser, productId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] },
+      select: { id: true }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    return product;
+  }
+
+  // Only what the rules ask about is loaded
+  private static async loadFacts(product: ProductForEvaluation, rules: ComplianceRule[]): Promise<ProductFacts> {
+    const facts: ProductFacts = { maxTemperature: null, documents: new Set() };
+
+    if (rules.some(rule => rule.type === 'MAX_TEMPERATURE')) {
+      // Readings taken on the case or pallet the product travels in count for it too
+      const productIds = [product.id, ...await PackagingService.ancestorIds(product.id)];
+      const readings = await db.telemetryReading.aggregate({
+        where: { productId: { in: productIds }, temperature: { not: null } },
+        _max: { temperature: true }
+      });
+      const recorded = product.checkpoints
+        .map(checkpoint => parseFloat(String((checkpoint.metadata as { temperature?: unknown } | null)?.temperature ?? '')))
+        .filter(Number.isFinite);
+      const values = [...recorded, ...(readings._max.temperature !== null ? [readings._max.temperature] : [])];
+      facts.maxTemperature = values.length > 0 ? Math.max(...values) : null;
+    }
+
+    const wanted = new Set(rules.flatMap(rule => (rule.type === 'REQUIRED_DOCUMENT' ? [rule.document] : [])));
+    const counts: Record<PlatformDocument, () => Promise<number>> = {
+      NFT_CERTIFICATE: () => db.nftCertificate.count({
+        where: { productId: product.id, isValid: true, OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }] }
+      }),
+      PRODUCT_PASSPORT: () => db.productPassportVersion.count({ where: { productId: product.id } }),
+      DSCSA_T3: () => db.dscsaTransaction.count({ where: { productIds: { has: product.id } } }),
+      FSMA_TRACEABILITY: () => db.traceabilityRecord.count({ where: { productId: product.id } })
+    };
+    for (const document of wanted) {
+      const count = document in counts
+        ? await counts[document as PlatformDocument]()
+        : await db.complianceDocument.count({
+          where: {
+            productId: product.id,
+            documentType: document as ComplianceDocumentType,
+            OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+          }
+        });
+      if (count > 0) {
+        facts.documents.add(document);
+      }
+    }
+    return facts;
+  }
+
+  private static check(rule: ComplianceRule, product: ProductForEvaluation, facts: ProductFacts, now: Date): RuleResult {
+    const result = (passed: boolean, reason: string): RuleResult => ({ rule, passed, reason });
+
+    switch (rule.type) {
+      case 'REQUIRED_CHECKPOINT': {
+        const wanted = rule.status?.toUpperCase();
+        const found = product.checkpoints.some(checkpoint => {
+          const status = ((checkpoint.metadata as { status?: string } | null)?.status || checkpoint.name).toUpperCase();
+          return (!wanted || status === wanted || checkpoint.name.toUpperCase() === wanted)
+            && (!rule.bizStep || checkpoint.bizStep === rule.bizStep);
+        });
+        const label = [rule.status && `status ${rule.status}`, rule.bizStep && `business step ${rule.bizStep}`].filter(Boolean).join(' and ');
+        return result(found, found ? `Checkpoint with ${label} recorded` : `No checkpoint with ${label} has been recorded`);
+      }
+
+      case 'MAX_TEMPERATURE':
+        if (facts.maxTemperature === null) {
+          return result(false, `No temperature has been recorded to show it stayed at or below ${rule.max}°C`);
+        }
+        return facts.maxTemperature <= rule.max
+          ? result(true, `Highest recorded temperature ${facts.maxTemperature}°C is within the ${rule.max}°C limit`)
+          : result(false, `Recorded temperature reached ${facts.maxTemperature}°C, above the ${rule.max}°C limit`);
+
+      case 'REQUIRED_DOCUMENT':
+        return facts.documents.has(rule.document)
+          ? result(true, `${rule.document} on file`)
+          : result(false, `${rule.document} is required but none is on file`);
+
+      case 'EXPIRY_WINDOW': {
+        if (!product.expiryDate) {
+          return result(false, 'The product has no expiry date');
+        }
+        const problems: string[] = [];
+        const daysRemaining = Math.floor((product.expiryDate.getTime() - now.getTime()) / DAY_MS);
+        if (rule.minDaysRemaining !== undefined && daysRemaining < rule.minDaysRemaining) {
+          problems.push(daysRemaining < 0
+            ? `expired ${-daysRemaining} days ago`
+            : `${daysRemaining} days of shelf life left, ${rule.minDaysRemaining} required`);
+        }
+        const shelfLife = Math.round((product.expiryDate.getTime() - product.manufactureDate.getTime()) / DAY_MS);
+        if (rule.maxShelfLifeDays !== undefined && shelfLife > rule.maxShelfLifeDays) {
+          problems.push(`shelf life of ${shelfLife} days exceeds the ${rule.maxShelfLifeDays} allowed`);
+        }
+        return problems.length === 0
+          ? result(true, `Expires in ${daysRemaining} days, within the required window`)
+          : result(false, `Expiry outside the required window: ${problems.join('; ')}`);
+      }
+    }
+  }
+
+  private static productSummary(productId: string, evaluations: EvaluationWithStandard[]) {
+    return {
+      productId,
+      status: evaluations.length === 0
+        ? null
+        : evaluations.every(evaluation => evaluation.status === ComplianceStatus.COMPLIANT)
+          ? ComplianceStatus.COMPLIANT
+          : ComplianceStatus.NON_COMPLIANT,
+      evaluations: evaluations.map(evaluation => ({
+        standard: evaluation.standard,
+        status: evaluation.status,
+        passedRules: evaluation.passedRules,
+        totalRules: evaluation.totalRules,
+        results: evaluation.results,
+        evaluatedAt: evaluation.evaluatedAt.toISOString()
+      }))
+    };
+  }
+
+  private static duplicateName(error: unknown): unknown {
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+      return createError('A compliance standard with this name already exists', 409);
+    }
+    return error;
+  }
+}
+
+export default ComplianceService;
@@ -0,0 +1,436 @@
+import { CustodyTransferStatus, Prisma } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { createError } from '../middleware/errorHandler';
+import { DscsaService } from './dscsaService';
+import { AnchorService } from './anchorService';
+import { OrganizationService, Tenant, TenantUser } from './organizationService';
+import { PackagingService } from './packagingService';
+
+export interface InitiateTransferData {
+  toOrganizationId: string;
+  shippedFrom: string;
+  shipmentReference?: string;
+  carrier?: string;
+  trackingNumber?: string;
+  expectedDeliveryAt?: Date;
+  notes?: string;
+}
+
+export interface TransferResponseData {
+  location: string;
+  notes?: string;
+  reason?: string;
+}
+
+const organizationSummary = { select: { id: true, name: true, type: true } } as const;
+
+const transferInclude = {
+  product: { select: { id: true, name: true, batchNumber: true } },
+  fromOrganization: organizationSummary,
+  toOrganization: organizationSummary,
+  initiatedBy: { select: { id: true, email: true } },
+  respondedBy: { select: { id: true, email: true } },
+  dscsaTransaction: { select: { id: true } }
+} satisfies Prisma.CustodyTransferInclude;
+
+type TransferWithRelations = Prisma.CustodyTransferGetPayload<{ include: typeof transferInclude }>;
+
+// Checkpoint statuses recorded for each step of a transfer
+const CHECKPOINT_STATUS = {
+  dispatch: 'CUSTODY_TRANSFER_INITIATED',
+  ACCEPTED: 'CUSTODY_ACCEPTED',
+  REJECTED: 'CUSTODY_REJECTED',
+  CANCELLED: 'CUSTODY_TRANSFER_CANCELLED'
+} as const;
+
+export class CustodyService {
+  /**
+   * Offer custody of a product to another organization. Only members of the current
+   * custodian may do this, and a product can have one pending transfer at a time.
+   */
+  static async initiate(user: TenantUser, productId: string, data: InitiateTransferData) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] }
+    });
+
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    if (!product.isActive) {
+      throw createError('Cannot transfer custody of an inactive product', 409);
+    }
+
+    const custodianId = product.currentCustodianId || product.organizationId;
+    if (!custodianId) {
+      throw createError('The product must belong to an organization before its custody can be transferred', 409);
+    }
+    if (!OrganizationService.canHandleCustody(tenant, custodianId)) {
+      throw createError('Only the current custodian can transfer custody of this product', 403);
+    }
+    if (data.toOrganizationId === custodianId) {
+      throw createError('The receiving organization already holds this product', 400);
+    }
+
+    const receiver = await db.organization.findUnique({ where: { id: data.toOrganizationId } });
+    if (!receiver) {
+      throw createError('Receiving organization not found', 404);
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const pending = await tx.custodyTransfer.findFirst({
+          where: { productId: product.id, status: CustodyTransferStatus.PENDING }
+        });
+        if (pending) {
+          throw createError('This product already has a pending custody transfer', 409);
+        }
+
+        const transfer = await tx.custodyTransfer.create({
+          data: {
+            productId: product.id,
+            fromOrganizationId: custodianId,
+            toOrganizationId: receiver.id,
+            initiatedById: user.id,
+            shippedFrom: data.shippedFrom,
+            shipmentReference: data.shipmentReference,
+            carrier: data.carrier,
+            trackingNumber: data.trackingNumber,
+            expectedDeliveryAt: data.expectedDeliveryAt,
+            notes: data.notes
+          }
+        });
+
+        const { checkpoint, blockchainJob } = await this.recordCheckpoint(tx, {
+          productId: product.id,
+          transferId: transfer.id,
+          status: CHECKPOINT_STATUS.dispatch,
+          location: data.shippedFrom,
+          additionalData: `Custody offered to ${receiver.name}`,
+          details: {
+            carrier: data.carrier,
+            trackingNumber: data.trackingNumber,
+            shipmentReference: data.shipmentReference
+          },
+          userId: user.id
+        });
+
+        const updated = await tx.custodyTransfer.update({
+          where: { id: transfer.id },
+          data: { dispatchCheckpointId: checkpoint.id },
+          include: transferInclude
+        });
+
+        return { transfer: updated, blockchainJob };
+      });
+    } catch (error) {
+      // The partial unique index catches a concurrent initiation
+      if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        throw createError('This product already has a pending custody transfer', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a pending transfer on behalf of the receiving organization. Custody (and
+   * liability) passes at the moment of acceptance, recorded by the receipt checkpoint and, for
+   * pharmaceutical products, by a DSCSA T3 document.
+   */
+  static async accept(user: TenantUser, transferId: string, data: TransferResponseData) {
+    return this.respond(user, transferId, CustodyTransferStatus.ACCEPTED, data);
+  }
+
+  /**
+   * Reject a pending transfer; the sender keeps custody
+   */
+  static async reject(user: TenantUser, transferId: string, data: TransferResponseData) {
+    return this.respond(user, transferId, CustodyTransferStatus.REJECTED, data);
+  }
+
+  /**
+   * Withdraw a pending transfer on behalf of the sending organization
+   */
+  static async cancel(user: TenantUser, transferId: string, reason?: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const transfer = await this.findVisible(transferId, tenant);
+
+    if (!OrganizationService.canHandleCustody(tenant, transfer.fromOrganizationId)) {
+      throw createError('Only the sending organization can cancel this transfer', 403);
+    }
+
+    return prisma.$transaction(async (tx) => {
+      await this.claim(tx, transfer.id, CustodyTransferStatus.CANCELLED, user.id, reason);
+
+      const { checkpoint, blockchainJob } = await this.recordCheckpoint(tx, {
+        productId: transfer.productId,
+        transferId: transfer.id,
+        status: CHECKPOINT_STATUS.CANCELLED,
+        location: transfer.shippedFrom,
+        additionalData: reason || `Custody transfer to ${transfer.toOrganization.name} cancelled`,
+        userId: user.id
+      });
+
+      const updated = await tx.custodyTransfer.update({
+        where: { id: transfer.id },
+        data: { receiptCheckpointId: checkpoint.id },
+        include: transferInclude
+      });
+
+      return { transfer: updated, blockchainJob };
+    });
+  }
+
+  /**
+   * Transfers sent or received by the user's organizations
+   */
+  static async list(user: TenantUser, filters: { direction?: 'incoming' | 'outgoing'; status?: CustodyTransferStatus; productId?: string } = {}) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const organizationIds = [...tenant.memberships.keys()];
+
+    const involvement: Prisma.CustodyTransferWhereInput = tenant.isPlatformAdmin && !filters.direction
+      ? {}
+      : filters.direction === 'incoming'
+        ? { toOrganizationId: { in: organizationIds } }
+        : filters.direction === 'outgoing'
+          ? { fromOrganizationId: { in: organizationIds } }
+          : { OR: [{ toOrganizationId: { in: organizationIds } }, { fromOrganizationId: { in: organizationIds } }] };
+
+    const transfers = await db.custodyTransfer.findMany({
+      where: {
+        AND: [
+          involvement,
+          filters.status ? { status: filters.status } : {},
+          filters.productId ? { productId: filters.productId } : {}
+        ]
+      },
+      include: transferInclude,
+      orderBy: { initiatedAt: 'desc' }
+    });
+
+    return transfers.map(transfer => this.toResponse(transfer));
+  }
+
+  /**
+   * A transfer the user's organizations are party to, or 404
+   */
+  static async get(user: TenantUser, transferId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    return this.toResponse(await this.findVisible(transferId, tenant));
+  }
+
+  /**
+   * Chain of custody for a product: who held it over which period, and every transfer
+   * attempt including rejected and cancelled ones
+   */
+  static async chainOfCustody(user: TenantUser, productId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] },
+      include: {
+        organization: organizationSummary,
+        currentCustodian: organizationSummary,
+        custodyTransfers: { include: transferInclude, orderBy: { initiatedAt: 'asc' } }
+      }
+    });
+
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+
+    const custodians: { organization: { id: string; name: string; type: string } | null; from: string; until: string | null; transferId: string | null }[] = [{
+      organization: product.organization,
+      from: product.createdAt.toISOString(),
+      until: null,
+      transferId: null
+    }];
+
+    for (const transfer of product.custodyTransfers) {
+      if (transfer.status !== CustodyTransferStatus.ACCEPTED || !transfer.respondedAt) {
+        continue;
+      }
+      custodians[custodians.length - 1]!.until = transfer.respondedAt.toISOString();
+      custodians.push({
+        organization: transfer.toOrganization,
+        from: transfer.respondedAt.toISOString(),
+        until: null,
+        transferId: transfer.id
+      });
+    }
+
+    return {
+      productId: product.id,
+      productName: product.name,
+      batchNumber: product.batchNumber,
+      currentCustodian: product.currentCustodian || product.organization,
+      custodians,
+      transfers: product.custodyTransfers.map(transfer => this.toResponse(transfer))
+    };
+  }
+
+  /**
+   * Public view of a transfer
+   */
+  static toResponse(transfer: TransferWithRelations) {
+    return {
+      id: transfer.id,
+      status: transfer.status,
+      product: transfer.product,
+      from: transfer.fromOrganization,
+      to: transfer.toOrganization,
+      shipment: {
+        reference: transfer.shipmentReference,
+        carrier: transfer.carrier,
+        trackingNumber: transfer.trackingNumber,
+        shippedFrom: transfer.shippedFrom,
+        expectedDeliveryAt: transfer.expectedDeliveryAt?.toISOString() || null
+      },
+      notes: transfer.notes,
+      rejectionReason: transfer.rejectionReason,
+      initiatedBy: transfer.initiatedBy,
+      initiatedAt: transfer.initiatedAt.toISOString(),
+      respondedBy: transfer.respondedBy,
+      respondedAt: transfer.respondedAt?.toISOString() || null,
+      dispatchCheckpointId: transfer.dispatchCheckpointId,
+      receiptCheckpointId: transfer.receiptCheckpointId,
+      dscsaTransactionId: transfer.dscsaTransaction?.id || null
+    };
+  }
+
+  private static async respond(
+    user: TenantUser,
+    transferId: string,
+    outcome: typeof CustodyTransferStatus.ACCEPTED | typeof CustodyTransferStatus.REJECTED,
+    data: TransferResponseData
+  ) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const transfer = await this.findVisible(transferId, tenant);
+
+    if (!OrganizationService.canHandleCustody(tenant, transfer.toOrganizationId)) {
+      throw createError('Only the receiving organization can respond to this transfer', 403);
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const respondedAt = await this.claim(tx, transfer.id, outcome, user.id, data.reason);
+
+      if (outcome === CustodyTransferStatus.ACCEPTED) {
+        // Whatever is packed inside a case or pallet changes hands with it
+        const contentIds = await PackagingService.descendantIds(transfer.productId, tx);
+        await tx.product.updateMany({
+          where: { id: { in: [transfer.productId, ...contentIds] } },
+          data: { currentCustodianId: transfer.toOrganizationId }
+        });
+
+        // Change of ownership of pharmaceutical products: issue the DSCSA T3
+        await DscsaService.issue(tx, transfer, respondedAt);
+      }
+
+      const { checkpoint, blockchainJob } = await this.recordCheckpoint(tx, {
+        productId: transfer.productId,
+        transferId: transfer.id,
+        status: CHECKPOINT_STATUS[outcome],
+        location: data.location,
+        additionalData: outcome === CustodyTransferStatus.ACCEPTED
+          ? `Custody accepted by ${transfer.toOrganization.name}`
+          : `Custody rejected by ${transfer.toOrganization.name}: ${data.reason}`,
+        details: { notes: data.notes },
+        userId: user.id,
+        timestamp: respondedAt
+      });
+
+      const updated = await tx.custodyTransfer.update({
+        where: { id: transfer.id },
+        data: { receiptCheckpointId: checkpoint.id },
+        include: transferInclude
+      });
+
+      return { transfer: updated, blockchainJob };
+    });
+  }
+
+  /**
+   * Move a transfer out of PENDING. Only one response can win; later ones get 409.
+   */
+  private static async claim(
+    tx: Prisma.TransactionClient,
+    transferId: string,
+    status: CustodyTransferStatus,
+    userId: string,
+    reason?: string
+  ): Promise<Date> {
+    const respondedAt = new Date();
+    const claimed = await tx.custodyTransfer.updateMany({
+      where: { id: transferId, status: CustodyTransferStatus.PENDING },
+      data: {
+        status,
+        respondedAt,
+        respondedById: userId,
+        // Why the transfer was rejected or cancelled
+        rejectionReason: reason
+      }
+    });
+
+    if (claimed.count !== 1) {
+      throw createError('This transfer is no longer pending', 409);
+    }
+    return respondedAt;
+  }
+
+  private static async recordCheckpoint(
+    tx: Prisma.TransactionClient,
+    step: {
+      productId: string;
+      transferId: string;
+      status: string;
+      location: string;
+      additionalData: string;
+      details?: Record<string, string | undefined>;
+      userId: string;
+      timestamp?: Date;
+    }
+  ) {
+    const checkpoint = await tx.checkpoint.create({
+      data: {
+        name: step.status,
+        location: step.location,
+        timestamp: step.timestamp || new Date(),
+        metadata: {
+          status: step.status,
+          additionalData: step.additionalData,
+          custodyTransferId: step.transferId,
+          ...step.details,
+          stakeholder: step.userId
+        },
+        productId: step.productId
+      }
+    });
+    await PackagingService.propagateCheckpoint(tx, checkpoint);
+
+    const blockchainJob = await AnchorService.enqueueCheckpoint(checkpoint, step.userId, tx);
+
+    return { checkpoint, blockchainJob };
+  }
+
+  private static async findVisible(transferId: string, tenant: Tenant): Promise<TransferWithRelations> {
+    const organizationIds = [...tenant.memberships.keys()];
+    const transfer = await db.custodyTransfer.findFirst({
+      where: {
+        id: transferId,
+        ...(tenant.isPlatformAdmin ? {} : {
+          OR: [
+            { fromOrganizationId: { in: organizationIds } },
+            { toOrganizationId: { in: organizationIds } }
+          ]
+        })
+      },
+      include: transferInclude
+    });
+
+    if (!transfer) {
+      throw createError('Custody transfer not found', 404);
+    }
+    return transfer;
+  }
+}
+
+export default CustodyService;
@@ -0,0 +1,121 @@
+import { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { Gs1Key, digitalLinkUri } from '../config/gs1';
+import { createError } from '../middleware/errorHandler';
+
+const GS1_VOCABULARY = 'https://gs1.org/voc/';
+
+export interface DigitalLink {
+  href: string;
+  title: string;
+  type: string;
+}
+
+type ResolvedProduct = { id: string; name: string; gtin: string | null; lotNumber: string; serialNumber: string | null };
+
+export type Resolution =
+  | { product: ResolvedProduct }
+  | { candidates: { lotNumber: string; name: string }[] };
+
+export class DigitalLinkService {
+  /**
+   * Find the product a Digital Link identifies. A serial identifies one item, a lot one batch;
+   * a bare GTIN resolves only when a single product carries it. Serial numbers are never listed,
+   * so the public resolver cannot be used to enumerate valid product identifiers.
+   */
+  static async resolve(key: Gs1Key): Promise<Resolution> {
+    const select = { id: true, name: true, gtin: true, lotNumber: true, serialNumber: true };
+
+    if (key.serial) {
+      const product = await db.product.findFirst({ where: { gtin: key.gtin, serialNumber: key.serial }, select });
+      if (!product) {
+        throw createError('No product with this GTIN and serial number', 404);
+      }
+      // A serial printed with the wrong lot is a sign of relabelled or counterfeit goods
+      if (key.lot && key.lot !== product.lotNumber) {
+        throw createError('The lot in this link does not match the serialised item', 404);
+      }
+      return { product };
+    }
+
+    const where = { gtin: key.gtin, ...(key.lot ? { lotNumber: key.lot } : {}) };
+    const products = await db.product.findMany({ where, select, orderBy: { manufactureDate: 'desc' }, take: 2 });
+
+    if (products.length === 0) {
+      throw createError(key.lot ? 'No product with this GTIN and lot' : 'No product with this GTIN', 404);
+    }
+    if (products.length === 1) {
+      return { product: products[0]! };
+    }
+
+    if (!key.lot) {
+      const lots = await db.product.findMany({
+        where,
+        distinct: ['lotNumber'],
+        select: { lotNumber: true, name: true },
+        orderBy: { lotNumber: 'asc' },
+        take: 50
+      });
+      if (lots.length > 1) {
+        return { candidates: lots };
+      }
+    }
+    throw createError('Several serialised items carry this GTIN and lot; add the serial number (/21/)', 400);
+  }
+
+  /**
+   * Links offered for a product, keyed by GS1 link type
+   */
+  static links(product: ResolvedProduct, apiBaseUrl: string): Record<string, DigitalLink[]> {
+    const verifyPage = `${securityConfig.digitalLink.verifyPageUrl}/verify/${encodeURIComponent(product.id)}`;
+    const verifyApi = `${apiBaseUrl}/api/products/${encodeURIComponent(product.id)}/verify`;
+
+    return {
+      [`${GS1_VOCABULARY}defaultLink`]: [{ href: verifyPage, title: `Verify ${product.name}`, type: 'text/html' }],
+      [`${GS1_VOCABULARY}pip`]: [{ href: verifyPage, title: `${product.name} product information`, type: 'text/html' }],
+      [`${GS1_VOCABULARY}verificationService`]: [{ href: verifyApi, title: 'Product verification', type: 'application/json' }],
+      [`${GS1_VOCABULARY}recallStatus`]: [{ href: verifyApi, title: 'Recall status', type: 'application/json' }],
+      [`${GS1_VOCABULARY}traceability`]: [{
+        href: `${apiBaseUrl}/api/epcis/events?productId=${encodeURIComponent(product.id)}`,
+        title: 'EPCIS event history (authorised partners)',
+        type: 'application/ld+json'
+      }]
+    };
+  }
+
+  /**
+   * RFC 9264 linkset for a product, anchored at its canonical Digital Link URI
+   */
+  static linkset(product: ResolvedProduct, links: Record<string, DigitalLink[]>, resolverBaseUrl: string) {
+    return {
+      linkset: [{
+        anchor: this.anchor(product, resolverBaseUrl),
+        itemDescription: product.name,
+        ...links
+      }]
+    };
+  }
+
+  /**
+   * Canonical Digital Link URI of a product on this resolver
+   */
+  static anchor(product: ResolvedProduct, resolverBaseUrl: string): string {
+    return digitalLinkUri({
+      gtin: product.gtin!,
+      lot: product.lotNumber,
+      serial: product.serialNumber || undefined
+    }, resolverBaseUrl);
+  }
+
+  /**
+   * Full GS1 vocabulary URI for a linkType parameter ("gs1:pip", "pip" or the URI itself)
+   */
+  static linkTypeUri(linkType: string): string {
+    if (linkType.startsWith(GS1_VOCABULARY)) {
+      return linkType;
+    }
+    return `${GS1_VOCABULARY}${linkType.replace(/^gs1:/, '')}`;
+  }
+}
+
+export default DigitalLinkService;
@@ -0,0 +1,358 @@
+import * as crypto from 'crypto';
+import { ComplianceDocumentType, DocumentVisibility, Prisma, UserRole } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { getBlobStore } from '../config/storage';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, Tenant, TenantUser } from './organizationService';
+
+export interface UploadedFile {
+  originalname: string;
+  buffer: Buffer;
+  size: number;
+}
+
+export interface DocumentData {
+  title: string;
+  documentType: ComplianceDocumentType;
+  complianceStandard?: string;
+  issuer?: string;
+  issuedAt?: Date;
+  expiresAt?: Date;
+  visibility?: DocumentVisibility;
+  sharedWith?: string[];
+  organizationId?: string;
+}
+
+// Exactly one of these says what the document is evidence for
+export interface DocumentTarget {
+  productId?: string;
+  checkpointId?: string;
+  certificateId?: string;
+}
+
+export interface DocumentFilters extends DocumentTarget {
+  documentType?: ComplianceDocumentType;
+  complianceStandard?: string;
+  limit?: number;
+}
+
+const documentInclude = {
+  organization: { select: { id: true, name: true, type: true } },
+  uploadedBy: { select: { id: true, email: true } }
+} satisfies Prisma.ComplianceDocumentInclude;
+
+type DocumentWithRelations = Prisma.ComplianceDocumentGetPayload<{ include: typeof documentInclude }>;
+
+// Leading bytes of the file formats documents may be uploaded in; the declared type is not trusted
+const SIGNATURES: { contentType: string; bytes: number[] }[] = [
+  { contentType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] }
+];
+
+const sniffContentType = (data: Buffer): string | null =>
+  SIGNATURES.find(signature => signature.bytes.every((byte, index) => data[index] === byte))?.contentType || null;
+
+const sha256 = (data: Buffer): string => crypto.createHash('sha256').update(data).digest('hex');
+
+export class DocumentService {
+  /**
+   * Store an evidence document against a product, checkpoint or certificate. Anyone who may
+   * record checkpoints for the product may attach documents, as may a certificate's owner.
+   */
+  static async upload(user: TenantUser, target: DocumentTarget, file: UploadedFile, data: DocumentData) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const { productId, checkpointId, certificateId } = await this.resolveTarget(tenant, target);
+
+    const contentType = sniffContentType(file.buffer);
+    if (!contentType || !securityConfig.documents.allowedFileTypes.includes(contentType)) {
+      throw createError('Documents must be PDF, PNG or JPEG files', 415);
+    }
+    if (data.expiresAt && data.issuedAt && data.expiresAt <= data.issuedAt) {
+      throw createError('expiresAt must be after issuedAt', 400);
+    }
+    await this.assertOrganizationsExist(data.sharedWith);
+    const organizationId = this.uploaderOrganization(tenant, data.organizationId);
+
+    // Contents are stored once per hash, however many documents share them
+    const hash = sha256(file.buffer);
+    await getBlobStore().put(hash, file.buffer, contentType);
+
+    const document = await db.complianceDocument.create({
+      data: {
+        title: data.title,
+        documentType: data.documentType,
+        complianceStandard: data.complianceStandard,
+        issuer: data.issuer,
+        issuedAt: data.issuedAt,
+        expiresAt: data.expiresAt,
+        fileName: file.originalname,
+        contentType,
+        size: file.size,
+        sha256: hash,
+        visibility: data.visibility,
+        sharedWith: data.sharedWith || [],
+        productId,
+        checkpointId,
+        certificateId,
+        organizationId,
+        uploadedById: user.id
+      },
+      include: documentInclude
+    });
+    return this.toResponse(document);
+  }
+
+  /**
+   * Documents the user may see, newest first, narrowed to one product, checkpoint or
+   * certificate when asked
+   */
+  static async list(user: TenantUser | undefined, filters: DocumentFilters = {}) {
+    const where = await this.visibleWhere(user);
+    const documents = await db.complianceDocument.findMany({
+      where: {
+        AND: [where, {
+          productId: filters.productId,
+          checkpointId: filters.checkpointId,
+          certificateId: filters.certificateId,
+          documentType: filters.documentType,
+          complianceStandard: filters.complianceStandard
+        }]
+      },
+      include: documentInclude,
+      orderBy: { createdAt: 'desc' },
+      take: filters.limit || 100
+    });
+    return documents.map(document => this.toResponse(document));
+  }
+
+  static async get(user: TenantUser | undefined, documentId: string) {
+    return this.toResponse(await this.findVisible(user, documentId));
+  }
+
+  /**
+   * A document's contents, checked against the hash recorded at upload
+   */
+  static async content(user: TenantUser | undefined, documentId: string) {
+    const document = await this.findVisible(user, documentId);
+    const data = await getBlobStore().get(document.sha256);
+    if (!data) {
+      throw createError('Document contents are missing from storage', 500);
+    }
+    if (sha256(data) !== document.sha256) {
+      throw createError('Stored document does not match its recorded hash', 500);
+    }
+    return { document, data };
+  }
+
+  /**
+   * Whether a file with this SHA-256 is on record among the documents the user may see. Documents
+   * the user cannot see are not counted, so a private file's existence is not revealed.
+   */
+  static async verify(user: TenantUser | undefined, hash: string) {
+    const normalized = hash.toLowerCase();
+    const visible = await db.complianceDocument.findMany({
+      where: { AND: [{ sha256: normalized }, await this.visibleWhere(user)] },
+      include: documentInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+    return {
+      sha256: normalized,
+      registered: visible.length > 0,
+      documents: visible.map(document => this.toResponse(document))
+    };
+  }
+
+  /**
+   * Update a document's details. A new expiry date replaces any reminder raised for the old one.
+   */
+  static async update(user: TenantUser, documentId: string, data: Partial<Omit<DocumentData, 'organizationId'>>) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const document = await this.findManageable(tenant, documentId);
+
+    const issuedAt = data.issuedAt ?? document.issuedAt;
+    const expiresAt = data.expiresAt ?? document.expiresAt;
+    if (issuedAt && expiresAt && expiresAt <= issuedAt) {
+      throw createError('expiresAt must be after issuedAt', 400);
+    }
+    await this.assertOrganizationsExist(data.sharedWith);
+
+    const expiryChanged = data.expiresAt !== undefined && data.expiresAt.getTime() !== document.expiresAt?.getTime();
+    const updated = await prisma.$transaction(async tx => {
+      if (expiryChanged) {
+        await tx.expiryReminder.deleteMany({ where: { documentId } });
+      }
+      return tx.complianceDocument.update({
+        where: { id: documentId },
+        data: {
+          title: data.title,
+          documentType: data.documentType,
+          complianceStandard: data.complianceStandard,
+          issuer: data.issuer,
+          issuedAt: data.issuedAt,
+          expiresAt: data.expiresAt,
+          visibility: data.visibility,
+          sharedWith: data.sharedWith
+        },
+        include: documentInclude
+      });
+    });
+    return this.toResponse(updated);
+  }
+
+  /**
+   * Delete a document; its contents go too unless another document has the same file
+   */
+  static async remove(user: TenantUser, documentId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const document = await this.findManageable(tenant, documentId);
+
+    await db.complianceDocument.delete({ where: { id: documentId } });
+    const shared = await db.complianceDocument.count({ where: { sha256: document.sha256 } });
+    if (shared === 0) {
+      await getBlobStore().delete(document.sha256);
+    }
+    return this.toResponse(document);
+  }
+
+  static toResponse(document: DocumentWithRelations) {
+    return {
+      id: document.id,
+      title: document.title,
+      documentType: document.documentType,
+      complianceStandard: document.complianceStandard,
+      issuer: document.issuer,
+      issuedAt: document.issuedAt?.toISOString() || null,
+      expiresAt: document.expiresAt?.toISOString() || null,
+      isExpired: !!document.expiresAt && document.expiresAt <= new Date(),
+      fileName: document.fileName,
+      contentType: document.contentType,
+      size: document.size,
+      sha256: document.sha256,
+      visibility: document.visibility,
+      sharedWith: document.sharedWith,
+      productId: document.productId,
+      checkpointId: document.checkpointId,
+      certificateId: document.certificateId,
+      organization: document.organization,
+      uploadedBy: document.uploadedBy,
+      createdAt: document.createdAt.toISOString(),
+      updatedAt: document.updatedAt.toISOString()
+    };
+  }
+
+  /**
+   * Documents a user may read: public ones, their own and their organizations', those shared
+   * with their organizations, and stakeholder documents of products they can see. Anonymous
+   * callers only see public documents; platform admins see everything.
+   */
+  private static async visibleWhere(user: TenantUser | undefined): Promise<Prisma.ComplianceDocumentWhereInput> {
+    if (!user) {
+      return { visibility: DocumentVisibility.PUBLIC };
+    }
+    const tenant = await OrganizationService.resolveTenant(user);
+    if (tenant.isPlatformAdmin) {
+      return {};
+    }
+
+    const organizationIds = [...tenant.memberships.keys()];
+    return {
+      OR: [
+        { visibility: DocumentVisibility.PUBLIC },
+        { uploadedById: tenant.userId },
+        { organizationId: { in: organizationIds } },
+        { sharedWith: { hasSome: organizationIds } },
+        { visibility: DocumentVisibility.STAKEHOLDERS, product: OrganizationService.productScope(tenant) }
+      ]
+    };
+  }
+
+  private static async findVisible(user: TenantUser | undefined, documentId: string): Promise<DocumentWithRelations> {
+    const document = await db.complianceDocument.findFirst({
+      where: { AND: [{ id: documentId }, await this.visibleWhere(user)] },
+      include: documentInclude
+    });
+    if (!document) {
+      throw createError('Document not found', 404);
+    }
+    return document;
+  }
+
+  // The uploader, an admin of the uploading organization or a platform admin
+  private static async findManageable(tenant: Tenant, documentId: string): Promise<DocumentWithRelations> {
+    const document = await db.complianceDocument.findUnique({ where: { id: documentId }, include: documentInclude });
+    if (!document) {
+      throw createError('Document not found', 404);
+    }
+    const isOrganizationAdmin = !!document.organizationId
+      && (tenant.memberships.get(document.organizationId) || []).includes(UserRole.ADMIN);
+    if (!tenant.isPlatformAdmin && document.uploadedById !== tenant.userId && !isOrganizationAdmin) {
+      throw createError('Only the uploader or an organization admin can change this document', 403);
+    }
+    return document;
+  }
+
+  // The product behind the target, once the tenant is known to be allowed to attach evidence to it
+  private static async resolveTarget(tenant: Tenant, target: DocumentTarget): Promise<DocumentTarget & { productId: string }> {
+    const given = [target.productId, target.checkpointId, target.certificateId].filter(Boolean);
+    if (given.length !== 1) {
+      throw createError('Attach a document to exactly one of productId, checkpointId or certificateId', 400);
+    }
+
+    let productId = target.productId;
+    let certificateOwnerId: string | null = null;
+    if (target.checkpointId) {
+      const checkpoint = await db.checkpoint.findUnique({ where: { id: target.checkpointId }, select: { productId: true } });
+      if (!checkpoint) {
+        throw createError('Checkpoint not found', 404);
+      }
+      productId = checkpoint.productId;
+    } else if (target.certificateId) {
+      const certificate = await db.nftCertificate.findUnique({
+        where: { id: target.certificateId },
+        select: { productId: true, ownerId: true }
+      });
+      if (!certificate) {
+        throw createError('Certificate not found', 404);
+      }
+      productId = certificate.productId;
+      certificateOwnerId = certificate.ownerId;
+    }
+
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] },
+      include: { stakeholders: { select: { userId: true, walletAddress: true } } }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    if (certificateOwnerId !== tenant.userId && !OrganizationService.canRecordCheckpoint(tenant, product)) {
+      throw createError('You cannot attach documents to this product', 403);
+    }
+    return { ...target, productId: product.id };
+  }
+
+  // Requested organization if the uploader belongs to it, otherwise their only organization
+  private static uploaderOrganization(tenant: Tenant, requestedId?: string): string | null {
+    if (requestedId) {
+      if (!tenant.memberships.has(requestedId) && !tenant.isPlatformAdmin) {
+        throw createError('You are not a member of this organization', 403);
+      }
+      return requestedId;
+    }
+    return tenant.memberships.size === 1 ? [...tenant.memberships.keys()][0]! : null;
+  }
+
+  private static async assertOrganizationsExist(organizationIds?: string[]): Promise<void> {
+    if (!organizationIds?.length) {
+      return;
+    }
+    const found = await db.organization.count({ where: { id: { in: organizationIds } } });
+    if (found !== new Set(organizationIds).size) {
+      throw createError('sharedWith contains an unknown organization', 400);
+    }
+  }
+}
+
+export default DocumentService;
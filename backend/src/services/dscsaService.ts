@@ -0,0 +1,326 @@
+import * as crypto from 'crypto';
+import { DscsaTransaction, Organization, Prisma, Product } from '@prisma/client';
+import { db } from '../config/database';
+import { ndcFromGtin, normalizeGtin } from '../config/gs1';
+import { canonicalJson } from '../config/hashing';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, TenantUser } from './organizationService';
+import { PackagingService } from './packagingService';
+import { RecallService } from './recallService';
+
+export const VERIFICATION_CONTEXTS = ['dscsaSaleableReturn'] as const;
+
+export type VerificationContext = typeof VERIFICATION_CONTEXTS[number];
+
+export interface IdentifierVerificationRequest {
+  gtin: string;
+  serialNumber: string;
+  lotNumber: string;
+  expirationDate: string; // YYMMDD (DD may be 00) or YYYY-MM-DD
+  context: VerificationContext;
+  requestorGln?: string;
+  correlationId?: string;
+}
+
+export interface IdentifierVerificationMeta {
+  userId?: string;
+  ipAddress?: string;
+}
+
+// Why a product identifier did not match, named after the verification router messaging standard
+type VerificationFailureReason =
+  | 'No_Match_GTIN'
+  | 'No_Match_GTIN_Serial'
+  | 'No_Match_GTIN_Serial_Lot'
+  | 'No_Match_GTIN_Serial_Expiry'
+  | 'No_Match_GTIN_Serial_Lot_Expiry';
+
+// Reasons a verified product should not go back into saleable inventory
+type VerificationNotice = 'Recalled' | 'Expired' | 'Decommissioned';
+
+interface TransactionInformation {
+  transferId: string;
+  transactionDate: string;
+  shipmentDate: string;
+  shipmentReference: string | null;
+  seller: TradingPartner;
+  buyer: TradingPartner;
+  products: {
+    productName: string;
+    ndc: string | null;
+    gtin: string | null;
+    lotNumber: string;
+    expirationDate: string | null;
+    quantity: number;
+    serialNumbers: string[];
+  }[];
+}
+
+interface TradingPartner {
+  organizationId: string;
+  name: string;
+  address: string | null;
+  gln: string | null;
+}
+
+// Section 581(27) transaction statement, affirmed by the seller on every T3
+const TRANSACTION_STATEMENT = [
+  'The seller is authorized as required under the Drug Supply Chain Security Act.',
+  'The seller received the product from a person that is authorized as required under the Drug Supply Chain Security Act.',
+  'The seller received transaction information and a transaction statement from the prior owner of the product, as required under section 582 of the Act.',
+  'The seller did not knowingly ship a suspect or illegitimate product.',
+  'The seller had systems and processes in place to comply with verification requirements under section 582 of the Act.',
+  'The seller did not knowingly provide false transaction information.',
+  'The seller did not knowingly alter the transaction history.'
+];
+
+const isoDate = (value: Date): string => value.toISOString().slice(0, 10);
+
+const yymmdd = (value: Date): string => isoDate(value).slice(2).replace(/-/g, '');
+
+export class DscsaService {
+  /**
+   * Issue the T3 for an accepted custody transfer covering pharmaceutical products: transaction
+   * information for every unit changing hands (including those packed in a case or pallet), the
+   * transaction history back to the manufacturer and the seller's transaction statement.
+   * Returns null when nothing in the shipment is a pharmaceutical product.
+   */
+  static async issue(
+    tx: Prisma.TransactionClient,
+    transfer: {
+      id: string;
+      productId: string;
+      fromOrganizationId: string;
+      toOrganizationId: string;
+      initiatedAt: Date;
+      shipmentReference: string | null;
+    },
+    transactionDate: Date
+  ): Promise<DscsaTransaction | null> {
+    const contentIds = await PackagingService.descendantIds(transfer.productId, tx);
+    const products = await tx.product.findMany({
+      where: { id: { in: [transfer.productId, ...contentIds] }, type: 'PHARMACEUTICAL' },
+      orderBy: [{ gtin: 'asc' }, { lotNumber: 'asc' }, { serialNumber: 'asc' }]
+    });
+    if (products.length === 0) {
+      return null;
+    }
+
+    const productIds = products.map(product => product.id);
+    const [partners, history] = await Promise.all([
+      tx.organization.findMany({ where: { id: { in: [transfer.fromOrganizationId, transfer.toOrganizationId] } } }),
+      tx.dscsaTransaction.findMany({
+        where: { productIds: { hasSome: productIds } },
+        orderBy: { transactionDate: 'asc' }
+      })
+    ]);
+    const partner = (id: string) => this.tradingPartner(partners.find(organization => organization.id === id)!);
+
+    const transactionInformation: TransactionInformation = {
+      transferId: transfer.id,
+      transactionDate: transactionDate.toISOString(),
+      shipmentDate: transfer.initiatedAt.toISOString(),
+      shipmentReference: transfer.shipmentReference,
+      seller: partner(transfer.fromOrganizationId),
+      buyer: partner(transfer.toOrganizationId),
+      products: this.lineItems(products)
+    };
+
+    const document = {
+      standard: 'DSCSA',
+      transactionInformation,
+      // Earlier changes of ownership of any unit in this shipment, oldest first
+      transactionHistory: history.map(entry => (entry.document as unknown as { transactionInformation: TransactionInformation }).transactionInformation),
+      transactionStatement: {
+        statements: TRANSACTION_STATEMENT,
+        affirmedBy: transactionInformation.seller.name,
+        affirmedAt: transactionDate.toISOString()
+      }
+    };
+
+    return tx.dscsaTransaction.create({
+      data: {
+        transactionDate,
+        shipmentDate: transfer.initiatedAt,
+        productIds,
+        document: document as unknown as Prisma.InputJsonObject,
+        contentHash: crypto.createHash('sha256').update(canonicalJson(document)).digest('hex'),
+        custodyTransferId: transfer.id,
+        sellerId: transfer.fromOrganizationId,
+        buyerId: transfer.toOrganizationId
+      }
+    });
+  }
+
+  /**
+   * T3 documents where one of the user's organizations was the seller or the buyer, newest
+   * first; optionally only those covering a product
+   */
+  static async list(user: TenantUser, filters: { productId?: string; limit?: number } = {}) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const organizationIds = [...tenant.memberships.keys()];
+
+    const transactions = await db.dscsaTransaction.findMany({
+      where: {
+        ...(tenant.isPlatformAdmin ? {} : {
+          OR: [{ sellerId: { in: organizationIds } }, { buyerId: { in: organizationIds } }]
+        }),
+        ...(filters.productId ? { productIds: { has: filters.productId } } : {})
+      },
+      orderBy: { transactionDate: 'desc' },
+      take: filters.limit || 100
+    });
+    return transactions.map(transaction => this.summary(transaction));
+  }
+
+  /**
+   * A T3 document as issued, for its seller or buyer
+   */
+  static async get(user: TenantUser, transactionId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const transaction = await db.dscsaTransaction.findUnique({ where: { id: transactionId } });
+    if (!transaction || !(tenant.isPlatformAdmin
+      || tenant.memberships.has(transaction.sellerId)
+      || tenant.memberships.has(transaction.buyerId))) {
+      throw createError('Transaction not found', 404);
+    }
+
+    return {
+      ...this.summary(transaction),
+      document: transaction.document
+    };
+  }
+
+  /**
+   * Answer a product identifier verification request, as a verification router responder does
+   * for saleable returns, and keep the request and answer on record
+   */
+  static async verify(request: IdentifierVerificationRequest, meta: IdentifierVerificationMeta = {}) {
+    const gtin = normalizeGtin(request.gtin) || request.gtin;
+    const expirationDate = this.expiryCode(request.expirationDate);
+
+    const [gtinKnown, product] = await Promise.all([
+      db.product.count({ where: { gtin, type: 'PHARMACEUTICAL' } }),
+      db.product.findFirst({
+        where: { gtin, serialNumber: request.serialNumber, type: 'PHARMACEUTICAL' },
+        include: { organization: { select: { gln: true } } }
+      })
+    ]);
+
+    let failureReason: VerificationFailureReason | null = null;
+    const additionalInfo: VerificationNotice[] = [];
+    if (!gtinKnown) {
+      failureReason = 'No_Match_GTIN';
+    } else if (!product) {
+      failureReason = 'No_Match_GTIN_Serial';
+    } else {
+      const lotMatches = product.lotNumber === request.lotNumber;
+      const expiryMatches = !!product.expiryDate && this.expiryMatches(product.expiryDate, expirationDate);
+      if (!lotMatches || !expiryMatches) {
+        failureReason = !lotMatches && !expiryMatches
+          ? 'No_Match_GTIN_Serial_Lot_Expiry'
+          : !lotMatches ? 'No_Match_GTIN_Serial_Lot' : 'No_Match_GTIN_Serial_Expiry';
+      } else {
+        if ((await RecallService.openRecallsFor(product.id)).length > 0) {
+          additionalInfo.push('Recalled');
+        }
+        if (product.expiryDate && product.expiryDate < new Date()) {
+          additionalInfo.push('Expired');
+        }
+        if (!product.isActive) {
+          additionalInfo.push('Decommissioned');
+        }
+      }
+    }
+
+    const verification = await db.productIdentifierVerification.create({
+      data: {
+        gtin,
+        serialNumber: request.serialNumber,
+        lotNumber: request.lotNumber,
+        expirationDate,
+        context: request.context,
+        requestorGln: request.requestorGln,
+        correlationId: request.correlationId,
+        verified: failureReason === null,
+        failureReason,
+        additionalInfo,
+        ipAddress: meta.ipAddress,
+        productId: product?.id,
+        requestedById: meta.userId
+      }
+    });
+
+    return {
+      corrUUID: request.correlationId || verification.id,
+      responderGLN: product?.organization?.gln || null,
+      verificationTimestamp: verification.createdAt.toISOString(),
+      data: {
+        verified: verification.verified,
+        ...(failureReason ? { verificationFailureReason: failureReason } : {}),
+        ...(additionalInfo.length > 0 ? { additionalInfo } : {})
+      }
+    };
+  }
+
+  static summary(transaction: DscsaTransaction) {
+    return {
+      id: transaction.id,
+      custodyTransferId: transaction.custodyTransferId,
+      sellerId: transaction.sellerId,
+      buyerId: transaction.buyerId,
+      transactionDate: transaction.transactionDate.toISOString(),
+      shipmentDate: transaction.shipmentDate.toISOString(),
+      productCount: transaction.productIds.length,
+      contentHash: transaction.contentHash,
+      createdAt: transaction.createdAt.toISOString()
+    };
+  }
+
+  private static tradingPartner(organization: Organization): TradingPartner {
+    return {
+      organizationId: organization.id,
+      name: organization.name,
+      address: organization.address,
+      gln: organization.gln
+    };
+  }
+
+  // One line per GTIN, lot and expiry, listing the serial numbers shipped
+  private static lineItems(products: Product[]): TransactionInformation['products'] {
+    const lines = new Map<string, TransactionInformation['products'][number]>();
+    for (const product of products) {
+      const expirationDate = product.expiryDate ? isoDate(product.expiryDate) : null;
+      const key = `${product.gtin || product.id}|${product.lotNumber}|${expirationDate}`;
+      const line = lines.get(key) || {
+        productName: product.name,
+        ndc: product.gtin ? ndcFromGtin(product.gtin) : null,
+        gtin: product.gtin,
+        lotNumber: product.lotNumber,
+        expirationDate,
+        quantity: 0,
+        serialNumbers: []
+      };
+      line.quantity += 1;
+      if (product.serialNumber) {
+        line.serialNumbers.push(product.serialNumber);
+      }
+      lines.set(key, line);
+    }
+    return [...lines.values()];
+  }
+
+  // Requests carry YYMMDD; ISO dates are accepted too
+  private static expiryCode(value: string): string {
+    const iso = value.match(/^\d{2}(\d{2})-(\d{2})-(\d{2})$/);
+    return iso ? `${iso[1]}${iso[2]}${iso[3]}` : value;
+  }
+
+  // A day of 00 means the expiry is only given to the month
+  private static expiryMatches(expiryDate: Date, code: string): boolean {
+    const expected = yymmdd(expiryDate);
+    return code.endsWith('00') ? expected.slice(0, 4) === code.slice(0, 4) : expected === code;
+  }
+}
+
+export default DscsaService;
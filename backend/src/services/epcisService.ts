@@ -0,0 +1,509 @@
+import { Checkpoint, Prisma } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import {
+  CHECKPOINT_URN_PREFIX,
+  PRODUCT_URN_PREFIX,
+  digitalLinkUri,
+  normalizeCbvTerm,
+  parseDigitalLink,
+  parseEpcUrn
+} from '../config/gs1';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, Tenant, TenantUser } from './organizationService';
+import { AnchorService } from './anchorService';
+import { PackagingService } from './packagingService';
+
+export const EPCIS_CONTEXT = 'https://ref.gs1.org/standards/epcis/2.0.0/epcis-context.jsonld';
+
+// JSON-LD namespace for the platform's own fields on exported events
+const EXTENSION_CONTEXT = { tc: 'urn:tracechain:epcis:' };
+
+const SUPPORTED_EVENT_TYPES = ['ObjectEvent', 'AggregationEvent', 'TransformationEvent'];
+const ACTIONS = ['ADD', 'OBSERVE', 'DELETE'];
+
+// CBV equivalents of the statuses the platform records itself
+const STATUS_VOCABULARY: Record<string, { bizStep: string; disposition: string }> = {
+  MANUFACTURED: { bizStep: 'commissioning', disposition: 'active' },
+  SHIPPED: { bizStep: 'shipping', disposition: 'in_transit' },
+  IN_TRANSIT: { bizStep: 'transporting', disposition: 'in_transit' },
+  DELIVERED: { bizStep: 'receiving', disposition: 'in_progress' },
+  RECEIVED: { bizStep: 'receiving', disposition: 'in_progress' },
+  CUSTODY_TRANSFER_INITIATED: { bizStep: 'shipping', disposition: 'in_transit' },
+  CUSTODY_ACCEPTED: { bizStep: 'receiving', disposition: 'in_progress' },
+  CUSTODY_REJECTED: { bizStep: 'inspecting', disposition: 'non_conformant' },
+  CUSTODY_TRANSFER_CANCELLED: { bizStep: 'void_shipping', disposition: 'in_progress' },
+  AGGREGATED: { bizStep: 'packing', disposition: 'in_progress' },
+  DISAGGREGATED: { bizStep: 'unpacking', disposition: 'in_progress' }
+};
+
+type EpcisEvent = Record<string, unknown>;
+type ProductWithStakeholders = Prisma.ProductGetPayload<{ include: { stakeholders: true } }>;
+type ProductIdentifiers = { id: string; gtin: string | null; serialNumber: string | null; lotNumber: string };
+
+export interface CaptureResult {
+  eventID: string | null;
+  type: string;
+  status: 'captured' | 'duplicate' | 'failed';
+  checkpointIds: string[];
+  error?: string;
+}
+
+export interface EpcisQuery {
+  productId?: string;
+  epc?: string;
+  from?: Date;
+  to?: Date;
+  bizStep?: string;
+}
+
+interface CapturedFields {
+  location: string;
+  timestamp: Date;
+  epcisEventId?: string;
+  eventType: string;
+  bizStep?: string;
+  disposition?: string;
+  readPoint?: string;
+  bizLocation?: string;
+  epcis: Prisma.InputJsonObject;
+}
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const stringList = (value: unknown): string[] =>
+  Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string') : [];
+
+const classList = (value: unknown): string[] =>
+  Array.isArray(value) ? value.flatMap(item => isObject(item) && typeof item.epcClass === 'string' ? [item.epcClass] : []) : [];
+
+const idOf = (value: unknown): string | undefined =>
+  isObject(value) && typeof value.id === 'string' ? value.id : undefined;
+
+export class EpcisService {
+  /**
+   * Capture an EPCISDocument (or a bare event or event list). Each event is mapped onto
+   * checkpoints of the products it names and stored in its own transaction, so one bad
+   * event does not reject the rest. Events whose eventID was already captured are skipped.
+   */
+  static async capture(user: TenantUser, body: unknown): Promise<CaptureResult[]> {
+    const events = this.eventsOf(body);
+    if (events.length === 0) {
+      throw createError('No EPCIS events found; send an EPCISDocument or an event', 400);
+    }
+    if (events.length > securityConfig.epcis.maxEventsPerCapture) {
+      throw createError(`At most ${securityConfig.epcis.maxEventsPerCapture} events can be captured at once`, 413);
+    }
+
+    const tenant = await OrganizationService.resolveTenant(user);
+    const results: CaptureResult[] = [];
+
+    for (const event of events) {
+      const eventID = typeof event.eventID === 'string' ? event.eventID : null;
+      const type = typeof event.type === 'string' ? event.type : 'unknown';
+      try {
+        results.push(await this.captureEvent(user, tenant, event, eventID, type));
+      } catch (error) {
+        results.push({
+          eventID,
+          type,
+          status: 'failed',
+          checkpointIds: [],
+          error: error instanceof Error ? error.message : 'Capture failed'
+        });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * A product's history as an EPCISDocument. Captured events are returned as received;
+   * checkpoints recorded through the API are described with the matching CBV vocabulary.
+   */
+  static async query(user: TenantUser, query: EpcisQuery) {
+    const identifier = query.productId ? { id: query.productId } : query.epc ? this.identifierWhere(query.epc) : null;
+    if (!identifier) {
+      throw createError('productId or a GS1 / product EPC (MATCH_epc) is required', 400);
+    }
+
+    let bizStep: string | null = null;
+    if (query.bizStep) {
+      bizStep = normalizeCbvTerm(query.bizStep, 'bizstep');
+      if (!bizStep) {
+        throw createError(`Unknown bizStep ${query.bizStep}`, 400);
+      }
+    }
+
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [identifier, OrganizationService.productScope(tenant)] },
+      include: {
+        checkpoints: {
+          where: { timestamp: { gte: query.from, lt: query.to } },
+          orderBy: { timestamp: 'asc' }
+        }
+      }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+
+    // Contents named by aggregation checkpoints, to express them as child EPCs
+    const childIds = product.checkpoints.flatMap(checkpoint => {
+      const metadata = checkpoint.metadata;
+      return isObject(metadata) ? stringList(metadata.childIds) : [];
+    });
+    const children = childIds.length > 0
+      ? await db.product.findMany({
+        where: { id: { in: childIds } },
+        select: { id: true, gtin: true, serialNumber: true, lotNumber: true }
+      })
+      : [];
+    const epcs = new Map([product, ...children].map(item => [item.id, this.productEpc(item)]));
+
+    const seen = new Set<string>();
+    const eventList: EpcisEvent[] = [];
+    for (const checkpoint of product.checkpoints) {
+      const event = this.toEvent(product, checkpoint, epcs);
+      const eventID = String(event.eventID);
+      if (seen.has(eventID)) {
+        continue;
+      }
+      if (bizStep && (typeof event.bizStep !== 'string' || normalizeCbvTerm(event.bizStep, 'bizstep') !== bizStep)) {
+        continue;
+      }
+      seen.add(eventID);
+      eventList.push(event);
+    }
+
+    return {
+      '@context': [EPCIS_CONTEXT, EXTENSION_CONTEXT],
+      type: 'EPCISDocument',
+      schemaVersion: '2.0',
+      creationDate: new Date().toISOString(),
+      epcisBody: { eventList }
+    };
+  }
+
+  /**
+   * EPC of a product: its GS1 Digital Link URI when it has a GTIN, otherwise the platform URN
+   */
+  static productEpc(product: ProductIdentifiers): string {
+    if (product.gtin && product.serialNumber) {
+      return digitalLinkUri({ gtin: product.gtin, serial: product.serialNumber });
+    }
+    if (product.gtin) {
+      return digitalLinkUri({ gtin: product.gtin, lot: product.lotNumber });
+    }
+    return `${PRODUCT_URN_PREFIX}${product.id}`;
+  }
+
+  private static eventsOf(body: unknown): EpcisEvent[] {
+    if (Array.isArray(body)) {
+      return body.filter(isObject);
+    }
+    if (!isObject(body)) {
+      return [];
+    }
+    if (body.type === 'EPCISDocument') {
+      const eventList = isObject(body.epcisBody) ? body.epcisBody.eventList : undefined;
+      return Array.isArray(eventList) ? eventList.filter(isObject) : [];
+    }
+    if (Array.isArray(body.eventList)) {
+      return body.eventList.filter(isObject);
+    }
+    return [body];
+  }
+
+  private static async captureEvent(
+    user: TenantUser,
+    tenant: Tenant,
+    event: EpcisEvent,
+    eventID: string | null,
+    type: string
+  ): Promise<CaptureResult> {
+    if (!SUPPORTED_EVENT_TYPES.includes(type)) {
+      throw createError(`Unsupported event type ${type}; expected one of ${SUPPORTED_EVENT_TYPES.join(', ')}`, 400);
+    }
+
+    if (eventID && await db.checkpoint.findFirst({ where: { epcisEventId: eventID }, select: { id: true } })) {
+      return { eventID, type, status: 'duplicate', checkpointIds: [] };
+    }
+
+    const timestamp = typeof event.eventTime === 'string' ? new Date(event.eventTime) : null;
+    if (!timestamp || isNaN(timestamp.getTime())) {
+      throw createError('eventTime must be an ISO 8601 date-time', 400);
+    }
+
+    const action = typeof event.action === 'string' ? event.action : undefined;
+    if (type !== 'TransformationEvent' && (!action || !ACTIONS.includes(action))) {
+      throw createError('action must be ADD, OBSERVE or DELETE', 400);
+    }
+
+    const readPoint = idOf(event.readPoint);
+    const bizLocation = idOf(event.bizLocation);
+    const bizStep = this.vocabularyTerm(event.bizStep, 'bizstep');
+    const fields: CapturedFields = {
+      location: bizLocation || readPoint || 'Unspecified location',
+      timestamp,
+      epcisEventId: eventID || undefined,
+      eventType: type,
+      bizStep,
+      disposition: this.vocabularyTerm(event.disposition, 'disp'),
+      readPoint,
+      bizLocation,
+      epcis: event as Prisma.InputJsonObject
+    };
+
+    if (type === 'AggregationEvent') {
+      return { eventID, type, status: 'captured', checkpointIds: await this.captureAggregation(user, tenant, event, action!, fields) };
+    }
+
+    if (type === 'TransformationEvent') {
+      const inputs = await this.resolve(tenant, [...stringList(event.inputEPCList), ...classList(event.inputQuantityList)]);
+      const outputs = await this.resolve(tenant, [...stringList(event.outputEPCList), ...classList(event.outputQuantityList)]);
+      if (inputs.length === 0 && outputs.length === 0) {
+        throw createError('TransformationEvent names no inputs or outputs', 400);
+      }
+
+      const products = [...new Map([...inputs, ...outputs].map(product => [product.id, product])).values()];
+      const transformation = {
+        transformationID: typeof event.transformationID === 'string' ? event.transformationID : null,
+        inputProductIds: inputs.map(product => product.id),
+        outputProductIds: outputs.map(product => product.id)
+      };
+      const checkpointIds = await this.record(user, tenant, products, fields, this.statusOf(type, action, bizStep), { transformation });
+      return { eventID, type, status: 'captured', checkpointIds };
+    }
+
+    const products = await this.resolve(tenant, [...stringList(event.epcList), ...classList(event.quantityList)]);
+    if (products.length === 0) {
+      throw createError('ObjectEvent names no products in epcList or quantityList', 400);
+    }
+    const checkpointIds = await this.record(user, tenant, products, fields, this.statusOf(type, action, bizStep), this.sensorReadings(event));
+    return { eventID, type, status: 'captured', checkpointIds };
+  }
+
+  // ADD packs children into the parent, DELETE unpacks them, OBSERVE just records the parent
+  private static async captureAggregation(
+    user: TenantUser,
+    tenant: Tenant,
+    event: EpcisEvent,
+    action: string,
+    fields: CapturedFields
+  ): Promise<string[]> {
+    if (typeof event.parentID !== 'string') {
+      throw createError('AggregationEvent requires a parentID', 400);
+    }
+    const [parent] = await this.resolve(tenant, [event.parentID]);
+    const children = await this.resolve(tenant, [...stringList(event.childEPCs), ...classList(event.childQuantityList)]);
+    const childIds = children.map(child => child.id);
+
+    if (action === 'OBSERVE') {
+      return this.record(user, tenant, [parent!], fields, this.statusOf('AggregationEvent', action, fields.bizStep), { childIds });
+    }
+    if (action === 'ADD') {
+      if (childIds.length === 0) {
+        throw createError('AggregationEvent ADD requires childEPCs', 400);
+      }
+      const { checkpoint } = await PackagingService.aggregate(user, parent!.id, childIds, fields.location, fields);
+      return [checkpoint.id];
+    }
+
+    const { checkpoint } = await PackagingService.disaggregate(
+      user,
+      parent!.id,
+      childIds.length > 0 ? childIds : undefined,
+      fields.location,
+      fields
+    );
+    return [checkpoint.id];
+  }
+
+  private static async record(
+    user: TenantUser,
+    tenant: Tenant,
+    products: ProductWithStakeholders[],
+    fields: CapturedFields,
+    status: string,
+    details: Record<string, Prisma.InputJsonValue | undefined> = {}
+  ): Promise<string[]> {
+    for (const product of products) {
+      if (!OrganizationService.canRecordCheckpoint(tenant, product)) {
+        throw createError(`You cannot record events for product ${product.id}`, 403);
+      }
+      if (!product.isActive) {
+        throw createError(`Product ${product.id} is inactive`, 409);
+      }
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const checkpointIds: string[] = [];
+      for (const product of products) {
+        const checkpoint = await tx.checkpoint.create({
+          data: {
+            name: status,
+            location: fields.location,
+            timestamp: fields.timestamp,
+            epcisEventId: fields.epcisEventId,
+            eventType: fields.eventType,
+            bizStep: fields.bizStep,
+            disposition: fields.disposition,
+            readPoint: fields.readPoint,
+            bizLocation: fields.bizLocation,
+            metadata: {
+              status,
+              additionalData: `EPCIS ${fields.eventType}`,
+              ...details,
+              stakeholder: user.id,
+              epcis: fields.epcis
+            },
+            productId: product.id
+          }
+        });
+        await PackagingService.propagateCheckpoint(tx, checkpoint);
+
+        await AnchorService.enqueueCheckpoint(checkpoint, user.id, tx);
+        checkpointIds.push(checkpoint.id);
+      }
+      return checkpointIds;
+    });
+  }
+
+  private static async resolve(tenant: Tenant, epcs: string[]): Promise<ProductWithStakeholders[]> {
+    const products: ProductWithStakeholders[] = [];
+    for (const epc of new Set(epcs)) {
+      const identifier = this.identifierWhere(epc);
+      if (!identifier) {
+        throw createError(`Unrecognised EPC ${epc}; expected a GS1 Digital Link URI, an SGTIN/LGTIN URN or ${PRODUCT_URN_PREFIX}<id>`, 400);
+      }
+
+      const product = await db.product.findFirst({
+        where: { AND: [identifier, OrganizationService.productScope(tenant)] },
+        include: { stakeholders: true }
+      });
+      if (!product) {
+        throw createError(`Unknown EPC ${epc}`, 404);
+      }
+      products.push(product);
+    }
+    return products;
+  }
+
+  private static identifierWhere(epc: string): Prisma.ProductWhereInput | null {
+    if (epc.startsWith(PRODUCT_URN_PREFIX)) {
+      return { id: epc.slice(PRODUCT_URN_PREFIX.length) };
+    }
+
+    const key = parseDigitalLink(epc) || parseEpcUrn(epc);
+    if (key?.serial) {
+      return { gtin: key.gtin, serialNumber: key.serial };
+    }
+    if (key?.lot) {
+      return { gtin: key.gtin, lotNumber: key.lot };
+    }
+    // A bare GTIN is a product class spanning lots, not something a checkpoint can attach to
+    return null;
+  }
+
+  private static vocabularyTerm(value: unknown, kind: 'bizstep' | 'disp'): string | undefined {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    const term = typeof value === 'string' ? normalizeCbvTerm(value, kind) : null;
+    if (!term) {
+      throw createError(`Unknown ${kind === 'bizstep' ? 'bizStep' : 'disposition'} ${String(value)}`, 400);
+    }
+    return term;
+  }
+
+  private static statusOf(type: string, action: string | undefined, bizStep: string | undefined): string {
+    if (bizStep) {
+      return (bizStep.split(/[:/#]/).pop() || bizStep).toUpperCase();
+    }
+    if (type === 'TransformationEvent') {
+      return 'TRANSFORMED';
+    }
+    if (type === 'ObjectEvent' && action === 'ADD') {
+      return 'COMMISSIONED';
+    }
+    if (type === 'ObjectEvent' && action === 'DELETE') {
+      return 'DECOMMISSIONED';
+    }
+    return 'OBSERVED';
+  }
+
+  // Temperature and humidity from the event's sensor reports, in the checkpoint metadata's terms
+  private static sensorReadings(event: EpcisEvent): { temperature?: string; humidity?: string } {
+    const readings: { temperature?: string; humidity?: string } = {};
+    const elements = Array.isArray(event.sensorElementList) ? event.sensorElementList : [];
+
+    for (const element of elements) {
+      const reports = isObject(element) && Array.isArray(element.sensorReport) ? element.sensorReport : [];
+      for (const report of reports) {
+        if (!isObject(report) || typeof report.type !== 'string' || report.value === undefined) {
+          continue;
+        }
+        if (report.type.endsWith('Temperature')) {
+          readings.temperature = String(report.value);
+        } else if (report.type.endsWith('RelativeHumidity')) {
+          readings.humidity = String(report.value);
+        }
+      }
+    }
+    return readings;
+  }
+
+  private static toEvent(product: ProductIdentifiers, checkpoint: Checkpoint, epcs: Map<string, string>): EpcisEvent {
+    const metadata = isObject(checkpoint.metadata) ? checkpoint.metadata : {};
+    const eventID = `${CHECKPOINT_URN_PREFIX}${checkpoint.id}`;
+
+    if (isObject(metadata.epcis)) {
+      return { eventID, ...metadata.epcis };
+    }
+
+    const status = typeof metadata.status === 'string' ? metadata.status : checkpoint.name;
+    const vocabulary = STATUS_VOCABULARY[status.toUpperCase().replace(/\s+/g, '_')];
+    const epc = epcs.get(product.id)!;
+
+    const identity: EpcisEvent = checkpoint.eventType === 'AggregationEvent'
+      ? {
+        type: 'AggregationEvent',
+        eventTime: checkpoint.timestamp.toISOString(),
+        eventTimeZoneOffset: '+00:00',
+        eventID,
+        parentID: epc,
+        childEPCs: stringList(metadata.childIds).map(id => epcs.get(id) || `${PRODUCT_URN_PREFIX}${id}`),
+        action: status === 'DISAGGREGATED' ? 'DELETE' : 'ADD'
+      }
+      : {
+        type: 'ObjectEvent',
+        eventTime: checkpoint.timestamp.toISOString(),
+        eventTimeZoneOffset: '+00:00',
+        eventID,
+        // A product without a serial number is a lot, identified by its class
+        ...(product.gtin && !product.serialNumber ? { quantityList: [{ epcClass: epc }] } : { epcList: [epc] }),
+        action: status === 'MANUFACTURED' ? 'ADD' : 'OBSERVE'
+      };
+
+    const sensorReport = [
+      ...(metadata.temperature && !isNaN(Number(metadata.temperature)) ? [{ type: 'gs1:Temperature', value: Number(metadata.temperature), uom: 'CEL' }] : []),
+      ...(metadata.humidity && !isNaN(Number(metadata.humidity)) ? [{ type: 'gs1:RelativeHumidity', value: Number(metadata.humidity), uom: 'P1' }] : [])
+    ];
+
+    return {
+      ...identity,
+      bizStep: checkpoint.bizStep || vocabulary?.bizStep,
+      disposition: checkpoint.disposition || vocabulary?.disposition,
+      readPoint: checkpoint.readPoint ? { id: checkpoint.readPoint } : undefined,
+      bizLocation: checkpoint.bizLocation ? { id: checkpoint.bizLocation } : undefined,
+      sensorElementList: sensorReport.length > 0 ? [{ sensorReport }] : undefined,
+      'tc:checkpointId': checkpoint.id,
+      'tc:status': status,
+      'tc:location': checkpoint.location
+    };
+  }
+}
+
+export default EpcisService;
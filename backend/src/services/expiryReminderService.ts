@@ -0,0 +1,167 @@
+import { Prisma } from '@prisma/client';
+import { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, Tenant, TenantUser } from './organizationService';
+
+const reminderInclude = {
+  document: { select: { id: true, title: true, documentType: true, complianceStandard: true, productId: true } },
+  certificate: { select: { id: true, tokenId: true, certificateType: true, complianceStandards: true, productId: true } },
+  organization: { select: { id: true, name: true, type: true } },
+  acknowledgedBy: { select: { id: true, email: true } }
+} satisfies Prisma.ExpiryReminderInclude;
+
+type ReminderWithRelations = Prisma.ExpiryReminderGetPayload<{ include: typeof reminderInclude }>;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ExpiryReminderService {
+  private static timer?: ReturnType<typeof setTimeout>;
+  private static stopped = true;
+
+  /**
+   * Expiry reminders addressed to the user or their organizations, soonest expiry first
+   */
+  static async remindersFor(user: TenantUser, pendingOnly = false) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const reminders = await db.expiryReminder.findMany({
+      where: {
+        AND: [
+          this.recipientWhere(tenant),
+          pendingOnly ? { acknowledgedAt: null } : {}
+        ]
+      },
+      include: reminderInclude,
+      orderBy: { expiresAt: 'asc' }
+    });
+    return reminders.map(reminder => this.toResponse(reminder));
+  }
+
+  /**
+   * Mark a reminder as seen, for everyone it was addressed to
+   */
+  static async acknowledge(user: TenantUser, reminderId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const where: Prisma.ExpiryReminderWhereInput = { AND: [{ id: reminderId }, this.recipientWhere(tenant)] };
+
+    const acknowledged = await db.expiryReminder.updateMany({
+      where: { AND: [where, { acknowledgedAt: null }] },
+      data: { acknowledgedAt: new Date(), acknowledgedById: user.id }
+    });
+    if (acknowledged.count === 0) {
+      const existing = await db.expiryReminder.count({ where });
+      throw existing > 0
+        ? createError('This reminder has already been acknowledged', 409)
+        : createError('Reminder not found', 404);
+    }
+
+    const reminder = await db.expiryReminder.findUniqueOrThrow({ where: { id: reminderId }, include: reminderInclude });
+    return this.toResponse(reminder);
+  }
+
+  static async start(): Promise<void> {
+    if (!this.stopped) {
+      return;
+    }
+    this.stopped = false;
+    console.log('⏰ Expiry reminders started');
+    this.scheduleNext(0);
+  }
+
+  static stop(): void {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  /**
+   * Raise a reminder for every document and valid certificate that expires within the reminder
+   * window and has none yet: to the organization that uploaded the document or owns the product,
+   * or to the uploader or certificate owner when there is no organization
+   */
+  static async sweep(): Promise<number> {
+    const { daysBefore, batchSize } = securityConfig.documents.reminders;
+    const horizon = new Date(Date.now() + daysBefore * DAY_MS);
+
+    const [documents, certificates] = await Promise.all([
+      db.complianceDocument.findMany({
+        where: { expiresAt: { lte: horizon }, expiryReminder: null },
+        select: { id: true, expiresAt: true, organizationId: true, uploadedById: true },
+        orderBy: { expiresAt: 'asc' },
+        take: batchSize
+      }),
+      db.nftCertificate.findMany({
+        where: { expiresAt: { lte: horizon }, isValid: true, expiryReminder: null },
+        select: { id: true, expiresAt: true, ownerId: true, product: { select: { organizationId: true } } },
+        orderBy: { expiresAt: 'asc' },
+        take: batchSize
+      })
+    ]);
+
+    const reminders: Prisma.ExpiryReminderCreateManyInput[] = [
+      ...documents.map(document => ({
+        expiresAt: document.expiresAt!,
+        documentId: document.id,
+        organizationId: document.organizationId,
+        userId: document.organizationId ? null : document.uploadedById
+      })),
+      ...certificates.map(certificate => ({
+        expiresAt: certificate.expiresAt!,
+        certificateId: certificate.id,
+        organizationId: certificate.product.organizationId,
+        userId: certificate.product.organizationId ? null : certificate.ownerId
+      }))
+    ];
+    if (reminders.length === 0) {
+      return 0;
+    }
+
+    const created = await db.expiryReminder.createMany({ data: reminders, skipDuplicates: true });
+    return created.count;
+  }
+
+  static toResponse(reminder: ReminderWithRelations) {
+    const daysRemaining = Math.floor((reminder.expiresAt.getTime() - Date.now()) / DAY_MS);
+    return {
+      id: reminder.id,
+      kind: reminder.document ? 'DOCUMENT' : 'CERTIFICATE',
+      document: reminder.document,
+      certificate: reminder.certificate,
+      recipient: reminder.organization || { userId: reminder.userId },
+      expiresAt: reminder.expiresAt.toISOString(),
+      isExpired: reminder.expiresAt <= new Date(),
+      daysRemaining,
+      notifiedAt: reminder.notifiedAt.toISOString(),
+      acknowledgedAt: reminder.acknowledgedAt?.toISOString() || null,
+      acknowledgedBy: reminder.acknowledgedBy
+    };
+  }
+
+  private static scheduleNext(delay: number): void {
+    if (this.stopped) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.sweep();
+      } catch (error) {
+        console.error('Expiry reminder sweep failed:', error);
+      }
+      this.scheduleNext(securityConfig.documents.reminders.pollInterval);
+    }, delay);
+  }
+
+  private static recipientWhere(tenant: Tenant): Prisma.ExpiryReminderWhereInput {
+    return {
+      OR: [
+        { organizationId: { in: [...tenant.memberships.keys()] } },
+        { userId: tenant.userId }
+      ]
+    };
+  }
+}
+
+export default ExpiryReminderService;
@@ -0,0 +1,465 @@
+import { EventLog, Log, isError } from 'ethers';
+import { OutboxStatus } from '@prisma/client';
+import { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import {
+  getProvider,
+  getProductRegistry,
+  getSigner,
+  getNftCertificate,
+  fromChainTimestamp
+} from '../config/blockchain';
+import { UserService } from './userService';
+
+const CURSOR_ID = 'chain-indexer';
+
+const PRODUCT_TYPES = ['PHARMACEUTICAL', 'LUXURY', 'ELECTRONICS', 'FOOD', 'OTHER'];
+
+// registerProduct is permissionless and productType is free text on-chain
+const productTypeOf = (onChainType: string): string => {
+  const type = onChainType.trim().toUpperCase();
+  return PRODUCT_TYPES.includes(type) ? type : 'OTHER';
+};
+
+type IndexedLog = EventLog & { address: string };
+
+/**
+ * Mirrors ProductRegistry and NFTCertificate events into Postgres.
+ *
+ * Every handler is an idempotent upsert keyed on on-chain identifiers, so a batch
+ * that fails half-way is simply replayed from the stored cursor. Rows written
+ * before they were confirmed on-chain (API-created products, checkpoints and
+ * certificates) are "claimed" by the matching event instead of duplicated.
+ */
+export class IndexerService {
+  private static timer?: ReturnType<typeof setTimeout>;
+  private static stopped = true;
+
+  /**
+   * Start polling the configured RPC
+   */
+  static start(): void {
+    if (!this.stopped) {
+      return;
+    }
+
+    this.stopped = false;
+    console.log(`⛓️  Chain indexer started (${securityConfig.blockchain.rpcUrl})`);
+    this.scheduleNext(0);
+  }
+
+  /**
+   * Stop polling; an in-flight batch is allowed to finish
+   */
+  static stop(): void {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  private static scheduleNext(delay: number): void {
+    if (this.stopped) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      let processed = 0;
+      try {
+        processed = await this.poll();
+      } catch (error) {
+        console.error('Chain indexer poll failed:', error);
+      }
+      // Keep going immediately while catching up, otherwise wait for new blocks
+      this.scheduleNext(processed > 0 ? 0 : securityConfig.blockchain.indexer.pollInterval);
+    }, delay);
+  }
+
+  /**
+   * Index the next batch of blocks. Returns the number of blocks processed.
+   */
+  static async poll(): Promise<number> {
+    const config = securityConfig.blockchain.indexer;
+    const provider = getProvider();
+
+    const head = await provider.getBlockNumber();
+    const target = head - config.confirmations;
+
+    let cursor = await db.chainCursor.findUnique({ where: { id: CURSOR_ID } });
+
+    if (cursor && await this.isReorged(cursor.blockNumber, cursor.blockHash)) {
+      const ancestor = await this.findCommonAncestor(cursor.blockNumber);
+      console.warn(`Chain reorg detected at block ${cursor.blockNumber}, rolling back to ${ancestor}`);
+      await this.rollback(ancestor);
+      cursor = await db.chainCursor.findUnique({ where: { id: CURSOR_ID } });
+    }
+
+    const fromBlock = cursor ? cursor.blockNumber + 1 : config.startBlock;
+    const toBlock = Math.min(target, fromBlock + config.batchSize - 1);
+
+    if (fromBlock > toBlock) {
+      return 0;
+    }
+
+    const registry = getProductRegistry();
+    const certificates = getNftCertificate();
+
+    const logs = [
+      ...await registry.queryFilter('*', fromBlock, toBlock),
+      ...await certificates.queryFilter('*', fromBlock, toBlock)
+    ]
+      .filter((log): log is IndexedLog => log instanceof EventLog)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    for (const log of logs) {
+      await this.handleEvent(log);
+      await this.recordBlock(log.blockNumber, log.blockHash);
+    }
+
+    const lastBlock = await provider.getBlock(toBlock);
+    if (!lastBlock?.hash) {
+      throw new Error(`Block ${toBlock} not available from RPC`);
+    }
+
+    await this.recordBlock(toBlock, lastBlock.hash);
+    await db.chainCursor.upsert({
+      where: { id: CURSOR_ID },
+      update: { blockNumber: toBlock, blockHash: lastBlock.hash },
+      create: { id: CURSOR_ID, blockNumber: toBlock, blockHash: lastBlock.hash }
+    });
+
+    // Hashes older than the reorg window are no longer needed
+    await db.indexedBlock.deleteMany({
+      where: { number: { lt: toBlock - config.maxReorgDepth } }
+    });
+
+    return toBlock - fromBlock + 1;
+  }
+
+  private static async recordBlock(number: number, hash: string): Promise<void> {
+    await db.indexedBlock.upsert({
+      where: { number },
+      update: { hash },
+      create: { number, hash }
+    });
+  }
+
+  private static async isReorged(blockNumber: number, blockHash: string): Promise<boolean> {
+    const block = await getProvider().getBlock(blockNumber);
+    return !block || block.hash !== blockHash;
+  }
+
+  /**
+   * Walk back through the recorded block hashes to the newest block still on the canonical chain
+   */
+  private static async findCommonAncestor(fromBlock: number): Promise<number> {
+    const config = securityConfig.blockchain.indexer;
+    const recorded = await db.indexedBlock.findMany({
+      where: { number: { lt: fromBlock } },
+      orderBy: { number: 'desc' }
+    });
+
+    for (const block of recorded) {
+      if (!await this.isReorged(block.number, block.hash)) {
+        return block.number;
+      }
+    }
+
+    // Nothing recorded matches: rewind the full window
+    return Math.max(config.startBlock - 1, fromBlock - config.maxReorgDepth);
+  }
+
+  /**
+   * Undo everything indexed after `ancestor`. Rows are unlinked from the chain rather than
+   * deleted, so they are re-claimed if the same transactions land on the new fork.
+   */
+  private static async rollback(ancestor: number): Promise<void> {
+    const orphaned = { gt: ancestor };
+
+    await db.checkpoint.updateMany({
+      where: { blockNumber: orphaned },
+      data: { chainIndex: null, txHash: null, blockNumber: null }
+    });
+    await db.productStakeholder.updateMany({
+      where: { blockNumber: orphaned },
+      data: { blockNumber: null }
+    });
+    await db.nftCertificate.updateMany({
+      where: { invalidatedAtBlock: orphaned },
+      data: { isValid: true, invalidationReason: null, invalidatedAtBlock: null }
+    });
+    await db.nftCertificate.updateMany({
+      where: { blockNumber: orphaned },
+      data: { txHash: null, blockNumber: null }
+    });
+    await db.product.updateMany({
+      where: { chainBlockNumber: orphaned },
+      data: { chainProductId: null, chainTxHash: null, chainBlockNumber: null, chainUpdatedBlock: null }
+    });
+
+    // Updates on the orphaned fork are reverted by re-reading canonical state
+    const updated = await db.product.findMany({
+      where: { chainUpdatedBlock: orphaned, chainProductId: { not: null } }
+    });
+    for (const product of updated) {
+      await this.syncProduct(product.chainProductId!, null);
+      await db.product.update({
+        where: { id: product.id },
+        data: { chainUpdatedBlock: null }
+      });
+    }
+
+    await db.indexedBlock.deleteMany({ where: { number: orphaned } });
+
+    const block = ancestor >= 0 ? await getProvider().getBlock(ancestor) : null;
+    if (block?.hash) {
+      await db.chainCursor.update({
+        where: { id: CURSOR_ID },
+        data: { blockNumber: ancestor, blockHash: block.hash }
+      });
+    } else {
+      await db.chainCursor.delete({ where: { id: CURSOR_ID } });
+    }
+  }
+
+  private static async handleEvent(log: IndexedLog): Promise<void> {
+    switch (log.eventName) {
+      case 'ProductRegistered':
+        await this.syncProduct(Number(log.args.productId), log);
+        break;
+      case 'ProductUpdated': {
+        const product = await this.syncProduct(Number(log.args.productId), log);
+        await db.product.update({
+          where: { id: product.id },
+          data: { chainUpdatedBlock: log.blockNumber }
+        });
+        break;
+      }
+      case 'CheckpointAdded':
+        await this.onCheckpointAdded(log);
+        break;
+      case 'StakeholderAdded':
+        await this.onStakeholderAdded(log);
+        break;
+      case 'CertificateMinted':
+        await this.onCertificateMinted(log);
+        break;
+      case 'CertificateInvalidated':
+        await db.nftCertificate.updateMany({
+          where: { tokenId: log.args.tokenId.toString() },
+          data: {
+            isValid: false,
+            invalidationReason: log.args.reason,
+            invalidatedAtBlock: log.blockNumber
+          }
+        });
+        break;
+      default:
+        // Events the read model does not track (fees, pauses, ...)
+        break;
+    }
+  }
+
+  /**
+   * Upsert a product from the registry's current state. Anyone can call registerProduct, so a
+   * product registered through the API is only claimed by batch number when the platform wallet
+   * registered it and its registration job is still in flight; any other registration of that
+   * batch number is indexed as a separate product.
+   */
+  private static async syncProduct(chainProductId: number, log: Log | null) {
+    const onChain = await getProductRegistry().getFunction('getProduct')(chainProductId);
+
+    const manufacturer = await UserService.findOrCreateByWalletAddress(onChain.manufacturer, 'MANUFACTURER');
+    if (!manufacturer.success || !manufacturer.user) {
+      throw new Error(`Unable to resolve manufacturer ${onChain.manufacturer}: ${manufacturer.error}`);
+    }
+
+    const chainLink = log ? { chainProductId, chainTxHash: log.transactionHash, chainBlockNumber: log.blockNumber } : {};
+
+    const linked = await db.product.findUnique({ where: { chainProductId } });
+    if (linked) {
+      return db.product.update({
+        where: { id: linked.id },
+        data: {
+          name: onChain.productName,
+          isActive: onChain.isActive,
+          metadataURI: onChain.metadataURI || linked.metadataURI
+        }
+      });
+    }
+
+    const sameBatch = await db.product.findUnique({ where: { batchNumber: onChain.batchNumber } });
+    if (sameBatch && !sameBatch.chainProductId && await this.awaitsPlatformRegistration(sameBatch.id, onChain.manufacturer)) {
+      return db.product.update({
+        where: { id: sameBatch.id },
+        data: {
+          name: onChain.productName,
+          isActive: onChain.isActive,
+          metadataURI: onChain.metadataURI || sameBatch.metadataURI,
+          ...chainLink
+        }
+      });
+    }
+
+    return db.product.create({
+      data: {
+        name: onChain.productName,
+        type: productTypeOf(onChain.productType),
+        // Batch numbers are unique here but not across registrants on-chain
+        batchNumber: sameBatch ? `${onChain.batchNumber} (on-chain #${chainProductId})` : onChain.batchNumber,
+        lotNumber: onChain.batchNumber,
+        manufactureDate: fromChainTimestamp(onChain.manufactureDate) ?? new Date(0),
+        expiryDate: fromChainTimestamp(onChain.expiryDate),
+        rawMaterials: [...onChain.rawMaterials],
+        metadataURI: onChain.metadataURI || null,
+        isActive: onChain.isActive,
+        manufacturerId: manufacturer.user.id,
+        ...chainLink
+      }
+    });
+  }
+
+  /**
+   * Whether a product's on-chain registration was sent by the platform wallet and is still
+   * waiting on its outbox job
+   */
+  private static async awaitsPlatformRegistration(productId: string, registrant: string): Promise<boolean> {
+    const platformAddress = securityConfig.blockchain.privateKey ? getSigner().address : null;
+    if (!platformAddress || registrant.toLowerCase() !== platformAddress.toLowerCase()) {
+      return false;
+    }
+
+    const job = await db.outboxJob.findFirst({
+      where: {
+        status: { in: [OutboxStatus.PENDING, OutboxStatus.PROCESSING, OutboxStatus.SUBMITTED] },
+        OR: [
+          { method: 'registerProduct', resourceId: productId },
+          { method: 'batchRegisterProducts', payload: { path: ['productIds'], array_contains: [productId] } }
+        ]
+      },
+      select: { id: true }
+    });
+    return !!job;
+  }
+
+  private static async onCheckpointAdded(log: IndexedLog): Promise<void> {
+    const chainProductId = Number(log.args.productId);
+    const chainIndex = Number(log.args.checkpointIndex);
+
+    // registerProduct emits its initial CheckpointAdded before ProductRegistered
+    const product = await this.syncProduct(chainProductId, log);
+
+    const alreadyIndexed = await db.checkpoint.findUnique({
+      where: { productId_chainIndex: { productId: product.id, chainIndex } }
+    });
+    if (alreadyIndexed) {
+      return;
+    }
+
+    const checkpoints = await getProductRegistry().getFunction('getCheckpoints')(chainProductId);
+    const onChain = checkpoints[chainIndex];
+    if (!onChain) {
+      console.warn(`Checkpoint ${chainIndex} of product ${chainProductId} not found on-chain`);
+      return;
+    }
+
+    const chainLink = { chainIndex, txHash: log.transactionHash, blockNumber: log.blockNumber };
+
+    // Claim the oldest matching checkpoint recorded through the API before confirmation
+    const pending = await db.checkpoint.findFirst({
+      where: {
+        productId: product.id,
+        chainIndex: null,
+        name: { equals: onChain.status, mode: 'insensitive' }
+      },
+      orderBy: { timestamp: 'asc' }
+    });
+
+    if (pending) {
+      await db.checkpoint.update({ where: { id: pending.id }, data: chainLink });
+      return;
+    }
+
+    await db.checkpoint.create({
+      data: {
+        name: onChain.status,
+        location: onChain.location,
+        timestamp: fromChainTimestamp(onChain.timestamp) ?? new Date(),
+        metadata: {
+          status: onChain.status,
+          additionalData: onChain.additionalData,
+          temperature: onChain.temperature,
+          humidity: onChain.humidity,
+          stakeholder: onChain.stakeholder
+        },
+        productId: product.id,
+        ...chainLink
+      }
+    });
+  }
+
+  private static async onStakeholderAdded(log: IndexedLog): Promise<void> {
+    const product = await this.syncProduct(Number(log.args.productId), log);
+    const walletAddress = String(log.args.stakeholder).toLowerCase();
+
+    const user = await db.user.findFirst({
+      where: { walletAddress: { equals: walletAddress, mode: 'insensitive' } }
+    });
+
+    await db.productStakeholder.upsert({
+      where: { productId_walletAddress: { productId: product.id, walletAddress } },
+      update: { blockNumber: log.blockNumber },
+      create: {
+        walletAddress,
+        addedById: product.manufacturerId,
+        blockNumber: log.blockNumber,
+        productId: product.id,
+        userId: user?.id
+      }
+    });
+  }
+
+  private static async onCertificateMinted(log: IndexedLog): Promise<void> {
+    const tokenId = log.args.tokenId.toString();
+    const onChain = await getNftCertificate().getFunction('getCertificate')(log.args.tokenId);
+
+    let product;
+    try {
+      product = await this.syncProduct(Number(onChain.productId), log);
+    } catch (error) {
+      if (isError(error, 'CALL_EXCEPTION')) {
+        console.warn(`Certificate ${tokenId} references unknown product ${onChain.productId}, skipping`);
+        return;
+      }
+      throw error;
+    }
+
+    const owner = await UserService.findOrCreateByWalletAddress(onChain.owner);
+    if (!owner.success || !owner.user) {
+      throw new Error(`Unable to resolve certificate owner ${onChain.owner}: ${owner.error}`);
+    }
+
+    const chainLink = { txHash: log.transactionHash, blockNumber: log.blockNumber };
+
+    await db.nftCertificate.upsert({
+      where: { tokenId },
+      update: chainLink,
+      create: {
+        tokenId,
+        contractAddress: log.address,
+        verificationCode: onChain.verificationCode,
+        metadataURI: onChain.metadataURI,
+        complianceStandards: [...onChain.complianceStandards],
+        certificateType: onChain.certificateType,
+        expiresAt: fromChainTimestamp(onChain.expiresAt),
+        isValid: onChain.isValid,
+        productId: product.id,
+        ownerId: owner.user.id,
+        ...chainLink
+      }
+    });
+  }
+}
+
+export default IndexerService;
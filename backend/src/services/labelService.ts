@@ -0,0 +1,206 @@
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { createError } from '../middleware/errorHandler';
+import { CertificateService, CertificateUser } from './certificateService';
+import { DigitalLinkService } from './digitalLinkService';
+import { OrganizationService, TenantUser } from './organizationService';
+import { PackagingService } from './packagingService';
+
+export type QrFormat = 'png' | 'svg';
+
+/**
+ * What goes on one label: the QR target and the human-readable lines printed beside it
+ */
+export interface Label {
+  url: string;
+  code: string;
+  title: string;
+  lines: string[];
+}
+
+// A4 sheet of 3 x 8 labels (63.5 x 38.1 mm stock)
+const SHEET = {
+  size: 'A4' as const,
+  columns: 3,
+  rows: 8,
+  marginX: 20,
+  marginY: 24,
+  padding: 6
+};
+
+const labelProductSelect = {
+  id: true,
+  name: true,
+  batchNumber: true,
+  gtin: true,
+  lotNumber: true,
+  serialNumber: true,
+  expiryDate: true
+} as const;
+
+type LabelProduct = { id: string; name: string; batchNumber: string; gtin: string | null; lotNumber: string; serialNumber: string | null; expiryDate: Date | null };
+
+export class LabelService {
+  /**
+   * Render a QR code as PNG (buffer) or SVG (markup)
+   */
+  static async qr(content: string, format: QrFormat, size: number = securityConfig.labels.defaultQrSize): Promise<Buffer | string> {
+    const options = { errorCorrectionLevel: 'M' as const, margin: 1, width: size };
+    return format === 'svg'
+      ? QRCode.toString(content, { ...options, type: 'svg' })
+      : QRCode.toBuffer(content, { ...options, type: 'png' });
+  }
+
+  /**
+   * Label for a product the user can see. Products with a GTIN get their Digital Link;
+   * others link to the verification page.
+   */
+  static async productLabel(user: TenantUser, productId: string, resolverBaseUrl: string): Promise<Label> {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] },
+      select: labelProductSelect
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    return this.toProductLabel(product, resolverBaseUrl);
+  }
+
+  /**
+   * Labels for a batch: the batch itself and, for a case or pallet, everything packed in it
+   */
+  static async batchLabels(user: TenantUser, batchNumber: string, resolverBaseUrl: string, includeContents: boolean): Promise<Label[]> {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ batchNumber }, OrganizationService.productScope(tenant)] },
+      select: labelProductSelect
+    });
+    if (!product) {
+      throw createError('Batch not found', 404);
+    }
+
+    const contents = includeContents
+      ? await db.product.findMany({
+        where: { id: { in: await PackagingService.descendantIds(product.id) } },
+        select: labelProductSelect,
+        orderBy: { batchNumber: 'asc' }
+      })
+      : [];
+
+    return [product, ...contents].map(item => this.toProductLabel(item, resolverBaseUrl));
+  }
+
+  /**
+   * Label for a certificate the user can see, carrying its verification code
+   */
+  static async certificateLabel(user: CertificateUser, tokenId: string): Promise<Label> {
+    const certificate = await db.nftCertificate.findFirst({
+      where: { AND: [{ tokenId }, await CertificateService.visibleTo(user)] },
+      include: { product: { select: { name: true, batchNumber: true } } }
+    });
+    if (!certificate) {
+      throw createError('Certificate not found', 404);
+    }
+
+    return {
+      url: `${securityConfig.digitalLink.verifyPageUrl}/verify/certificate/${encodeURIComponent(certificate.verificationCode)}`,
+      code: certificate.verificationCode,
+      title: certificate.product.name,
+      lines: [
+        certificate.certificateType || 'Certificate',
+        `Code: ${certificate.verificationCode}`,
+        `Token #${certificate.tokenId}`,
+        `Batch: ${certificate.product.batchNumber}`,
+        ...(certificate.expiresAt ? [`Valid until: ${certificate.expiresAt.toISOString().slice(0, 10)}`] : [])
+      ]
+    };
+  }
+
+  /**
+   * Printable PDF sheet with each label repeated `copies` times
+   */
+  static async sheet(labels: Label[], copies = 1): Promise<Buffer> {
+    const items = labels.flatMap(label => Array.from({ length: copies }, () => label));
+    if (items.length === 0) {
+      throw createError('Nothing to print', 400);
+    }
+    if (items.length > securityConfig.labels.maxLabelsPerSheet) {
+      throw createError(`At most ${securityConfig.labels.maxLabelsPerSheet} labels can be printed at once`, 413);
+    }
+
+    // Render each distinct QR once. PDFKit caches images by string source, so passing a
+    // data URI also embeds it once however many copies are printed.
+    const images = new Map<string, string>();
+    for (const label of labels) {
+      if (!images.has(label.url)) {
+        const png = await this.qr(label.url, 'png', 300) as Buffer;
+        images.set(label.url, `data:image/png;base64,${png.toString('base64')}`);
+      }
+    }
+
+    const doc = new PDFDocument({ size: SHEET.size, margin: 0, info: { Title: 'Product labels', Creator: 'TraceChain' } });
+    const chunks: Buffer[] = [];
+    doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+    const done = new Promise<Buffer>((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const perPage = SHEET.columns * SHEET.rows;
+    const labelWidth = (doc.page.width - SHEET.marginX * 2) / SHEET.columns;
+    const labelHeight = (doc.page.height - SHEET.marginY * 2) / SHEET.rows;
+    const qrSize = labelHeight - SHEET.padding * 2;
+    const textWidth = labelWidth - qrSize - SHEET.padding * 3;
+
+    items.forEach((label, index) => {
+      if (index > 0 && index % perPage === 0) {
+        doc.addPage();
+      }
+      const slot = index % perPage;
+      const x = SHEET.marginX + (slot % SHEET.columns) * labelWidth;
+      const y = SHEET.marginY + Math.floor(slot / SHEET.columns) * labelHeight;
+      const textX = x + SHEET.padding * 2 + qrSize;
+
+      doc.image(images.get(label.url)!, x + SHEET.padding, y + SHEET.padding, { width: qrSize, height: qrSize });
+      doc.font('Helvetica-Bold').fontSize(8)
+        .text(label.title, textX, y + SHEET.padding, { width: textWidth, height: 20, ellipsis: true });
+      doc.font('Helvetica').fontSize(6.5)
+        .text(label.lines.join('\n'), textX, y + SHEET.padding + 20, { width: textWidth, height: labelHeight - SHEET.padding * 2 - 20, ellipsis: true });
+    });
+
+    doc.end();
+    return done;
+  }
+
+  private static toProductLabel(product: LabelProduct, resolverBaseUrl: string): Label {
+    const url = product.gtin
+      ? DigitalLinkService.anchor(product, resolverBaseUrl)
+      : `${securityConfig.digitalLink.verifyPageUrl}/verify/${encodeURIComponent(product.id)}`;
+
+    // GS1 element strings: (01) GTIN, (10) lot, (21) serial, (17) expiry as YYMMDD
+    const lines = product.gtin
+      ? [
+        `(01) ${product.gtin}`,
+        `(10) ${product.lotNumber}`,
+        ...(product.serialNumber ? [`(21) ${product.serialNumber}`] : []),
+        ...(product.expiryDate ? [`(17) ${product.expiryDate.toISOString().slice(2, 10).replace(/-/g, '')}`] : [])
+      ]
+      : [
+        `Batch: ${product.batchNumber}`,
+        `ID: ${product.id}`,
+        ...(product.expiryDate ? [`Expires: ${product.expiryDate.toISOString().slice(0, 10)}`] : [])
+      ];
+
+    return {
+      url,
+      code: product.serialNumber || product.batchNumber,
+      title: product.name,
+      lines
+    };
+  }
+}
+
+export default LabelService;
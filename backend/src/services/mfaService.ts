@@ -0,0 +1,318 @@
+import * as crypto from 'crypto';
+import * as jwt from 'jsonwebtoken';
+import { User } from '@prisma/client';
+import { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { toSeconds } from './tokenService';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer: Buffer): string => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input: string): Buffer => {
+  let bits = 0;
+  let value = 0;
+  const bytes: number[] = [];
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Secrets are encrypted at rest with the configured AES-256-GCM key
+const encryptionKey = (): Buffer => crypto.createHash('sha256').update(securityConfig.encryption.key).digest();
+
+const encryptSecret = (secret: string): string => {
+  const iv = crypto.randomBytes(securityConfig.encryption.ivLength);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload: string): string => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv!);
+  decipher.setAuthTag(tag!);
+  return Buffer.concat([decipher.update(encrypted!), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code: string): string =>
+  crypto.createHash('sha256').update(code.replace(/-/g, '').toUpperCase()).digest('hex');
+
+/**
+ * RFC 6238 code for one time step (HMAC-SHA1, as authenticator apps expect)
+ */
+const totpAt = (secret: Buffer, step: number): string => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac(securityConfig.mfa.algorithm, secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1]! & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** securityConfig.mfa.digits;
+  return binary.toString().padStart(securityConfig.mfa.digits, '0');
+};
+
+const jwtSecret = (): string => process.env.JWT_SECRET || 'tracechain_jwt_secret_key_2025_development';
+
+export type MfaResult = { success: true } | { success: false; error: string; locked?: boolean };
+
+export class MfaService {
+  /**
+   * Start (or restart) enrollment: store a new secret and return the provisioning URI
+   * for the authenticator app. MFA stays off until the first code is confirmed.
+   */
+  static async startEnrollment(user: Pick<User, 'id' | 'email' | 'mfaEnabled'>) {
+    if (user.mfaEnabled) {
+      return { success: false as const, error: 'MFA is already enabled' };
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await db.user.update({
+      where: { id: user.id },
+      data: { mfaSecret: encryptSecret(secret), mfaLastUsedStep: null }
+    });
+
+    const { issuer, algorithm, digits, period } = securityConfig.mfa;
+    const label = encodeURIComponent(`${issuer}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: algorithm.toUpperCase(),
+      digits: digits.toString(),
+      period: period.toString()
+    });
+
+    return {
+      success: true as const,
+      secret,
+      otpauthUri: `otpauth://totp/${label}?${params.toString()}`
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the app; returns the one-time recovery codes
+   */
+  static async confirmEnrollment(userId: string, code: string) {
+    const user = await db.user.findUnique({ where: { id: userId } });
+    if (!user?.mfaSecret) {
+      return { success: false as const, error: 'MFA enrollment has not been started' };
+    }
+    if (user.mfaEnabled) {
+      return { success: false as const, error: 'MFA is already enabled' };
+    }
+
+    const step = this.matchTotp(user.mfaSecret, code, user.mfaLastUsedStep);
+    if (step === null) {
+      return { success: false as const, error: 'Invalid verification code' };
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await db.user.update({
+      where: { id: userId },
+      data: {
+        mfaEnabled: true,
+        mfaEnabledAt: new Date(),
+        mfaLastUsedStep: step,
+        mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode)
+      }
+    });
+
+    return { success: true as const, recoveryCodes };
+  }
+
+  /**
+   * Check a TOTP code or, failing that, an unused recovery code (which is then spent).
+   * Each check uses up one of the user's attempts; an accepted code gives them back.
+   */
+  static async verifyCode(userId: string, code: string): Promise<MfaResult & { usedRecoveryCode?: boolean }> {
+    const user = await db.user.findUnique({ where: { id: userId } });
+    if (!user?.mfaEnabled || !user.mfaSecret) {
+      return { success: false, error: 'MFA is not enabled' };
+    }
+
+    if (!(await this.claimAttempt(userId))) {
+      return { success: false, error: 'Too many failed verification attempts, please try again later', locked: true };
+    }
+
+    const step = this.matchTotp(user.mfaSecret, code, user.mfaLastUsedStep);
+    if (step !== null) {
+      // Only one request can advance past a given step
+      const claimed = await db.user.updateMany({
+        where: {
+          id: userId,
+          OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }]
+        },
+        data: { mfaLastUsedStep: step, mfaFailedAttempts: 0, mfaLockedUntil: null }
+      });
+      return claimed.count === 1 ? { success: true } : { success: false, error: 'Verification code already used' };
+    }
+
+    const hashed = hashRecoveryCode(code);
+    if (user.mfaRecoveryCodes.includes(hashed)) {
+      // Only one request can spend a code: the write applies only while the codes are as read,
+      // so a concurrent request spending any code (this one included) makes it miss
+      const spent = await db.user.updateMany({
+        where: {
+          id: userId,
+          mfaRecoveryCodes: { has: hashed, equals: user.mfaRecoveryCodes }
+        },
+        data: {
+          mfaRecoveryCodes: user.mfaRecoveryCodes.filter(existing => existing !== hashed),
+          mfaFailedAttempts: 0,
+          mfaLockedUntil: null
+        }
+      });
+      return spent.count === 1
+        ? { success: true, usedRecoveryCode: true }
+        : { success: false, error: 'Recovery code already used' };
+    }
+
+    return { success: false, error: 'Invalid verification code' };
+  }
+
+  /**
+   * Replace the recovery codes (requires a valid code)
+   */
+  static async regenerateRecoveryCodes(userId: string, code: string) {
+    const verified = await this.verifyCode(userId, code);
+    if (!verified.success) {
+      return verified;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await db.user.update({
+      where: { id: userId },
+      data: { mfaRecoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+    });
+
+    return { success: true as const, recoveryCodes };
+  }
+
+  /**
+   * Turn MFA off (requires a valid code)
+   */
+  static async disable(userId: string, code: string): Promise<MfaResult> {
+    const verified = await this.verifyCode(userId, code);
+    if (!verified.success) {
+      return verified;
+    }
+
+    await db.user.update({
+      where: { id: userId },
+      data: {
+        mfaEnabled: false,
+        mfaSecret: null,
+        mfaLastUsedStep: null,
+        mfaRecoveryCodes: [],
+        mfaEnabledAt: null
+      }
+    });
+    return { success: true };
+  }
+
+  /**
+   * Short-lived token proving the first factor, exchanged for a session at /api/auth/mfa/verify.
+   * It carries no session ID, so authMiddleware never accepts it as an access token.
+   */
+  static createChallengeToken(userId: string): string {
+    return jwt.sign({ id: userId, purpose: 'mfa' }, jwtSecret(), {
+      expiresIn: toSeconds(securityConfig.mfa.challengeTtl)
+    });
+  }
+
+  /**
+   * User ID from a challenge token, or null if it is invalid or expired
+   */
+  static verifyChallengeToken(token: string): string | null {
+    try {
+      const decoded = jwt.verify(token, jwtSecret()) as any;
+      return decoded.purpose === 'mfa' && typeof decoded.id === 'string' ? decoded.id : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Take one of the user's attempts before a code is checked, so concurrent guesses count too.
+   * Each attempt taken moves the lockout to run from now; once the attempts are used up, none
+   * are handed out until it has passed.
+   */
+  private static async claimAttempt(userId: string): Promise<boolean> {
+    const { maxAttempts, lockoutDuration } = securityConfig.mfa;
+    const now = Date.now();
+    const lockedUntil = new Date(now + lockoutDuration);
+
+    const claimed = await db.user.updateMany({
+      where: { id: userId, mfaFailedAttempts: { lt: maxAttempts } },
+      data: { mfaFailedAttempts: { increment: 1 }, mfaLockedUntil: lockedUntil }
+    });
+    if (claimed.count === 1) {
+      return true;
+    }
+
+    // Attempts used up: start counting again once the lockout has passed
+    const restarted = await db.user.updateMany({
+      where: { id: userId, mfaLockedUntil: { lte: new Date(now) } },
+      data: { mfaFailedAttempts: 1, mfaLockedUntil: lockedUntil }
+    });
+    return restarted.count === 1;
+  }
+
+  /**
+   * Time step matching the code within the allowed window, newer than the last used step
+   */
+  private static matchTotp(encryptedSecret: string, code: string, lastUsedStep: number | null): number | null {
+    const { digits, period, window } = securityConfig.mfa;
+    if (!new RegExp(`^\\d{${digits}}$`).test(code)) {
+      return null;
+    }
+
+    const secret = base32Decode(decryptSecret(encryptedSecret));
+    const current = Math.floor(Date.now() / 1000 / period);
+
+    for (let offset = -window; offset <= window; offset++) {
+      const step = current + offset;
+      if (lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+      const expected = totpAt(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  private static generateRecoveryCodes(): string[] {
+    return Array.from({ length: securityConfig.mfa.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+}
+
+export default MfaService;
@@ -0,0 +1,482 @@
+import * as crypto from 'crypto';
+import { Organization, OrganizationType, Prisma, UserRole } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { hasRole, hasResourcePermission, Permission, Resource } from '../config/roles';
+import { createError } from '../middleware/errorHandler';
+
+export interface TenantUser {
+  id: string;
+  role: string;
+  roles?: string[];
+  walletAddress?: string;
+}
+
+/**
+ * What a user can reach across organizations, resolved from the database on each
+ * request so removing a member takes effect immediately
+ */
+export interface Tenant {
+  userId: string;
+  walletAddress?: string;
+  isPlatformAdmin: boolean;
+  memberships: Map<string, UserRole[]>;
+}
+
+export interface CreateOrganizationData {
+  name: string;
+  type: OrganizationType;
+  walletAddress?: string;
+  address?: string;
+  gln?: string;
+}
+
+const hashToken = (token: string): string => crypto.createHash('sha256').update(token).digest('hex');
+
+const slugify = (name: string): string =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 48) || 'org';
+
+export class OrganizationService {
+  /**
+   * Resolve the organizations a user belongs to and their roles in each
+   */
+  static async resolveTenant(user: TenantUser): Promise<Tenant> {
+    const assignments = await db.userRoleAssignment.findMany({
+      where: { userId: user.id, organizationId: { not: null } },
+      select: { organizationId: true, role: true }
+    });
+
+    const memberships = new Map<string, UserRole[]>();
+    for (const { organizationId, role } of assignments) {
+      memberships.set(organizationId!, [...(memberships.get(organizationId!) || []), role]);
+    }
+
+    return {
+      userId: user.id,
+      walletAddress: user.walletAddress?.toLowerCase(),
+      isPlatformAdmin: hasRole(user, UserRole.ADMIN),
+      memberships
+    };
+  }
+
+  /**
+   * Products a tenant can see: those of its organizations, those its organizations hold
+   * or have been offered custody of, legacy products it registered before organizations
+   * existed, and products it is a supply-chain stakeholder of
+   */
+  static productScope(tenant: Tenant): Prisma.ProductWhereInput {
+    if (tenant.isPlatformAdmin) {
+      return {};
+    }
+
+    const stakeholderMatch: Prisma.ProductStakeholderWhereInput[] = [{ userId: tenant.userId }];
+    if (tenant.walletAddress) {
+      stakeholderMatch.push({ walletAddress: tenant.walletAddress });
+    }
+
+    const organizationIds = [...tenant.memberships.keys()];
+    return {
+      OR: [
+        { organizationId: { in: organizationIds } },
+        { currentCustodianId: { in: organizationIds } },
+        { custodyTransfers: { some: { toOrganizationId: { in: organizationIds } } } },
+        { organizationId: null, manufacturerId: tenant.userId },
+        { stakeholders: { some: { OR: stakeholderMatch } } }
+      ]
+    };
+  }
+
+  /**
+   * Whether the tenant may change a product's record: a member of the owning organization
+   * whose role there grants product write access (or the registrant of a legacy product)
+   */
+  static canManageProduct(tenant: Tenant, product: { organizationId: string | null; manufacturerId: string }): boolean {
+    if (tenant.isPlatformAdmin) {
+      return true;
+    }
+    if (!product.organizationId) {
+      return product.manufacturerId === tenant.userId;
+    }
+    const roles = tenant.memberships.get(product.organizationId) || [];
+    return hasResourcePermission(roles, Resource.PRODUCT, Permission.WRITE);
+  }
+
+  /**
+   * Whether the tenant may hand over or take over products on behalf of an organization:
+   * a member whose role there grants product transfer or write access
+   */
+  static canHandleCustody(tenant: Tenant, organizationId: string): boolean {
+    if (tenant.isPlatformAdmin) {
+      return true;
+    }
+    const roles = tenant.memberships.get(organizationId) || [];
+    return hasResourcePermission(roles, Resource.PRODUCT, Permission.TRANSFER)
+      || hasResourcePermission(roles, Resource.PRODUCT, Permission.WRITE);
+  }
+
+  /**
+   * Whether the tenant may record checkpoints on a product: the owning organization, the
+   * current custodian, or a registered supply-chain stakeholder
+   */
+  static canRecordCheckpoint(
+    tenant: Tenant,
+    product: {
+      organizationId: string | null;
+      manufacturerId: string;
+      currentCustodianId: string | null;
+      stakeholders: { userId: string | null; walletAddress: string }[];
+    }
+  ): boolean {
+    if (this.canManageProduct(tenant, product)) {
+      return true;
+    }
+    if (product.currentCustodianId && this.canHandleCustody(tenant, product.currentCustodianId)) {
+      return true;
+    }
+    return product.stakeholders.some(stakeholder =>
+      stakeholder.userId === tenant.userId || (!!tenant.walletAddress && stakeholder.walletAddress === tenant.walletAddress)
+    );
+  }
+
+  /**
+   * Organization a new product is registered under: the requested one if the tenant may
+   * write products there, otherwise its only such organization. Null when it has none.
+   */
+  static productOrganizationFor(tenant: Tenant, requestedId?: string): string | null {
+    const writable = [...tenant.memberships.entries()]
+      .filter(([, roles]) => hasResourcePermission(roles, Resource.PRODUCT, Permission.WRITE))
+      .map(([organizationId]) => organizationId);
+
+    if (requestedId) {
+      if (!writable.includes(requestedId) && !tenant.isPlatformAdmin) {
+        throw createError('You cannot register products for this organization', 403);
+      }
+      return requestedId;
+    }
+
+    if (writable.length > 1) {
+      throw createError('organizationId is required when you belong to several organizations', 400);
+    }
+    return writable[0] || null;
+  }
+
+  /**
+   * Create an organization with the creator as its admin
+   */
+  static async create(userId: string, data: CreateOrganizationData): Promise<Organization> {
+    const base = slugify(data.name);
+    const taken = await db.organization.count({ where: { slug: { startsWith: base } } });
+    const slug = taken > 0 ? `${base}-${crypto.randomBytes(3).toString('hex')}` : base;
+
+    return db.organization.create({
+      data: {
+        name: data.name,
+        slug,
+        type: data.type,
+        walletAddress: data.walletAddress?.toLowerCase(),
+        address: data.address,
+        gln: data.gln,
+        roleAssignments: {
+          create: { userId, role: UserRole.ADMIN }
+        }
+      }
+    });
+  }
+
+  /**
+   * Organizations the user belongs to, with their roles in each
+   */
+  static async listForUser(userId: string) {
+    const assignments = await db.userRoleAssignment.findMany({
+      where: { userId, organizationId: { not: null } },
+      include: { organization: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const byOrganization = new Map<string, { organization: Organization; roles: UserRole[] }>();
+    for (const assignment of assignments) {
+      const entry = byOrganization.get(assignment.organizationId!)
+        || { organization: assignment.organization!, roles: [] };
+      entry.roles.push(assignment.role);
+      byOrganization.set(assignment.organizationId!, entry);
+    }
+
+    return [...byOrganization.values()].map(({ organization, roles }) => ({
+      ...this.toResponse(organization),
+      roles
+    }));
+  }
+
+  /**
+   * Get an organization the tenant belongs to, or throw 404
+   */
+  static async getForTenant(organizationId: string, tenant: Tenant): Promise<Organization> {
+    if (!tenant.isPlatformAdmin && !tenant.memberships.has(organizationId)) {
+      throw createError('Organization not found', 404);
+    }
+
+    const organization = await db.organization.findUnique({ where: { id: organizationId } });
+    if (!organization) {
+      throw createError('Organization not found', 404);
+    }
+    return organization;
+  }
+
+  /**
+   * Throw 403 unless the tenant administers the organization
+   */
+  static assertAdmin(organizationId: string, tenant: Tenant): void {
+    if (tenant.isPlatformAdmin) {
+      return;
+    }
+    if (!tenant.memberships.has(organizationId)) {
+      throw createError('Organization not found', 404);
+    }
+    if (!tenant.memberships.get(organizationId)!.includes(UserRole.ADMIN)) {
+      throw createError('Only organization admins can do this', 403);
+    }
+  }
+
+  /**
+   * Update an organization's profile
+   */
+  static async update(organizationId: string, data: Partial<CreateOrganizationData>): Promise<Organization> {
+    const current = data.type
+      ? await db.organization.findUnique({ where: { id: organizationId }, select: { type: true } })
+      : null;
+
+    return db.organization.update({
+      where: { id: organizationId },
+      data: {
+        name: data.name,
+        type: data.type,
+        // A changed type has to be verified again
+        typeVerifiedAt: current && current.type !== data.type ? null : undefined,
+        walletAddress: data.walletAddress?.toLowerCase(),
+        address: data.address,
+        gln: data.gln
+      }
+    });
+  }
+
+  /**
+   * Confirm or withdraw an organization's type. Only verified types grant access, since
+   * organization admins choose the type themselves.
+   */
+  static async setTypeVerified(organizationId: string, verified: boolean): Promise<Organization> {
+    const organization = await db.organization.findUnique({ where: { id: organizationId } });
+    if (!organization) {
+      throw createError('Organization not found', 404);
+    }
+
+    return db.organization.update({
+      where: { id: organizationId },
+      data: { typeVerifiedAt: verified ? organization.typeVerifiedAt || new Date() : null }
+    });
+  }
+
+  /**
+   * Types of the tenant's organizations that a platform admin has verified
+   */
+  static async verifiedTypes(tenant: Tenant): Promise<Set<OrganizationType>> {
+    const organizations = await db.organization.findMany({
+      where: { id: { in: [...tenant.memberships.keys()] }, typeVerifiedAt: { not: null } },
+      select: { type: true }
+    });
+    return new Set(organizations.map(organization => organization.type));
+  }
+
+  /**
+   * Members of an organization and their roles there
+   */
+  static async listMembers(organizationId: string) {
+    const assignments = await db.userRoleAssignment.findMany({
+      where: { organizationId },
+      include: {
+        user: { select: { id: true, email: true, firstName: true, lastName: true, walletAddress: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const members = new Map<string, { user: typeof assignments[number]['user']; roles: UserRole[]; joinedAt: Date }>();
+    for (const assignment of assignments) {
+      const member = members.get(assignment.userId)
+        || { user: assignment.user, roles: [], joinedAt: assignment.createdAt };
+      member.roles.push(assignment.role);
+      members.set(assignment.userId, member);
+    }
+
+    return [...members.values()].map(({ user, roles, joinedAt }) => ({
+      userId: user.id,
+      email: user.email,
+      name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email,
+      walletAddress: user.walletAddress,
+      roles,
+      joinedAt: joinedAt.toISOString()
+    }));
+  }
+
+  /**
+   * Replace a member's roles in the organization. The last admin cannot give up the role.
+   */
+  static async setMemberRoles(organizationId: string, userId: string, roles: UserRole[]): Promise<UserRole[]> {
+    const current = await db.userRoleAssignment.findMany({ where: { organizationId, userId } });
+    if (current.length === 0) {
+      throw createError('Member not found', 404);
+    }
+
+    if (current.some(assignment => assignment.role === UserRole.ADMIN) && !roles.includes(UserRole.ADMIN)) {
+      await this.assertNotLastAdmin(organizationId);
+    }
+
+    const wanted = [...new Set(roles)];
+    await prisma.$transaction([
+      db.userRoleAssignment.deleteMany({
+        where: { organizationId, userId, role: { notIn: wanted } }
+      }),
+      ...wanted
+        .filter(role => !current.some(assignment => assignment.role === role))
+        .map(role => db.userRoleAssignment.create({ data: { organizationId, userId, role } }))
+    ]);
+
+    return wanted;
+  }
+
+  /**
+   * Remove a member. Products stay with the organization.
+   */
+  static async removeMember(organizationId: string, userId: string): Promise<void> {
+    const current = await db.userRoleAssignment.findMany({ where: { organizationId, userId } });
+    if (current.length === 0) {
+      throw createError('Member not found', 404);
+    }
+
+    if (current.some(assignment => assignment.role === UserRole.ADMIN)) {
+      await this.assertNotLastAdmin(organizationId);
+    }
+
+    await db.userRoleAssignment.deleteMany({ where: { organizationId, userId } });
+  }
+
+  /**
+   * Invite someone by email. The token is only returned here.
+   */
+  static async invite(organizationId: string, invitedById: string, email: string, role: UserRole) {
+    const normalized = email.toLowerCase();
+
+    const pending = await db.organizationInvitation.count({
+      where: { organizationId, acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } }
+    });
+    if (pending >= securityConfig.organizations.maxPendingInvitations) {
+      throw createError('Too many pending invitations for this organization', 409);
+    }
+
+    const alreadyMember = await db.userRoleAssignment.findFirst({
+      where: { organizationId, user: { email: normalized } }
+    });
+    if (alreadyMember) {
+      throw createError('This user is already a member of the organization', 409);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await db.organizationInvitation.create({
+      data: {
+        organizationId,
+        invitedById,
+        email: normalized,
+        role,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + securityConfig.organizations.invitationTtl)
+      }
+    });
+
+    return { token, invitation };
+  }
+
+  /**
+   * Pending invitations of an organization
+   */
+  static async listInvitations(organizationId: string) {
+    return db.organizationInvitation.findMany({
+      where: { organizationId, acceptedAt: null, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke a pending invitation. Returns false if there is no such pending invitation.
+   */
+  static async revokeInvitation(organizationId: string, invitationId: string): Promise<boolean> {
+    const result = await db.organizationInvitation.updateMany({
+      where: { id: invitationId, organizationId, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    return result.count === 1;
+  }
+
+  /**
+   * Accept an invitation as the signed-in user, whose email must match the invited one
+   */
+  static async acceptInvitation(token: string, user: { id: string; email: string }) {
+    const invitation = await db.organizationInvitation.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { organization: true }
+    });
+
+    if (!invitation || invitation.revokedAt || invitation.expiresAt <= new Date()) {
+      throw createError('Invitation is invalid or has expired', 400);
+    }
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw createError('This invitation was sent to a different email address', 403);
+    }
+
+    // Only one request can accept an invitation
+    const claimed = await db.organizationInvitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null },
+      data: { acceptedAt: new Date(), acceptedById: user.id }
+    });
+    if (claimed.count !== 1) {
+      throw createError('Invitation has already been accepted', 409);
+    }
+
+    const existing = await db.userRoleAssignment.findFirst({
+      where: { userId: user.id, organizationId: invitation.organizationId, role: invitation.role }
+    });
+    if (!existing) {
+      await db.userRoleAssignment.create({
+        data: { userId: user.id, organizationId: invitation.organizationId, role: invitation.role }
+      });
+    }
+
+    return { organization: this.toResponse(invitation.organization), role: invitation.role };
+  }
+
+  /**
+   * Public view of an organization
+   */
+  static toResponse(organization: Organization) {
+    return {
+      id: organization.id,
+      name: organization.name,
+      slug: organization.slug,
+      type: organization.type,
+      walletAddress: organization.walletAddress,
+      address: organization.address,
+      gln: organization.gln,
+      typeVerified: !!organization.typeVerifiedAt,
+      createdAt: organization.createdAt.toISOString(),
+      updatedAt: organization.updatedAt.toISOString()
+    };
+  }
+
+  private static async assertNotLastAdmin(organizationId: string): Promise<void> {
+    const admins = await db.userRoleAssignment.count({
+      where: { organizationId, role: UserRole.ADMIN }
+    });
+    if (admins <= 1) {
+      throw createError('An organization must keep at least one admin', 409);
+    }
+  }
+}
+
+export default OrganizationService;
@@ -0,0 +1,609 @@
+import { Contract, TransactionReceipt, Wallet, isError } from 'ethers';
+import { OutboxJob, Prisma, Product } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import {
+  getProvider,
+  getSigner,
+  getProductRegistry,
+  getNftCertificate,
+  toChainTimestamp,
+  NO_EXPIRY
+} from '../config/blockchain';
+import { UserService } from './userService';
+
+export type OutboxMethod = 'registerProduct' | 'batchRegisterProducts' | 'addCheckpoint' | 'anchorCheckpoints' | 'mintCertificate' | 'invalidateCertificate';
+
+export interface EnqueueOptions {
+  method: OutboxMethod;
+  payload: Prisma.InputJsonObject;
+  resourceType?: string;
+  resourceId?: string;
+  createdById?: string;
+}
+
+interface PreparedCall {
+  contract: Contract;
+  args: unknown[];
+  value?: bigint;
+}
+
+// Outcome of building a call: ready to send, not yet sendable, or never sendable
+type PrepareResult = PreparedCall | { defer: string } | { fail: string };
+
+// Registration fields in the order registerProduct and the ProductData struct take them
+const productRegistrationArgs = (product: Product): unknown[] => [
+  product.name,
+  product.type.toLowerCase(),
+  product.batchNumber,
+  toChainTimestamp(product.manufactureDate),
+  product.expiryDate ? toChainTimestamp(product.expiryDate) : NO_EXPIRY,
+  product.rawMaterials,
+  product.metadataURI || ''
+];
+
+/**
+ * Builds contract arguments from the current database state at send time, so a job
+ * queued before its dependency is on-chain (e.g. a checkpoint on a product whose
+ * registration is still pending) simply waits instead of failing.
+ */
+const callBuilders: Record<OutboxMethod, (payload: any, signer: Wallet) => Promise<PrepareResult>> = {
+  registerProduct: async (payload, signer) => {
+    const product = await db.product.findUnique({ where: { id: payload.productId } });
+    if (!product) {
+      return { fail: 'Product no longer exists' };
+    }
+    if (product.chainProductId) {
+      return { fail: `Product already registered on-chain as ${product.chainProductId}` };
+    }
+
+    return {
+      contract: getProductRegistry(signer),
+      args: productRegistrationArgs(product)
+    };
+  },
+
+  batchRegisterProducts: async (payload, signer) => {
+    // Products registered individually in the meantime are left out of the batch
+    const products = await db.product.findMany({
+      where: { id: { in: payload.productIds }, chainProductId: null },
+      orderBy: { createdAt: 'asc' }
+    });
+    if (products.length === 0) {
+      return { fail: 'Every product in this batch is already registered on-chain or no longer exists' };
+    }
+
+    return {
+      contract: getProductRegistry(signer),
+      args: [products.map(productRegistrationArgs)]
+    };
+  },
+
+  addCheckpoint: async (payload, signer) => {
+    const checkpoint = await db.checkpoint.findUnique({
+      where: { id: payload.checkpointId },
+      include: { product: true }
+    });
+    if (!checkpoint) {
+      return { fail: 'Checkpoint no longer exists' };
+    }
+    if (!checkpoint.product.chainProductId) {
+      return { defer: 'Waiting for product registration' };
+    }
+
+    const metadata = (checkpoint.metadata || {}) as { status?: string; additionalData?: string };
+    return {
+      contract: getProductRegistry(signer),
+      args: [
+        checkpoint.product.chainProductId,
+        metadata.status || checkpoint.name,
+        checkpoint.location,
+        metadata.additionalData || ''
+      ]
+    };
+  },
+
+  anchorCheckpoints: async (payload, signer) => {
+    const anchor = await db.checkpointAnchor.findUnique({ where: { id: payload.anchorId } });
+    if (!anchor) {
+      return { fail: 'Checkpoint batch no longer exists' };
+    }
+    if (anchor.chainAnchorId) {
+      return { fail: `Checkpoint batch already anchored on-chain as ${anchor.chainAnchorId}` };
+    }
+
+    return {
+      contract: getProductRegistry(signer),
+      args: [anchor.merkleRoot, anchor.leafCount]
+    };
+  },
+
+  mintCertificate: async (payload, signer) => {
+    const product = await db.product.findUnique({ where: { id: payload.productId } });
+    if (!product) {
+      return { fail: 'Product no longer exists' };
+    }
+    if (!product.chainProductId) {
+      return { defer: 'Waiting for product registration' };
+    }
+
+    const contract = getNftCertificate(signer);
+    const mintingFee: bigint = await contract.getFunction('mintingFee')();
+
+    return {
+      contract,
+      args: [
+        payload.to,
+        product.chainProductId,
+        payload.certificateType,
+        payload.metadataURI,
+        payload.complianceStandards || [],
+        payload.expiresAt ? toChainTimestamp(new Date(payload.expiresAt)) : 0n
+      ],
+      value: mintingFee
+    };
+  },
+
+  invalidateCertificate: async (payload, signer) => {
+    return {
+      contract: getNftCertificate(signer),
+      args: [BigInt(payload.tokenId), payload.reason]
+    };
+  }
+};
+
+const bump = (value: bigint, percent: number): bigint => value * BigInt(100 + percent) / 100n;
+const max = (a: bigint, b: bigint): bigint => (a > b ? a : b);
+
+/**
+ * Sends queued contract calls from the platform wallet.
+ *
+ * Run a single worker per signing wallet: nonces are allocated sequentially and only
+ * committed once a transaction has been broadcast, so failed sends never leave gaps.
+ */
+export class OutboxService {
+  private static timer?: ReturnType<typeof setTimeout>;
+  private static stopped = true;
+
+  /**
+   * Queue a contract call. Pass the transaction client to enqueue atomically
+   * with the rows the call refers to.
+   */
+  static async enqueue(options: EnqueueOptions, client: Prisma.TransactionClient = prisma): Promise<OutboxJob> {
+    return client.outboxJob.create({
+      data: {
+        method: options.method,
+        payload: options.payload,
+        resourceType: options.resourceType,
+        resourceId: options.resourceId,
+        createdById: options.createdById
+      }
+    });
+  }
+
+  /**
+   * Public view of a job for clients polling confirmation
+   */
+  static toResponse(job: OutboxJob) {
+    return {
+      id: job.id,
+      method: job.method,
+      status: job.status,
+      resourceType: job.resourceType,
+      resourceId: job.resourceId,
+      txHash: job.txHash,
+      nonce: job.nonce,
+      attempts: job.attempts,
+      blockNumber: job.blockNumber,
+      receiptStatus: job.receiptStatus,
+      result: job.result,
+      lastError: job.lastError,
+      createdAt: job.createdAt.toISOString(),
+      submittedAt: job.submittedAt?.toISOString() || null,
+      confirmedAt: job.confirmedAt?.toISOString() || null
+    };
+  }
+
+  static async start(): Promise<void> {
+    if (!this.stopped) {
+      return;
+    }
+
+    // Jobs left mid-flight by a previous process are safe to pick up again
+    await db.outboxJob.updateMany({
+      where: { status: 'PROCESSING' },
+      data: { status: 'PENDING' }
+    });
+
+    this.stopped = false;
+    console.log(`📤 Outbox worker started (signer ${getSigner().address})`);
+    this.scheduleNext(0);
+  }
+
+  static stop(): void {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  private static scheduleNext(delay: number): void {
+    if (this.stopped) {
+      return;
+    }
+
+    this.timer = setTimeout(async () => {
+      try {
+        await this.checkSubmitted();
+        await this.processPending();
+      } catch (error) {
+        console.error('Outbox worker tick failed:', error);
+      }
+      this.scheduleNext(securityConfig.blockchain.outbox.pollInterval);
+    }, delay);
+  }
+
+  /**
+   * Send (or resend with higher fees) every job that is due
+   */
+  static async processPending(): Promise<void> {
+    const config = securityConfig.blockchain.outbox;
+    const jobs = await db.outboxJob.findMany({
+      where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+      orderBy: { createdAt: 'asc' },
+      take: config.batchSize
+    });
+
+    for (const job of jobs) {
+      const claimed = await db.outboxJob.updateMany({
+        where: { id: job.id, status: 'PENDING' },
+        data: { status: 'PROCESSING' }
+      });
+      if (claimed.count === 0) {
+        continue;
+      }
+
+      await this.processJob(job);
+    }
+  }
+
+  private static async processJob(job: OutboxJob): Promise<void> {
+    const config = securityConfig.blockchain.outbox;
+    const signer = getSigner();
+
+    let prepared: PrepareResult;
+    try {
+      prepared = await callBuilders[job.method as OutboxMethod](job.payload, signer);
+    } catch (error) {
+      await this.retry(job, error);
+      return;
+    }
+
+    if ('fail' in prepared) {
+      await (job.txHash ? this.awaitReceipt(job) : this.fail(job, prepared.fail));
+      return;
+    }
+    if ('defer' in prepared) {
+      await db.outboxJob.update({
+        where: { id: job.id },
+        data: {
+          status: 'PENDING',
+          lastError: prepared.defer,
+          nextAttemptAt: new Date(Date.now() + config.baseBackoffMs)
+        }
+      });
+      return;
+    }
+
+    const method = prepared.contract.getFunction(job.method);
+
+    try {
+      // A revert here means the call can never succeed, so no nonce is spent on it
+      const gasEstimate = await method.estimateGas(...prepared.args, { value: prepared.value });
+      const gasLimit = gasEstimate * BigInt(Math.round(config.gasLimitMultiplier * 100)) / 100n;
+      const fees = await this.nextFees(job);
+      const nonce = job.nonce ?? await this.peekNonce(signer.address);
+
+      const tx = await method.send(...prepared.args, {
+        nonce,
+        gasLimit,
+        value: prepared.value,
+        ...fees
+      });
+
+      if (job.nonce === null) {
+        await db.signerNonce.upsert({
+          where: { address: signer.address },
+          update: { nextNonce: nonce + 1 },
+          create: { address: signer.address, nextNonce: nonce + 1 }
+        });
+      }
+
+      await db.outboxJob.update({
+        where: { id: job.id },
+        data: {
+          status: 'SUBMITTED',
+          signer: signer.address,
+          nonce,
+          gasLimit: gasLimit.toString(),
+          maxFeePerGas: (fees.maxFeePerGas ?? fees.gasPrice)?.toString(),
+          maxPriorityFeePerGas: fees.maxPriorityFeePerGas?.toString(),
+          txHash: tx.hash,
+          replacedTxHashes: job.txHash ? { push: job.txHash } : undefined,
+          attempts: { increment: 1 },
+          lastError: null,
+          submittedAt: new Date()
+        }
+      });
+    } catch (error) {
+      if (job.txHash && (isError(error, 'CALL_EXCEPTION') || isError(error, 'NONCE_EXPIRED'))) {
+        // An earlier broadcast of this job was mined while we were replacing it
+        await this.awaitReceipt(job);
+      } else if (isError(error, 'CALL_EXCEPTION')) {
+        await this.fail(job, error.reason || error.shortMessage);
+      } else if (isError(error, 'NONCE_EXPIRED')) {
+        // The stored nonce fell behind the node (e.g. wallet used elsewhere)
+        await db.signerNonce.deleteMany({ where: { address: signer.address } });
+        await this.retry({ ...job, nonce: null }, error);
+      } else {
+        await this.retry(job, error);
+      }
+    }
+  }
+
+  /**
+   * Record receipts for broadcast jobs and queue fee-bumped replacements for stuck ones
+   */
+  static async checkSubmitted(): Promise<void> {
+    const config = securityConfig.blockchain.outbox;
+    const provider = getProvider();
+    const jobs = await db.outboxJob.findMany({
+      where: { status: 'SUBMITTED' },
+      orderBy: { submittedAt: 'asc' },
+      take: config.batchSize
+    });
+
+    for (const job of jobs) {
+      let receipt: TransactionReceipt | null = null;
+      for (const hash of [job.txHash!, ...job.replacedTxHashes]) {
+        receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+          break;
+        }
+      }
+
+      if (receipt) {
+        if (await receipt.confirmations() >= securityConfig.blockchain.indexer.confirmations) {
+          await this.complete(job, receipt);
+        }
+        continue;
+      }
+
+      const stuck = job.submittedAt && Date.now() - job.submittedAt.getTime() > config.stuckAfterMs;
+      if (stuck && job.attempts < config.maxAttempts) {
+        await db.outboxJob.update({
+          where: { id: job.id },
+          data: { status: 'PENDING', nextAttemptAt: new Date() }
+        });
+      }
+    }
+  }
+
+  private static async complete(job: OutboxJob, receipt: TransactionReceipt): Promise<void> {
+    const succeeded = receipt.status === 1;
+    const result = succeeded ? await this.extractResult(job, receipt) : undefined;
+
+    await db.outboxJob.update({
+      where: { id: job.id },
+      data: {
+        status: succeeded ? 'CONFIRMED' : 'FAILED',
+        txHash: receipt.hash,
+        receiptStatus: receipt.status,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        result,
+        lastError: succeeded ? null : 'Transaction reverted',
+        confirmedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Pull identifiers assigned on-chain out of the receipt logs
+   */
+  private static async extractResult(job: OutboxJob, receipt: TransactionReceipt): Promise<Prisma.InputJsonObject | undefined> {
+    if (job.method === 'registerProduct') {
+      const registry = getProductRegistry();
+      for (const log of receipt.logs) {
+        const parsed = registry.interface.parseLog(log);
+        if (parsed?.name === 'ProductRegistered') {
+          const chainProductId = Number(parsed.args.productId);
+          // Link right away so queued checkpoints don't wait for the indexer
+          await db.product.updateMany({
+            where: { id: (job.payload as { productId: string }).productId, chainProductId: null },
+            data: { chainProductId, chainTxHash: receipt.hash, chainBlockNumber: receipt.blockNumber }
+          });
+          return { chainProductId };
+        }
+      }
+    }
+
+    if (job.method === 'batchRegisterProducts') {
+      const registry = getProductRegistry();
+      const products = await db.product.findMany({
+        where: { id: { in: (job.payload as { productIds: string[] }).productIds } },
+        select: { id: true, batchNumber: true }
+      });
+      const productIdByBatch = new Map(products.map(product => [product.batchNumber, product.id]));
+
+      const chainProductIds: Record<string, number> = {};
+      for (const log of receipt.logs) {
+        const parsed = registry.interface.parseLog(log);
+        const productId = parsed?.name === 'ProductRegistered' ? productIdByBatch.get(parsed.args.batchNumber) : undefined;
+        if (productId) {
+          chainProductIds[productId] = Number(parsed!.args.productId);
+          await db.product.updateMany({
+            where: { id: productId, chainProductId: null },
+            data: { chainProductId: chainProductIds[productId], chainTxHash: receipt.hash, chainBlockNumber: receipt.blockNumber }
+          });
+        }
+      }
+      return { chainProductIds };
+    }
+
+    if (job.method === 'anchorCheckpoints') {
+      const registry = getProductRegistry();
+      for (const log of receipt.logs) {
+        const parsed = registry.interface.parseLog(log);
+        if (parsed?.name === 'CheckpointsAnchored') {
+          const chainAnchorId = Number(parsed.args.anchorId);
+          await db.checkpointAnchor.updateMany({
+            where: { id: (job.payload as { anchorId: string }).anchorId, chainAnchorId: null },
+            data: { chainAnchorId, txHash: receipt.hash, blockNumber: receipt.blockNumber, anchoredAt: new Date() }
+          });
+          return { chainAnchorId };
+        }
+      }
+    }
+
+    if (job.method === 'mintCertificate') {
+      const certificates = getNftCertificate();
+      for (const log of receipt.logs) {
+        const parsed = certificates.interface.parseLog(log);
+        if (parsed?.name === 'CertificateMinted') {
+          const tokenId = parsed.args.tokenId.toString();
+          await this.recordMintedCertificate(job, tokenId, parsed.args.verificationCode, log.address, receipt);
+          return { tokenId, verificationCode: parsed.args.verificationCode };
+        }
+      }
+    }
+
+    if (job.method === 'invalidateCertificate') {
+      const payload = job.payload as { tokenId: string; reason: string };
+      await db.nftCertificate.updateMany({
+        where: { tokenId: payload.tokenId },
+        data: { isValid: false, invalidationReason: payload.reason, invalidatedAtBlock: receipt.blockNumber }
+      });
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Store a freshly minted certificate so it is readable before the indexer catches up
+   */
+  private static async recordMintedCertificate(
+    job: OutboxJob,
+    tokenId: string,
+    verificationCode: string,
+    contractAddress: string,
+    receipt: TransactionReceipt
+  ): Promise<void> {
+    const payload = job.payload as {
+      to: string;
+      productId: string;
+      certificateType: string;
+      metadataURI: string;
+      complianceStandards?: string[];
+      expiresAt?: string | null;
+    };
+
+    const owner = await UserService.findOrCreateByWalletAddress(payload.to);
+    if (!owner.success || !owner.user) {
+      throw new Error(`Unable to resolve certificate owner ${payload.to}: ${owner.error}`);
+    }
+
+    const chainLink = { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+
+    await db.nftCertificate.upsert({
+      where: { tokenId },
+      update: chainLink,
+      create: {
+        tokenId,
+        contractAddress,
+        verificationCode,
+        metadataURI: payload.metadataURI,
+        complianceStandards: payload.complianceStandards || [],
+        certificateType: payload.certificateType,
+        expiresAt: payload.expiresAt ? new Date(payload.expiresAt) : null,
+        productId: payload.productId,
+        ownerId: owner.user.id,
+        ...chainLink
+      }
+    });
+  }
+
+  /**
+   * Network fees, raised above the previous broadcast when replacing a stuck transaction
+   */
+  private static async nextFees(job: OutboxJob): Promise<{ maxFeePerGas?: bigint; maxPriorityFeePerGas?: bigint; gasPrice?: bigint }> {
+    const percent = securityConfig.blockchain.outbox.feeBumpPercent;
+    const feeData = await getProvider().getFeeData();
+    const replacing = !!job.txHash && !!job.maxFeePerGas;
+
+    if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+      return {
+        maxFeePerGas: replacing ? max(feeData.maxFeePerGas, bump(BigInt(job.maxFeePerGas!), percent)) : feeData.maxFeePerGas,
+        maxPriorityFeePerGas: replacing
+          ? max(feeData.maxPriorityFeePerGas, bump(BigInt(job.maxPriorityFeePerGas || '0'), percent))
+          : feeData.maxPriorityFeePerGas
+      };
+    }
+
+    // Legacy (pre EIP-1559) networks
+    const gasPrice = feeData.gasPrice ?? 0n;
+    return { gasPrice: replacing ? max(gasPrice, bump(BigInt(job.maxFeePerGas!), percent)) : gasPrice };
+  }
+
+  /**
+   * Next unused nonce: the stored counter, never behind the node's pending count
+   */
+  private static async peekNonce(address: string): Promise<number> {
+    const [stored, pending] = await Promise.all([
+      db.signerNonce.findUnique({ where: { address } }),
+      getProvider().getTransactionCount(address, 'pending')
+    ]);
+    return Math.max(stored?.nextNonce ?? 0, pending);
+  }
+
+  private static async retry(job: OutboxJob, error: unknown): Promise<void> {
+    const config = securityConfig.blockchain.outbox;
+    const message = error instanceof Error ? error.message : String(error);
+
+    if (job.attempts + 1 >= config.maxAttempts && !job.txHash) {
+      await this.fail(job, message, { increment: 1 });
+      return;
+    }
+
+    const backoff = Math.min(config.baseBackoffMs * 2 ** job.attempts, config.maxBackoffMs);
+    await db.outboxJob.update({
+      where: { id: job.id },
+      data: {
+        // A job that was already broadcast keeps waiting on its receipt
+        status: job.txHash ? 'SUBMITTED' : 'PENDING',
+        nonce: job.nonce,
+        attempts: { increment: 1 },
+        lastError: message,
+        nextAttemptAt: new Date(Date.now() + backoff)
+      }
+    });
+  }
+
+  /**
+   * A job that was already broadcast is never failed by pre-send checks; it keeps waiting on its receipt
+   */
+  private static async awaitReceipt(job: OutboxJob): Promise<void> {
+    await db.outboxJob.update({ where: { id: job.id }, data: { status: 'SUBMITTED' } });
+  }
+
+  private static async fail(job: OutboxJob, reason: string, attempts?: { increment: number }): Promise<void> {
+    console.warn(`Outbox job ${job.id} (${job.method}) failed: ${reason}`);
+    await db.outboxJob.update({
+      where: { id: job.id },
+      data: { status: 'FAILED', lastError: reason, attempts }
+    });
+  }
+}
+
+export default OutboxService;
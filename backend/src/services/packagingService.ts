@@ -0,0 +1,290 @@
+import { AggregationAction, Checkpoint, PackagingLevel, Prisma } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { createError } from '../middleware/errorHandler';
+import { AnchorService } from './anchorService';
+import { OrganizationService, Tenant, TenantUser } from './organizationService';
+
+// Pallet > case > unit; a product can only be packed into a higher level
+const LEVEL_RANK: Record<PackagingLevel, number> = {
+  [PackagingLevel.UNIT]: 0,
+  [PackagingLevel.CASE]: 1,
+  [PackagingLevel.PALLET]: 2
+};
+
+// Deepest hierarchy walked when collecting contents (pallet > case > unit needs 2)
+const MAX_DEPTH = 5;
+
+export interface PackagingNode {
+  id: string;
+  name: string;
+  batchNumber: string;
+  packagingLevel: PackagingLevel;
+  children: PackagingNode[];
+}
+
+// Details of an aggregation captured as an EPCIS event rather than made through the API
+export interface AggregationEventDetails {
+  timestamp?: Date;
+  epcisEventId?: string;
+  disposition?: string;
+  readPoint?: string;
+  bizLocation?: string;
+  epcis?: Prisma.InputJsonObject;
+}
+
+type PackagingRow = Omit<PackagingNode, 'children'> & { parentId: string | null };
+
+const packagingSelect = { id: true, name: true, batchNumber: true, packagingLevel: true, parentId: true } as const;
+
+export class PackagingService {
+  /**
+   * IDs of every product packed (directly or indirectly) inside a product
+   */
+  static async descendantIds(productId: string, client: Prisma.TransactionClient = prisma): Promise<string[]> {
+    return (await this.descendants(productId, client)).map(row => row.id);
+  }
+
+  /**
+   * IDs of the cases and pallets a product is currently packed in, innermost first
+   */
+  static async ancestorIds(productId: string): Promise<string[]> {
+    const ids: string[] = [];
+    let current = await db.product.findUnique({ where: { id: productId }, select: { parentId: true } });
+
+    while (current?.parentId && ids.length < MAX_DEPTH) {
+      ids.push(current.parentId);
+      current = await db.product.findUnique({ where: { id: current.parentId }, select: { parentId: true } });
+    }
+    return ids;
+  }
+
+  /**
+   * Contents of a product as a tree, plus the case or pallet it is packed in
+   */
+  static async tree(productId: string) {
+    const product = await db.product.findUnique({
+      where: { id: productId },
+      select: { ...packagingSelect, parent: { select: packagingSelect } }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+
+    const rows = await this.descendants(productId, prisma);
+    const build = (id: string): PackagingNode[] =>
+      rows
+        .filter(row => row.parentId === id)
+        .map(({ parentId: _parentId, ...row }) => ({ ...row, children: build(row.id) }));
+
+    return {
+      packagingLevel: product.packagingLevel,
+      parent: product.parent
+        ? { id: product.parent.id, name: product.parent.name, batchNumber: product.parent.batchNumber, packagingLevel: product.parent.packagingLevel }
+        : null,
+      children: build(product.id),
+      totalContained: rows.length
+    };
+  }
+
+  /**
+   * Pack products into a case or pallet. Records an AGGREGATED checkpoint on the parent.
+   */
+  static async aggregate(user: TenantUser, parentId: string, childIds: string[], location: string, details: AggregationEventDetails = {}) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const parent = await this.findHandleable(tenant, parentId);
+    const children = await db.product.findMany({
+      where: { AND: [{ id: { in: childIds } }, OrganizationService.productScope(tenant)] }
+    });
+
+    if (children.length !== new Set(childIds).size) {
+      throw createError('One or more products to pack were not found', 404);
+    }
+
+    for (const child of children) {
+      if (!this.canHandle(tenant, child)) {
+        throw createError(`You cannot repack product ${child.id}`, 403);
+      }
+      if (child.id === parent.id) {
+        throw createError('A product cannot be packed into itself', 400);
+      }
+      if (child.parentId) {
+        throw createError(`Product ${child.id} is already packed; disaggregate it first`, 409);
+      }
+      if (LEVEL_RANK[child.packagingLevel] >= LEVEL_RANK[parent.packagingLevel]) {
+        throw createError(`A ${child.packagingLevel.toLowerCase()} cannot be packed into a ${parent.packagingLevel.toLowerCase()}`, 400);
+      }
+    }
+
+    // Packing an enclosing case or pallet into its own contents would create a cycle
+    const ancestors = await this.ancestorIds(parent.id);
+    if (children.some(child => ancestors.includes(child.id))) {
+      throw createError('A product cannot be packed into one of its own contents', 400);
+    }
+
+    return prisma.$transaction(async (tx) => {
+      // Claim only unpacked children so a concurrent aggregation cannot double-pack one
+      const packed = await tx.product.updateMany({
+        where: { id: { in: children.map(child => child.id) }, parentId: null },
+        data: { parentId: parent.id }
+      });
+      if (packed.count !== children.length) {
+        throw createError('One or more products were packed by another request', 409);
+      }
+
+      return this.recordEvent(tx, {
+        action: AggregationAction.AGGREGATE,
+        parentId: parent.id,
+        childIds: children.map(child => child.id),
+        location,
+        userId: user.id
+      }, details);
+    });
+  }
+
+  /**
+   * Unpack products from a case or pallet (all of its direct contents when none are given)
+   */
+  static async disaggregate(user: TenantUser, parentId: string, childIds: string[] | undefined, location: string, details: AggregationEventDetails = {}) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const parent = await this.findHandleable(tenant, parentId);
+
+    const contents = await db.product.findMany({
+      where: { parentId: parent.id },
+      select: { id: true }
+    });
+    const contentIds = contents.map(child => child.id);
+    const toRemove = childIds ? [...new Set(childIds)] : contentIds;
+
+    if (toRemove.length === 0) {
+      throw createError('This product has no contents to disaggregate', 409);
+    }
+    const missing = toRemove.filter(id => !contentIds.includes(id));
+    if (missing.length > 0) {
+      throw createError(`Not packed in this product: ${missing.join(', ')}`, 400);
+    }
+
+    return prisma.$transaction(async (tx) => {
+      await tx.product.updateMany({
+        where: { id: { in: toRemove }, parentId: parent.id },
+        data: { parentId: null }
+      });
+
+      return this.recordEvent(tx, {
+        action: AggregationAction.DISAGGREGATE,
+        parentId: parent.id,
+        childIds: toRemove,
+        location,
+        userId: user.id
+      }, details);
+    });
+  }
+
+  /**
+   * Copy a checkpoint to everything packed inside its product. The copies point at the
+   * original, which is the only one recorded on-chain.
+   */
+  static async propagateCheckpoint(tx: Prisma.TransactionClient, checkpoint: Checkpoint): Promise<number> {
+    const descendantIds = await this.descendantIds(checkpoint.productId, tx);
+    if (descendantIds.length === 0) {
+      return 0;
+    }
+
+    const result = await tx.checkpoint.createMany({
+      data: descendantIds.map(productId => ({
+        productId,
+        name: checkpoint.name,
+        location: checkpoint.location,
+        timestamp: checkpoint.timestamp,
+        environment: checkpoint.environment,
+        bizStep: checkpoint.bizStep,
+        disposition: checkpoint.disposition,
+        readPoint: checkpoint.readPoint,
+        bizLocation: checkpoint.bizLocation,
+        metadata: checkpoint.metadata ?? Prisma.JsonNull,
+        propagatedFromId: checkpoint.id
+      }))
+    });
+    return result.count;
+  }
+
+  private static async recordEvent(
+    tx: Prisma.TransactionClient,
+    event: { action: AggregationAction; parentId: string; childIds: string[]; location: string; userId: string },
+    details: AggregationEventDetails
+  ) {
+    const aggregationEvent = await tx.aggregationEvent.create({
+      data: {
+        action: event.action,
+        parentId: event.parentId,
+        childIds: event.childIds,
+        location: event.location,
+        createdById: event.userId
+      }
+    });
+
+    const packing = event.action === AggregationAction.AGGREGATE;
+    const status = packing ? 'AGGREGATED' : 'DISAGGREGATED';
+    const checkpoint = await tx.checkpoint.create({
+      data: {
+        name: status,
+        location: event.location,
+        timestamp: details.timestamp || aggregationEvent.createdAt,
+        epcisEventId: details.epcisEventId,
+        eventType: 'AggregationEvent',
+        bizStep: packing ? 'packing' : 'unpacking',
+        disposition: details.disposition,
+        readPoint: details.readPoint,
+        bizLocation: details.bizLocation,
+        metadata: {
+          status,
+          additionalData: `${packing ? 'Packed' : 'Unpacked'} ${event.childIds.length} item(s)`,
+          aggregationEventId: aggregationEvent.id,
+          childIds: event.childIds,
+          stakeholder: event.userId,
+          ...(details.epcis ? { epcis: details.epcis } : {})
+        },
+        productId: event.parentId
+      }
+    });
+
+    const blockchainJob = await AnchorService.enqueueCheckpoint(checkpoint, event.userId, tx);
+
+    return { aggregationEvent, checkpoint, blockchainJob };
+  }
+
+  // Repacking is a physical operation: the owning organization or the current custodian may do it
+  private static canHandle(tenant: Tenant, product: { organizationId: string | null; manufacturerId: string; currentCustodianId: string | null }): boolean {
+    return OrganizationService.canManageProduct(tenant, product)
+      || (!!product.currentCustodianId && OrganizationService.canHandleCustody(tenant, product.currentCustodianId));
+  }
+
+  private static async findHandleable(tenant: Tenant, productId: string) {
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    if (!this.canHandle(tenant, product)) {
+      throw createError('Only the owning organization or the current custodian can repack this product', 403);
+    }
+    return product;
+  }
+
+  private static async descendants(productId: string, client: Prisma.TransactionClient): Promise<PackagingRow[]> {
+    const rows: PackagingRow[] = [];
+    let frontier = [productId];
+
+    for (let depth = 0; depth < MAX_DEPTH && frontier.length > 0; depth++) {
+      const level = await client.product.findMany({
+        where: { parentId: { in: frontier } },
+        select: packagingSelect
+      });
+      rows.push(...level);
+      frontier = level.map(row => row.id);
+    }
+    return rows;
+  }
+}
+
+export default PackagingService;
@@ -0,0 +1,395 @@
+import * as crypto from 'crypto';
+import { OrganizationType, Prisma, UserRole } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { hasRole } from '../config/roles';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, TenantUser } from './organizationService';
+import { RecallService } from './recallService';
+
+export type PassportView = 'public' | 'recycler' | 'authority';
+
+export const PASSPORT_VIEWS: PassportView[] = ['public', 'recycler', 'authority'];
+
+export interface PassportMaterial {
+  name: string;
+  share?: number; // % of product mass
+  recycledShare?: number; // % recycled content
+  hazardous?: boolean;
+  casNumber?: string;
+}
+
+export interface PassportData {
+  countryOfOrigin?: string | null;
+  manufacturingSite?: string | null;
+  materials?: PassportMaterial[] | null;
+  repairInstructions?: string | null;
+  sparePartsAvailableUntil?: Date | null;
+  repairabilityScore?: number | null;
+  recyclingInstructions?: string | null;
+  dismantlingInstructions?: string | null;
+  carbonFootprintKg?: number | null;
+  complianceStandardIds?: string[];
+}
+
+type PassportDocument = Record<string, any>;
+
+const DPP_CONTEXT = [
+  'https://schema.org/',
+  {
+    dpp: 'https://tracechain.com/ns/dpp#',
+    gs1: 'https://gs1.org/voc/',
+    passportVersion: 'dpp:version',
+    view: 'dpp:view',
+    materials: 'dpp:materials',
+    substancesOfConcern: 'dpp:substancesOfConcern',
+    compliance: 'dpp:compliance',
+    circularity: 'dpp:circularity',
+    environmentalFootprint: 'dpp:environmentalFootprint',
+    traceability: 'dpp:traceability',
+    gtin: 'gs1:gtin',
+    batchNumber: 'gs1:batchLot',
+    serialNumber: 'gs1:serialNumber'
+  }
+];
+
+const productInclude = {
+  organization: { select: { id: true, name: true, type: true, walletAddress: true } },
+  passport: true,
+  complianceStandards: { include: { standard: true }, orderBy: { addedAt: 'asc' } },
+  nftCertificates: { orderBy: { createdAt: 'asc' } },
+  checkpoints: { where: { propagatedFromId: null }, orderBy: { timestamp: 'asc' }, include: { anchor: true } }
+} satisfies Prisma.ProductInclude;
+
+type PassportProduct = Prisma.ProductGetPayload<{ include: typeof productInclude }>;
+
+const pick = (source: Record<string, any>, keys: string[]) =>
+  Object.fromEntries(keys.filter(key => key in source).map(key => [key, source[key]]));
+
+export class PassportService {
+  /**
+   * Stable public URL of a product's passport
+   */
+  static url(productId: string, requestOrigin: string): string {
+    return `${securityConfig.passport.baseUrl || `${requestOrigin}/api/passports`}/${encodeURIComponent(productId)}`;
+  }
+
+  /**
+   * Passport content as maintained by the owning organization
+   */
+  static async getData(user: TenantUser, productId: string) {
+    const product = await this.findManageable(user, productId);
+    const links = await db.productComplianceStandard.findMany({ where: { productId: product.id }, select: { standardId: true } });
+    return this.dataResponse(product.passport, links.map(link => link.standardId));
+  }
+
+  /**
+   * Create or update passport content and the compliance standards the product is declared to meet
+   */
+  static async setData(user: TenantUser, productId: string, data: PassportData) {
+    const product = await this.findManageable(user, productId);
+
+    if (data.complianceStandardIds) {
+      const found = await db.complianceStandard.count({ where: { id: { in: data.complianceStandardIds }, isActive: true } });
+      if (found !== new Set(data.complianceStandardIds).size) {
+        throw createError('Unknown or inactive compliance standard', 400);
+      }
+    }
+
+    const { complianceStandardIds, ...content } = data;
+    const fields = {
+      ...content,
+      materials: content.materials === null ? Prisma.DbNull : content.materials as Prisma.InputJsonArray | undefined,
+      updatedById: user.id
+    };
+
+    const passport = await db.productPassport.upsert({
+      where: { productId: product.id },
+      create: { ...fields, productId: product.id },
+      update: fields
+    });
+
+    if (complianceStandardIds) {
+      await prisma.$transaction([
+        db.productComplianceStandard.deleteMany({ where: { productId: product.id, standardId: { notIn: complianceStandardIds } } }),
+        db.productComplianceStandard.createMany({
+          data: complianceStandardIds.map(standardId => ({ productId: product.id, standardId })),
+          skipDuplicates: true
+        })
+      ]);
+    }
+
+    const links = await db.productComplianceStandard.findMany({ where: { productId: product.id }, select: { standardId: true } });
+    return this.dataResponse(passport, links.map(link => link.standardId));
+  }
+
+  /**
+   * Unpublished passport built from the current data, for the owning organization to review
+   */
+  static async draft(user: TenantUser, productId: string, requestOrigin: string, view: PassportView) {
+    const product = await this.findManageable(user, productId);
+    const document = this.build(await this.load(product.id), this.url(product.id, requestOrigin));
+    return this.view({ ...document, passportVersion: null, status: 'draft' }, view);
+  }
+
+  /**
+   * Freeze the current passport as a new version. Nothing is published when the content
+   * has not changed since the last version.
+   */
+  static async publish(user: TenantUser, productId: string, requestOrigin: string) {
+    const product = await this.findManageable(user, productId);
+    const document = this.build(await this.load(product.id), this.url(product.id, requestOrigin));
+    const contentHash = crypto.createHash('sha256').update(JSON.stringify(document)).digest('hex');
+
+    const latest = await db.productPassportVersion.findFirst({
+      where: { productId: product.id },
+      orderBy: { version: 'desc' }
+    });
+    if (latest?.contentHash === contentHash) {
+      return { version: this.versionSummary(latest), created: false };
+    }
+
+    const version = (latest?.version || 0) + 1;
+    const published = await db.productPassportVersion.create({
+      data: {
+        version,
+        document: { ...document, passportVersion: version, issued: new Date().toISOString() },
+        contentHash,
+        productId: product.id,
+        publishedById: user.id
+      }
+    });
+    return { version: this.versionSummary(published), created: true };
+  }
+
+  /**
+   * A published passport (the latest unless a version is given) in the requested view,
+   * with the product's live recall status attached
+   */
+  static async published(productId: string, view: PassportView, version?: number) {
+    const published = await db.productPassportVersion.findFirst({
+      where: { productId, ...(version ? { version } : {}) },
+      orderBy: { version: 'desc' }
+    });
+    if (!published) {
+      throw createError(version ? 'Passport version not found' : 'No passport has been published for this product', 404);
+    }
+
+    const recalls = await RecallService.openRecallsFor(productId);
+    return {
+      ...this.view(published.document as PassportDocument, view),
+      // Live status, not part of the versioned content
+      currentStatus: {
+        checkedAt: new Date().toISOString(),
+        recalled: recalls.length > 0,
+        recalls: recalls.map(recall => pick(recall, ['title', 'classification', 'instructions', 'issuedBy', 'issuedAt']))
+      }
+    };
+  }
+
+  /**
+   * Published versions of a product's passport, newest first
+   */
+  static async versions(productId: string) {
+    const versions = await db.productPassportVersion.findMany({
+      where: { productId },
+      orderBy: { version: 'desc' },
+      select: { version: true, contentHash: true, publishedAt: true }
+    });
+    return versions.map(version => this.versionSummary(version));
+  }
+
+  /**
+   * Most detailed view a caller may see: authorities (auditors, verified auditing organizations),
+   * the owning organization and platform admins see everything; verified recycling organizations see
+   * material and dismantling details; everyone else the public view
+   */
+  static async allowedViews(user: TenantUser | undefined, productId: string): Promise<PassportView[]> {
+    if (!user) {
+      return ['public'];
+    }
+    if (hasRole(user, UserRole.ADMIN, UserRole.AUDITOR)) {
+      return PASSPORT_VIEWS;
+    }
+
+    const tenant = await OrganizationService.resolveTenant(user);
+    const [product, types] = await Promise.all([
+      db.product.findUnique({ where: { id: productId }, select: { organizationId: true, manufacturerId: true } }),
+      // Organization admins pick their own type, so only verified types count
+      OrganizationService.verifiedTypes(tenant)
+    ]);
+
+    if (types.has(OrganizationType.AUDITOR) || (product && OrganizationService.canManageProduct(tenant, product))) {
+      return PASSPORT_VIEWS;
+    }
+    if (types.has(OrganizationType.RECYCLER)) {
+      return ['public', 'recycler'];
+    }
+    return ['public'];
+  }
+
+  private static async findManageable(user: TenantUser, productId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] },
+      include: { passport: true }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    if (!OrganizationService.canManageProduct(tenant, product)) {
+      throw createError('Only the owning organization can maintain the product passport', 403);
+    }
+    return product;
+  }
+
+  private static async load(productId: string): Promise<PassportProduct> {
+    return db.product.findUniqueOrThrow({ where: { id: productId }, include: productInclude });
+  }
+
+  // The complete (authority view) document; other views are filtered from it
+  private static build(product: PassportProduct, passportUrl: string): PassportDocument {
+    const passport = product.passport;
+    const materials: PassportMaterial[] = (passport?.materials as PassportMaterial[] | null)
+      || product.rawMaterials.map(name => ({ name }));
+
+    // Standards linked to the product plus those named on its certificates
+    const linked = product.complianceStandards.map(link => link.standard);
+    const certified = [...new Set(product.nftCertificates.flatMap(certificate => certificate.complianceStandards))]
+      .filter(name => !linked.some(standard => standard.name === name));
+
+    return {
+      '@context': DPP_CONTEXT,
+      '@type': 'dpp:DigitalProductPassport',
+      '@id': passportUrl,
+      product: {
+        '@type': 'Product',
+        '@id': `urn:tracechain:product:${product.id}`,
+        name: product.name,
+        category: product.type,
+        gtin: product.gtin,
+        batchNumber: product.batchNumber,
+        serialNumber: product.serialNumber,
+        productionDate: product.manufactureDate.toISOString(),
+        expirationDate: product.expiryDate?.toISOString() || null,
+        countryOfOrigin: passport?.countryOfOrigin || null,
+        manufacturingSite: passport?.manufacturingSite || null,
+        manufacturer: {
+          '@type': 'Organization',
+          // Every view shows the name: never fall back to the registering user's name or email
+          name: product.organization?.name || null,
+          identifier: product.organization?.id || null,
+          walletAddress: product.organization?.walletAddress || null
+        }
+      },
+      materials: materials.map(material => ({
+        name: material.name,
+        share: material.share ?? null,
+        recycledShare: material.recycledShare ?? null,
+        hazardous: material.hazardous ?? false,
+        casNumber: material.casNumber || null
+      })),
+      substancesOfConcern: materials
+        .filter(material => material.hazardous)
+        .map(material => ({ name: material.name, casNumber: material.casNumber || null })),
+      compliance: {
+        standards: [
+          ...linked.map(standard => ({ name: standard.name, version: standard.version, description: standard.description })),
+          ...certified.map(name => ({ name, version: null, description: null }))
+        ],
+        certificates: product.nftCertificates.map(certificate => ({
+          certificateType: certificate.certificateType,
+          complianceStandards: certificate.complianceStandards,
+          isValid: certificate.isValid && !(certificate.expiresAt && certificate.expiresAt <= new Date()),
+          expiresAt: certificate.expiresAt?.toISOString() || null,
+          verificationUrl: `${securityConfig.digitalLink.verifyPageUrl}/verify/certificate/${encodeURIComponent(certificate.verificationCode)}`,
+          tokenId: certificate.tokenId,
+          contractAddress: certificate.contractAddress,
+          txHash: certificate.txHash
+        }))
+      },
+      circularity: {
+        repairInstructions: passport?.repairInstructions || null,
+        sparePartsAvailableUntil: passport?.sparePartsAvailableUntil?.toISOString() || null,
+        repairabilityScore: passport?.repairabilityScore ?? null,
+        recyclingInstructions: passport?.recyclingInstructions || null,
+        dismantlingInstructions: passport?.dismantlingInstructions || null
+      },
+      environmentalFootprint: {
+        carbonFootprintKgCO2e: passport?.carbonFootprintKg ?? null
+      },
+      traceability: {
+        blockchainProductId: product.chainProductId,
+        checkpoints: product.checkpoints.map(checkpoint => ({
+          status: (checkpoint.metadata as { status?: string } | null)?.status || checkpoint.name,
+          location: checkpoint.location,
+          timestamp: checkpoint.timestamp.toISOString(),
+          bizStep: checkpoint.bizStep,
+          disposition: checkpoint.disposition,
+          stakeholder: (checkpoint.metadata as { stakeholder?: string } | null)?.stakeholder || null,
+          // Anchored checkpoints reach the chain through their batch root rather than their own call
+          txHash: checkpoint.txHash ?? checkpoint.anchor?.txHash ?? null,
+          blockNumber: checkpoint.blockNumber ?? checkpoint.anchor?.blockNumber ?? null,
+          merkleRoot: checkpoint.anchor?.merkleRoot ?? null
+        }))
+      }
+    };
+  }
+
+  // Strip what the audience may not see from a complete document
+  private static view(document: PassportDocument, view: PassportView): PassportDocument {
+    if (view === 'authority') {
+      return { ...document, view };
+    }
+
+    const recycler = view === 'recycler';
+    return {
+      ...document,
+      view,
+      product: {
+        ...document.product,
+        manufacturer: pick(document.product.manufacturer, ['@type', 'name'])
+      },
+      materials: document.materials.map((material: PassportMaterial) =>
+        pick(material, recycler ? ['name', 'share', 'recycledShare', 'hazardous', 'casNumber'] : ['name', 'recycledShare'])),
+      compliance: {
+        standards: document.compliance.standards,
+        certificates: document.compliance.certificates.map((certificate: Record<string, any>) =>
+          pick(certificate, ['certificateType', 'complianceStandards', 'isValid', 'expiresAt', 'verificationUrl']))
+      },
+      circularity: recycler
+        ? document.circularity
+        : pick(document.circularity, ['repairInstructions', 'sparePartsAvailableUntil', 'repairabilityScore', 'recyclingInstructions']),
+      traceability: {
+        checkpoints: document.traceability.checkpoints.map((checkpoint: Record<string, any>) =>
+          pick(checkpoint, ['status', 'location', 'timestamp']))
+      }
+    };
+  }
+
+  private static versionSummary(version: { version: number; contentHash: string; publishedAt: Date }) {
+    return {
+      version: version.version,
+      contentHash: version.contentHash,
+      publishedAt: version.publishedAt.toISOString()
+    };
+  }
+
+  private static dataResponse(passport: PassportProduct['passport'], complianceStandardIds: string[]) {
+    return {
+      countryOfOrigin: passport?.countryOfOrigin || null,
+      manufacturingSite: passport?.manufacturingSite || null,
+      materials: passport?.materials || null,
+      repairInstructions: passport?.repairInstructions || null,
+      sparePartsAvailableUntil: passport?.sparePartsAvailableUntil?.toISOString() || null,
+      repairabilityScore: passport?.repairabilityScore ?? null,
+      recyclingInstructions: passport?.recyclingInstructions || null,
+      dismantlingInstructions: passport?.dismantlingInstructions || null,
+      carbonFootprintKg: passport?.carbonFootprintKg ?? null,
+      complianceStandardIds,
+      updatedAt: passport?.updatedAt.toISOString() || null
+    };
+  }
+}
+
+export default PassportService;
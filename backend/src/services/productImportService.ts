@@ -0,0 +1,373 @@
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import { OutboxJob, PackagingLevel, Prisma } from '@prisma/client';
+import { body, validationResult } from 'express-validator';
+import { csvCell } from '../config/csv';
+import prisma, { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { createError } from '../middleware/errorHandler';
+import { productValidation } from '../middleware/validation';
+import { OrganizationService, TenantUser } from './organizationService';
+import { OutboxService } from './outboxService';
+
+export interface ImportFile {
+  buffer: Buffer;
+  originalname: string;
+  mimetype: string;
+}
+
+export interface ImportOptions {
+  dryRun: boolean;
+  organizationId?: string;
+}
+
+export interface RowError {
+  field: string;
+  message: string;
+}
+
+export interface ImportRowResult {
+  row: number; // line in the spreadsheet, counting the header as 1
+  batchNumber: string | null;
+  status: 'valid' | 'created' | 'invalid';
+  productId?: string;
+  errors: RowError[];
+}
+
+interface SheetRow {
+  row: number;
+  values: Record<string, string>;
+}
+
+interface ValidRow {
+  result: ImportRowResult;
+  data: Record<string, any>;
+}
+
+// Spreadsheet headers are matched loosely: "Batch Number", "batch_number" and "batchNumber" all work
+const COLUMNS = [
+  'name', 'type', 'batchNumber', 'manufactureDate', 'expiryDate', 'rawMaterials',
+  'metadataURI', 'gtin', 'lotNumber', 'serialNumber', 'packagingLevel'
+];
+const columnKey = (header: string): string => {
+  const flat = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return COLUMNS.find(column => column.toLowerCase() === flat) || header.trim();
+};
+
+// Raw materials go in one cell, separated by semicolons or pipes
+const RAW_MATERIAL_SEPARATOR = /[;|]/;
+
+// Row-level rules on top of productValidation.create for fields only the import accepts
+const extraRules = [
+  body('packagingLevel').optional().isIn(Object.values(PackagingLevel)).withMessage('Invalid packaging level')
+];
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+export class ProductImportService {
+  /**
+   * Validate every row of a CSV or XLSX file and, unless this is a dry run, register the
+   * valid ones in one transaction with their on-chain registration queued in batches
+   */
+  static async import(user: TenantUser, file: ImportFile, options: ImportOptions) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const organizationId = OrganizationService.productOrganizationFor(tenant, options.organizationId);
+
+    const rows = await this.read(file);
+    if (rows.length === 0) {
+      throw createError('The file has no product rows', 400);
+    }
+    if (rows.length > securityConfig.productImport.maxRows) {
+      throw createError(`At most ${securityConfig.productImport.maxRows} products can be imported at once`, 413);
+    }
+
+    const checked = await Promise.all(rows.map(row => this.validateRow(row)));
+    await this.checkDuplicates(checked);
+
+    const valid = checked.filter((row): row is ValidRow => row.result.errors.length === 0);
+    let blockchainJobs: OutboxJob[] = [];
+
+    if (!options.dryRun && valid.length > 0) {
+      blockchainJobs = await this.write(user.id, organizationId, valid);
+    }
+
+    const results = checked.map(row => row.result);
+    return {
+      dryRun: options.dryRun,
+      organizationId,
+      totalRows: results.length,
+      valid: valid.length,
+      invalid: results.length - valid.length,
+      created: results.filter(result => result.status === 'created').length,
+      rows: results,
+      blockchainJobs: blockchainJobs.map(job => OutboxService.toResponse(job))
+    };
+  }
+
+  /**
+   * Per-row report as CSV, for download alongside (or instead of) the JSON result
+   */
+  static report(rows: ImportRowResult[]): string {
+    const lines = [
+      'row,batchNumber,status,productId,errors',
+      ...rows.map(result => [
+        result.row,
+        result.batchNumber || '',
+        result.status,
+        result.productId || '',
+        result.errors.map(error => (error.field ? `${error.field}: ${error.message}` : error.message)).join('; ')
+      ].map(csvCell).join(','))
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  private static async read(file: ImportFile): Promise<SheetRow[]> {
+    const name = file.originalname.toLowerCase();
+    if (name.endsWith('.xlsx') || file.mimetype === XLSX_MIME) {
+      return this.readXlsx(file.buffer);
+    }
+    if (name.endsWith('.csv') || file.mimetype === 'text/csv') {
+      return this.readCsv(file.buffer);
+    }
+    throw createError('Upload a .csv or .xlsx file', 415);
+  }
+
+  private static readCsv(buffer: Buffer): SheetRow[] {
+    let records: { record: Record<string, string>; info: { lines: number } }[];
+    try {
+      records = parse(buffer, {
+        bom: true,
+        columns: (headers: string[]) => headers.map(columnKey),
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+        info: true
+      });
+    } catch (error) {
+      throw createError(`Could not read the CSV file: ${error instanceof Error ? error.message : 'invalid format'}`, 400);
+    }
+    return records.map(({ record, info }) => ({ row: info.lines, values: record }));
+  }
+
+  private static async readXlsx(buffer: Buffer): Promise<SheetRow[]> {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer as unknown as ExcelJS.Buffer);
+    } catch {
+      throw createError('Could not read the XLSX file', 400);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      return [];
+    }
+
+    const headers: string[] = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = columnKey(this.cellText(cell.value));
+    });
+
+    const rows: SheetRow[] = [];
+    sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (rowNumber === 1) {
+        return;
+      }
+      const values: Record<string, string> = {};
+      row.eachCell((cell, column) => {
+        const header = headers[column];
+        if (header) {
+          // Excel drops leading zeros from GTINs typed as numbers; zero-padding keeps the check digit valid
+          values[header] = header === 'gtin' && typeof cell.value === 'number'
+            ? String(cell.value).padStart(14, '0')
+            : this.cellText(cell.value);
+        }
+      });
+      if (Object.values(values).some(value => value !== '')) {
+        rows.push({ row: rowNumber, values });
+      }
+    });
+    return rows;
+  }
+
+  private static cellText(value: ExcelJS.CellValue): string {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (typeof value === 'object') {
+      if ('richText' in value) {
+        return value.richText.map(part => part.text).join('').trim();
+      }
+      if ('text' in value) {
+        return String(value.text).trim();
+      }
+      if ('result' in value) {
+        return this.cellText(value.result as ExcelJS.CellValue);
+      }
+      return '';
+    }
+    return String(value).trim();
+  }
+
+  // Run productValidation.create against one row as if it were a request body
+  private static async validateRow(row: SheetRow) {
+    const { values } = row;
+    const data: Record<string, any> = {
+      name: values.name,
+      type: values.type?.toUpperCase(),
+      batchNumber: values.batchNumber,
+      manufactureDate: values.manufactureDate,
+      rawMaterials: (values.rawMaterials || '').split(RAW_MATERIAL_SEPARATOR).map(material => material.trim()).filter(Boolean)
+    };
+    for (const optional of ['expiryDate', 'metadataURI', 'gtin', 'lotNumber', 'serialNumber'] as const) {
+      if (values[optional]) {
+        data[optional] = values[optional];
+      }
+    }
+    if (values.packagingLevel) {
+      data.packagingLevel = values.packagingLevel.toUpperCase();
+    }
+
+    const req = { body: data };
+    for (const chain of [...productValidation.create, ...extraRules]) {
+      await chain.run(req);
+    }
+
+    const errors = validationResult(req).array().map(error => ({
+      field: error.type === 'field' ? error.path : '',
+      message: String(error.msg)
+    }));
+    const result: ImportRowResult = {
+      row: row.row,
+      batchNumber: values.batchNumber || null,
+      status: errors.length === 0 ? 'valid' : 'invalid',
+      errors
+    };
+    return { result, data: req.body };
+  }
+
+  // Batch numbers and GTIN + serial pairs must be unique within the file and against existing products
+  private static async checkDuplicates(rows: { result: ImportRowResult; data: Record<string, any> }[]): Promise<void> {
+    const reject = (row: { result: ImportRowResult }, field: string, message: string) => {
+      row.result.errors.push({ field, message });
+      row.result.status = 'invalid';
+    };
+
+    const seenBatches = new Map<string, number>();
+    const seenSerials = new Map<string, number>();
+    for (const row of rows) {
+      const { batchNumber, gtin, serialNumber } = row.data;
+      if (batchNumber) {
+        const first = seenBatches.get(batchNumber);
+        if (first) {
+          reject(row, 'batchNumber', `Batch number already used on row ${first}`);
+        } else {
+          seenBatches.set(batchNumber, row.result.row);
+        }
+      }
+      if (gtin && serialNumber) {
+        const first = seenSerials.get(`${gtin}/${serialNumber}`);
+        if (first) {
+          reject(row, 'serialNumber', `GTIN and serial number already used on row ${first}`);
+        } else {
+          seenSerials.set(`${gtin}/${serialNumber}`, row.result.row);
+        }
+      }
+    }
+
+    const gtins = [...new Set(rows.map(row => row.data.gtin).filter(Boolean))];
+    const serials = [...new Set(rows.map(row => row.data.serialNumber).filter(Boolean))];
+    const [existingBatches, existingSerials] = await Promise.all([
+      db.product.findMany({ where: { batchNumber: { in: [...seenBatches.keys()] } }, select: { batchNumber: true } }),
+      gtins.length > 0 && serials.length > 0
+        ? db.product.findMany({ where: { gtin: { in: gtins }, serialNumber: { in: serials } }, select: { gtin: true, serialNumber: true } })
+        : []
+    ]);
+
+    const takenBatches = new Set(existingBatches.map(product => product.batchNumber));
+    const takenSerials = new Set(existingSerials.map(product => `${product.gtin}/${product.serialNumber}`));
+    for (const row of rows) {
+      const { batchNumber, gtin, serialNumber } = row.data;
+      if (takenBatches.has(batchNumber)) {
+        reject(row, 'batchNumber', 'Product with this batch number already exists');
+      }
+      if (gtin && serialNumber && takenSerials.has(`${gtin}/${serialNumber}`)) {
+        reject(row, 'serialNumber', 'A product with this GTIN and serial number already exists');
+      }
+    }
+  }
+
+  private static async write(userId: string, organizationId: string | null, rows: ValidRow[]): Promise<OutboxJob[]> {
+    let created: { products: { id: string; batchNumber: string }[]; jobs: OutboxJob[] };
+    try {
+      created = await prisma.$transaction(async (tx) => {
+        const products = await tx.product.createManyAndReturn({
+          data: rows.map(({ data }) => ({
+            name: data.name,
+            type: data.type,
+            batchNumber: data.batchNumber,
+            manufactureDate: new Date(data.manufactureDate),
+            expiryDate: data.expiryDate ? new Date(data.expiryDate) : null,
+            rawMaterials: data.rawMaterials,
+            metadataURI: data.metadataURI,
+            gtin: data.gtin,
+            lotNumber: data.lotNumber || data.batchNumber,
+            serialNumber: data.serialNumber,
+            packagingLevel: data.packagingLevel,
+            manufacturerId: userId,
+            organizationId,
+            currentCustodianId: organizationId,
+            isActive: true
+          })),
+          select: { id: true, batchNumber: true }
+        });
+
+        // Same initial checkpoint as a single registration (batchRegisterProducts records it on-chain too)
+        const now = new Date();
+        await tx.checkpoint.createMany({
+          data: products.map(product => ({
+            name: 'Manufactured',
+            location: 'Manufacturing Facility',
+            timestamp: now,
+            environment: 'Production Line',
+            metadata: {
+              status: 'MANUFACTURED',
+              additionalData: 'Product registered by bulk import',
+              stakeholder: userId
+            },
+            productId: product.id
+          }))
+        });
+
+        const jobs: OutboxJob[] = [];
+        const batchSize = securityConfig.productImport.chainBatchSize;
+        for (let start = 0; start < products.length; start += batchSize) {
+          jobs.push(await OutboxService.enqueue({
+            method: 'batchRegisterProducts',
+            payload: { productIds: products.slice(start, start + batchSize).map(product => product.id) },
+            resourceType: 'productBatch',
+            createdById: userId
+          }, tx));
+        }
+        return { products, jobs };
+      }, { timeout: 120000 });
+    } catch (error) {
+      // Another registration took one of the batch numbers after validation
+      if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        throw createError('Some of these products were registered while the import ran; nothing was imported, please retry', 409);
+      }
+      throw error;
+    }
+
+    const productIdByBatch = new Map(created.products.map(product => [product.batchNumber, product.id]));
+    for (const { result, data } of rows) {
+      result.productId = productIdByBatch.get(data.batchNumber);
+      result.status = 'created';
+    }
+    return created.jobs;
+  }
+}
+
+export default ProductImportService;
@@ -0,0 +1,449 @@
+import { CustodyTransferStatus, Prisma, RecallClassification, RecallStatus } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, Tenant, TenantUser } from './organizationService';
+import { PackagingService } from './packagingService';
+
+export interface OpenRecallData {
+  title: string;
+  reason: string;
+  classification: RecallClassification;
+  batchNumbers?: string[];
+  manufacturedFrom?: Date;
+  manufacturedTo?: Date;
+  rawMaterials?: string[];
+  instructions?: string;
+  organizationId?: string;
+}
+
+type HolderReason = 'CUSTODIAN' | 'CUSTODY_TRANSFER' | 'STAKEHOLDER' | 'CHECKPOINT';
+
+interface Holder {
+  organizationId?: string;
+  userId?: string;
+  walletAddress?: string;
+  productIds: Set<string>;
+  reasons: Set<HolderReason>;
+}
+
+const recallInclude = {
+  organization: { select: { id: true, name: true, type: true } },
+  issuedBy: { select: { id: true, email: true } },
+  closedBy: { select: { id: true, email: true } },
+  products: { include: { product: { select: { id: true, name: true, batchNumber: true } } } },
+  notifications: {
+    include: {
+      organization: { select: { id: true, name: true, type: true } },
+      user: { select: { id: true, email: true } },
+      acknowledgedBy: { select: { id: true, email: true } }
+    },
+    orderBy: { notifiedAt: 'asc' }
+  }
+} satisfies Prisma.RecallInclude;
+
+type RecallWithRelations = Prisma.RecallGetPayload<{ include: typeof recallInclude }>;
+
+export class RecallService {
+  /**
+   * Open a recall over the issuing organization's products and notify everyone downstream
+   * who has held or handled an affected product
+   */
+  static async open(user: TenantUser, data: OpenRecallData) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const organizationId = OrganizationService.productOrganizationFor(tenant, data.organizationId);
+
+    const criteria: Prisma.ProductWhereInput[] = [];
+    if (data.batchNumbers?.length) {
+      criteria.push({ batchNumber: { in: data.batchNumbers } });
+    }
+    if (data.manufacturedFrom || data.manufacturedTo) {
+      criteria.push({ manufactureDate: { gte: data.manufacturedFrom, lte: data.manufacturedTo } });
+    }
+    if (data.rawMaterials?.length) {
+      criteria.push({ rawMaterials: { hasSome: data.rawMaterials } });
+    }
+    if (criteria.length === 0) {
+      throw createError('A recall needs at least one of batchNumbers, a manufacture date range or rawMaterials', 400);
+    }
+
+    const matched = await db.product.findMany({
+      where: {
+        AND: [
+          organizationId ? { organizationId } : { organizationId: null, manufacturerId: user.id },
+          ...criteria
+        ]
+      },
+      select: { id: true }
+    });
+    if (matched.length === 0) {
+      throw createError('No products match this recall scope', 404);
+    }
+
+    // Units packed in a recalled case or pallet are recalled with it
+    const productIds = new Set(matched.map(product => product.id));
+    for (const product of matched) {
+      for (const id of await PackagingService.descendantIds(product.id)) {
+        productIds.add(id);
+      }
+    }
+
+    const holders = await this.affectedHolders([...productIds], organizationId, user.id);
+
+    const recall = await prisma.$transaction(async (tx) => {
+      const recall = await tx.recall.create({
+        data: {
+          title: data.title,
+          reason: data.reason,
+          classification: data.classification,
+          batchNumbers: data.batchNumbers || [],
+          manufacturedFrom: data.manufacturedFrom,
+          manufacturedTo: data.manufacturedTo,
+          rawMaterials: data.rawMaterials || [],
+          instructions: data.instructions,
+          organizationId,
+          issuedById: user.id
+        }
+      });
+
+      await tx.recallProduct.createMany({
+        data: [...productIds].map(productId => ({ recallId: recall.id, productId }))
+      });
+
+      await tx.recallNotification.createMany({
+        data: [...holders.entries()].map(([recipientKey, holder]) => ({
+          recallId: recall.id,
+          recipientKey,
+          organizationId: holder.organizationId,
+          userId: holder.userId,
+          walletAddress: holder.walletAddress,
+          productIds: [...holder.productIds],
+          reasons: [...holder.reasons]
+        }))
+      });
+
+      return tx.recall.findUniqueOrThrow({ where: { id: recall.id }, include: recallInclude });
+    });
+
+    return this.toResponse(recall, true);
+  }
+
+  /**
+   * Recalls issued by the user's organizations
+   */
+  static async list(user: TenantUser, status?: RecallStatus) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const recalls = await db.recall.findMany({
+      where: {
+        AND: [
+          tenant.isPlatformAdmin ? {} : {
+            OR: [
+              { organizationId: { in: [...tenant.memberships.keys()] } },
+              { organizationId: null, issuedById: tenant.userId }
+            ]
+          },
+          status ? { status } : {}
+        ]
+      },
+      include: recallInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return recalls.map(recall => this.summary(recall));
+  }
+
+  /**
+   * Recall notices addressed to the user, their organizations or their wallet
+   */
+  static async notificationsFor(user: TenantUser, pendingOnly = false) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const notifications = await db.recallNotification.findMany({
+      where: {
+        AND: [
+          this.recipientWhere(tenant),
+          pendingOnly ? { acknowledgedAt: null } : {}
+        ]
+      },
+      include: {
+        recall: { include: { organization: { select: { id: true, name: true, type: true } } } },
+        organization: { select: { id: true, name: true, type: true } },
+        acknowledgedBy: { select: { id: true, email: true } }
+      },
+      orderBy: { notifiedAt: 'desc' }
+    });
+
+    return notifications.map(notification => ({
+      id: notification.id,
+      recall: {
+        id: notification.recall.id,
+        title: notification.recall.title,
+        reason: notification.recall.reason,
+        classification: notification.recall.classification,
+        status: notification.recall.status,
+        instructions: notification.recall.instructions,
+        issuedBy: notification.recall.organization,
+        issuedAt: notification.recall.createdAt.toISOString()
+      },
+      recipient: notification.organization || { walletAddress: notification.walletAddress, userId: notification.userId },
+      productIds: notification.productIds,
+      reasons: notification.reasons,
+      notifiedAt: notification.notifiedAt.toISOString(),
+      acknowledgedAt: notification.acknowledgedAt?.toISOString() || null,
+      acknowledgedBy: notification.acknowledgedBy
+    }));
+  }
+
+  /**
+   * A recall as seen by its issuer (every product and acknowledgement) or by a notified
+   * holder (only their own notices)
+   */
+  static async get(user: TenantUser, recallId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const recall = await db.recall.findUnique({ where: { id: recallId }, include: recallInclude });
+    if (!recall) {
+      throw createError('Recall not found', 404);
+    }
+
+    if (this.canManage(tenant, recall)) {
+      return this.toResponse(recall, true);
+    }
+
+    const own = await db.recallNotification.findMany({
+      where: { AND: [{ recallId }, this.recipientWhere(tenant)] },
+      select: { id: true, productIds: true }
+    });
+    if (own.length === 0) {
+      throw createError('Recall not found', 404);
+    }
+
+    const ownIds = new Set(own.map(notification => notification.id));
+    const ownProducts = new Set(own.flatMap(notification => notification.productIds));
+    return this.toResponse({
+      ...recall,
+      products: recall.products.filter(({ productId }) => ownProducts.has(productId)),
+      notifications: recall.notifications.filter(notification => ownIds.has(notification.id))
+    }, false);
+  }
+
+  /**
+   * Acknowledge every notice of a recall addressed to the user, their organizations or wallet
+   */
+  static async acknowledge(user: TenantUser, recallId: string, notes?: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const where: Prisma.RecallNotificationWhereInput = { AND: [{ recallId }, this.recipientWhere(tenant)] };
+
+    const acknowledged = await db.recallNotification.updateMany({
+      where: { AND: [where, { acknowledgedAt: null }] },
+      data: {
+        acknowledgedAt: new Date(),
+        acknowledgedById: user.id,
+        acknowledgementNotes: notes
+      }
+    });
+
+    if (acknowledged.count === 0) {
+      const existing = await db.recallNotification.count({ where });
+      throw existing > 0
+        ? createError('This recall has already been acknowledged', 409)
+        : createError('Recall not found', 404);
+    }
+
+    return this.get(user, recallId);
+  }
+
+  /**
+   * Close an open recall (issuing organization only)
+   */
+  static async close(user: TenantUser, recallId: string, notes?: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const recall = await db.recall.findUnique({ where: { id: recallId }, include: recallInclude });
+    if (!recall || !this.canManage(tenant, recall)) {
+      throw createError('Recall not found', 404);
+    }
+
+    const closed = await db.recall.updateMany({
+      where: { id: recall.id, status: RecallStatus.OPEN },
+      data: {
+        status: RecallStatus.CLOSED,
+        closedAt: new Date(),
+        closedById: user.id,
+        closureNotes: notes
+      }
+    });
+    if (closed.count !== 1) {
+      throw createError('This recall is already closed', 409);
+    }
+
+    return this.toResponse(await db.recall.findUniqueOrThrow({ where: { id: recall.id }, include: recallInclude }), true);
+  }
+
+  /**
+   * Open recalls covering a product, for the public verification view
+   */
+  static async openRecallsFor(productId: string) {
+    const recalls = await db.recall.findMany({
+      where: { status: RecallStatus.OPEN, products: { some: { productId } } },
+      include: { organization: { select: { name: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return recalls.map(recall => ({
+      id: recall.id,
+      title: recall.title,
+      reason: recall.reason,
+      classification: recall.classification,
+      instructions: recall.instructions,
+      issuedBy: recall.organization?.name || null,
+      issuedAt: recall.createdAt.toISOString()
+    }));
+  }
+
+  /**
+   * Public view of a recall; acknowledgement details are only shown to the issuer
+   */
+  static toResponse(recall: RecallWithRelations, asIssuer: boolean) {
+    return {
+      ...this.summary(recall),
+      scope: {
+        batchNumbers: recall.batchNumbers,
+        manufacturedFrom: recall.manufacturedFrom?.toISOString() || null,
+        manufacturedTo: recall.manufacturedTo?.toISOString() || null,
+        rawMaterials: recall.rawMaterials
+      },
+      closureNotes: recall.closureNotes,
+      closedBy: recall.closedBy,
+      products: recall.products.map(({ product }) => product),
+      notifications: recall.notifications.map(notification => ({
+        id: notification.id,
+        recipient: notification.organization || notification.user || { walletAddress: notification.walletAddress },
+        productIds: notification.productIds,
+        reasons: notification.reasons,
+        notifiedAt: notification.notifiedAt.toISOString(),
+        acknowledgedAt: notification.acknowledgedAt?.toISOString() || null,
+        ...(asIssuer ? {
+          acknowledgedBy: notification.acknowledgedBy,
+          acknowledgementNotes: notification.acknowledgementNotes
+        } : {})
+      }))
+    };
+  }
+
+  private static summary(recall: RecallWithRelations) {
+    return {
+      id: recall.id,
+      title: recall.title,
+      reason: recall.reason,
+      classification: recall.classification,
+      status: recall.status,
+      instructions: recall.instructions,
+      organization: recall.organization,
+      issuedBy: recall.issuedBy,
+      createdAt: recall.createdAt.toISOString(),
+      closedAt: recall.closedAt?.toISOString() || null,
+      productCount: recall.products.length,
+      acknowledgements: {
+        total: recall.notifications.length,
+        acknowledged: recall.notifications.filter(notification => notification.acknowledgedAt).length
+      }
+    };
+  }
+
+  private static canManage(tenant: Tenant, recall: { organizationId: string | null; issuedById: string }): boolean {
+    return OrganizationService.canManageProduct(tenant, { organizationId: recall.organizationId, manufacturerId: recall.issuedById });
+  }
+
+  private static recipientWhere(tenant: Tenant): Prisma.RecallNotificationWhereInput {
+    const match: Prisma.RecallNotificationWhereInput[] = [
+      { organizationId: { in: [...tenant.memberships.keys()] } },
+      { userId: tenant.userId }
+    ];
+    if (tenant.walletAddress) {
+      match.push({ walletAddress: tenant.walletAddress });
+    }
+    return { OR: match };
+  }
+
+  /**
+   * Everyone downstream of the affected products, from custody and stakeholder records and
+   * the users who recorded checkpoints. People reachable through a notified organization (or
+   * working for the issuer) are not notified separately.
+   */
+  private static async affectedHolders(productIds: string[], issuerOrganizationId: string | null, issuerId: string) {
+    const products = await db.product.findMany({
+      where: { id: { in: productIds } },
+      select: {
+        id: true,
+        currentCustodianId: true,
+        custodyTransfers: {
+          where: { status: { in: [CustodyTransferStatus.ACCEPTED, CustodyTransferStatus.PENDING] } },
+          select: { toOrganizationId: true }
+        },
+        stakeholders: { select: { userId: true, walletAddress: true } },
+        checkpoints: { select: { metadata: true } }
+      }
+    });
+
+    const holders = new Map<string, Holder>();
+    const add = (key: string, holder: Omit<Holder, 'productIds' | 'reasons'>, productId: string, reason: HolderReason) => {
+      const existing = holders.get(key) || { ...holder, productIds: new Set<string>(), reasons: new Set<HolderReason>() };
+      existing.productIds.add(productId);
+      existing.reasons.add(reason);
+      holders.set(key, existing);
+    };
+
+    for (const product of products) {
+      if (product.currentCustodianId) {
+        add(`org:${product.currentCustodianId}`, { organizationId: product.currentCustodianId }, product.id, 'CUSTODIAN');
+      }
+      for (const transfer of product.custodyTransfers) {
+        add(`org:${transfer.toOrganizationId}`, { organizationId: transfer.toOrganizationId }, product.id, 'CUSTODY_TRANSFER');
+      }
+      for (const stakeholder of product.stakeholders) {
+        if (stakeholder.userId) {
+          add(`user:${stakeholder.userId}`, { userId: stakeholder.userId }, product.id, 'STAKEHOLDER');
+        } else {
+          add(`wallet:${stakeholder.walletAddress}`, { walletAddress: stakeholder.walletAddress }, product.id, 'STAKEHOLDER');
+        }
+      }
+      for (const checkpoint of product.checkpoints) {
+        const recordedBy = (checkpoint.metadata as { stakeholder?: unknown } | null)?.stakeholder;
+        if (typeof recordedBy === 'string') {
+          add(`user:${recordedBy}`, { userId: recordedBy }, product.id, 'CHECKPOINT');
+        }
+      }
+    }
+
+    if (issuerOrganizationId) {
+      holders.delete(`org:${issuerOrganizationId}`);
+    }
+    holders.delete(`user:${issuerId}`);
+
+    const organizationIds = [...holders.values()].flatMap(holder => holder.organizationId ? [holder.organizationId] : []);
+    if (issuerOrganizationId) {
+      organizationIds.push(issuerOrganizationId);
+    }
+    const userIds = [...holders.values()].flatMap(holder => holder.userId ? [holder.userId] : []);
+
+    const [covered, knownUsers] = await Promise.all([
+      db.userRoleAssignment.findMany({
+        where: { userId: { in: userIds }, organizationId: { in: organizationIds } },
+        select: { userId: true }
+      }),
+      // Checkpoint metadata is free-form; only notify users that actually exist
+      db.user.findMany({ where: { id: { in: userIds } }, select: { id: true } })
+    ]);
+
+    const known = new Set(knownUsers.map(({ id }) => id));
+    for (const userId of userIds) {
+      if (!known.has(userId)) {
+        holders.delete(`user:${userId}`);
+      }
+    }
+    for (const { userId } of covered) {
+      holders.delete(`user:${userId}`);
+    }
+
+    return holders;
+  }
+}
+
+export default RecallService;
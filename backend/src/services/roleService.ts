@@ -0,0 +1,72 @@
+import { UserRole, UserRoleAssignment } from '@prisma/client';
+import { db } from '../config/database';
+
+export class RoleService {
+  /**
+   * Roles a user holds: the primary role plus any global assignments, and the
+   * assignments for an organization when one is given
+   */
+  static async getRoles(userId: string, organizationId?: string): Promise<UserRole[]> {
+    const user = await db.user.findUnique({
+      where: { id: userId },
+      select: {
+        role: true,
+        roleAssignments: {
+          where: {
+            OR: [
+              { organizationId: null },
+              ...(organizationId ? [{ organizationId }] : [])
+            ]
+          },
+          select: { role: true }
+        }
+      }
+    });
+
+    if (!user) {
+      return [];
+    }
+
+    return [...new Set([user.role, ...user.roleAssignments.map(assignment => assignment.role)])];
+  }
+
+  /**
+   * Every assignment a user has, global ones first
+   */
+  static async listAssignments(userId: string): Promise<UserRoleAssignment[]> {
+    return db.userRoleAssignment.findMany({
+      where: { userId },
+      orderBy: [{ organizationId: { sort: 'asc', nulls: 'first' } }, { createdAt: 'asc' }]
+    });
+  }
+
+  /**
+   * Grant a role, globally or within an organization. Granting an existing role is a no-op.
+   */
+  static async assignRole(userId: string, role: UserRole, organizationId?: string): Promise<UserRoleAssignment> {
+    // Postgres treats NULLs as distinct in unique indexes, so global roles are looked up first
+    const existing = await db.userRoleAssignment.findFirst({
+      where: { userId, role, organizationId: organizationId ?? null }
+    });
+    if (existing) {
+      return existing;
+    }
+
+    return db.userRoleAssignment.create({
+      data: { userId, role, organizationId: organizationId ?? null }
+    });
+  }
+
+  /**
+   * Remove a role assignment. The primary role on the user record is not affected.
+   * Returns false if the user had no such assignment.
+   */
+  static async removeRole(userId: string, role: UserRole, organizationId?: string): Promise<boolean> {
+    const result = await db.userRoleAssignment.deleteMany({
+      where: { userId, role, organizationId: organizationId ?? null }
+    });
+    return result.count > 0;
+  }
+}
+
+export default RoleService;
@@ -0,0 +1,534 @@
+import { ExcursionDirection, ExcursionStatus, OutboxJob, Prisma, TelemetryExcursion, TelemetryMetric, TelemetryThreshold } from '@prisma/client';
+import prisma, { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, Tenant, TenantUser } from './organizationService';
+import { AnchorService } from './anchorService';
+import { OutboxService } from './outboxService';
+import { PackagingService } from './packagingService';
+
+export interface SensorReading {
+  timestamp: Date;
+  temperature?: number;
+  humidity?: number;
+}
+
+export interface IngestReadingsData {
+  deviceId: string;
+  productId?: string;
+  custodyTransferId?: string;
+  location?: string;
+  readings: SensorReading[];
+}
+
+export interface ThresholdData {
+  productType: string;
+  organizationId?: string;
+  minTemperature?: number;
+  maxTemperature?: number;
+  minHumidity?: number;
+  maxHumidity?: number;
+  maxExcursionMinutes?: number;
+}
+
+export interface HistoryFilters {
+  deviceId?: string;
+  from?: Date;
+  to?: Date;
+  limit?: number;
+}
+
+// An excursion being tracked while a batch of readings is evaluated
+interface ExcursionState {
+  id?: string;
+  metric: TelemetryMetric;
+  direction: ExcursionDirection;
+  limit: number;
+  peakValue: number;
+  maxExcursionMinutes: number;
+  status: ExcursionStatus;
+  startedAt: Date;
+  lastBreachAt: Date;
+  endedAt?: Date;
+  activatedAt?: Date; // set when this batch pushed it past the allowed duration
+  discard?: boolean; // back in range before it counted
+  touched: boolean;
+}
+
+const METRICS: { metric: TelemetryMetric; field: 'temperature' | 'humidity'; label: string; unit: string }[] = [
+  { metric: TelemetryMetric.TEMPERATURE, field: 'temperature', label: 'Temperature', unit: '°C' },
+  { metric: TelemetryMetric.HUMIDITY, field: 'humidity', label: 'Humidity', unit: '%RH' }
+];
+
+const EXCURSION_STATUS = 'EXCURSION_DETECTED';
+
+const durationMinutes = (excursion: { startedAt: Date; lastBreachAt: Date; endedAt?: Date | null }): number =>
+  Math.round(((excursion.endedAt || excursion.lastBreachAt).getTime() - excursion.startedAt.getTime()) / 60000);
+
+export class TelemetryService {
+  /**
+   * Store a batch of readings from one device and update its excursions. Readings older than
+   * the device's last stored reading for the product are kept as history but do not reopen
+   * or extend excursions.
+   */
+  static async ingest(user: TenantUser, data: IngestReadingsData) {
+    if (data.readings.length > securityConfig.telemetry.maxReadingsPerBatch) {
+      throw createError(`At most ${securityConfig.telemetry.maxReadingsPerBatch} readings can be sent at once`, 413);
+    }
+
+    const tenant = await OrganizationService.resolveTenant(user);
+    const { product, custodyTransferId } = await this.resolveTarget(tenant, data);
+    if (!product.isActive) {
+      throw createError('Cannot record sensor readings for an inactive product', 409);
+    }
+
+    // One reading per timestamp, oldest first
+    const readings = [...new Map(data.readings.map(reading => [reading.timestamp.getTime(), reading])).values()]
+      .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+
+    const [latest, threshold] = await Promise.all([
+      db.telemetryReading.findFirst({
+        where: { productId: product.id, deviceId: data.deviceId },
+        orderBy: { recordedAt: 'desc' },
+        select: { recordedAt: true }
+      }),
+      this.thresholdFor(product)
+    ]);
+    const fresh = latest ? readings.filter(reading => reading.timestamp > latest.recordedAt) : readings;
+    const states = threshold ? await this.evaluate(product.id, data.deviceId, threshold, fresh) : [];
+
+    const location = data.location || `Sensor ${data.deviceId}`;
+
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.telemetryReading.createMany({
+        data: readings.map(reading => ({
+          deviceId: data.deviceId,
+          recordedAt: reading.timestamp,
+          temperature: reading.temperature,
+          humidity: reading.humidity,
+          productId: product.id,
+          custodyTransferId
+        })),
+        skipDuplicates: true
+      });
+
+      const detected: TelemetryExcursion[] = [];
+      const resolved: TelemetryExcursion[] = [];
+      const blockchainJobs: OutboxJob[] = [];
+
+      for (const state of states.filter(candidate => candidate.touched)) {
+        if (state.discard) {
+          if (state.id) {
+            await tx.telemetryExcursion.delete({ where: { id: state.id } });
+          }
+          continue;
+        }
+
+        const fields = {
+          status: state.status,
+          peakValue: state.peakValue,
+          lastBreachAt: state.lastBreachAt,
+          endedAt: state.endedAt
+        };
+        let excursion = state.id
+          ? await tx.telemetryExcursion.update({ where: { id: state.id }, data: fields })
+          : await tx.telemetryExcursion.create({
+            data: {
+              ...fields,
+              deviceId: data.deviceId,
+              metric: state.metric,
+              direction: state.direction,
+              limit: state.limit,
+              maxExcursionMinutes: state.maxExcursionMinutes,
+              startedAt: state.startedAt,
+              productId: product.id,
+              custodyTransferId
+            }
+          });
+
+        if (state.activatedAt) {
+          const { checkpoint, blockchainJob } = await this.recordExcursionEvent(tx, excursion, state.activatedAt, location, user.id);
+          excursion = await tx.telemetryExcursion.update({ where: { id: excursion.id }, data: { checkpointId: checkpoint.id } });
+          detected.push(excursion);
+          if (blockchainJob) {
+            blockchainJobs.push(blockchainJob);
+          }
+        }
+        if (excursion.status === ExcursionStatus.RESOLVED) {
+          resolved.push(excursion);
+        }
+      }
+
+      return {
+        productId: product.id,
+        deviceId: data.deviceId,
+        custodyTransferId: custodyTransferId || null,
+        received: readings.length,
+        stored: count,
+        duplicates: readings.length - count,
+        thresholdApplied: !!threshold,
+        excursions: {
+          detected: detected.map(excursion => this.toResponse(excursion)),
+          resolved: resolved.map(excursion => this.toResponse(excursion))
+        },
+        blockchainJobs: blockchainJobs.map(job => OutboxService.toResponse(job))
+      };
+    });
+  }
+
+  /**
+   * Readings and excursions of a product the user can see, newest first
+   */
+  static async history(user: TenantUser, productId: string, filters: HistoryFilters = {}) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] },
+      select: { id: true, type: true, organizationId: true }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+
+    const [readings, excursions, threshold] = await Promise.all([
+      db.telemetryReading.findMany({
+        where: {
+          productId: product.id,
+          deviceId: filters.deviceId,
+          recordedAt: { gte: filters.from, lt: filters.to }
+        },
+        orderBy: { recordedAt: 'desc' },
+        take: filters.limit || 500
+      }),
+      db.telemetryExcursion.findMany({
+        where: { productId: product.id, deviceId: filters.deviceId },
+        orderBy: { startedAt: 'desc' }
+      }),
+      this.thresholdFor(product)
+    ]);
+
+    return {
+      productId: product.id,
+      threshold: threshold ? this.thresholdResponse(threshold) : null,
+      readings: readings.map(reading => ({
+        deviceId: reading.deviceId,
+        recordedAt: reading.recordedAt.toISOString(),
+        temperature: reading.temperature,
+        humidity: reading.humidity,
+        custodyTransferId: reading.custodyTransferId
+      })),
+      excursions: excursions.map(excursion => this.toResponse(excursion))
+    };
+  }
+
+  /**
+   * Cold-chain summary shown on the product and its public verification page. Excursions
+   * recorded on the case or pallet the product is packed in count towards it too.
+   */
+  static async summary(productId: string) {
+    const productIds = [productId, ...await PackagingService.ancestorIds(productId)];
+
+    const [readingCount, lastReading, excursions] = await Promise.all([
+      db.telemetryReading.count({ where: { productId: { in: productIds } } }),
+      db.telemetryReading.findFirst({
+        where: { productId: { in: productIds } },
+        orderBy: { recordedAt: 'desc' },
+        select: { recordedAt: true }
+      }),
+      db.telemetryExcursion.findMany({
+        where: { productId: { in: productIds }, status: { not: ExcursionStatus.PENDING } },
+        orderBy: { startedAt: 'desc' }
+      })
+    ]);
+
+    return {
+      monitored: readingCount > 0,
+      readingCount,
+      lastReadingAt: lastReading?.recordedAt.toISOString() || null,
+      excursionCount: excursions.length,
+      activeExcursions: excursions.filter(excursion => excursion.status === ExcursionStatus.ACTIVE).length,
+      excursionMinutes: excursions.reduce((total, excursion) => total + durationMinutes(excursion), 0),
+      excursions: excursions.map(excursion => ({
+        metric: excursion.metric,
+        direction: excursion.direction,
+        limit: excursion.limit,
+        peakValue: excursion.peakValue,
+        status: excursion.status,
+        startedAt: excursion.startedAt.toISOString(),
+        endedAt: excursion.endedAt?.toISOString() || null,
+        durationMinutes: durationMinutes(excursion),
+        onPackaging: excursion.productId !== productId
+      }))
+    };
+  }
+
+  /**
+   * Thresholds set by the user's organizations
+   */
+  static async listThresholds(user: TenantUser) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const thresholds = await db.telemetryThreshold.findMany({
+      where: tenant.isPlatformAdmin ? {} : { organizationId: { in: [...tenant.memberships.keys()] } },
+      orderBy: [{ organizationId: 'asc' }, { productType: 'asc' }]
+    });
+    return thresholds.map(threshold => this.thresholdResponse(threshold));
+  }
+
+  /**
+   * Set the allowed range for a product type in an organization the user can manage products for
+   */
+  static async setThreshold(user: TenantUser, data: ThresholdData) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const organizationId = OrganizationService.productOrganizationFor(tenant, data.organizationId);
+    if (!organizationId) {
+      throw createError('Thresholds are set by an organization you manage products for', 403);
+    }
+
+    if ([data.minTemperature, data.maxTemperature, data.minHumidity, data.maxHumidity].every(bound => bound === undefined)) {
+      throw createError('At least one temperature or humidity bound is required', 400);
+    }
+    if (data.minTemperature !== undefined && data.maxTemperature !== undefined && data.minTemperature > data.maxTemperature) {
+      throw createError('minTemperature cannot be above maxTemperature', 400);
+    }
+    if (data.minHumidity !== undefined && data.maxHumidity !== undefined && data.minHumidity > data.maxHumidity) {
+      throw createError('minHumidity cannot be above maxHumidity', 400);
+    }
+
+    const productType = data.productType.trim().toLowerCase();
+    const fields = {
+      minTemperature: data.minTemperature ?? null,
+      maxTemperature: data.maxTemperature ?? null,
+      minHumidity: data.minHumidity ?? null,
+      maxHumidity: data.maxHumidity ?? null,
+      maxExcursionMinutes: data.maxExcursionMinutes ?? securityConfig.telemetry.defaultExcursionMinutes,
+      updatedById: user.id
+    };
+
+    const threshold = await db.telemetryThreshold.upsert({
+      where: { organizationId_productType: { organizationId, productType } },
+      create: { ...fields, organizationId, productType },
+      update: fields
+    });
+    return this.thresholdResponse(threshold);
+  }
+
+  /**
+   * Remove a threshold; products of that type are no longer checked for excursions
+   */
+  static async deleteThreshold(user: TenantUser, thresholdId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const threshold = await db.telemetryThreshold.findUnique({ where: { id: thresholdId } });
+    if (!threshold || (!tenant.isPlatformAdmin && !tenant.memberships.has(threshold.organizationId))) {
+      throw createError('Threshold not found', 404);
+    }
+    OrganizationService.productOrganizationFor(tenant, threshold.organizationId);
+
+    await db.telemetryThreshold.delete({ where: { id: threshold.id } });
+    return this.thresholdResponse(threshold);
+  }
+
+  static toResponse(excursion: TelemetryExcursion) {
+    return {
+      id: excursion.id,
+      productId: excursion.productId,
+      deviceId: excursion.deviceId,
+      custodyTransferId: excursion.custodyTransferId,
+      metric: excursion.metric,
+      direction: excursion.direction,
+      limit: excursion.limit,
+      peakValue: excursion.peakValue,
+      maxExcursionMinutes: excursion.maxExcursionMinutes,
+      status: excursion.status,
+      startedAt: excursion.startedAt.toISOString(),
+      lastBreachAt: excursion.lastBreachAt.toISOString(),
+      endedAt: excursion.endedAt?.toISOString() || null,
+      durationMinutes: durationMinutes(excursion),
+      checkpointId: excursion.checkpointId
+    };
+  }
+
+  private static thresholdResponse(threshold: TelemetryThreshold) {
+    return {
+      id: threshold.id,
+      organizationId: threshold.organizationId,
+      productType: threshold.productType,
+      minTemperature: threshold.minTemperature,
+      maxTemperature: threshold.maxTemperature,
+      minHumidity: threshold.minHumidity,
+      maxHumidity: threshold.maxHumidity,
+      maxExcursionMinutes: threshold.maxExcursionMinutes,
+      updatedAt: threshold.updatedAt.toISOString()
+    };
+  }
+
+  // Readings can be bound to a product directly or to a shipment (custody transfer) of one
+  private static async resolveTarget(tenant: Tenant, data: IngestReadingsData) {
+    if (data.custodyTransferId) {
+      const transfer = await db.custodyTransfer.findUnique({
+        where: { id: data.custodyTransferId },
+        include: { product: true }
+      });
+      if (!transfer || !(
+        OrganizationService.canHandleCustody(tenant, transfer.fromOrganizationId)
+        || OrganizationService.canHandleCustody(tenant, transfer.toOrganizationId)
+      )) {
+        throw createError('Shipment not found', 404);
+      }
+      if (data.productId && data.productId !== transfer.productId) {
+        throw createError('productId does not match the shipment', 400);
+      }
+      return { product: transfer.product, custodyTransferId: transfer.id };
+    }
+
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: data.productId }, OrganizationService.productScope(tenant)] },
+      include: { stakeholders: true }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    if (!OrganizationService.canRecordCheckpoint(tenant, product)) {
+      throw createError('Only the owning organization, the current custodian or a registered stakeholder can report sensor readings', 403);
+    }
+    return { product, custodyTransferId: undefined };
+  }
+
+  private static async thresholdFor(product: { type: string; organizationId: string | null }) {
+    if (!product.organizationId) {
+      return null;
+    }
+    return db.telemetryThreshold.findUnique({
+      where: {
+        organizationId_productType: { organizationId: product.organizationId, productType: product.type.trim().toLowerCase() }
+      }
+    });
+  }
+
+  // Walk the new readings in time order, extending, opening and closing excursions per metric
+  private static async evaluate(
+    productId: string,
+    deviceId: string,
+    threshold: TelemetryThreshold,
+    readings: SensorReading[]
+  ): Promise<ExcursionState[]> {
+    const openExcursions = await db.telemetryExcursion.findMany({
+      where: { productId, deviceId, status: { in: [ExcursionStatus.PENDING, ExcursionStatus.ACTIVE] } }
+    });
+    const states: ExcursionState[] = [];
+
+    for (const { metric, field } of METRICS) {
+      const min = metric === TelemetryMetric.TEMPERATURE ? threshold.minTemperature : threshold.minHumidity;
+      const max = metric === TelemetryMetric.TEMPERATURE ? threshold.maxTemperature : threshold.maxHumidity;
+      if (min === null && max === null) {
+        continue;
+      }
+
+      const existing = openExcursions.find(excursion => excursion.metric === metric);
+      let open: ExcursionState | undefined = existing && {
+        id: existing.id,
+        metric,
+        direction: existing.direction,
+        limit: existing.limit,
+        peakValue: existing.peakValue,
+        maxExcursionMinutes: existing.maxExcursionMinutes,
+        status: existing.status,
+        startedAt: existing.startedAt,
+        lastBreachAt: existing.lastBreachAt,
+        touched: false
+      };
+      if (open) {
+        states.push(open);
+      }
+
+      for (const reading of readings) {
+        const value = reading[field];
+        if (value === undefined) {
+          continue;
+        }
+        const direction = max !== null && value > max
+          ? ExcursionDirection.ABOVE
+          : min !== null && value < min ? ExcursionDirection.BELOW : null;
+
+        // Back in range, or straight across to the other bound: the current breach ends here
+        if (open && open.direction !== direction) {
+          if (open.status === ExcursionStatus.ACTIVE) {
+            open.status = ExcursionStatus.RESOLVED;
+            open.endedAt = reading.timestamp;
+          } else {
+            open.discard = true;
+          }
+          open.touched = true;
+          open = undefined;
+        }
+        if (!direction) {
+          continue;
+        }
+
+        if (!open) {
+          open = {
+            metric,
+            direction,
+            limit: direction === ExcursionDirection.ABOVE ? max! : min!,
+            peakValue: value,
+            maxExcursionMinutes: threshold.maxExcursionMinutes,
+            status: ExcursionStatus.PENDING,
+            startedAt: reading.timestamp,
+            lastBreachAt: reading.timestamp,
+            touched: true
+          };
+          states.push(open);
+        } else {
+          open.lastBreachAt = reading.timestamp;
+          open.peakValue = direction === ExcursionDirection.ABOVE ? Math.max(open.peakValue, value) : Math.min(open.peakValue, value);
+          open.touched = true;
+        }
+
+        if (open.status === ExcursionStatus.PENDING
+          && reading.timestamp.getTime() - open.startedAt.getTime() >= open.maxExcursionMinutes * 60000) {
+          open.status = ExcursionStatus.ACTIVE;
+          open.activatedAt = reading.timestamp;
+        }
+      }
+    }
+
+    return states;
+  }
+
+  // Excursion checkpoint on the product (and its contents), queued for the chain like any other
+  private static async recordExcursionEvent(
+    tx: Prisma.TransactionClient,
+    excursion: TelemetryExcursion,
+    detectedAt: Date,
+    location: string,
+    userId: string
+  ) {
+    const { field, label, unit } = METRICS.find(entry => entry.metric === excursion.metric)!;
+    const side = excursion.direction === ExcursionDirection.ABOVE ? 'above' : 'below';
+
+    const checkpoint = await tx.checkpoint.create({
+      data: {
+        name: EXCURSION_STATUS,
+        location,
+        timestamp: detectedAt,
+        eventType: 'ObjectEvent',
+        bizStep: 'sensor_reporting',
+        metadata: {
+          status: EXCURSION_STATUS,
+          additionalData: `${label} ${side} ${excursion.limit}${unit} since ${excursion.startedAt.toISOString()} (peak ${excursion.peakValue}${unit}, device ${excursion.deviceId})`,
+          [field]: String(excursion.peakValue),
+          excursionId: excursion.id,
+          deviceId: excursion.deviceId,
+          custodyTransferId: excursion.custodyTransferId || undefined,
+          stakeholder: userId
+        },
+        productId: excursion.productId
+      }
+    });
+    await PackagingService.propagateCheckpoint(tx, checkpoint);
+
+    const blockchainJob = await AnchorService.enqueueCheckpoint(checkpoint, userId, tx);
+
+    return { checkpoint, blockchainJob };
+  }
+}
+
+export default TelemetryService;
@@ -0,0 +1,229 @@
+import * as crypto from 'crypto';
+import * as jwt from 'jsonwebtoken';
+import { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { RoleService } from './roleService';
+
+export interface TokenUser {
+  id: string;
+  email: string;
+  role: string;
+  walletAddress?: string | null;
+  mfaEnabled?: boolean;
+}
+
+export interface SessionContext {
+  ipAddress?: string;
+  userAgent?: string;
+}
+
+export interface IssuedTokens {
+  token: string;
+  refreshToken: string;
+  expiresIn: number; // access token lifetime in seconds
+  refreshExpiresAt: Date;
+}
+
+export type RefreshResult =
+  | { success: true; tokens: IssuedTokens; userId: string }
+  | { success: false; error: string; reuseDetected?: boolean; userId?: string; familyId?: string };
+
+const UNIT_SECONDS: Record<string, number> = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Seconds in a duration such as '15m' or '7d' (the formats used in config)
+ */
+export const toSeconds = (duration: string): number => {
+  const match = /^(\d+)\s*([smhd])$/.exec(duration.trim());
+  if (!match) {
+    throw new Error(`Unsupported duration: ${duration}`);
+  }
+  return parseInt(match[1]!, 10) * UNIT_SECONDS[match[2]!]!;
+};
+
+const hashToken = (token: string): string => crypto.createHash('sha256').update(token).digest('hex');
+
+const jwtSecret = (): string => process.env.JWT_SECRET || 'tracechain_jwt_secret_key_2025_development';
+
+export class TokenService {
+  /**
+   * Sign a short-lived access token bound to a session (refresh-token family).
+   * roles lists every global role the user holds; role stays the primary one.
+   */
+  static signAccessToken(user: TokenUser, sessionId: string, mfaVerified = false, roles: string[] = [user.role]): string {
+    const payload = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      roles,
+      walletAddress: user.walletAddress,
+      sid: sessionId,
+      mfa: !!user.mfaEnabled,
+      mfaVerified
+    };
+
+    return jwt.sign(payload, jwtSecret(), {
+      expiresIn: toSeconds(securityConfig.jwt.expiresIn),
+      jwtid: crypto.randomUUID()
+    });
+  }
+
+  /**
+   * Start a new session: an access token plus the first refresh token of a new family.
+   * mfaVerified marks sessions started with a second factor; refreshes keep the flag.
+   */
+  static async issueTokens(user: TokenUser, context: SessionContext = {}, mfaVerified = false): Promise<IssuedTokens> {
+    return this.createTokens(user, crypto.randomUUID(), context, mfaVerified);
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. Each refresh token works once; presenting
+   * one that was already used means it leaked, so the whole family is revoked.
+   */
+  static async refresh(refreshToken: string, context: SessionContext = {}): Promise<RefreshResult> {
+    const stored = await db.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: { user: true }
+    });
+
+    if (!stored) {
+      return { success: false, error: 'Invalid refresh token' };
+    }
+
+    if (stored.revokedAt) {
+      if (stored.revokedReason === 'rotated') {
+        await this.revokeFamily(stored.familyId, 'reuse_detected');
+        return {
+          success: false,
+          error: 'Refresh token reuse detected; session revoked',
+          reuseDetected: true,
+          userId: stored.userId,
+          familyId: stored.familyId
+        };
+      }
+      return { success: false, error: 'Refresh token has been revoked' };
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      return { success: false, error: 'Refresh token expired' };
+    }
+
+    // Claim the token; a concurrent request presenting the same token loses and is treated as reuse
+    const claimed = await db.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: 'rotated' }
+    });
+
+    if (claimed.count !== 1) {
+      await this.revokeFamily(stored.familyId, 'reuse_detected');
+      return {
+        success: false,
+        error: 'Refresh token reuse detected; session revoked',
+        reuseDetected: true,
+        userId: stored.userId,
+        familyId: stored.familyId
+      };
+    }
+
+    const tokens = await this.createTokens(stored.user, stored.familyId, context, stored.mfaVerified, stored.id);
+    return { success: true, tokens, userId: stored.userId };
+  }
+
+  /**
+   * End one session: its refresh tokens stop working and its access tokens are rejected
+   */
+  static async revokeSession(sessionId: string, reason = 'logout'): Promise<void> {
+    await this.revokeFamily(sessionId, reason);
+  }
+
+  /**
+   * End every session of a user (logout everywhere). Returns the number of sessions revoked.
+   */
+  static async revokeAllForUser(userId: string, reason = 'logout_all'): Promise<number> {
+    const active = await db.refreshToken.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: { familyId: true },
+      distinct: ['familyId']
+    });
+
+    for (const { familyId } of active) {
+      await this.revokeFamily(familyId, reason);
+    }
+    return active.length;
+  }
+
+  /**
+   * Whether the session an access token belongs to (its sid claim) has been revoked
+   */
+  static async isRevoked(sessionId: string): Promise<boolean> {
+    const revoked = await db.revokedSession.findFirst({
+      where: { sessionId, expiresAt: { gt: new Date() } },
+      select: { sessionId: true }
+    });
+    return !!revoked;
+  }
+
+  private static async createTokens(
+    user: TokenUser,
+    familyId: string,
+    context: SessionContext,
+    mfaVerified: boolean,
+    replacesId?: string
+  ): Promise<IssuedTokens> {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const refreshExpiresAt = new Date(Date.now() + toSeconds(securityConfig.jwt.refreshExpiresIn) * 1000);
+
+    const created = await db.refreshToken.create({
+      data: {
+        tokenHash: hashToken(refreshToken),
+        familyId,
+        userId: user.id,
+        expiresAt: refreshExpiresAt,
+        mfaVerified,
+        createdByIp: context.ipAddress,
+        userAgent: context.userAgent?.substring(0, 255)
+      }
+    });
+
+    if (replacesId) {
+      await db.refreshToken.update({
+        where: { id: replacesId },
+        data: { replacedById: created.id }
+      });
+    }
+
+    // Roles are read on every issue and refresh, so changes reach the token within one access-token lifetime
+    const roles = await RoleService.getRoles(user.id);
+
+    return {
+      token: this.signAccessToken(user, familyId, mfaVerified, roles.length > 0 ? roles : [user.role]),
+      refreshToken,
+      expiresIn: toSeconds(securityConfig.jwt.expiresIn),
+      refreshExpiresAt
+    };
+  }
+
+  private static async revokeFamily(familyId: string, reason: string): Promise<void> {
+    const now = new Date();
+
+    await db.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: now, revokedReason: reason }
+    });
+
+    // Access tokens from this session stay rejected until the longest one could expire
+    const expiresAt = new Date(now.getTime() + toSeconds(securityConfig.jwt.expiresIn) * 1000);
+    await db.revokedSession.upsert({
+      where: { sessionId: familyId },
+      update: { expiresAt, reason },
+      create: { sessionId: familyId, reason, expiresAt }
+    });
+
+    // Drop revocations that no longer matter
+    await db.revokedSession.deleteMany({
+      where: { expiresAt: { lt: now } }
+    });
+  }
+}
+
+export default TokenService;
@@ -0,0 +1,326 @@
+import { CriticalTrackingEvent, Prisma, TraceabilityRecord } from '@prisma/client';
+import ExcelJS from 'exceljs';
+import prisma, { db } from '../config/database';
+import { csvCell } from '../config/csv';
+import { BizStep } from '../config/gs1';
+import { createError } from '../middleware/errorHandler';
+import { OrganizationService, TenantUser } from './organizationService';
+import { AnchorService } from './anchorService';
+import { OutboxService } from './outboxService';
+import { PackagingService } from './packagingService';
+
+export interface TransformationInput {
+  traceabilityLotCode: string;
+  productDescription?: string;
+  quantity?: number;
+  unitOfMeasure?: string;
+}
+
+export interface TraceabilityEventData {
+  cte: CriticalTrackingEvent;
+  eventDate: Date;
+  location: string;
+  traceabilityLotCode?: string; // defaults to the product's batch number
+  productDescription?: string; // defaults to the product name
+  quantity: number;
+  unitOfMeasure: string;
+  tlcSourceLocation?: string;
+  shipFromLocation?: string;
+  shipToLocation?: string;
+  referenceDocumentType: string;
+  referenceDocumentNumber: string;
+  commodity?: string;
+  variety?: string;
+  fieldName?: string;
+  harvestDate?: Date;
+  harvestLocation?: string;
+  coolingDate?: Date;
+  coolingLocation?: string;
+  inputs?: TransformationInput[];
+}
+
+export interface TraceabilityReportQuery {
+  lotCode?: string;
+  from?: Date;
+  to?: Date;
+  limit?: number;
+}
+
+// Elements kept in the kdes column rather than their own
+const EXTRA_KDES = [
+  'commodity', 'variety', 'fieldName', 'harvestDate', 'harvestLocation', 'coolingDate', 'coolingLocation', 'inputs'
+] as const;
+
+type ExtraKdes = Partial<Pick<TraceabilityEventData, typeof EXTRA_KDES[number]>>;
+
+// Checkpoint recorded for each CTE and the elements 21 CFR 1.1325-1.1350 require beyond the common
+// ones (quantity, unit of measure, location, date and reference document)
+const CTES: Record<CriticalTrackingEvent, {
+  status: string;
+  bizStep: BizStep;
+  eventType: string;
+  required: (keyof TraceabilityEventData)[];
+}> = {
+  HARVESTING: { status: 'HARVESTED', bizStep: 'commissioning', eventType: 'ObjectEvent', required: ['commodity', 'shipToLocation'] },
+  COOLING: { status: 'COOLED', bizStep: 'storing', eventType: 'ObjectEvent', required: ['commodity', 'harvestLocation', 'shipToLocation'] },
+  INITIAL_PACKING: {
+    status: 'PACKED',
+    bizStep: 'packing',
+    eventType: 'ObjectEvent',
+    required: ['commodity', 'harvestLocation', 'harvestDate', 'coolingLocation', 'coolingDate', 'tlcSourceLocation']
+  },
+  SHIPPING: { status: 'SHIPPED', bizStep: 'shipping', eventType: 'ObjectEvent', required: ['shipFromLocation', 'shipToLocation', 'tlcSourceLocation'] },
+  RECEIVING: { status: 'RECEIVED', bizStep: 'receiving', eventType: 'ObjectEvent', required: ['shipFromLocation', 'tlcSourceLocation'] },
+  TRANSFORMATION: { status: 'TRANSFORMED', bizStep: 'commissioning', eventType: 'TransformationEvent', required: ['inputs', 'tlcSourceLocation'] }
+};
+
+// Columns of the sortable spreadsheet handed to the FDA, in order
+const REPORT_COLUMNS: { header: string; value: (record: TraceabilityRecord, kdes: ExtraKdes) => string | number | Date | undefined }[] = [
+  { header: 'Traceability Lot Code', value: record => record.traceabilityLotCode },
+  { header: 'Product Description', value: record => record.productDescription },
+  { header: 'Commodity', value: (_record, kdes) => kdes.commodity },
+  { header: 'Variety', value: (_record, kdes) => kdes.variety },
+  { header: 'Quantity', value: record => record.quantity },
+  { header: 'Unit of Measure', value: record => record.unitOfMeasure },
+  { header: 'Critical Tracking Event', value: record => record.cte },
+  { header: 'Event Date', value: record => record.eventDate },
+  { header: 'Event Location', value: record => record.location },
+  { header: 'Traceability Lot Code Source', value: record => record.tlcSourceLocation || undefined },
+  { header: 'Ship From / Immediate Previous Source', value: record => record.shipFromLocation || undefined },
+  { header: 'Ship To / Immediate Subsequent Recipient', value: record => record.shipToLocation || undefined },
+  { header: 'Harvest Date', value: (_record, kdes) => (kdes.harvestDate ? new Date(kdes.harvestDate) : undefined) },
+  { header: 'Harvest Location / Field', value: (_record, kdes) => [kdes.harvestLocation, kdes.fieldName].filter(Boolean).join(' / ') || undefined },
+  { header: 'Cooling Date', value: (_record, kdes) => (kdes.coolingDate ? new Date(kdes.coolingDate) : undefined) },
+  { header: 'Cooling Location', value: (_record, kdes) => kdes.coolingLocation },
+  {
+    header: 'Input Traceability Lot Codes',
+    value: (_record, kdes) => (kdes.inputs || [])
+      .map(input => [input.traceabilityLotCode, input.productDescription, input.quantity !== undefined ? `${input.quantity} ${input.unitOfMeasure || ''}`.trim() : undefined]
+        .filter(Boolean).join(' - '))
+      .join('; ') || undefined
+  },
+  { header: 'Reference Document Type', value: record => record.referenceDocumentType },
+  { header: 'Reference Document Number', value: record => record.referenceDocumentNumber },
+  { header: 'Recorded At', value: record => record.createdAt }
+];
+
+const isoDate = (value: Date): string => value.toISOString().slice(0, 10);
+
+export class TraceabilityService {
+  /**
+   * Record a Critical Tracking Event for a FOOD product: a checkpoint (propagated to packed
+   * contents and queued for the chain) carrying the event's Key Data Elements
+   */
+  static async record(user: TenantUser, productId: string, data: TraceabilityEventData) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] },
+      include: { stakeholders: true }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+    if (product.type !== 'FOOD') {
+      throw createError('Traceability records are kept for FOOD products only', 400);
+    }
+    if (!OrganizationService.canRecordCheckpoint(tenant, product)) {
+      throw createError('Only the manufacturing organization, the current custodian or a registered stakeholder can record traceability events', 403);
+    }
+    if (!product.isActive) {
+      throw createError('Cannot record traceability events for an inactive product', 409);
+    }
+    if (data.eventDate.getTime() > Date.now()) {
+      throw createError('eventDate cannot be in the future', 400);
+    }
+
+    const cte = CTES[data.cte];
+    const kde = this.withDefaults(data);
+    const missing = cte.required.filter(field => {
+      const value = kde[field];
+      return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    });
+    if (missing.length > 0) {
+      throw createError(`${data.cte} events require ${missing.join(', ')}`, 400);
+    }
+
+    const traceabilityLotCode = kde.traceabilityLotCode || product.batchNumber;
+    const extra: ExtraKdes = Object.fromEntries(EXTRA_KDES.filter(field => kde[field] !== undefined).map(field => [field, kde[field]]));
+
+    return prisma.$transaction(async (tx) => {
+      const checkpoint = await tx.checkpoint.create({
+        data: {
+          name: cte.status,
+          location: kde.location,
+          timestamp: kde.eventDate,
+          eventType: cte.eventType,
+          bizStep: cte.bizStep,
+          metadata: {
+            status: cte.status,
+            additionalData: `FSMA 204 ${data.cte} of lot ${traceabilityLotCode} (${kde.referenceDocumentType} ${kde.referenceDocumentNumber})`,
+            traceabilityLotCode,
+            stakeholder: user.id
+          },
+          productId: product.id
+        }
+      });
+      const propagatedCount = await PackagingService.propagateCheckpoint(tx, checkpoint);
+
+      const record = await tx.traceabilityRecord.create({
+        data: {
+          cte: data.cte,
+          traceabilityLotCode,
+          productDescription: kde.productDescription || product.name,
+          quantity: kde.quantity,
+          unitOfMeasure: kde.unitOfMeasure,
+          eventDate: kde.eventDate,
+          location: kde.location,
+          tlcSourceLocation: kde.tlcSourceLocation,
+          shipFromLocation: kde.shipFromLocation,
+          shipToLocation: kde.shipToLocation,
+          referenceDocumentType: kde.referenceDocumentType,
+          referenceDocumentNumber: kde.referenceDocumentNumber,
+          inputLotCodes: (kde.inputs || []).map(input => input.traceabilityLotCode),
+          kdes: Object.keys(extra).length > 0 ? (extra as unknown as Prisma.InputJsonObject) : Prisma.DbNull,
+          productId: product.id,
+          checkpointId: checkpoint.id,
+          recordedById: user.id
+        }
+      });
+
+      const blockchainJob = await AnchorService.enqueueCheckpoint(checkpoint, user.id, tx);
+
+      return {
+        record: this.toResponse(record),
+        checkpointId: checkpoint.id,
+        propagatedCount,
+        blockchainJob: blockchainJob ? OutboxService.toResponse(blockchainJob) : null
+      };
+    });
+  }
+
+  /**
+   * Traceability records of a product the user can see, in event order
+   */
+  static async list(user: TenantUser, productId: string) {
+    const tenant = await OrganizationService.resolveTenant(user);
+    const product = await db.product.findFirst({
+      where: { AND: [{ id: productId }, OrganizationService.productScope(tenant)] },
+      select: { id: true }
+    });
+    if (!product) {
+      throw createError('Product not found', 404);
+    }
+
+    const records = await db.traceabilityRecord.findMany({
+      where: { productId: product.id },
+      orderBy: { eventDate: 'asc' }
+    });
+    return records.map(record => this.toResponse(record));
+  }
+
+  /**
+   * Records for an FDA request: every event of a traceability lot, including transformations
+   * that consumed it, and/or every event in a date range, sorted by lot and date
+   */
+  static async report(user: TenantUser, query: TraceabilityReportQuery): Promise<{ records: TraceabilityRecord[]; truncated: boolean }> {
+    if (!query.lotCode && !query.from && !query.to) {
+      throw createError('Give a traceability lot code or a date range', 400);
+    }
+
+    const tenant = await OrganizationService.resolveTenant(user);
+    const where: Prisma.TraceabilityRecordWhereInput[] = [
+      { product: OrganizationService.productScope(tenant) },
+      { eventDate: { gte: query.from, lt: query.to } }
+    ];
+    if (query.lotCode) {
+      where.push({ OR: [{ traceabilityLotCode: query.lotCode }, { inputLotCodes: { has: query.lotCode } }] });
+    }
+
+    // One extra row tells whether the limit cut the report short
+    const limit = query.limit || 5000;
+    const records = await db.traceabilityRecord.findMany({
+      where: { AND: where },
+      orderBy: [{ traceabilityLotCode: 'asc' }, { eventDate: 'asc' }, { createdAt: 'asc' }],
+      take: limit + 1
+    });
+    return { records: records.slice(0, limit), truncated: records.length > limit };
+  }
+
+  /**
+   * The electronic sortable spreadsheet, as XLSX with filters on every column
+   */
+  static async spreadsheet(records: TraceabilityRecord[]): Promise<Buffer> {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('FSMA 204 Traceability', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = REPORT_COLUMNS.map(column => ({ header: column.header, width: Math.max(14, column.header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: REPORT_COLUMNS.length } };
+
+    for (const record of records) {
+      const kdes = (record.kdes || {}) as ExtraKdes;
+      sheet.addRow(REPORT_COLUMNS.map(column => column.value(record, kdes) ?? null));
+    }
+    REPORT_COLUMNS.forEach((column, index) => {
+      if (/Date|Recorded At/.test(column.header)) {
+        sheet.getColumn(index + 1).numFmt = column.header === 'Recorded At' ? 'yyyy-mm-dd hh:mm' : 'yyyy-mm-dd';
+      }
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * The same spreadsheet as CSV
+   */
+  static csv(records: TraceabilityRecord[]): string {
+    const cell = (value: string | number | Date | undefined): string =>
+      csvCell(value instanceof Date ? isoDate(value) : value === undefined ? '' : value);
+    const lines = [
+      REPORT_COLUMNS.map(column => cell(column.header)).join(','),
+      ...records.map(record => {
+        const kdes = (record.kdes || {}) as ExtraKdes;
+        return REPORT_COLUMNS.map(column => {
+          const value = column.value(record, kdes);
+          return column.header === 'Recorded At' && value instanceof Date ? cell(value.toISOString()) : cell(value);
+        }).join(',');
+      })
+    ];
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  static toResponse(record: TraceabilityRecord) {
+    return {
+      id: record.id,
+      productId: record.productId,
+      checkpointId: record.checkpointId,
+      cte: record.cte,
+      traceabilityLotCode: record.traceabilityLotCode,
+      productDescription: record.productDescription,
+      quantity: record.quantity,
+      unitOfMeasure: record.unitOfMeasure,
+      eventDate: record.eventDate.toISOString(),
+      location: record.location,
+      tlcSourceLocation: record.tlcSourceLocation,
+      shipFromLocation: record.shipFromLocation,
+      shipToLocation: record.shipToLocation,
+      referenceDocumentType: record.referenceDocumentType,
+      referenceDocumentNumber: record.referenceDocumentNumber,
+      inputLotCodes: record.inputLotCodes,
+      kdes: record.kdes,
+      recordedById: record.recordedById,
+      createdAt: record.createdAt.toISOString()
+    };
+  }
+
+  // The party assigning a lot code is its source; a shipper ships from where the event happens
+  private static withDefaults(data: TraceabilityEventData): TraceabilityEventData {
+    const assignsLotCode = data.cte === CriticalTrackingEvent.INITIAL_PACKING || data.cte === CriticalTrackingEvent.TRANSFORMATION;
+    return {
+      ...data,
+      tlcSourceLocation: data.tlcSourceLocation || (assignsLotCode ? data.location : undefined),
+      shipFromLocation: data.shipFromLocation || (data.cte === CriticalTrackingEvent.SHIPPING ? data.location : undefined)
+    };
+  }
+}
+
+export default TraceabilityService;
@@ -1,4 +1,4 @@
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, UserRole } from '@prisma/client';
 
 const prisma = new PrismaClient();
 
@@ -8,14 +8,14 @@ export interface CreateUserData {
   walletAddress?: string;
   firstName?: string;
   lastName?: string;
-  role?: 'USER' | 'MANUFACTURER' | 'DISTRIBUTOR' | 'RETAILER' | 'ADMIN';
+  role?: UserRole;
 }
 
 export interface UpdateUserData {
   email?: string;
   firstName?: string;
   lastName?: string;
-  role?: 'USER' | 'MANUFACTURER' | 'DISTRIBUTOR' | 'RETAILER' | 'ADMIN';
+  role?: UserRole;
 }
 
 export class UserService {
@@ -90,6 +90,39 @@ export class UserService {
     }
   }
 
+  /**
+   * Find a user by wallet address, creating a wallet-only account if none exists.
+   * Wallet-only accounts get a placeholder email until the owner sets a real one.
+   */
+  static async findOrCreateByWalletAddress(
+    walletAddress: string,
+    role: CreateUserData['role'] = 'USER'
+  ) {
+    try {
+      const existing = await prisma.user.findFirst({
+        where: { walletAddress: { equals: walletAddress, mode: 'insensitive' } },
+      });
+
+      if (existing) {
+        return { success: true, user: existing, isNew: false };
+      }
+
+      const normalized = walletAddress.toLowerCase();
+      const user = await prisma.user.create({
+        data: {
+          email: `${normalized}@wallet.tracechain.local`,
+          walletAddress: normalized,
+          role,
+        },
+      });
+
+      return { success: true, user, isNew: true };
+    } catch (error: any) {
+      console.error('Find or create user by wallet address error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Update user
    */
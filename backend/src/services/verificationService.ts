@@ -0,0 +1,95 @@
+import { db } from '../config/database';
+import { AnchorService } from './anchorService';
+import { RecallService } from './recallService';
+import { TelemetryService } from './telemetryService';
+
+export class VerificationService {
+  /**
+   * Public verification payload for a product, or null when it does not exist
+   */
+  static async forProduct(productId: string) {
+    const product = await db.product.findUnique({
+      where: { id: productId },
+      include: {
+        organization: {
+          select: {
+            name: true
+          }
+        },
+        checkpoints: {
+          include: {
+            anchor: true,
+            signature: {
+              select: {
+                signer: true,
+                signerType: true
+              }
+            }
+          },
+          orderBy: {
+            timestamp: 'asc'
+          }
+        },
+        nftCertificates: {
+          select: {
+            id: true,
+            tokenId: true,
+            isVerified: true
+          }
+        }
+      }
+    });
+
+    if (!product) {
+      return null;
+    }
+
+    const isExpired = !!product.expiryDate && product.expiryDate < new Date();
+    const certificate = product.nftCertificates[0];
+    const recalls = await RecallService.openRecallsFor(product.id);
+    const coldChain = await TelemetryService.summary(product.id);
+    const supplyChain = product.checkpoints.map(checkpoint => ({
+      checkpointId: checkpoint.id,
+      status: (checkpoint.metadata as { status?: string } | null)?.status || checkpoint.name,
+      location: checkpoint.location,
+      timestamp: checkpoint.timestamp.toISOString(),
+      anchor: AnchorService.proof(checkpoint),
+      // Re-checkable at /api/checkpoints/:id/signature
+      signature: checkpoint.signature
+    }));
+    const anchored = supplyChain.filter(entry => entry.anchor.status === 'ANCHORED');
+
+    return {
+      productId: product.id,
+      isValid: product.isActive && !isExpired && recalls.length === 0,
+      recalled: recalls.length > 0,
+      recallWarning: recalls.length > 0
+        ? `This product is subject to ${recalls.length === 1 ? 'a recall' : `${recalls.length} recalls`}. Do not sell or use it; follow the recall instructions.`
+        : null,
+      recalls,
+      productName: product.name,
+      // The payload is public: name the owning organization, never the user who registered the product
+      manufacturer: product.organization?.name || null,
+      batchNumber: product.batchNumber,
+      gtin: product.gtin,
+      serialNumber: product.serialNumber,
+      manufactureDate: product.manufactureDate.toISOString(),
+      expiryDate: product.expiryDate?.toISOString(),
+      coldChain,
+      coldChainWarning: coldChain.excursionCount > 0
+        ? `${coldChain.excursionCount === 1 ? 'A temperature or humidity excursion was' : `${coldChain.excursionCount} temperature or humidity excursions were`} recorded while this product was in the supply chain.`
+        : null,
+      blockchainVerified: product.nftCertificates.some(nft => nft.isVerified),
+      nftCertificate: certificate?.tokenId || null,
+      supplyChain,
+      // Checkpoints whose Merkle root is on-chain, and whether they still match what was anchored
+      checkpointAnchoring: {
+        anchored: anchored.length,
+        pending: supplyChain.length - anchored.length,
+        intact: anchored.every(entry => entry.anchor.intact)
+      }
+    };
+  }
+}
+
+export default VerificationService;
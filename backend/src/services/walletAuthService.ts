@@ -0,0 +1,269 @@
+import * as crypto from 'crypto';
+import { getAddress, verifyMessage } from 'ethers';
+import { db } from '../config/database';
+import { securityConfig } from '../config/security';
+import { SessionContext, TokenService } from './tokenService';
+import { UserService } from './userService';
+import { MfaService } from './mfaService';
+
+/**
+ * Fields of an EIP-4361 message
+ */
+export interface SiweMessage {
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources: string[];
+}
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_KEYS: Record<string, keyof SiweMessage> = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+const parseDate = (value: string, field: string): Date => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field}`);
+  }
+  return date;
+};
+
+export class WalletAuthService {
+  /**
+   * Issue a single-use nonce for the next sign-in message
+   */
+  static async createNonce(walletAddress?: string) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + securityConfig.siwe.nonceTtl);
+
+    // Drop nonces that can no longer be used
+    await db.walletNonce.deleteMany({
+      where: { expiresAt: { lt: new Date() } }
+    });
+
+    await db.walletNonce.create({
+      data: {
+        nonce,
+        walletAddress: walletAddress?.toLowerCase(),
+        expiresAt
+      }
+    });
+
+    return {
+      nonce,
+      expiresAt,
+      domain: securityConfig.siwe.domain,
+      statement: securityConfig.siwe.statement,
+      chainIds: securityConfig.siwe.allowedChainIds
+    };
+  }
+
+  /**
+   * Parse an EIP-4361 message. Throws on anything that does not follow the format.
+   */
+  static parseMessage(message: string): SiweMessage {
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    let index = 0;
+    const next = () => lines[index++];
+
+    const header = next() || '';
+    if (!header.endsWith(HEADER_SUFFIX)) {
+      throw new Error('Invalid message header');
+    }
+    const domain = header.slice(0, -HEADER_SUFFIX.length);
+
+    const address = next() || '';
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      throw new Error('Invalid address line');
+    }
+
+    if (next() !== '') {
+      throw new Error('Expected an empty line after the address');
+    }
+
+    let statement: string | undefined;
+    if (!lines[index]?.startsWith('URI: ')) {
+      statement = next();
+      if (next() !== '') {
+        throw new Error('Expected an empty line after the statement');
+      }
+    }
+
+    const fields: Record<string, string> = {};
+    const resources: string[] = [];
+    while (index < lines.length) {
+      const line = next()!;
+      if (line === 'Resources:') {
+        while (index < lines.length && lines[index]!.startsWith('- ')) {
+          resources.push(next()!.slice(2));
+        }
+        break;
+      }
+
+      const separator = line.indexOf(': ');
+      const key = separator > 0 ? FIELD_KEYS[line.slice(0, separator)] : undefined;
+      if (!key || key in fields) {
+        throw new Error(`Unexpected line: ${line}`);
+      }
+      fields[key] = line.slice(separator + 2);
+    }
+
+    if (index < lines.length && lines.slice(index).some(line => line !== '')) {
+      throw new Error('Unexpected content after resources');
+    }
+
+    for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+      if (!fields[required]) {
+        throw new Error(`Missing ${required}`);
+      }
+    }
+    if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce!)) {
+      throw new Error('Invalid nonce');
+    }
+
+    return {
+      domain,
+      address,
+      statement,
+      uri: fields.uri!,
+      version: fields.version!,
+      chainId: parseInt(fields.chainId!, 10),
+      nonce: fields.nonce!,
+      issuedAt: fields.issuedAt!,
+      expirationTime: fields.expirationTime,
+      notBefore: fields.notBefore,
+      requestId: fields.requestId,
+      resources
+    };
+  }
+
+  /**
+   * Verify a signed SIWE message, consume its nonce and sign the wallet in,
+   * creating a wallet-only account on first login.
+   */
+  static async signIn(message: string, signature: string, walletAddress?: string, context: SessionContext = {}) {
+    let siwe: SiweMessage;
+    try {
+      siwe = this.parseMessage(message);
+    } catch (error: any) {
+      return { success: false, error: `Malformed sign-in message: ${error.message}` };
+    }
+
+    const config = securityConfig.siwe;
+    const now = Date.now();
+
+    try {
+      if (siwe.domain !== config.domain) {
+        return { success: false, error: 'Sign-in message was issued for a different domain' };
+      }
+      if (siwe.version !== '1') {
+        return { success: false, error: 'Unsupported sign-in message version' };
+      }
+      if (!config.allowedChainIds.includes(siwe.chainId)) {
+        return { success: false, error: `Chain ID ${siwe.chainId} is not supported` };
+      }
+      if (parseDate(siwe.issuedAt, 'Issued At').getTime() > now + config.clockSkew) {
+        return { success: false, error: 'Sign-in message is not valid yet' };
+      }
+      if (siwe.notBefore && parseDate(siwe.notBefore, 'Not Before').getTime() > now + config.clockSkew) {
+        return { success: false, error: 'Sign-in message is not valid yet' };
+      }
+      if (siwe.expirationTime && parseDate(siwe.expirationTime, 'Expiration Time').getTime() <= now) {
+        return { success: false, error: 'Sign-in message has expired' };
+      }
+    } catch (error: any) {
+      return { success: false, error: `Malformed sign-in message: ${error.message}` };
+    }
+
+    let address: string;
+    try {
+      // getAddress rejects mixed-case addresses with a bad EIP-55 checksum
+      address = getAddress(siwe.address);
+      if (walletAddress && getAddress(walletAddress) !== address) {
+        return { success: false, error: 'Wallet address does not match the signed message' };
+      }
+      if (verifyMessage(message, signature) !== address) {
+        return { success: false, error: 'Invalid signature' };
+      }
+    } catch {
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    // Nonces are single-use: only one request can flip usedAt
+    const consumed = await db.walletNonce.updateMany({
+      where: {
+        nonce: siwe.nonce,
+        usedAt: null,
+        expiresAt: { gt: new Date(now) },
+        OR: [
+          { walletAddress: null },
+          { walletAddress: address.toLowerCase() }
+        ]
+      },
+      data: { usedAt: new Date(now) }
+    });
+
+    if (consumed.count !== 1) {
+      return { success: false, error: 'Nonce is invalid, expired or already used' };
+    }
+
+    const result = await UserService.findByWalletAddress(address.toLowerCase());
+    let user = result.success ? result.user : null;
+    let isNew = false;
+
+    if (!user) {
+      const created = await UserService.findOrCreateByWalletAddress(address);
+      if (!created.success || !created.user) {
+        return { success: false, error: created.error || 'Unable to create wallet account' };
+      }
+      user = created.user;
+      isNew = created.isNew;
+    }
+
+    if (user.mfaEnabled) {
+      return {
+        success: true,
+        isNew,
+        mfaRequired: true,
+        mfaToken: MfaService.createChallengeToken(user.id)
+      };
+    }
+
+    const { token, refreshToken, expiresIn } = await TokenService.issueTokens(user, context);
+
+    return {
+      success: true,
+      isNew,
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName || undefined,
+        lastName: user.lastName || undefined,
+        role: user.role,
+        walletAddress: user.walletAddress || undefined
+      }
+    };
+  }
+}
+
+export default WalletAuthService;
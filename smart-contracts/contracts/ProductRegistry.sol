@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 // SafeMath removed in OpenZeppelin v5.0.0 - Solidity 0.8+ has built-in overflow protection
 
 contract ProductRegistry is Ownable, ReentrancyGuard, Pausable {
@@ -42,6 +43,18 @@ contract ProductRegistry is Ownable, ReentrancyGuard, Pausable {
     uint256 public nextProductId = 1;
     uint256 public totalProducts;
 
+    // Merkle roots over batches of checkpoints kept off-chain, numbered from 1
+    struct CheckpointAnchor {
+        bytes32 merkleRoot;
+        uint256 leafCount;
+        uint256 anchoredAt;
+        address anchoredBy;
+    }
+
+    mapping(uint256 => CheckpointAnchor) public checkpointAnchors;
+    mapping(bytes32 => uint256) public anchorIdByRoot;
+    uint256 public totalAnchors;
+
     event ProductRegistered(
         uint256 indexed productId,
         string productName,
@@ -88,6 +101,12 @@ contract ProductRegistry is Ownable, ReentrancyGuard, Pausable {
         address indexed reactivator
     );
 
+    event CheckpointsAnchored(
+        uint256 indexed anchorId,
+        bytes32 indexed merkleRoot,
+        uint256 leafCount
+    );
+
     modifier validProductId(uint256 _productId) {
         require(_productId > 0 && _productId < nextProductId, "Product not found");
         _;
@@ -723,6 +742,57 @@ contract ProductRegistry is Ownable, ReentrancyGuard, Pausable {
         return traceChain;
     }
 
+    // ============ CHECKPOINT ANCHORING ============
+
+    /**
+     * @dev Publish the Merkle root of a batch of off-chain checkpoints. Leaves are
+     * keccak256(checkpointHash) and pairs are hashed in sorted order, as MerkleProof expects.
+     * @param _merkleRoot Root of the batch
+     * @param _leafCount Number of checkpoints in the batch
+     * @return anchorId Created anchor ID
+     */
+    function anchorCheckpoints(bytes32 _merkleRoot, uint256 _leafCount)
+        external
+        onlyOwner
+        whenNotPaused
+        returns (uint256 anchorId)
+    {
+        require(_merkleRoot != bytes32(0), "Merkle root required");
+        require(_leafCount > 0, "Empty batch");
+        require(anchorIdByRoot[_merkleRoot] == 0, "Root already anchored");
+
+        anchorId = ++totalAnchors;
+        checkpointAnchors[anchorId] = CheckpointAnchor({
+            merkleRoot: _merkleRoot,
+            leafCount: _leafCount,
+            anchoredAt: block.timestamp,
+            anchoredBy: msg.sender
+        });
+        anchorIdByRoot[_merkleRoot] = anchorId;
+
+        emit CheckpointsAnchored(anchorId, _merkleRoot, _leafCount);
+
+        return anchorId;
+    }
+
+    /**
+     * @dev Check that a checkpoint hash is part of an anchored batch
+     * @param _merkleRoot Root the proof leads to
+     * @param _checkpointHash Hash of the checkpoint record
+     * @param _proof Sibling hashes from the leaf up to the root
+     * @return Whether the root is anchored and the proof holds
+     */
+    function verifyAnchoredCheckpoint(bytes32 _merkleRoot, bytes32 _checkpointHash, bytes32[] calldata _proof)
+        external
+        view
+        returns (bool)
+    {
+        if (anchorIdByRoot[_merkleRoot] == 0) {
+            return false;
+        }
+        return MerkleProof.verify(_proof, _merkleRoot, keccak256(abi.encodePacked(_checkpointHash)));
+    }
+
     // ============ INTERNAL FUNCTIONS ============
 
     /**
@@ -365,6 +365,93 @@ describe("ProductRegistry", function () {
         });
     });
 
+    describe("Checkpoint Anchoring", function () {
+        // Leaves are keccak256(checkpointHash); pairs are hashed in sorted order
+        const leaf = (hash) => ethers.utils.keccak256(hash);
+        const hashPair = (a, b) => ethers.utils.keccak256(
+            ethers.utils.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a])
+        );
+
+        const checkpointHashes = ["manufactured", "shipped", "received"].map(status => ethers.utils.id(status));
+        const [leafA, leafB, leafC] = checkpointHashes.map(leaf);
+        // The third leaf has no sibling and is carried up unchanged
+        const merkleRoot = hashPair(hashPair(leafA, leafB), leafC);
+
+        it("Should anchor a Merkle root by owner", async function () {
+            await expect(productRegistry.anchorCheckpoints(merkleRoot, 3))
+                .to.emit(productRegistry, "CheckpointsAnchored")
+                .withArgs(1, merkleRoot, 3);
+
+            const anchor = await productRegistry.checkpointAnchors(1);
+            expect(anchor.merkleRoot).to.equal(merkleRoot);
+            expect(anchor.leafCount).to.equal(3);
+            expect(anchor.anchoredBy).to.equal(owner.address);
+            expect(await productRegistry.anchorIdByRoot(merkleRoot)).to.equal(1);
+            expect(await productRegistry.totalAnchors()).to.equal(1);
+        });
+
+        it("Should prevent anchoring by non-owner", async function () {
+            await expect(
+                productRegistry.connect(manufacturer).anchorCheckpoints(merkleRoot, 3)
+            ).to.be.reverted;
+        });
+
+        it("Should reject empty and repeated roots", async function () {
+            await expect(
+                productRegistry.anchorCheckpoints(ethers.constants.HashZero, 3)
+            ).to.be.revertedWith("Merkle root required");
+            await expect(
+                productRegistry.anchorCheckpoints(merkleRoot, 0)
+            ).to.be.revertedWith("Empty batch");
+
+            await productRegistry.anchorCheckpoints(merkleRoot, 3);
+            await expect(
+                productRegistry.anchorCheckpoints(merkleRoot, 3)
+            ).to.be.revertedWith("Root already anchored");
+        });
+
+        it("Should verify inclusion proofs against anchored roots", async function () {
+            await productRegistry.anchorCheckpoints(merkleRoot, 3);
+
+            expect(await productRegistry.verifyAnchoredCheckpoint(
+                merkleRoot, checkpointHashes[0], [leafB, leafC]
+            )).to.be.true;
+            expect(await productRegistry.verifyAnchoredCheckpoint(
+                merkleRoot, checkpointHashes[2], [hashPair(leafA, leafB)]
+            )).to.be.true;
+
+            // Altered checkpoint
+            expect(await productRegistry.verifyAnchoredCheckpoint(
+                merkleRoot, ethers.utils.id("tampered"), [leafB, leafC]
+            )).to.be.false;
+        });
+
+        it("Should verify proofs for a leaf promoted over several levels", async function () {
+            const hashes = ["manufactured", "packed", "shipped", "received", "dispensed"].map(status => ethers.utils.id(status));
+            const leaves = hashes.map(leaf);
+            const left = hashPair(hashPair(leaves[0], leaves[1]), hashPair(leaves[2], leaves[3]));
+            // The fifth leaf has no sibling on the first two levels
+            const root = hashPair(left, leaves[4]);
+            await productRegistry.anchorCheckpoints(root, 5);
+
+            expect(await productRegistry.verifyAnchoredCheckpoint(
+                root, hashes[4], [left]
+            )).to.be.true;
+            expect(await productRegistry.verifyAnchoredCheckpoint(
+                root, hashes[2], [leaves[3], hashPair(leaves[0], leaves[1]), leaves[4]]
+            )).to.be.true;
+            expect(await productRegistry.verifyAnchoredCheckpoint(
+                root, hashes[4], [leaves[3], left]
+            )).to.be.false;
+        });
+
+        it("Should not verify proofs against unknown roots", async function () {
+            expect(await productRegistry.verifyAnchoredCheckpoint(
+                merkleRoot, checkpointHashes[0], [leafB, leafC]
+            )).to.be.false;
+        });
+    });
+
     describe("Edge Cases", function () {
         it("Should handle non-existent product queries", async function () {
             await expect(